@@ -0,0 +1,10 @@
+// Ride cancellation policy, overridable through the environment
+module.exports = {
+  graceMinutes: Number(process.env.CANCELLATION_GRACE_MINUTES || 2), // free after a driver is assigned
+  fees: {
+    enRoute: Number(process.env.CANCELLATION_FEE_EN_ROUTE || 25), // driver assigned and on the way
+    arrived: Number(process.env.CANCELLATION_FEE_ARRIVED || 50) // driver waiting at pickup
+  },
+  driverCompensationShare: Number(process.env.CANCELLATION_DRIVER_SHARE || 1), // share of the fee paid to the driver
+  driverPenalty: Number(process.env.DRIVER_CANCELLATION_PENALTY || 50) // added to the driver's dues
+};
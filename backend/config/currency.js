@@ -0,0 +1,27 @@
+// Currencies the platform prices in, overridable through the environment
+module.exports = {
+  baseCurrency: process.env.BASE_CURRENCY || 'INR', // wallets, dues and payouts; exchange rates are quoted against it
+  // decimals: minor units kept on converted amounts; fareDecimals: precision fares are rounded to
+  currencies: {
+    INR: { decimals: 2, fareDecimals: 0 },
+    USD: { decimals: 2, fareDecimals: 2 },
+    EUR: { decimals: 2, fareDecimals: 2 },
+    GBP: { decimals: 2, fareDecimals: 2 },
+    AED: { decimals: 2, fareDecimals: 2 },
+    SGD: { decimals: 2, fareDecimals: 2 },
+    LKR: { decimals: 2, fareDecimals: 0 },
+    NPR: { decimals: 2, fareDecimals: 0 },
+    JPY: { decimals: 0, fareDecimals: 0 },
+    KWD: { decimals: 3, fareDecimals: 3 }
+  },
+  // Operating currency by city (lowercase); cities not listed use `default`
+  cityCurrencies: {
+    default: process.env.DEFAULT_FARE_CURRENCY || 'INR',
+    dubai: 'AED',
+    'abu dhabi': 'AED',
+    singapore: 'SGD',
+    colombo: 'LKR',
+    kathmandu: 'NPR',
+    london: 'GBP'
+  }
+};
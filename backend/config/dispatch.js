@@ -0,0 +1,35 @@
+// Driver dispatch settings, overridable through the environment
+module.exports = {
+  offerTimeoutSeconds: Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || 15), // time a driver has to answer an offer
+  searchRadiusMeters: Number(process.env.DISPATCH_SEARCH_RADIUS || 5000), // first search; widened while nobody is found
+  radiusStepMeters: Number(process.env.DISPATCH_RADIUS_STEP || 2000),
+  radiusStepSeconds: Number(process.env.DISPATCH_RADIUS_STEP_SECONDS || 30), // wait before each wider search
+  maxRadiusMeters: {
+    bike: Number(process.env.DISPATCH_MAX_RADIUS_BIKE || 8000),
+    auto: Number(process.env.DISPATCH_MAX_RADIUS_AUTO || 8000),
+    car: Number(process.env.DISPATCH_MAX_RADIUS_CAR || 12000),
+    suv: Number(process.env.DISPATCH_MAX_RADIUS_SUV || 15000)
+  },
+  searchWindowMinutes: Number(process.env.DISPATCH_SEARCH_WINDOW_MINUTES || 5), // rides nobody takes by then are cancelled
+  candidatePoolSize: Number(process.env.DISPATCH_CANDIDATE_POOL || 50), // nearest drivers considered for ranking
+  maxCandidates: Number(process.env.DISPATCH_MAX_CANDIDATES || 10), // drivers offered the ride before it is given up
+  schedule: process.env.DISPATCH_SCHEDULE || '*/10 * * * * *', // every 10 seconds: widens searches and catches offers whose timer was lost
+  ranking: {
+    averageSpeedKmh: Number(process.env.DISPATCH_AVERAGE_SPEED_KMH || 25), // for pickup ETAs
+    maxEtaMinutes: Number(process.env.DISPATCH_MAX_ETA_MINUTES || 15), // ETAs this long or longer score nothing
+    maxIdleMinutes: Number(process.env.DISPATCH_MAX_IDLE_MINUTES || 60), // idle time that earns the full idle score
+    unknownScore: 0.5, // for drivers without ratings, offers or a heading yet
+    // Weights of each score component by city (lowercase); cities not listed use `default`,
+    // and a city only needs to list the weights it changes
+    weights: {
+      default: {
+        eta: 0.4,
+        rating: 0.2,
+        acceptance: 0.15,
+        reliability: 0.1, // share of trips not cancelled by the driver
+        idle: 0.1, // time since the driver's last trip
+        heading: 0.05 // whether the driver is moving toward the pickup
+      }
+    }
+  }
+};
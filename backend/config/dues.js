@@ -0,0 +1,4 @@
+// Driver cash-commission dues settings, overridable through the environment
+module.exports = {
+  limit: Number(process.env.DRIVER_DUES_LIMIT || 2000) // cash rides are blocked at or above this amount
+};
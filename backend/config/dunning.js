@@ -0,0 +1,9 @@
+// Failed payment retry settings, overridable through the environment
+module.exports = {
+  enabled: process.env.DUNNING_ENABLED !== 'false',
+  schedule: process.env.DUNNING_SCHEDULE || '*/5 * * * *', // every 5 minutes
+  // Wait before each automatic retry; once these run out the debt waits for the passenger
+  backoffMinutes: (process.env.DUNNING_BACKOFF_MINUTES || '15,60,360,1440').split(',').map(Number),
+  // A retry the gateway has not finished by then (e.g. an abandoned redirect) is failed so it can be tried again
+  retryTimeoutMinutes: Number(process.env.DUNNING_RETRY_TIMEOUT_MINUTES || 30)
+};
@@ -0,0 +1,19 @@
+// Fallback fares used when no fare table has been published for a city and vehicle type
+module.exports = {
+  utcOffsetMinutes: Number(process.env.FARE_UTC_OFFSET_MINUTES || 330), // time-of-day rules use local (IST) time
+  // Final fares that rise more than this over the booked fare are flagged for review
+  finalFareTolerancePercent: Number(process.env.FINAL_FARE_TOLERANCE_PERCENT || 20),
+  defaults: {
+    currency: 'INR', // only cities priced in this currency fall back to these rates
+    platformFeeRate: 0.05,
+    taxRate: 0.18, // GST
+    driverShare: 0.8,
+    freeWaitingMinutes: 3, // at pickup, before waiting charges start
+    vehicles: {
+      bike: { baseRate: 20, perKmRate: 8, perMinuteRate: 1, minimumFare: 25, waitingRate: 1 },
+      auto: { baseRate: 30, perKmRate: 12, perMinuteRate: 1.5, minimumFare: 40, waitingRate: 1.5 },
+      car: { baseRate: 50, perKmRate: 15, perMinuteRate: 2, minimumFare: 60, waitingRate: 2 },
+      suv: { baseRate: 70, perKmRate: 20, perMinuteRate: 2.5, minimumFare: 80, waitingRate: 2.5 }
+    }
+  }
+};
@@ -0,0 +1,10 @@
+// Invoice issuer details, overridable through the environment
+module.exports = {
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || 'Ride Sharing Technologies Pvt. Ltd.',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    address: process.env.INVOICE_SELLER_ADDRESS || ''
+  },
+  sacCode: process.env.INVOICE_SAC_CODE || '9964', // passenger transport services
+  numberPrefix: 'INV'
+};
@@ -0,0 +1,6 @@
+// Ride pass renewal settings, overridable through the environment
+module.exports = {
+  schedule: process.env.PASS_RENEWAL_SCHEDULE || '0 * * * *', // hourly
+  // Renewals are charged this long before a period ends so the pass does not lapse
+  renewBeforeHours: Number(process.env.PASS_RENEW_BEFORE_HOURS || 24)
+};
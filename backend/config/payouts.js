@@ -0,0 +1,9 @@
+// Driver payout settings, overridable through the environment
+module.exports = {
+  enabled: process.env.PAYOUTS_ENABLED !== 'false',
+  schedule: process.env.PAYOUT_SCHEDULE || '0 2 * * *', // every day at 02:00
+  minimumAmount: Number(process.env.PAYOUT_MIN_AMOUNT || 500), // in the base currency
+  holdHours: Number(process.env.PAYOUT_HOLD_HOURS || 48), // refund window before earnings are paid out
+  maxAttempts: Number(process.env.PAYOUT_MAX_ATTEMPTS || 3),
+  provider: process.env.PAYOUT_PROVIDER || 'stub'
+};
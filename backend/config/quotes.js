@@ -0,0 +1,6 @@
+// Fare quote settings, overridable through the environment
+module.exports = {
+  secret: process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+  ttlMinutes: Number(process.env.QUOTE_TTL_MINUTES || 5),
+  maxLocationDriftMeters: Number(process.env.QUOTE_MAX_DRIFT_METERS || 200) // pickup/drop may move this far from the quote
+};
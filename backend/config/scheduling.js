@@ -0,0 +1,9 @@
+// Scheduled ride settings, overridable through the environment
+module.exports = {
+  schedule: process.env.SCHEDULED_RIDES_SCHEDULE || '* * * * *', // every minute
+  maxAdvanceDays: Number(process.env.SCHEDULED_MAX_ADVANCE_DAYS || 7), // how far ahead rides can be booked
+  dispatchLeadMinutes: Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES || 15), // dispatch starts this long before pickup; nearer bookings go out straight away
+  reminderLeadMinutes: Number(process.env.SCHEDULED_REMINDER_LEAD_MINUTES || 60),
+  changeCutoffMinutes: Number(process.env.SCHEDULED_CHANGE_CUTOFF_MINUTES || 60), // passengers can edit or cancel until this long before pickup
+  reservationGapMinutes: Number(process.env.SCHEDULED_RESERVATION_GAP_MINUTES || 90) // a driver's reserved pickups must be at least this far apart
+};
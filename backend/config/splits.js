@@ -0,0 +1,7 @@
+// Split fare settings, overridable through the environment
+module.exports = {
+  maxCoRiders: Number(process.env.SPLIT_MAX_CO_RIDERS || 4),
+  // Time after the ride ends for co-riders to pay before their shares move to the booker
+  expiryMinutes: Number(process.env.SPLIT_EXPIRY_MINUTES || 1440),
+  schedule: process.env.SPLIT_EXPIRY_SCHEDULE || '*/10 * * * *' // every 10 minutes
+};
@@ -0,0 +1,11 @@
+// Surge pricing settings, overridable through the environment
+module.exports = {
+  enabled: process.env.SURGE_ENABLED !== 'false',
+  schedule: process.env.SURGE_SCHEDULE || '*/2 * * * *', // every 2 minutes
+  cellSizeDegrees: Number(process.env.SURGE_CELL_SIZE || 0.02), // roughly 2 km square cells
+  demandWindowMinutes: Number(process.env.SURGE_DEMAND_WINDOW_MINUTES || 15), // searching rides older than this are ignored
+  minimumDemand: Number(process.env.SURGE_MIN_DEMAND || 3), // fewer requests than this never surge
+  demandRatioThreshold: Number(process.env.SURGE_RATIO_THRESHOLD || 1.2), // requests per driver before surge starts
+  sensitivity: Number(process.env.SURGE_SENSITIVITY || 0.5), // multiplier added per extra request per driver
+  maxMultiplier: Number(process.env.SURGE_MAX_MULTIPLIER || 2.5)
+};
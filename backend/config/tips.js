@@ -0,0 +1,6 @@
+// Post-ride tipping settings, overridable through the environment
+module.exports = {
+  windowMinutes: Number(process.env.TIP_WINDOW_MINUTES || 60), // after the ride is completed
+  minimumAmount: Number(process.env.TIP_MIN_AMOUNT || 10),
+  maximumAmount: Number(process.env.TIP_MAX_AMOUNT || 500)
+};
@@ -0,0 +1,18 @@
+const cron = require('node-cron');
+const config = require('../config/dispatch');
+const { runDispatchCycle } = require('../services/dispatch');
+
+// Widen ride searches step by step and move rides on from offers that ran out
+function startDispatchJob(io) {
+  return cron.schedule(config.schedule, async () => {
+    try {
+      await runDispatchCycle(io);
+    } catch (error) {
+      console.error('Dispatch cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startDispatchJob
+};
@@ -0,0 +1,25 @@
+const cron = require('node-cron');
+const config = require('../config/dunning');
+const { runDunningCycle } = require('../services/dunning');
+
+// Retry failed ride payments on the configured schedule
+function startDunningJob(io) {
+  if (!config.enabled) {
+    return null;
+  }
+
+  return cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await runDunningCycle(io);
+      if (summary.retried > 0) {
+        console.log('Payment retry cycle completed:', summary);
+      }
+    } catch (error) {
+      console.error('Payment retry cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startDunningJob
+};
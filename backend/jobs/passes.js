@@ -0,0 +1,21 @@
+const cron = require('node-cron');
+const config = require('../config/passes');
+const { runPassCycle } = require('../services/passes');
+
+// Renew and expire ride passes on the configured schedule
+function startPassJob(io) {
+  return cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await runPassCycle(io);
+      if (summary.renewalsDue > 0 || summary.expired > 0) {
+        console.log('Pass renewal cycle completed:', summary);
+      }
+    } catch (error) {
+      console.error('Pass renewal cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startPassJob
+};
@@ -0,0 +1,21 @@
+const cron = require('node-cron');
+const config = require('../config/scheduling');
+const { runScheduledRideCycle } = require('../services/scheduledRides');
+
+// Send booking reminders and dispatch bookings as their pickup time nears
+function startScheduledRideJob(io) {
+  return cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await runScheduledRideCycle(io);
+      if (summary.due > 0) {
+        console.log('Scheduled ride cycle completed:', summary);
+      }
+    } catch (error) {
+      console.error('Scheduled ride cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startScheduledRideJob
+};
@@ -0,0 +1,23 @@
+const cron = require('node-cron');
+const config = require('../config/payouts');
+const { runSettlementCycle } = require('../services/settlements');
+
+// Batch and pay out driver earnings on the configured schedule
+function startSettlementJob() {
+  if (!config.enabled) {
+    return null;
+  }
+
+  return cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await runSettlementCycle();
+      console.log('Settlement cycle completed:', summary);
+    } catch (error) {
+      console.error('Settlement cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startSettlementJob
+};
@@ -0,0 +1,21 @@
+const cron = require('node-cron');
+const config = require('../config/splits');
+const { runSplitExpiryCycle } = require('../services/splitFares');
+
+// Move unpaid split fare shares to the booker on the configured schedule
+function startSplitFareJob(io) {
+  return cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await runSplitExpiryCycle(io);
+      if (summary.expired > 0) {
+        console.log('Split fare expiry cycle completed:', summary);
+      }
+    } catch (error) {
+      console.error('Split fare expiry cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startSplitFareJob
+};
@@ -0,0 +1,22 @@
+const cron = require('node-cron');
+const config = require('../config/surge');
+const { runSurgeCycle } = require('../services/surge');
+
+// Recompute surge zones from live demand and supply
+function startSurgeJob() {
+  if (!config.enabled) {
+    return null;
+  }
+
+  return cron.schedule(config.schedule, async () => {
+    try {
+      await runSurgeCycle();
+    } catch (error) {
+      console.error('Surge cycle error:', error);
+    }
+  });
+}
+
+module.exports = {
+  startSurgeJob
+};
@@ -51,6 +51,14 @@ const requirePassenger = (req, res, next) => {
   next();
 };
 
+// Check if user is an admin (support / operations staff)
+const requireAdmin = (req, res, next) => {
+  if (req.user.userType !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -72,6 +80,27 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Socket authentication: attach the user when the handshake carries a valid token.
+// Events that change rides check socket.data.user themselves.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      const user = await User.findById(decoded.userId).select('-password');
+
+      if (user && user.isActive) {
+        socket.data.user = user;
+      }
+    }
+    next();
+  } catch (error) {
+    // Connect without authentication
+    next();
+  }
+};
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign(
@@ -99,7 +128,9 @@ module.exports = {
   authenticateToken,
   requireDriver,
   requirePassenger,
+  requireAdmin,
   optionalAuth,
+  authenticateSocket,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const duesConfig = require('../config/dues');
 
 const driverSchema = new mongoose.Schema({
   userId: {
@@ -40,6 +41,7 @@ const driverSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  reservationLockedUntil: Date, // held while a reservation checks for clashes and claims the booking
   currentLocation: {
     type: {
       type: String,
@@ -51,6 +53,7 @@ const driverSchema = new mongoose.Schema({
       index: '2dsphere'
     }
   },
+  heading: Number, // degrees clockwise from north, from the last location update
   vehicle: {
     type: {
       type: String,
@@ -103,12 +106,19 @@ const driverSchema = new mongoose.Schema({
     thisMonth: { type: Number, default: 0 },
     total: { type: Number, default: 0 }
   },
+  // Cached from the dues ledger so availability checks stay synchronous
+  dues: {
+    outstanding: { type: Number, default: 0 },
+    updatedAt: Date
+  },
   stats: {
     totalRides: { type: Number, default: 0 },
     totalDistance: { type: Number, default: 0 }, // in kilometers
     totalHours: { type: Number, default: 0 },
     cancelledRides: { type: Number, default: 0 },
-    acceptanceRate: { type: Number, default: 0 },
+    offersReceived: { type: Number, default: 0 },
+    offersAccepted: { type: Number, default: 0 },
+    acceptanceRate: { type: Number, default: 0 }, // percent of ride offers accepted
     rating: { type: Number, default: 0 },
     totalRatings: { type: Number, default: 0 }
   },
@@ -180,8 +190,17 @@ driverSchema.methods.updateEarnings = function(amount) {
   return this.save();
 };
 
-// Check if driver is available for rides
-driverSchema.methods.isAvailableForRides = function() {
+// Whether unpaid cash commission has reached the limit
+driverSchema.methods.hasExceededDuesLimit = function() {
+  return Boolean(this.dues) && this.dues.outstanding >= duesConfig.limit;
+};
+
+// Check if driver is available for rides (cash rides also need dues under the limit)
+driverSchema.methods.isAvailableForRides = function(paymentMethod = null) {
+  if (paymentMethod === 'cash' && this.hasExceededDuesLimit()) {
+    return false;
+  }
+
   return this.isAvailable && 
          this.isOnline && 
          this.approvalStatus === 'approved' &&
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Units of a currency per one unit of the base currency, maintained by operations
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
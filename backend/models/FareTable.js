@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { getCityCurrency } = require('../services/currency');
+
+// Times are local "HH:mm"; a rule whose end is before its start runs past midnight
+const timeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  days: [{ // 0 = Sunday; empty means every day
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Rates that replace the table's rates while the rule applies
+  baseRate: Number,
+  perKmRate: Number,
+  perMinuteRate: Number,
+  minimumFare: Number
+}, { _id: false });
+
+// One published version of the fares for a city and vehicle type. Versions are never edited;
+// a change is published as a new version so past rides can still be traced to their rates.
+const fareTableSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: 'default' // applies to cities without their own table
+  },
+  vehicleType: {
+    type: String,
+    enum: ['bike', 'auto', 'car', 'suv'],
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Rates are in the city's operating currency
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: function() {
+      return getCityCurrency(this.city);
+    }
+  },
+  baseRate: { type: Number, required: true, min: 0 },
+  perKmRate: { type: Number, required: true, min: 0 },
+  perMinuteRate: { type: Number, required: true, min: 0 },
+  minimumFare: { type: Number, required: true, min: 0 },
+  waitingRate: { type: Number, default: 0, min: 0 }, // per minute after the free waiting time
+  freeWaitingMinutes: { type: Number, default: 3, min: 0 },
+  platformFeeRate: { type: Number, required: true, min: 0, max: 1 },
+  taxRate: { type: Number, required: true, min: 0, max: 1 },
+  driverShare: { type: Number, required: true, min: 0, max: 1 },
+  timeRules: [timeRuleSchema],
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+fareTableSchema.index({ city: 1, vehicleType: 1, version: 1 }, { unique: true });
+fareTableSchema.index({ city: 1, vehicleType: 1, effectiveFrom: -1 });
+
+fareTableSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fare table versions cannot be modified'));
+  }
+  next();
+});
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// First time rule covering a local day of week and minute of day
+fareTableSchema.methods.findTimeRule = function(day, minuteOfDay) {
+  return this.timeRules.find(rule => {
+    const start = toMinutes(rule.startTime);
+    const end = toMinutes(rule.endTime);
+
+    if (start <= end) {
+      return (rule.days.length === 0 || rule.days.includes(day)) && minuteOfDay >= start && minuteOfDay < end;
+    }
+
+    // Overnight rules belong to the day they start on
+    const previousDay = (day + 6) % 7;
+    return ((rule.days.length === 0 || rule.days.includes(day)) && minuteOfDay >= start) ||
+      ((rule.days.length === 0 || rule.days.includes(previousDay)) && minuteOfDay < end);
+  }) || null;
+};
+
+// Latest version in force for a city and vehicle type at a given time
+fareTableSchema.statics.findEffective = function(city, vehicleType, at = new Date()) {
+  return this.findOne({
+    city,
+    vehicleType,
+    effectiveFrom: { $lte: at }
+  }).sort({ effectiveFrom: -1, version: -1 });
+};
+
+module.exports = mongoose.model('FareTable', fareTableSchema);
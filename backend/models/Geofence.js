@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A charge added to the fare when a ride touches the geofence in the given way
+const surchargeRuleSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['pickup', 'destination', 'route'], // route: anywhere on the path, e.g. a toll plaza
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  label: String, // shown on the fare breakdown; defaults to the geofence name
+  vehicleTypes: [{ // empty means every vehicle type
+    type: String,
+    enum: ['bike', 'auto', 'car', 'suv']
+  }],
+  payToDriver: { // tolls and entry taxes are paid by the driver on the way, so they pass straight through
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const geofenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['airport', 'toll', 'state_border', 'zone'],
+    required: true
+  },
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    coordinates: {
+      type: [[[Number]]], // GeoJSON rings of [longitude, latitude], first point repeated at the end
+      required: true
+    }
+  },
+  rules: [surchargeRuleSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+geofenceSchema.index({ area: '2dsphere' });
+geofenceSchema.index({ isActive: 1, type: 1 });
+
+// Rules for a trigger that apply to a vehicle type
+geofenceSchema.methods.getRules = function(trigger, vehicleType) {
+  return this.rules.filter(rule => rule.trigger === trigger &&
+    (rule.vehicleTypes.length === 0 || rule.vehicleTypes.includes(vehicleType)));
+};
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
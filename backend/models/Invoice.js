@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { baseCurrency } = require('../config/currency');
+
+const amountLineSchema = new mongoose.Schema({
+  label: String,
+  amount: Number
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  financialYear: {
+    type: String, // e.g. 2026-27 (April to March)
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    default: baseCurrency
+  },
+  seller: {
+    name: String,
+    gstin: String,
+    address: String
+  },
+  customer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  trip: {
+    rideId: String,
+    vehicleType: String,
+    pickup: String,
+    destination: String,
+    distance: Number,
+    completedAt: Date
+  },
+  sacCode: String,
+  lines: {
+    rideFare: Number,
+    surgeFare: Number,
+    platformFee: Number,
+    taxableValue: Number,
+    discounts: [amountLineSchema],
+    surcharges: [amountLineSchema], // airport fees, tolls and entry taxes, outside GST
+    tip: Number,
+    adjustment: Number // rounding and minimum fare top-up
+  },
+  gst: {
+    rate: Number,
+    cgst: Number,
+    sgst: Number,
+    total: Number
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Sequence numbers are unique within a financial year, which keeps numbering gap-free
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ issuedAt: -1 });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ driverId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
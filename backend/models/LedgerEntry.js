@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { baseCurrency } = require('../config/currency');
+const { roundAmount } = require('../services/currency');
+
+// Platform-side accounts that balance passenger wallets and driver dues
+const ACCOUNTS = {
+  GATEWAY_CLEARING: 'platform:gateway_clearing', // top-up money held by payment gateways
+  RIDE_REVENUE: 'platform:ride_revenue',
+  PROMOTIONS: 'platform:promotions',
+  COMMISSION_REVENUE: 'platform:commission_revenue', // commission earned on cash rides
+  DRIVER_PAYOUTS: 'platform:driver_payouts', // earnings held back from payouts to cover dues
+  PENALTIES: 'platform:penalties'
+};
+
+const ledgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true
+  },
+  account: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: baseCurrency
+  },
+  entryType: {
+    type: String,
+    enum: [
+      'topup', 'ride_payment', 'refund', 'promo_credit',
+      'cash_commission', 'cash_commission_reversal', 'dues_offset', 'dues_offset_reversal', 'dues_payment', 'cancellation_penalty',
+      'refund_clawback'
+    ],
+    required: true
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  paymentId: String,
+  description: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Each transaction touches an account once, which also makes re-posting a no-op
+ledgerEntrySchema.index({ transactionId: 1, account: 1 }, { unique: true });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+// Ledger entries are immutable: corrections are posted as new transactions
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Ledger entries cannot be modified'));
+  }
+);
+
+// Wallet account name for a passenger
+ledgerEntrySchema.statics.walletAccount = function(userId) {
+  return `wallet:${userId}`;
+};
+
+// Dues account for a driver; a negative balance is money owed to the platform
+ledgerEntrySchema.statics.driverDuesAccount = function(driverId) {
+  return `dues:${driverId}`;
+};
+
+// Post a balanced transaction: one debit and one credit of the same amount.
+// Re-posting a transaction raises the duplicate key error callers treat as "already posted", but only
+// after writing any leg an earlier attempt left out, so the ledger never stays one-sided.
+ledgerEntrySchema.statics.postTransaction = async function({
+  transactionId,
+  entryType,
+  debitAccount,
+  creditAccount,
+  amount,
+  currency = baseCurrency,
+  userId,
+  driverId,
+  rideId,
+  paymentId,
+  description,
+  metadata
+}) {
+  const common = {
+    transactionId,
+    entryType,
+    amount: roundAmount(amount, currency),
+    currency,
+    userId,
+    driverId,
+    rideId,
+    paymentId,
+    description,
+    metadata
+  };
+
+  const legs = [
+    { ...common, account: debitAccount, direction: 'debit' },
+    { ...common, account: creditAccount, direction: 'credit' }
+  ];
+
+  try {
+    return await this.insertMany(legs, { ordered: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const posted = await this.distinct('account', { transactionId });
+    const missing = legs.filter(leg => !posted.includes(leg.account));
+    if (missing.length > 0) {
+      try {
+        await this.insertMany(missing, { ordered: false });
+      } catch (repairError) {
+        // A concurrent repost wrote the same leg
+        if (repairError.code !== 11000) {
+          throw repairError;
+        }
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Balance is always derived from the entries (credits minus debits)
+ledgerEntrySchema.statics.getBalance = async function(account) {
+  const [result] = await this.aggregate([
+    { $match: { account } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    }
+  ]);
+
+  // Wallets and dues are kept in the base currency
+  return result ? roundAmount(result.balance, baseCurrency) : 0;
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { baseCurrency } = require('../config/currency');
+
+// A ride pass on sale, e.g. "10% off up to 30 auto rides" or "no surge on bike rides".
+// Subscriptions copy the benefits when bought, so later edits only affect new periods.
+const passSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: baseCurrency
+  },
+  durationDays: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+  benefits: {
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+    maxDiscountPerRide: Number, // cap on the discount; uncapped when unset
+    waiveSurge: { type: Boolean, default: false }
+  },
+  rideLimit: Number, // rides per period; unlimited when unset
+  vehicleTypes: [{ // empty means every vehicle type
+    type: String,
+    enum: ['bike', 'auto', 'car', 'suv']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Get pass summary for passengers
+passSchema.methods.getPublicSummary = function() {
+  return {
+    code: this.code,
+    name: this.name,
+    description: this.description,
+    price: this.price,
+    currency: this.currency,
+    durationDays: this.durationDays,
+    benefits: this.benefits,
+    rideLimit: this.rideLimit,
+    vehicleTypes: this.vehicleTypes
+  };
+};
+
+module.exports = mongoose.model('Pass', passSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One paid period of a pass for a passenger. Renewals start a new period.
+const passSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pass',
+    required: true
+  },
+  code: String,
+  name: String,
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'expired', 'payment_failed', 'cancelled'],
+    default: 'pending'
+  },
+  benefits: {
+    discountPercent: Number,
+    maxDiscountPerRide: Number,
+    waiveSurge: Boolean
+  },
+  rideLimit: Number,
+  vehicleTypes: [String],
+  durationDays: Number,
+  ridesUsed: {
+    type: Number,
+    default: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  autoRenew: {
+    type: Boolean,
+    default: true
+  },
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassSubscription'
+  },
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassSubscription'
+  },
+  paymentId: String
+}, {
+  timestamps: true
+});
+
+passSubscriptionSchema.index({ user: 1, status: 1, expiresAt: 1 });
+passSubscriptionSchema.index({ status: 1, expiresAt: 1 });
+
+// Whether the period covers a ride of this vehicle type right now
+passSubscriptionSchema.methods.covers = function(vehicleType, now = new Date()) {
+  return this.status === 'active' &&
+    this.startsAt <= now && this.expiresAt > now &&
+    (!this.rideLimit || this.ridesUsed < this.rideLimit) &&
+    (this.vehicleTypes.length === 0 || this.vehicleTypes.includes(vehicleType));
+};
+
+// Get subscription summary for the passenger
+passSubscriptionSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    code: this.code,
+    name: this.name,
+    status: this.status,
+    benefits: this.benefits,
+    rideLimit: this.rideLimit,
+    ridesUsed: this.ridesUsed,
+    ridesRemaining: this.rideLimit ? Math.max(this.rideLimit - this.ridesUsed, 0) : null,
+    vehicleTypes: this.vehicleTypes,
+    startsAt: this.startsAt,
+    expiresAt: this.expiresAt,
+    autoRenew: this.autoRenew
+  };
+};
+
+module.exports = mongoose.model('PassSubscription', passSubscriptionSchema);
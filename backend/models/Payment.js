@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const currencyConfig = require('../config/currency');
+
+// Reasons support can give when refunding a payment
+const REFUND_REASONS = [
+  'ride_cancelled',
+  'driver_no_show',
+  'overcharged',
+  'route_deviation',
+  'duplicate_charge',
+  'service_issue',
+  'fare_adjustment',
+  'other'
+];
+
+// Payment types made outside any ride, so they have no ride or earning driver
+const STANDALONE_TYPES = ['pass', 'wallet_topup', 'driver_dues'];
 
 const paymentSchema = new mongoose.Schema({
   paymentId: {
@@ -9,8 +25,18 @@ const paymentSchema = new mongoose.Schema({
   rideId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ride',
-    required: true
+    required: function() { return !STANDALONE_TYPES.includes(this.type); }
+  },
+  type: {
+    type: String,
+    enum: ['ride', 'tip', 'cancellation_fee', 'fare_share', 'pass', 'wallet_topup', 'driver_dues'],
+    default: 'ride'
+  },
+  passSubscription: { // the pass period a pass payment buys
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PassSubscription'
   },
+  shareId: String, // the split fare share a fare_share payment pays for
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -19,7 +45,7 @@ const paymentSchema = new mongoose.Schema({
   driverId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Driver',
-    required: true
+    required: function() { return !STANDALONE_TYPES.includes(this.type); }
   },
   amount: {
     type: Number,
@@ -27,7 +53,13 @@ const paymentSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'INR'
+    default: currencyConfig.baseCurrency
+  },
+  // Amount in the passenger's preferred currency, using the rate fixed on the ride
+  converted: {
+    currency: String,
+    rate: Number,
+    amount: Number
   },
   paymentMethod: {
     type: String,
@@ -36,12 +68,12 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentProvider: {
     type: String,
-    enum: ['stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'cash'],
+    enum: ['stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'cash', 'wallet'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   transactionId: String, // External payment gateway transaction ID
@@ -53,7 +85,15 @@ const paymentSchema = new mongoose.Schema({
     platformFee: Number,
     discount: Number,
     couponDiscount: Number,
+    passDiscount: Number,
     surgeFare: Number,
+    surcharges: [{
+      _id: false,
+      name: String,
+      type: { type: String },
+      amount: Number
+    }],
+    surchargeTotal: Number,
     total: Number
   },
   driverEarning: {
@@ -61,16 +101,46 @@ const paymentSchema = new mongoose.Schema({
     commission: Number,
     netEarning: Number
   },
-  refund: {
-    amount: Number,
-    reason: String,
-    refundId: String,
-    processedAt: Date,
+  payout: {
     status: {
       type: String,
-      enum: ['pending', 'processed', 'failed']
+      enum: ['unsettled', 'batched', 'paid'],
+      default: 'unsettled'
+    },
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Settlement',
+      default: null
     }
   },
+  refunds: [{
+    amount: { type: Number, required: true },
+    reason: {
+      type: String,
+      enum: REFUND_REASONS,
+      required: true
+    },
+    note: String,
+    refundId: String, // Gateway refund ID (falls back to our reference)
+    reference: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    driverDeduction: { type: Number, default: 0 },
+    // The earning was already in a payout, so the deduction is recovered as driver dues once it is paid
+    deductFromDues: { type: Boolean, default: false },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: { type: Date, default: Date.now },
+    processedAt: Date,
+    failedAt: Date,
+    failureReason: String,
+    gatewayResponse: mongoose.Schema.Types.Mixed
+  }],
   paymentAttempts: [{
     attemptedAt: { type: Date, default: Date.now },
     method: String,
@@ -78,6 +148,16 @@ const paymentSchema = new mongoose.Schema({
     errorMessage: String,
     gatewayResponse: mongoose.Schema.Types.Mixed
   }],
+  // Recovery of a failed ride payment; anything scheduled or exhausted is still owed
+  dunning: {
+    status: {
+      type: String,
+      enum: ['scheduled', 'exhausted', 'resolved']
+    },
+    nextRetryAt: Date,
+    lastRetryAt: Date,
+    resolvedAt: Date
+  },
   invoice: {
     invoiceNumber: String,
     generatedAt: Date,
@@ -103,9 +183,14 @@ paymentSchema.index({ userId: 1, createdAt: -1 });
 paymentSchema.index({ driverId: 1, createdAt: -1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ paymentId: 1 });
+paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ 'refunds.refundId': 1 });
+paymentSchema.index({ driverId: 1, 'payout.status': 1 });
+paymentSchema.index({ 'dunning.status': 1, 'dunning.nextRetryAt': 1 });
+paymentSchema.index({ userId: 1, 'dunning.status': 1 });
 
 // Generate unique payment ID
-paymentSchema.pre('save', function(next) {
+paymentSchema.pre('validate', function(next) {
   if (!this.paymentId) {
     this.paymentId = 'PAY' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
@@ -151,32 +236,132 @@ paymentSchema.methods.addPaymentAttempt = function(method, status, errorMessage
   return this.save();
 };
 
-// Process refund
-paymentSchema.methods.processRefund = function(amount, reason, refundId) {
-  this.refund = {
-    amount,
-    reason,
-    refundId,
-    processedAt: new Date(),
-    status: 'pending'
+// Number of times the charge has been sent to a gateway, retries included
+paymentSchema.methods.getChargeAttemptCount = function() {
+  return this.paymentAttempts.filter(attempt => /:createCharge$/.test(attempt.method)).length;
+};
+
+// Whether the passenger still owes this payment
+paymentSchema.methods.isOutstanding = function() {
+  return ['scheduled', 'exhausted'].includes(this.dunning && this.dunning.status);
+};
+
+// Total of refunds that have gone through
+paymentSchema.methods.getRefundedAmount = function() {
+  return this.refunds
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+// Amount still available to refund (pending refunds are reserved)
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!['completed', 'partially_refunded'].includes(this.status)) {
+    return 0;
+  }
+
+  const reserved = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return Math.max(this.amount - reserved, 0);
+};
+
+// Reserve a refund before it goes to the gateway: the pending refund is only added while the
+// payment has not changed its refunds since `payment` was read and the amount still fits in
+// what is left. Resolves to the updated payment, or null when a concurrent refund got in first.
+paymentSchema.statics.reserveRefund = function(payment, amount, reason, details = {}) {
+  const index = payment.refunds.length;
+  const reserved = {
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$refunds', cond: { $ne: ['$$this.status', 'failed'] } } },
+        in: '$$this.amount'
+      }
+    }
   };
-  
-  this.status = 'refunded';
-  return this.save();
+
+  return this.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['completed', 'partially_refunded'] },
+      [`refunds.${index}`]: { $exists: false },
+      $expr: { $lte: [{ $add: [reserved, amount] }, '$amount'] }
+    },
+    {
+      $push: {
+        refunds: {
+          amount,
+          reason,
+          refundId: details.reference,
+          reference: details.reference,
+          note: details.note,
+          requestedBy: details.requestedBy,
+          requestedAt: new Date(),
+          status: 'pending'
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Move a pending refund to processed or failed and derive the payment status
+paymentSchema.methods.updateRefundStatus = function(refundId, status, failureReason = null) {
+  const refund = this.refunds.find(r => r.refundId === refundId || r.reference === refundId);
+
+  if (!refund || refund.status !== 'pending' || status === 'pending') {
+    return null;
+  }
+
+  refund.status = status;
+
+  if (status === 'processed') {
+    refund.processedAt = new Date();
+  } else {
+    refund.failedAt = new Date();
+    refund.failureReason = failureReason;
+  }
+
+  const refundedAmount = this.getRefundedAmount();
+  if (refundedAmount >= this.amount) {
+    this.status = 'refunded';
+  } else if (refundedAmount > 0) {
+    this.status = 'partially_refunded';
+  }
+
+  return refund;
+};
+
+// List of valid refund reasons
+paymentSchema.statics.getRefundReasons = function() {
+  return REFUND_REASONS;
 };
 
 // Get payment summary
 paymentSchema.methods.getPaymentSummary = function() {
   return {
     paymentId: this.paymentId,
+    type: this.type,
+    shareId: this.shareId,
     amount: this.amount,
     currency: this.currency,
+    converted: this.converted && this.converted.currency ? this.converted : undefined,
     paymentMethod: this.paymentMethod,
     status: this.status,
     breakdown: this.breakdown,
+    refundedAmount: this.getRefundedAmount(),
+    dunning: this.dunning && this.dunning.status ? this.dunning : undefined,
     createdAt: this.createdAt,
     completedAt: this.completedAt
   };
 };
 
+// Failed ride payments the passenger has not paid yet
+paymentSchema.statics.findOutstanding = function(userId) {
+  return this.find({
+    userId,
+    'dunning.status': { $in: ['scheduled', 'exhausted'] }
+  }).sort({ createdAt: 1 });
+};
+
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
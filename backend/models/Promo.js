@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { roundFare } = require('../services/currency');
+
+const promoSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: Number, // cap for percentage discounts
+  minFare: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  usageLimit: Number, // total uses across all passengers; unlimited when unset
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  cities: [{ // empty means every city
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  vehicleTypes: [{ // empty means every vehicle type
+    type: String,
+    enum: ['bike', 'auto', 'car', 'suv']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoSchema.index({ isActive: 1, validUntil: 1 });
+
+// Reason the promo cannot be used for this ride, or null when it can
+promoSchema.methods.getIneligibilityReason = function({ fare, city, vehicleType, now = new Date() }) {
+  if (!this.isActive) {
+    return 'Promo code is no longer active';
+  }
+
+  if (this.validFrom && now < this.validFrom) {
+    return 'Promo code is not valid yet';
+  }
+
+  if (this.validUntil && now > this.validUntil) {
+    return 'Promo code has expired';
+  }
+
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return 'Promo code usage limit reached';
+  }
+
+  if (this.cities.length > 0 && !this.cities.includes(String(city || '').toLowerCase().trim())) {
+    return 'Promo code is not valid in this city';
+  }
+
+  if (this.vehicleTypes.length > 0 && !this.vehicleTypes.includes(vehicleType)) {
+    return `Promo code is not valid for ${vehicleType} rides`;
+  }
+
+  if (fare < this.minFare) {
+    return `Promo code requires a minimum fare of ${this.minFare}`;
+  }
+
+  return null;
+};
+
+// Discount on a fare, capped and never more than the fare itself, rounded like the fare's currency
+promoSchema.methods.calculateDiscount = function(fare, currency) {
+  let discount = this.discountType === 'percentage'
+    ? fare * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return roundFare(Math.min(discount, fare), currency);
+};
+
+// Get promo summary for passengers
+promoSchema.methods.getPublicSummary = function() {
+  return {
+    code: this.code,
+    description: this.description,
+    discountType: this.discountType,
+    discountValue: this.discountValue,
+    maxDiscount: this.maxDiscount,
+    minFare: this.minFare,
+    validUntil: this.validUntil
+  };
+};
+
+module.exports = mongoose.model('Promo', promoSchema);
@@ -1,4 +1,95 @@
 const mongoose = require('mongoose');
+const currencyConfig = require('../config/currency');
+const { roundAmount, roundFare } = require('../services/currency');
+
+// A driver holds at most one ride in these statuses
+const ACTIVE_RIDE_STATUSES = ['driver_assigned', 'driver_arrived', 'pickup_confirmed', 'in_progress'];
+
+// Airport fee, toll or entry tax from a geofence the ride touched
+const surchargeSchema = new mongoose.Schema({
+  geofence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence'
+  },
+  name: String,
+  type: { type: String },
+  trigger: String,
+  amount: Number,
+  payToDriver: Boolean
+}, { _id: false });
+
+// One payer's part of a split fare. Co-riders invited by phone have no user until they sign up.
+const fareShareSchema = new mongoose.Schema({
+  shareId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  phone: String,
+  name: String,
+  isBooker: {
+    type: Boolean,
+    default: false
+  },
+  percent: Number, // of the total fare
+  amount: Number,
+  status: {
+    type: String,
+    enum: ['invited', 'accepted', 'declined', 'reassigned', 'paid'],
+    default: 'invited'
+  },
+  paymentId: String,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  paidAt: Date
+}, { _id: false });
+
+// A driver ranked for a ride, with the score that placed them
+const dispatchCandidateSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  score: Number,
+  components: {
+    eta: Number,
+    rating: Number,
+    acceptance: Number,
+    reliability: Number,
+    idle: Number,
+    heading: Number
+  },
+  etaMinutes: Number,
+  distance: Number, // meters from the pickup
+  skipped: { type: Boolean, default: false } // unavailable or holding another offer when their turn came
+}, { _id: false });
+
+// One driver's turn at a ride during dispatch
+const dispatchOfferSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'timed_out', 'withdrawn'],
+    default: 'pending'
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  respondedAt: Date
+});
 
 const rideSchema = new mongoose.Schema({
   rideId: {
@@ -31,6 +122,7 @@ const rideSchema = new mongoose.Schema({
       required: true,
       index: '2dsphere'
     },
+    city: String,
     landmark: String,
     instructions: String
   },
@@ -63,10 +155,14 @@ const rideSchema = new mongoose.Schema({
   actualDuration: {
     type: Number // in minutes
   },
+  actualDistance: {
+    type: Number // in kilometers, from the GPS trail
+  },
   fare: {
     baseFare: { type: Number, required: true },
     distanceFare: { type: Number, required: true },
     timeFare: { type: Number, default: 0 },
+    waitingCharge: { type: Number, default: 0 },
     surgeFare: { type: Number, default: 0 },
     surgeMultiplier: { type: Number, default: 1 },
     platformFee: { type: Number, default: 0 },
@@ -74,13 +170,24 @@ const rideSchema = new mongoose.Schema({
     tip: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
     couponDiscount: { type: Number, default: 0 },
+    passDiscount: { type: Number, default: 0 },
+    surcharges: [surchargeSchema],
+    surchargeTotal: { type: Number, default: 0 },
     totalFare: { type: Number, required: true },
     driverEarning: { type: Number },
-    platformCommission: { type: Number }
+    platformCommission: { type: Number },
+    currency: { type: String, default: currencyConfig.baseCurrency }, // the operating city's currency
+    // Total in the passenger's preferred currency, at the rate fixed when the ride was priced
+    converted: {
+      currency: String,
+      rate: Number,
+      totalFare: Number
+    }
   },
   status: {
     type: String,
     enum: [
+      'scheduled',
       'requested',
       'searching',
       'driver_assigned',
@@ -100,7 +207,7 @@ const rideSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentId: String,
@@ -112,11 +219,23 @@ const rideSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Booking for a later pickup; dispatch starts shortly before scheduledAt
+  schedule: {
+    driver: { // reserved the booking ahead of time and gets it first at dispatch
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    reservedAt: Date,
+    passengerRemindedAt: Date,
+    driverRemindedAt: Date,
+    dispatchedAt: Date
+  },
   requestedAt: {
     type: Date,
     default: Date.now
   },
   assignedAt: Date,
+  arrivedAt: Date,
   pickedUpAt: Date,
   droppedAt: Date,
   completedAt: Date,
@@ -126,6 +245,49 @@ const rideSchema = new mongoose.Schema({
     type: String,
     enum: ['passenger', 'driver', 'admin']
   },
+  // Drivers are offered the ride one at a time, best candidate first
+  dispatch: {
+    city: String, // whose ranking weights were used
+    radiusMeters: Number, // current search radius
+    candidates: [dispatchCandidateSchema],
+    offers: [dispatchOfferSchema],
+    startedAt: Date,
+    nextSearchAt: Date, // when to search wider, set while nobody is left to offer the ride to
+    searchExpiresAt: Date,
+    exhaustedAt: Date
+  },
+  // Charged to the passenger for a late cancellation and paid to the driver
+  cancellationFee: {
+    amount: { type: Number, default: 0 },
+    currency: String,
+    stage: String, // 'en_route' or 'arrived'
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'charged', 'failed', 'waived'],
+      default: 'none'
+    },
+    paymentId: String,
+    failureReason: String
+  },
+  driverCancellationPenalty: { type: Number, default: 0 },
+  // Commission on a cash ride is pending while there is no exchange rate to add it to the driver's dues at
+  cashCommission: {
+    status: { type: String, enum: ['pending', 'posted'] },
+    failureReason: String
+  },
+  // Fare split between the booker and invited co-riders, each share paid separately
+  split: {
+    mode: {
+      type: String,
+      enum: ['equal', 'custom']
+    },
+    status: {
+      type: String,
+      enum: ['open', 'settled', 'expired']
+    },
+    shares: [fareShareSchema],
+    expiresAt: Date // set when the ride completes
+  },
   rating: {
     passengerRating: {
       rating: { type: Number, min: 1, max: 5 },
@@ -147,10 +309,50 @@ const rideSchema = new mongoose.Schema({
       coordinates: [Number]
     }]
   },
+  // Fare table version the ride was priced with (null when the built-in defaults were used)
+  fareVersion: {
+    fareTable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FareTable'
+    },
+    city: String,
+    version: Number,
+    rule: String // time-of-day rule that applied, if any
+  },
+  // Booked fare against the fare recomputed from the actual trip at completion
+  fareAudit: {
+    originalFare: mongoose.Schema.Types.Mixed,
+    recomputedFare: mongoose.Schema.Types.Mixed,
+    actualDistance: Number,
+    actualDuration: Number,
+    waitingMinutes: Number,
+    increase: Number,
+    increasePercent: Number,
+    applied: Boolean, // false when a quoted fare was honored instead
+    flagged: { type: Boolean, default: false },
+    flagReason: String,
+    recomputedAt: Date
+  },
+  // Upfront quote the passenger booked with; its fare is charged as quoted
+  quote: {
+    quoteId: String,
+    expiresAt: Date
+  },
   promo: {
     code: String,
     discount: Number,
-    type: String // 'percentage' or 'fixed'
+    type: { type: String } // 'percentage' or 'fixed'
+  },
+  // Ride pass whose benefits were applied to the fare
+  pass: {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PassSubscription'
+    },
+    code: String,
+    discountPercent: Number,
+    maxDiscountPerRide: Number,
+    waiveSurge: Boolean
   },
   surge: {
     isActive: { type: Boolean, default: false },
@@ -201,9 +403,17 @@ rideSchema.index({ passenger: 1, createdAt: -1 });
 rideSchema.index({ driver: 1, createdAt: -1 });
 rideSchema.index({ status: 1, createdAt: -1 });
 rideSchema.index({ requestedAt: -1 });
+// Unique so two bookings racing on the same quote cannot both be saved
+rideSchema.index({ 'quote.quoteId': 1 }, { unique: true, sparse: true });
+rideSchema.index({ 'fareAudit.flagged': 1, completedAt: -1 });
+rideSchema.index({ 'cashCommission.status': 1 });
+rideSchema.index({ status: 1, 'dispatch.offers.status': 1, 'dispatch.offers.expiresAt': 1 });
+rideSchema.index({ status: 1, scheduledAt: 1 });
+rideSchema.index({ status: 1, 'dispatch.nextSearchAt': 1 });
+rideSchema.index({ 'schedule.driver': 1, status: 1, scheduledAt: 1 });
 
 // Generate unique ride ID
-rideSchema.pre('save', function(next) {
+rideSchema.pre('validate', function(next) {
   if (!this.rideId) {
     this.rideId = 'RIDE' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
@@ -211,41 +421,138 @@ rideSchema.pre('save', function(next) {
 });
 
 // Calculate fare based on distance and time
-rideSchema.methods.calculateFare = function(baseFareConfig) {
-  const { baseRate, perKmRate, perMinuteRate, minimumFare } = baseFareConfig;
+// Prices the estimated trip by default; pass the actual distance, duration and waiting time to reprice
+rideSchema.methods.calculateFare = function(baseFareConfig, {
+  distance = this.distance,
+  duration = this.estimatedDuration,
+  waitingMinutes = 0
+} = {}) {
+  const {
+    baseRate, perKmRate, perMinuteRate, minimumFare, platformFeeRate, taxRate, driverShare,
+    waitingRate = 0, freeWaitingMinutes = 0, version
+  } = baseFareConfig;
+
+  this.fareVersion = version || undefined;
   
   this.fare.baseFare = baseRate;
-  this.fare.distanceFare = this.distance * perKmRate;
-  this.fare.timeFare = this.estimatedDuration * perMinuteRate;
+  this.fare.distanceFare = distance * perKmRate;
+  this.fare.timeFare = duration * perMinuteRate;
+  const currency = this.fare.currency;
+  this.fare.waitingCharge = roundFare(Math.max(waitingMinutes - freeWaitingMinutes, 0) * waitingRate, currency);
   
-  let subtotal = this.fare.baseFare + this.fare.distanceFare + this.fare.timeFare;
+  let subtotal = this.fare.baseFare + this.fare.distanceFare + this.fare.timeFare + this.fare.waitingCharge;
   
-  // Apply surge pricing
-  if (this.surge.isActive) {
+  // Apply surge pricing, unless the ride pass waives it
+  const pass = this.pass && this.pass.subscription ? this.pass : null;
+  if (this.surge.isActive && !(pass && pass.waiveSurge)) {
     this.fare.surgeFare = subtotal * (this.surge.multiplier - 1);
     subtotal += this.fare.surgeFare;
+  } else {
+    this.fare.surgeFare = 0;
   }
   
   // Apply platform fee and taxes
-  this.fare.platformFee = Math.round(subtotal * 0.05); // 5% platform fee
-  this.fare.taxes = Math.round(subtotal * 0.18); // 18% GST
+  this.fare.platformFee = roundFare(subtotal * platformFeeRate, currency);
+  this.fare.taxes = roundFare(subtotal * taxRate, currency); // GST
   
   // Calculate total before discounts
   let total = subtotal + this.fare.platformFee + this.fare.taxes;
   
+  // Ride pass discount, worked out before any other discount
+  this.fare.passDiscount = 0;
+  if (pass && pass.discountPercent) {
+    let passDiscount = total * pass.discountPercent / 100;
+    if (pass.maxDiscountPerRide) {
+      passDiscount = Math.min(passDiscount, pass.maxDiscountPerRide);
+    }
+    this.fare.passDiscount = roundFare(passDiscount, currency);
+  }
+
   // Apply discounts
-  total -= (this.fare.discount + this.fare.couponDiscount);
+  total -= (this.fare.discount + this.fare.couponDiscount + this.fare.passDiscount);
   
   // Ensure minimum fare
   total = Math.max(total, minimumFare);
-  
-  this.fare.totalFare = Math.round(total);
-  this.fare.driverEarning = Math.round(this.fare.totalFare * 0.8); // 80% to driver
-  this.fare.platformCommission = this.fare.totalFare - this.fare.driverEarning;
+
+  // Geofence surcharges are added as-is: no surge, tax or discount applies to them,
+  // and the driver keeps the ones they pay on the way
+  const surcharges = this.fare.surcharges || [];
+  this.fare.surchargeTotal = surcharges.reduce((sum, line) => sum + line.amount, 0);
+  const driverSurcharges = surcharges.reduce((sum, line) => sum + (line.payToDriver ? line.amount : 0), 0);
+
+  const rideTotal = roundFare(total, currency);
+  this.fare.totalFare = roundFare(rideTotal + this.fare.surchargeTotal, currency);
+  this.fare.driverEarning = roundFare(rideTotal * driverShare + driverSurcharges, currency);
+  this.fare.platformCommission = roundFare(this.fare.totalFare - this.fare.driverEarning, currency);
+
+  if (this.fare.converted && this.fare.converted.rate) {
+    this.fare.converted.totalFare = roundAmount(this.fare.totalFare * this.fare.converted.rate, this.fare.converted.currency);
+  }
   
   return this.fare.totalFare;
 };
 
+// Work out each share of the fare. Equal splits divide it among everyone who has not declined;
+// in custom splits the booker covers whatever the others' shares leave, including declined ones.
+// The booker also takes the rounding remainder so the shares always add up to the total.
+rideSchema.methods.allocateShares = function() {
+  const shares = this.split.shares;
+  const booker = shares.find(share => share.isBooker);
+  const active = shares.filter(share => share.status !== 'declined');
+
+  shares.forEach(share => {
+    if (share.status === 'declined') {
+      share.percent = 0;
+    } else if (this.split.mode === 'equal') {
+      share.percent = Math.round(10000 / active.length) / 100;
+    }
+  });
+
+  const others = active.filter(share => !share.isBooker);
+  if (this.split.mode === 'custom') {
+    booker.percent = Math.round((100 - others.reduce((sum, share) => sum + share.percent, 0)) * 100) / 100;
+  }
+
+  let allocated = 0;
+  others.forEach(share => {
+    // Paid shares keep the amount that was charged
+    if (share.status !== 'paid') {
+      share.amount = roundFare(this.fare.totalFare * share.percent / 100, this.fare.currency);
+    }
+    allocated += share.amount;
+  });
+  shares.filter(share => share.status === 'declined').forEach(share => {
+    share.amount = 0;
+  });
+
+  if (booker.status !== 'paid') {
+    booker.amount = roundFare(this.fare.totalFare - allocated, this.fare.currency);
+  }
+
+  return shares;
+};
+
+// Whether the fare is split and every share that is owed has been paid
+rideSchema.methods.isSplitSettled = function() {
+  return this.split.shares.length > 0 &&
+    this.split.shares.every(share => share.status === 'paid' || share.status === 'declined');
+};
+
+// Take the fare, surge and fare version from a verified quote instead of repricing
+rideSchema.methods.applyQuote = function(quote) {
+  Object.assign(this.fare, quote.fare);
+  this.surge = quote.surge;
+  this.fareVersion = quote.fareVersion || undefined;
+  this.pass = quote.pass || undefined;
+  this.quote = { quoteId: quote.quoteId, expiresAt: new Date(quote.exp * 1000) };
+
+  if (quote.promo) {
+    this.promo = { code: quote.promo.code, discount: quote.promo.discount, type: quote.promo.type };
+  }
+
+  return this.fare.totalFare;
+};
+
 // Update ride status with timestamp
 rideSchema.methods.updateStatus = function(newStatus) {
   this.status = newStatus;
@@ -254,6 +561,9 @@ rideSchema.methods.updateStatus = function(newStatus) {
     case 'driver_assigned':
       this.assignedAt = new Date();
       break;
+    case 'driver_arrived':
+      this.arrivedAt = new Date();
+      break;
     case 'pickup_confirmed':
       this.pickedUpAt = new Date();
       break;
@@ -277,6 +587,11 @@ rideSchema.methods.addDriverLocation = function(coordinates, heading, speed) {
     speed,
     timestamp: new Date()
   });
+
+  // The full trail with the passenger on board is kept for the final fare
+  if (['pickup_confirmed', 'in_progress'].includes(this.status)) {
+    this.route.actualRoute.push({ coordinates, timestamp: new Date() });
+  }
   
   // Keep only last 50 location updates
   if (this.driverLocation.length > 50) {
@@ -298,10 +613,23 @@ rideSchema.methods.getPassengerSummary = function() {
     vehicleType: this.vehicleType,
     estimatedDuration: this.estimatedDuration,
     otp: this.otp,
+    scheduledAt: this.scheduledAt || undefined,
+    search: this.status === 'searching' ? {
+      radiusMeters: this.dispatch.radiusMeters,
+      expiresAt: this.dispatch.searchExpiresAt
+    } : undefined,
+    reservedDriver: this.schedule && this.schedule.driver ? this.schedule.driver : undefined,
+    cancellationFee: this.status === 'cancelled' ? this.cancellationFee : undefined,
+    split: this.split.shares.length > 0 ? this.split : undefined,
     createdAt: this.createdAt
   };
 };
 
+// Whether a driver is on a ride that has not finished yet
+rideSchema.statics.driverHasActiveRide = function(driverId) {
+  return this.exists({ driver: driverId, status: { $in: ACTIVE_RIDE_STATUSES } });
+};
+
 // Get ride summary for driver
 rideSchema.methods.getDriverSummary = function() {
   return {
@@ -315,6 +643,9 @@ rideSchema.methods.getDriverSummary = function() {
     estimatedDuration: this.estimatedDuration,
     otp: this.otp,
     specialRequests: this.specialRequests,
+    scheduledAt: this.scheduledAt || undefined,
+    cancellationFee: this.status === 'cancelled' ? this.cancellationFee : undefined,
+    driverCancellationPenalty: this.status === 'cancelled' ? this.driverCancellationPenalty : undefined,
     createdAt: this.createdAt
   };
 };
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { baseCurrency } = require('../config/currency');
+
+const settlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+  grossAmount: Number, // earnings before dues were deducted
+  duesOffset: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: baseCurrency
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  bankAccount: {
+    accountHolderName: String,
+    bankName: String,
+    accountNumberLast4: String
+  },
+  provider: String,
+  transferId: String,
+  transferResponse: mongoose.Schema.Types.Mixed,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  initiatedAt: Date,
+  paidAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ driverId: 1, createdAt: -1 });
+settlementSchema.index({ status: 1 });
+
+// Generate unique settlement ID
+settlementSchema.pre('validate', function(next) {
+  if (!this.settlementId) {
+    this.settlementId = 'STL' + Date.now() + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+  next();
+});
+
+// Update settlement status with timestamp
+settlementSchema.methods.updateStatus = function(newStatus, transferResponse = null) {
+  this.status = newStatus;
+
+  if (transferResponse) {
+    this.transferResponse = transferResponse;
+  }
+
+  switch (newStatus) {
+    case 'processing':
+      this.initiatedAt = new Date();
+      break;
+    case 'paid':
+      this.paidAt = new Date();
+      break;
+    case 'failed':
+      this.failedAt = new Date();
+      break;
+  }
+
+  return this.save();
+};
+
+// Get settlement summary for the driver
+settlementSchema.methods.getSummary = function() {
+  return {
+    settlementId: this.settlementId,
+    amount: this.amount,
+    grossAmount: this.grossAmount,
+    duesOffset: this.duesOffset,
+    currency: this.currency,
+    status: this.status,
+    rides: this.payments.length,
+    periodStart: this.periodStart,
+    periodEnd: this.periodEnd,
+    bankAccount: this.bankAccount,
+    failureReason: this.failureReason,
+    createdAt: this.createdAt,
+    paidAt: this.paidAt
+  };
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
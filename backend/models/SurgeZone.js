@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One square grid cell; demand and supply are recounted by the surge job
+const surgeZoneSchema = new mongoose.Schema({
+  cellId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  center: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: [Number] // [longitude, latitude]
+  },
+  bounds: {
+    southWest: [Number],
+    northEast: [Number]
+  },
+  demand: { type: Number, default: 0 }, // searching rides
+  supply: { type: Number, default: 0 }, // online, available drivers
+  multiplier: { type: Number, default: 1 },
+  reason: String,
+  // Admin-set multiplier that wins over the computed one until it expires
+  override: {
+    multiplier: Number,
+    reason: String,
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date,
+    expiresAt: Date
+  },
+  // Frozen zones keep their multiplier while demand and supply are still recounted
+  frozen: {
+    type: Boolean,
+    default: false
+  },
+  frozenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  frozenAt: Date,
+  computedAt: Date
+}, {
+  timestamps: true
+});
+
+surgeZoneSchema.index({ center: '2dsphere' });
+surgeZoneSchema.index({ multiplier: 1 });
+
+// Whether an admin override currently applies
+surgeZoneSchema.methods.hasActiveOverride = function(now = new Date()) {
+  return Boolean(this.override && this.override.multiplier) &&
+    (!this.override.expiresAt || this.override.expiresAt > now);
+};
+
+// Multiplier and reason that rides in this zone are priced with
+surgeZoneSchema.methods.getEffectiveSurge = function(now = new Date()) {
+  if (this.hasActiveOverride(now)) {
+    return { multiplier: this.override.multiplier, reason: this.override.reason || 'Surge set by operations' };
+  }
+
+  return { multiplier: this.multiplier, reason: this.reason };
+};
+
+// Get zone summary for passengers and drivers
+surgeZoneSchema.methods.getPublicSummary = function() {
+  const surge = this.getEffectiveSurge();
+
+  return {
+    cellId: this.cellId,
+    center: this.center.coordinates,
+    bounds: this.bounds,
+    multiplier: surge.multiplier,
+    reason: surge.reason,
+    updatedAt: this.computedAt
+  };
+};
+
+module.exports = mongoose.model('SurgeZone', surgeZoneSchema);
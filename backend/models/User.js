@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const currencyConfig = require('../config/currency');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,7 +27,7 @@ const userSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['passenger', 'driver'],
+    enum: ['passenger', 'driver', 'admin'], // admin accounts are created internally, never via /register
     required: true
   },
   profilePicture: {
@@ -91,16 +92,21 @@ const userSchema = new mongoose.Schema({
       push: { type: Boolean, default: true }
     },
     language: { type: String, default: 'en' },
-    currency: { type: String, default: 'USD' }
+    currency: {
+      type: String,
+      enum: Object.keys(currencyConfig.currencies),
+      default: currencyConfig.baseCurrency
+    }
   },
   paymentMethods: [{
     type: {
       type: String,
-      enum: ['card', 'wallet', 'cash']
+      enum: ['card', 'upi', 'wallet', 'cash']
     },
-    details: mongoose.Schema.Types.Mixed,
+    details: mongoose.Schema.Types.Mixed, // gateway provider and saved token for card and UPI
     isDefault: { type: Boolean, default: false }
   }],
+  walletLockedUntil: Date, // held while a wallet charge checks the balance and debits it
   emergencyContact: {
     name: String,
     phone: String,
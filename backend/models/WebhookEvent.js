@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: String,
+  transactionId: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  errorMessage: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// One record per gateway event so redeliveries are ignored
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ paymentId: 1, createdAt: -1 });
+
+// Mark event as handled
+webhookEventSchema.methods.markProcessed = function(status, errorMessage = null) {
+  this.status = status;
+  this.errorMessage = errorMessage;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
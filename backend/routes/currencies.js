@@ -0,0 +1,74 @@
+const express = require('express');
+const Joi = require('joi');
+const ExchangeRate = require('../models/ExchangeRate');
+const config = require('../config/currency');
+const { isSupportedCurrency } = require('../services/currency');
+const { recordPendingCashCommissions } = require('../services/driverDues');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const rateSchema = Joi.object({
+  rate: Joi.number().positive().required()
+});
+
+// Get supported currencies and the current exchange rates
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.json({
+      baseCurrency: config.baseCurrency,
+      currencies: Object.keys(config.currencies).map(code => ({
+        code,
+        decimals: config.currencies[code].decimals
+      })),
+      rates: rates.map(rate => ({
+        currency: rate.currency,
+        rate: rate.rate,
+        updatedAt: rate.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({ error: 'Failed to get currencies' });
+  }
+});
+
+// Set the rate for a currency against the base currency (support)
+router.put('/rates/:currency', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = rateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const currency = req.params.currency.toUpperCase();
+    if (!isSupportedCurrency(currency) || currency === config.baseCurrency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate: req.body.rate, updatedBy: req.user._id },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    // Cash commissions that were waiting for this rate can be added to dues now
+    const commissions = await recordPendingCashCommissions();
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      rate,
+      commissions
+    });
+
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({ error: 'Failed to update exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,11 @@ const Joi = require('joi');
 const User = require('../models/User');
 const Driver = require('../models/Driver');
 const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const Settlement = require('../models/Settlement');
+const { getDriverSettlementSummary } = require('../services/settlements');
+const { getDuesSummary, getDuesStatement } = require('../services/driverDues');
+const { startAccountPayment, notifyPaymentCompleted } = require('../services/payments');
 const { authenticateToken, requireDriver } = require('../middleware/auth');
 
 const router = express.Router();
@@ -62,6 +67,13 @@ const driverRegistrationSchema = Joi.object({
   }).required()
 });
 
+const settleDuesSchema = Joi.object({
+  amount: Joi.number().positive().optional(),
+  paymentMethod: Joi.string().valid('card', 'upi', 'net_banking').optional(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay').required(),
+  paymentToken: Joi.string().optional()
+});
+
 // Register as driver
 router.post('/register', authenticateToken, async (req, res) => {
   try {
@@ -235,6 +247,10 @@ router.put('/availability', authenticateToken, requireDriver, async (req, res) =
       return res.status(400).json({ error: 'Driver not approved yet' });
     }
 
+    if (isAvailable && await Ride.driverHasActiveRide(driver._id)) {
+      return res.status(400).json({ error: 'Finish your current ride before going available' });
+    }
+
     driver.isAvailable = isAvailable;
     driver.isOnline = isAvailable;
     driver.lastActiveAt = new Date();
@@ -281,10 +297,17 @@ router.put('/location', authenticateToken, requireDriver, async (req, res) => {
       type: 'Point',
       coordinates
     };
+    driver.heading = typeof heading === 'number' ? heading : undefined;
     driver.lastActiveAt = new Date();
 
     await driver.save();
 
+    // Extend the trail of the trip in progress, which the final fare is priced from
+    await Ride.updateOne(
+      { driver: driver._id, status: { $in: ['pickup_confirmed', 'in_progress'] } },
+      { $push: { 'route.actualRoute': { coordinates, timestamp: new Date() } } }
+    );
+
     // Emit location update via socket.io
     const io = req.app.get('io');
     if (io && driver.isOnline) {
@@ -319,25 +342,40 @@ router.get('/earnings', authenticateToken, requireDriver, async (req, res) => {
     }
 
     let earnings = {};
+    let tipsSince = null;
     const now = new Date();
 
     switch (period) {
       case 'today':
         earnings = { today: driver.earnings.today };
+        tipsSince = new Date(now.getFullYear(), now.getMonth(), now.getDate());
         break;
       case 'week':
         earnings = { thisWeek: driver.earnings.thisWeek };
+        tipsSince = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
         break;
       case 'month':
         earnings = { thisMonth: driver.earnings.thisMonth };
+        tipsSince = new Date(now.getFullYear(), now.getMonth(), 1);
         break;
       case 'all':
         earnings = driver.earnings;
         break;
       default:
         earnings = { today: driver.earnings.today };
+        tipsSince = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     }
 
+    // Tips are paid in full to the driver and reported separately
+    const tipMatch = { driverId: driver._id, type: 'tip', status: { $in: ['completed', 'partially_refunded'] } };
+    if (tipsSince) {
+      tipMatch.completedAt = { $gte: tipsSince };
+    }
+    const [tips] = await Payment.aggregate([
+      { $match: tipMatch },
+      { $group: { _id: null, amount: { $sum: '$driverEarning.netEarning' }, count: { $sum: 1 } } }
+    ]);
+
     // Get recent rides for detailed breakdown
     const recentRides = await Ride.find({
       driver: driver._id,
@@ -349,11 +387,16 @@ router.get('/earnings', authenticateToken, requireDriver, async (req, res) => {
 
     res.json({
       earnings,
+      tips: {
+        amount: tips ? tips.amount : 0,
+        count: tips ? tips.count : 0
+      },
       stats: driver.stats,
       recentRides: recentRides.map(ride => ({
         rideId: ride.rideId,
         completedAt: ride.completedAt,
         fare: ride.fare,
+        tip: ride.fare.tip,
         distance: ride.distance,
         duration: ride.actualDuration
       }))
@@ -365,6 +408,202 @@ router.get('/earnings', authenticateToken, requireDriver, async (req, res) => {
   }
 });
 
+// Get payout summary (pending, in-flight and paid)
+router.get('/settlements/summary', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const summary = await getDriverSettlementSummary(driver._id);
+
+    res.json({
+      summary,
+      bankAccountVerified: Boolean(driver.bankDetails && driver.bankDetails.verified)
+    });
+
+  } catch (error) {
+    console.error('Get settlement summary error:', error);
+    res.status(500).json({ error: 'Failed to get settlement summary' });
+  }
+});
+
+// Get payout settlements
+router.get('/settlements', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    let query = { driverId: driver._id };
+    if (status === 'in_flight') {
+      query.status = { $in: ['pending', 'processing'] };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const settlements = await Settlement.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalSettlements = await Settlement.countDocuments(query);
+
+    res.json({
+      settlements: settlements.map(settlement => settlement.getSummary()),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalSettlements / limitNum),
+        totalSettlements,
+        hasNext: pageNum < Math.ceil(totalSettlements / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({ error: 'Failed to get settlements' });
+  }
+});
+
+// Get settlement details
+router.get('/settlements/:settlementId', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const settlement = await Settlement.findOne({
+      settlementId: req.params.settlementId,
+      driverId: driver._id
+    }).populate('payments', 'paymentId rideId amount driverEarning completedAt');
+
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+
+    res.json({
+      settlement: settlement.getSummary(),
+      payments: settlement.payments
+    });
+
+  } catch (error) {
+    console.error('Get settlement details error:', error);
+    res.status(500).json({ error: 'Failed to get settlement details' });
+  }
+});
+
+// Get cash-commission dues and recent dues entries
+router.get('/dues', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const { entries, totalEntries } = await getDuesStatement(driver._id, { page: pageNum, limit: limitNum });
+
+    res.json({
+      dues: await getDuesSummary(driver),
+      entries: entries.map(entry => ({
+        transactionId: entry.transactionId,
+        type: entry.entryType,
+        direction: entry.direction,
+        amount: entry.amount,
+        description: entry.description,
+        paymentId: entry.paymentId,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalEntries / limitNum),
+        totalEntries,
+        hasNext: pageNum < Math.ceil(totalEntries / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dues error:', error);
+    res.status(500).json({ error: 'Failed to get dues' });
+  }
+});
+
+// Pay outstanding dues (defaults to the full balance)
+router.post('/dues/settle', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const { error } = settleDuesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const { outstanding } = await getDuesSummary(driver);
+    if (outstanding <= 0) {
+      return res.status(400).json({ error: 'No outstanding dues' });
+    }
+
+    const amount = req.body.amount || outstanding;
+    if (amount > outstanding) {
+      return res.status(400).json({ error: `Amount exceeds outstanding dues of ${outstanding}` });
+    }
+
+    const { paymentMethod, paymentProvider, paymentToken } = req.body;
+    const { payment, charge } = await startAccountPayment('driver_dues', req.user, amount, {
+      paymentMethod,
+      paymentProvider,
+      paymentToken,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Dues payment was not completed',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    if (payment.status === 'completed') {
+      await notifyPaymentCompleted(req.app.get('io'), payment);
+    }
+
+    // Redirect and order-based gateways credit the dues once their webhook reports the payment
+    res.status(201).json({
+      message: payment.status === 'completed' ? 'Dues paid successfully' : 'Dues payment initiated',
+      payment: payment.getPaymentSummary(),
+      dues: await getDuesSummary(driver),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Settle dues error:', error);
+    res.status(500).json({ error: 'Failed to settle dues' });
+  }
+});
+
 // Get driver statistics
 router.get('/stats', authenticateToken, requireDriver, async (req, res) => {
   try {
@@ -412,7 +651,7 @@ router.get('/stats', authenticateToken, requireDriver, async (req, res) => {
   }
 });
 
-// Get nearby ride requests
+// Get nearby ride requests; drivers only see the rides currently offered to them
 router.get('/nearby-rides', authenticateToken, requireDriver, async (req, res) => {
   try {
     const driver = await Driver.findOne({ userId: req.user._id });
@@ -428,6 +667,9 @@ router.get('/nearby-rides', authenticateToken, requireDriver, async (req, res) =
     const nearbyRides = await Ride.find({
       vehicleType: driver.vehicle.type,
       status: 'searching',
+      'dispatch.offers': { $elemMatch: { driver: driver._id, status: 'pending' } },
+      // Drivers over the dues limit only see rides paid online
+      ...(driver.isAvailableForRides('cash') ? {} : { paymentMethod: { $ne: 'cash' } }),
       'pickup.coordinates': {
         $near: {
           $geometry: {
@@ -442,6 +684,7 @@ router.get('/nearby-rides', authenticateToken, requireDriver, async (req, res) =
     res.json({
       rides: nearbyRides.map(ride => ({
         rideId: ride._id,
+        offerExpiresAt: ride.dispatch.offers.find(offer => offer.status === 'pending').expiresAt,
         passenger: ride.passenger,
         pickup: ride.pickup,
         destination: ride.destination,
@@ -0,0 +1,169 @@
+const express = require('express');
+const Joi = require('joi');
+const FareTable = require('../models/FareTable');
+const Ride = require('../models/Ride');
+const { getFareConfig, publishFareTable } = require('../services/fares');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Validation schemas
+const fareTableSchema = Joi.object({
+  city: Joi.string().optional(),
+  vehicleType: Joi.string().valid('bike', 'auto', 'car', 'suv').required(),
+  effectiveFrom: Joi.date().optional(),
+  baseRate: Joi.number().min(0).optional(),
+  perKmRate: Joi.number().min(0).optional(),
+  perMinuteRate: Joi.number().min(0).optional(),
+  minimumFare: Joi.number().min(0).optional(),
+  waitingRate: Joi.number().min(0).optional(),
+  freeWaitingMinutes: Joi.number().min(0).optional(),
+  platformFeeRate: Joi.number().min(0).max(1).optional(),
+  taxRate: Joi.number().min(0).max(1).optional(),
+  driverShare: Joi.number().min(0).max(1).optional(),
+  timeRules: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).optional(),
+    startTime: time.required(),
+    endTime: time.required(),
+    baseRate: Joi.number().min(0).optional(),
+    perKmRate: Joi.number().min(0).optional(),
+    perMinuteRate: Joi.number().min(0).optional(),
+    minimumFare: Joi.number().min(0).optional()
+  })).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+const previewSchema = Joi.object({
+  city: Joi.string().optional(),
+  vehicleType: Joi.string().valid('bike', 'auto', 'car', 'suv').required(),
+  at: Joi.date().optional()
+});
+
+// Get the latest version of every fare table (support)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.city) {
+      match.city = req.query.city.toLowerCase();
+    }
+    if (req.query.vehicleType) {
+      match.vehicleType = req.query.vehicleType;
+    }
+
+    const tables = await FareTable.aggregate([
+      { $match: match },
+      { $sort: { version: -1 } },
+      { $group: { _id: { city: '$city', vehicleType: '$vehicleType' }, table: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$table' } },
+      { $sort: { city: 1, vehicleType: 1 } }
+    ]);
+
+    res.json({ fareTables: tables });
+
+  } catch (error) {
+    console.error('Get fare tables error:', error);
+    res.status(500).json({ error: 'Failed to get fare tables' });
+  }
+});
+
+// Preview the rates a ride would be priced with (support)
+router.get('/preview', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const fareConfig = await getFareConfig(value.vehicleType, { city: value.city, at: value.at || new Date() });
+    if (!fareConfig) {
+      return res.status(404).json({ error: 'No fares are published for this city yet' });
+    }
+
+    res.json({ fareConfig });
+
+  } catch (error) {
+    console.error('Preview fare error:', error);
+    res.status(500).json({ error: 'Failed to preview fare' });
+  }
+});
+
+// Get completed rides whose final fare rose beyond the tolerance (support)
+router.get('/flagged-rides', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { 'fareAudit.flagged': true };
+
+    const rides = await Ride.find(query)
+      .select('rideId passenger driver vehicleType distance estimatedDuration fare fareAudit completedAt')
+      .sort({ completedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalRides = await Ride.countDocuments(query);
+
+    res.json({
+      rides,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalRides / limitNum),
+        totalRides,
+        hasNext: pageNum < Math.ceil(totalRides / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get flagged rides error:', error);
+    res.status(500).json({ error: 'Failed to get flagged rides' });
+  }
+});
+
+// Get version history for a city and vehicle type (support)
+router.get('/:city/:vehicleType/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const tables = await FareTable.find({
+      city: req.params.city.toLowerCase(),
+      vehicleType: req.params.vehicleType
+    })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({ versions: tables });
+
+  } catch (error) {
+    console.error('Get fare history error:', error);
+    res.status(500).json({ error: 'Failed to get fare history' });
+  }
+});
+
+// Publish a new fare table version (support)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = fareTableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await publishFareTable(req.body, req.user._id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Fare table published successfully',
+      fareTable: result.table
+    });
+
+  } catch (error) {
+    console.error('Publish fare table error:', error);
+    res.status(500).json({ error: 'Failed to publish fare table' });
+  }
+});
+
+module.exports = router;
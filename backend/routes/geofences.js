@@ -0,0 +1,180 @@
+const express = require('express');
+const Joi = require('joi');
+const Geofence = require('../models/Geofence');
+const { findSurcharges } = require('../services/geofences');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const position = Joi.array().items(Joi.number()).length(2);
+
+// A closed ring: at least four points with the first repeated at the end
+const ring = Joi.array().items(position).min(4).custom((points, helpers) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return helpers.message('Polygon rings must end at their first point');
+  }
+  return points;
+});
+
+const ruleSchema = Joi.object({
+  trigger: Joi.string().valid('pickup', 'destination', 'route').required(),
+  amount: Joi.number().min(0).required(),
+  label: Joi.string().max(100).optional(),
+  vehicleTypes: Joi.array().items(Joi.string().valid('bike', 'auto', 'car', 'suv')).optional(),
+  payToDriver: Joi.boolean().optional()
+});
+
+// Validation schemas
+const createGeofenceSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  type: Joi.string().valid('airport', 'toll', 'state_border', 'zone').required(),
+  coordinates: Joi.array().items(ring).min(1).required(),
+  rules: Joi.array().items(ruleSchema).min(1).required()
+});
+
+const updateGeofenceSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  coordinates: Joi.array().items(ring).min(1).optional(),
+  rules: Joi.array().items(ruleSchema).min(1).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const previewSchema = Joi.object({
+  vehicleType: Joi.string().valid('bike', 'auto', 'car', 'suv').required(),
+  pickup: Joi.object({ coordinates: position.required() }).required(),
+  destination: Joi.object({ coordinates: position.required() }).required(),
+  route: Joi.array().items(position).optional()
+});
+
+// List geofences (support)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { type, active, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (type) {
+      query.type = type;
+    }
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const geofences = await Geofence.find(query)
+      .sort({ type: 1, name: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalGeofences = await Geofence.countDocuments(query);
+
+    res.json({
+      geofences,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalGeofences / limitNum),
+        totalGeofences,
+        hasNext: pageNum < Math.ceil(totalGeofences / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get geofences error:', error);
+    res.status(500).json({ error: 'Failed to get geofences' });
+  }
+});
+
+// Show the surcharges a trip would pick up (support)
+router.post('/preview', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = previewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { vehicleType, pickup, destination, route } = req.body;
+    const surcharges = await findSurcharges(vehicleType, { pickup, destination, route });
+
+    res.json({
+      surcharges,
+      surchargeTotal: surcharges.reduce((sum, line) => sum + line.amount, 0)
+    });
+
+  } catch (error) {
+    console.error('Preview surcharges error:', error);
+    res.status(500).json({ error: 'Failed to preview surcharges' });
+  }
+});
+
+// Create a geofence (support)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = createGeofenceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { coordinates, ...fields } = req.body;
+
+    const geofence = new Geofence({
+      ...fields,
+      area: { type: 'Polygon', coordinates },
+      createdBy: req.user._id
+    });
+
+    await geofence.save();
+
+    res.status(201).json({
+      message: 'Geofence created successfully',
+      geofence
+    });
+
+  } catch (error) {
+    // MongoDB rejects self-intersecting or otherwise invalid polygons when indexing
+    if (error.code === 16755) {
+      return res.status(400).json({ error: 'Invalid geofence polygon' });
+    }
+    console.error('Create geofence error:', error);
+    res.status(500).json({ error: 'Failed to create geofence' });
+  }
+});
+
+// Update a geofence; rides already priced keep the surcharges they were given (support)
+router.put('/:geofenceId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = updateGeofenceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const geofence = await Geofence.findById(req.params.geofenceId);
+    if (!geofence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+
+    const { coordinates, ...fields } = req.body;
+    Object.assign(geofence, fields);
+    if (coordinates) {
+      geofence.area = { type: 'Polygon', coordinates };
+    }
+
+    await geofence.save();
+
+    res.json({
+      message: 'Geofence updated successfully',
+      geofence
+    });
+
+  } catch (error) {
+    if (error.code === 16755) {
+      return res.status(400).json({ error: 'Invalid geofence polygon' });
+    }
+    console.error('Update geofence error:', error);
+    res.status(500).json({ error: 'Failed to update geofence' });
+  }
+});
+
+module.exports = router;
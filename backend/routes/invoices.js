@@ -0,0 +1,150 @@
+const express = require('express');
+const Joi = require('joi');
+const Driver = require('../models/Driver');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const {
+  getIstDayRange,
+  generateInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderInvoicesCsv
+} = require('../services/invoices');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const exportSchema = Joi.object({
+  from: Joi.date().required(),
+  to: Joi.date().min(Joi.ref('from')).required(),
+  format: Joi.string().valid('csv', 'json').default('csv')
+});
+
+// Load an invoice the user is allowed to see (passenger, driver or admin)
+async function findAccessibleInvoice(invoiceNumber, user) {
+  const invoice = await Invoice.findOne({ invoiceNumber });
+  if (!invoice) {
+    return { status: 404, error: 'Invoice not found' };
+  }
+
+  if (user.userType === 'admin' || invoice.userId.toString() === user._id.toString()) {
+    return { invoice };
+  }
+
+  if (user.userType === 'driver') {
+    const driver = await Driver.findOne({ userId: user._id });
+    if (driver && invoice.driverId.toString() === driver._id.toString()) {
+      return { invoice };
+    }
+  }
+
+  return { status: 403, error: 'Not authorized to view this invoice' };
+}
+
+// Export invoices for accounting (admin)
+router.get('/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = exportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { from, to, format } = value;
+
+    // Whole IST days, so invoices issued late on the `to` day are included
+    const { start, end } = getIstDayRange(from, to);
+    const invoices = await Invoice.find({ issuedAt: { $gte: start, $lt: end } })
+      .sort({ financialYear: 1, sequence: 1 });
+
+    if (format === 'json') {
+      return res.json({ invoices, count: invoices.length });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="invoices-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv"`);
+    res.send(renderInvoicesCsv(invoices));
+
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    res.status(500).json({ error: 'Failed to export invoices' });
+  }
+});
+
+// Generate a missing invoice for a completed payment (admin)
+router.post('/payments/:paymentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ paymentId: req.params.paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (!payment.completedAt) {
+      return res.status(400).json({ error: 'Only completed payments can be invoiced' });
+    }
+
+    const invoice = await generateInvoice(payment);
+
+    res.status(201).json({
+      message: 'Invoice generated successfully',
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Generate invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Get invoice details
+router.get('/:invoiceNumber', authenticateToken, async (req, res) => {
+  try {
+    const { invoice, status, error } = await findAccessibleInvoice(req.params.invoiceNumber, req.user);
+    if (!invoice) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ invoice });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to get invoice' });
+  }
+});
+
+// Download invoice as HTML
+router.get('/:invoiceNumber/html', authenticateToken, async (req, res) => {
+  try {
+    const { invoice, status, error } = await findAccessibleInvoice(req.params.invoiceNumber, req.user);
+    if (!invoice) {
+      return res.status(status).json({ error });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderInvoiceHtml(invoice));
+
+  } catch (error) {
+    console.error('Get invoice HTML error:', error);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+// Download invoice as PDF
+router.get('/:invoiceNumber/pdf', authenticateToken, async (req, res) => {
+  try {
+    const { invoice, status, error } = await findAccessibleInvoice(req.params.invoiceNumber, req.user);
+    if (!invoice) {
+      return res.status(status).json({ error });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    res.send(renderInvoicePdf(invoice));
+
+  } catch (error) {
+    console.error('Get invoice PDF error:', error);
+    res.status(500).json({ error: 'Failed to render invoice' });
+  }
+});
+
+module.exports = router;
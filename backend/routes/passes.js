@@ -0,0 +1,228 @@
+const express = require('express');
+const Joi = require('joi');
+const Pass = require('../models/Pass');
+const PassSubscription = require('../models/PassSubscription');
+const { purchasePass } = require('../services/passes');
+const { notifyPaymentCompleted } = require('../services/payments');
+const { authenticateToken, requirePassenger, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const passFields = {
+  name: Joi.string().max(100),
+  description: Joi.string().max(300).optional(),
+  price: Joi.number().min(0),
+  durationDays: Joi.number().integer().min(1).max(365).optional(),
+  benefits: Joi.object({
+    discountPercent: Joi.number().min(0).max(100).optional(),
+    maxDiscountPerRide: Joi.number().positive().optional(),
+    waiveSurge: Joi.boolean().optional()
+  }).or('discountPercent', 'waiveSurge'),
+  rideLimit: Joi.number().integer().min(1).optional(),
+  vehicleTypes: Joi.array().items(Joi.string().valid('bike', 'auto', 'car', 'suv')).optional(),
+  isActive: Joi.boolean().optional()
+};
+
+const createPassSchema = Joi.object({
+  ...passFields,
+  code: Joi.string().alphanum().min(3).max(20).required(),
+  name: passFields.name.required(),
+  price: passFields.price.required(),
+  benefits: passFields.benefits.required()
+});
+
+const updatePassSchema = Joi.object(passFields).min(1);
+
+const purchaseSchema = Joi.object({
+  paymentMethod: Joi.string().valid('card', 'wallet', 'upi', 'net_banking').required(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'wallet').optional(),
+  paymentToken: Joi.string().optional(),
+  autoRenew: Joi.boolean().optional()
+});
+
+const autoRenewSchema = Joi.object({
+  autoRenew: Joi.boolean().required()
+});
+
+// Get passes on sale
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const passes = await Pass.find({ isActive: true }).sort({ price: 1 });
+
+    res.json({ passes: passes.map(pass => pass.getPublicSummary()) });
+
+  } catch (error) {
+    console.error('Get passes error:', error);
+    res.status(500).json({ error: 'Failed to get passes' });
+  }
+});
+
+// Get the passenger's pass periods, current ones first
+router.get('/subscriptions', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const subscriptions = await PassSubscription.find({ user: req.user._id })
+      .sort({ expiresAt: -1, createdAt: -1 })
+      .limit(50);
+
+    res.json({ subscriptions: subscriptions.map(subscription => subscription.getSummary()) });
+
+  } catch (error) {
+    console.error('Get pass subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to get pass subscriptions' });
+  }
+});
+
+// Buy a pass
+router.post('/:code/purchase', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = purchaseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const pass = await Pass.findOne({ code: req.params.code.toUpperCase(), isActive: true });
+    if (!pass) {
+      return res.status(404).json({ error: 'Pass not found' });
+    }
+
+    const current = await PassSubscription.findOne({
+      user: req.user._id,
+      pass: pass._id,
+      $or: [
+        { status: 'active', expiresAt: { $gt: new Date() } },
+        { status: 'pending' }
+      ]
+    });
+    if (current) {
+      return res.status(400).json({ error: 'You already have this pass' });
+    }
+
+    const { paymentMethod, paymentToken, autoRenew } = req.body;
+    const paymentProvider = req.body.paymentProvider || (paymentMethod === 'wallet' ? 'wallet' : 'stripe');
+    if ((paymentMethod === 'wallet') !== (paymentProvider === 'wallet')) {
+      return res.status(400).json({ error: 'Payment provider does not match payment method' });
+    }
+
+    const { subscription, payment, charge } = await purchasePass(pass, req.user, {
+      paymentMethod,
+      paymentProvider,
+      paymentToken,
+      autoRenew,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Payment was declined',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    if (payment.status === 'completed') {
+      await notifyPaymentCompleted(req.app.get('io'), payment);
+    }
+
+    res.status(201).json({
+      message: subscription.status === 'active' ? 'Pass purchased successfully' : 'Pass payment initiated',
+      subscription: subscription.getSummary(),
+      payment: payment.getPaymentSummary(),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Purchase pass error:', error);
+    res.status(500).json({ error: 'Failed to purchase pass' });
+  }
+});
+
+// Turn automatic renewal on or off
+router.put('/subscriptions/:subscriptionId/auto-renew', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = autoRenewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const subscription = await PassSubscription.findOne({ _id: req.params.subscriptionId, user: req.user._id });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Pass subscription not found' });
+    }
+
+    subscription.autoRenew = req.body.autoRenew;
+    await subscription.save();
+
+    res.json({
+      message: 'Pass renewal updated successfully',
+      subscription: subscription.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Update pass renewal error:', error);
+    res.status(500).json({ error: 'Failed to update pass renewal' });
+  }
+});
+
+// Create a pass (support)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = createPassSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await Pass.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ error: 'Pass code already exists' });
+    }
+
+    const pass = new Pass({ ...req.body, createdBy: req.user._id });
+    await pass.save();
+
+    res.status(201).json({
+      message: 'Pass created successfully',
+      pass
+    });
+
+  } catch (error) {
+    console.error('Create pass error:', error);
+    res.status(500).json({ error: 'Failed to create pass' });
+  }
+});
+
+// Update a pass; periods already bought keep their benefits (support)
+router.put('/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = updatePassSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const pass = await Pass.findOne({ code: req.params.code.toUpperCase() });
+    if (!pass) {
+      return res.status(404).json({ error: 'Pass not found' });
+    }
+
+    Object.assign(pass, req.body);
+    await pass.save();
+
+    res.json({
+      message: 'Pass updated successfully',
+      pass
+    });
+
+  } catch (error) {
+    console.error('Update pass error:', error);
+    res.status(500).json({ error: 'Failed to update pass' });
+  }
+});
+
+module.exports = router;
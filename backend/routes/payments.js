@@ -0,0 +1,838 @@
+const express = require('express');
+const Joi = require('joi');
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const tipConfig = require('../config/tips');
+const {
+  buildBreakdown,
+  buildDriverEarning,
+  chargePayment,
+  capturePayment,
+  syncPaymentStatus,
+  refundPayment,
+  applyRefundStatus,
+  failPayment,
+  notifyPaymentCompleted
+} = require('../services/payments');
+const { settleOutstandingPayment } = require('../services/dunning');
+const { convertAmount } = require('../services/currency');
+const { buildSharePayment } = require('../services/splitFares');
+const { authenticateToken, requirePassenger, requireDriver, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createPaymentSchema = Joi.object({
+  rideId: Joi.string().required(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'cash', 'wallet').optional(),
+  paymentToken: Joi.string().optional(),
+  metadata: Joi.object({
+    deviceId: Joi.string().optional(),
+    appVersion: Joi.string().optional()
+  }).optional()
+});
+
+const tipSchema = Joi.object({
+  rideId: Joi.string().required(),
+  amount: Joi.number().min(tipConfig.minimumAmount).max(tipConfig.maximumAmount).required(),
+  paymentToken: Joi.string().optional()
+});
+
+const sharePaymentSchema = Joi.object({
+  rideId: Joi.string().required(),
+  paymentMethod: Joi.string().valid('card', 'wallet', 'upi', 'net_banking').optional(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'wallet').optional(),
+  paymentToken: Joi.string().optional()
+});
+
+const settlePaymentSchema = Joi.object({
+  paymentMethod: Joi.string().valid('card', 'wallet', 'upi', 'net_banking').required(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay', 'wallet').optional(),
+  paymentToken: Joi.string().optional()
+});
+
+const confirmPaymentSchema = Joi.object({
+  gatewayPaymentId: Joi.string().optional()
+});
+
+const failPaymentSchema = Joi.object({
+  reason: Joi.string().required(),
+  gatewayResponse: Joi.object().unknown(true).optional()
+});
+
+const refundSchema = Joi.object({
+  amount: Joi.number().positive().optional(),
+  reason: Joi.string().valid(...Payment.getRefundReasons()).required(),
+  note: Joi.string().max(500).optional()
+});
+
+const resolveRefundSchema = Joi.object({
+  status: Joi.string().valid('processed', 'failed').required(),
+  failureReason: Joi.string().optional()
+});
+
+// Cash and wallet rides are settled in-house by the provider of the same name
+const localPaymentMethods = ['cash', 'wallet'];
+
+// Pick a gateway when the client does not specify one
+function getDefaultProvider(paymentMethod) {
+  return localPaymentMethods.includes(paymentMethod) ? paymentMethod : 'stripe';
+}
+
+// Check that the provider can collect the ride's payment method
+function isProviderValidForMethod(provider, paymentMethod) {
+  if (localPaymentMethods.includes(paymentMethod)) {
+    return provider === paymentMethod;
+  }
+  return !localPaymentMethods.includes(provider);
+}
+
+// Resolve whether the user is the paying passenger, the earning driver or support staff
+async function getPaymentRole(payment, user) {
+  if (user.userType === 'admin') {
+    return 'admin';
+  }
+
+  if (payment.userId.toString() === user._id.toString()) {
+    return 'passenger';
+  }
+
+  if (user.userType === 'driver') {
+    const driver = await Driver.findOne({ userId: user._id });
+    if (driver && payment.driverId && payment.driverId.toString() === driver._id.toString()) {
+      return 'driver';
+    }
+  }
+
+  return null;
+}
+
+// Create payment for a completed ride
+router.post('/create', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = createPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { rideId, paymentProvider, paymentToken, metadata } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    if (ride.passenger.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to pay for this ride' });
+    }
+
+    if (ride.status !== 'completed' || !ride.driver) {
+      return res.status(400).json({ error: 'Can only pay for completed rides' });
+    }
+
+    if (ride.paymentStatus === 'completed') {
+      return res.status(400).json({ error: 'Ride is already paid' });
+    }
+
+    if (ride.split.shares.length > 0) {
+      return res.status(400).json({ error: 'Fare is split; pay your share instead' });
+    }
+
+    const existingPayment = await Payment.findOne({
+      rideId: ride._id,
+      type: { $nin: ['tip', 'cancellation_fee'] },
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (existingPayment) {
+      return res.status(400).json({
+        error: 'Payment already in progress for this ride',
+        payment: existingPayment.getPaymentSummary()
+      });
+    }
+
+    const provider = paymentProvider || getDefaultProvider(ride.paymentMethod);
+    if (!isProviderValidForMethod(provider, ride.paymentMethod)) {
+      return res.status(400).json({ error: 'Payment provider does not match ride payment method' });
+    }
+
+    const breakdown = buildBreakdown(ride.fare);
+
+    const payment = new Payment({
+      rideId: ride._id,
+      userId: req.user._id,
+      driverId: ride.driver,
+      amount: breakdown.total,
+      currency: ride.fare.currency,
+      converted: convertAmount(breakdown.total, ride.fare.converted),
+      paymentMethod: ride.paymentMethod,
+      paymentProvider: provider,
+      breakdown,
+      driverEarning: buildDriverEarning(ride.fare),
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        ...metadata
+      }
+    });
+
+    await payment.save();
+
+    const charge = await chargePayment(payment, {
+      token: paymentToken,
+      customer: { id: req.user._id.toString(), phone: req.user.phone, email: req.user.email }
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Payment was declined',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    res.status(201).json({
+      message: 'Payment created successfully',
+      payment: payment.getPaymentSummary(),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Create payment error:', error);
+    res.status(500).json({ error: 'Failed to create payment' });
+  }
+});
+
+// Tip the driver after a completed ride
+router.post('/tips', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = tipSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { rideId, amount, paymentToken } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    if (ride.passenger.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to tip for this ride' });
+    }
+
+    if (ride.status !== 'completed' || !ride.driver) {
+      return res.status(400).json({ error: 'Can only tip on completed rides' });
+    }
+
+    const windowEnd = new Date((ride.completedAt || ride.updatedAt).getTime() + tipConfig.windowMinutes * 60 * 1000);
+    if (new Date() > windowEnd) {
+      return res.status(400).json({ error: `Tips can only be added within ${tipConfig.windowMinutes} minutes of the ride` });
+    }
+
+    const existingTip = await Payment.findOne({
+      rideId: ride._id,
+      type: 'tip',
+      status: { $nin: ['failed', 'cancelled'] }
+    });
+    if (existingTip) {
+      return res.status(400).json({ error: 'Tip already added for this ride' });
+    }
+
+    // Charge the tip the same way the ride was paid
+    const ridePayment = ride.paymentId ? await Payment.findOne({ paymentId: ride.paymentId }) : null;
+    const provider = ridePayment ? ridePayment.paymentProvider : getDefaultProvider(ride.paymentMethod);
+
+    const payment = new Payment({
+      rideId: ride._id,
+      type: 'tip',
+      userId: req.user._id,
+      driverId: ride.driver,
+      amount,
+      currency: ride.fare.currency,
+      converted: convertAmount(amount, ride.fare.converted),
+      paymentMethod: ride.paymentMethod,
+      paymentProvider: provider,
+      breakdown: { tip: amount, total: amount },
+      driverEarning: { amount, commission: 0, netEarning: amount },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    await payment.save();
+
+    const charge = await chargePayment(payment, {
+      token: paymentToken,
+      customer: { id: req.user._id.toString(), phone: req.user.phone, email: req.user.email }
+    });
+
+    // Tips are captured right away when the gateway has already authorized them
+    if (charge.status === 'authorized') {
+      await capturePayment(payment);
+    }
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Tip payment was declined',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    if (payment.status === 'completed') {
+      await notifyPaymentCompleted(req.app.get('io'), payment);
+    }
+
+    res.status(201).json({
+      message: payment.status === 'completed' ? 'Tip added successfully' : 'Tip payment initiated',
+      payment: payment.getPaymentSummary(),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Add tip error:', error);
+    res.status(500).json({ error: 'Failed to add tip' });
+  }
+});
+
+// Pay your share of a split fare (booker or co-rider)
+router.post('/shares', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = sharePaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { rideId, paymentToken } = req.body;
+
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    if (ride.status !== 'completed' || ride.split.status !== 'open') {
+      return res.status(400).json({ error: 'No fare share to pay on this ride' });
+    }
+
+    if (ride.split.expiresAt && ride.split.expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'The time to pay this share has run out' });
+    }
+
+    const share = ride.split.shares.find(s => s.user && s.user.toString() === req.user._id.toString());
+    if (!share) {
+      return res.status(403).json({ error: 'You have no share of this fare' });
+    }
+
+    if (share.status !== 'accepted') {
+      return res.status(400).json({ error: share.status === 'paid' ? 'Share is already paid' : 'Accept the fare split before paying' });
+    }
+
+    const existingPayment = await Payment.findOne({
+      rideId: ride._id,
+      shareId: share.shareId,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (existingPayment) {
+      return res.status(400).json({
+        error: 'Payment already in progress for this share',
+        payment: existingPayment.getPaymentSummary()
+      });
+    }
+
+    // The booker pays their share the way the ride was booked; co-riders choose their own method
+    const paymentMethod = req.body.paymentMethod || (share.isBooker ? ride.paymentMethod : 'card');
+    const provider = req.body.paymentProvider || getDefaultProvider(paymentMethod);
+    if (!isProviderValidForMethod(provider, paymentMethod)) {
+      return res.status(400).json({ error: 'Payment provider does not match payment method' });
+    }
+
+    const payment = buildSharePayment(ride, share, req.user._id, {
+      paymentMethod,
+      paymentProvider: provider,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    await payment.save();
+
+    const charge = await chargePayment(payment, {
+      token: paymentToken,
+      customer: { id: req.user._id.toString(), phone: req.user.phone, email: req.user.email }
+    });
+
+    if (charge.status === 'authorized') {
+      await capturePayment(payment);
+    }
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Payment was declined',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    if (payment.status === 'completed') {
+      await notifyPaymentCompleted(req.app.get('io'), payment);
+    }
+
+    res.status(201).json({
+      message: payment.status === 'completed' ? 'Share paid successfully' : 'Share payment initiated',
+      payment: payment.getPaymentSummary(),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay fare share error:', error);
+    res.status(500).json({ error: 'Failed to pay fare share' });
+  }
+});
+
+// Get refund reasons
+router.get('/refunds/reasons', authenticateToken, (req, res) => {
+  res.json({ reasons: Payment.getRefundReasons() });
+});
+
+// Get payments the passenger still owes
+router.get('/outstanding', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const payments = await Payment.findOutstanding(req.user._id);
+
+    res.json({
+      totalDue: payments.reduce((sum, payment) => sum + payment.amount, 0),
+      payments: payments.map(payment => payment.getPaymentSummary())
+    });
+
+  } catch (error) {
+    console.error('Get outstanding payments error:', error);
+    res.status(500).json({ error: 'Failed to get outstanding payments' });
+  }
+});
+
+// Get passenger's payments
+router.get('/user', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    let query = { userId: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalPayments = await Payment.countDocuments(query);
+
+    res.json({
+      payments: payments.map(payment => payment.getPaymentSummary()),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalPayments / limitNum),
+        totalPayments,
+        hasNext: pageNum < Math.ceil(totalPayments / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user payments error:', error);
+    res.status(500).json({ error: 'Failed to get payments' });
+  }
+});
+
+// Get driver's payments
+router.get('/driver', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    let query = { driverId: driver._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalPayments = await Payment.countDocuments(query);
+
+    res.json({
+      payments: payments.map(payment => ({
+        ...payment.getPaymentSummary(),
+        driverEarning: payment.driverEarning
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalPayments / limitNum),
+        totalPayments,
+        hasNext: pageNum < Math.ceil(totalPayments / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver payments error:', error);
+    res.status(500).json({ error: 'Failed to get payments' });
+  }
+});
+
+// Confirm payment
+router.put('/:paymentId/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { error } = confirmPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { paymentId } = req.params;
+    const { gatewayPaymentId } = req.body;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // Cash is confirmed by the driver who collected it, everything else by the passenger
+    const role = await getPaymentRole(payment, req.user);
+    const expectedRole = payment.paymentMethod === 'cash' ? 'driver' : 'passenger';
+    if (role !== expectedRole) {
+      return res.status(403).json({ error: 'Not authorized to confirm this payment' });
+    }
+
+    if (!['pending', 'processing'].includes(payment.status)) {
+      return res.status(400).json({ error: `Cannot confirm a ${payment.status} payment` });
+    }
+
+    const capture = await capturePayment(payment, { gatewayPaymentId });
+
+    if (payment.status !== 'completed') {
+      return res.status(400).json({
+        error: capture.errorMessage || 'Payment could not be captured',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    await notifyPaymentCompleted(req.app.get('io'), payment);
+
+    res.json({
+      message: 'Payment confirmed successfully',
+      payment: payment.getPaymentSummary()
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  }
+});
+
+// Mark payment as failed
+router.put('/:paymentId/fail', authenticateToken, async (req, res) => {
+  try {
+    const { error } = failPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { paymentId } = req.params;
+    const { reason, gatewayResponse } = req.body;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const role = await getPaymentRole(payment, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to update this payment' });
+    }
+
+    // An uncollected cash fare would put the passenger into dunning, so only support can record one
+    if (role === 'driver' && payment.paymentMethod === 'cash') {
+      return res.status(403).json({ error: 'Report an unpaid cash fare to support' });
+    }
+
+    if (!['pending', 'processing'].includes(payment.status)) {
+      return res.status(400).json({ error: `Cannot fail a ${payment.status} payment` });
+    }
+
+    await payment.addPaymentAttempt(payment.paymentMethod, 'failed', reason, gatewayResponse);
+    await failPayment(payment, gatewayResponse);
+
+    res.json({
+      message: 'Payment marked as failed',
+      payment: payment.getPaymentSummary()
+    });
+
+  } catch (error) {
+    console.error('Fail payment error:', error);
+    res.status(500).json({ error: 'Failed to update payment' });
+  }
+});
+
+// Pay an outstanding failed payment with a method the passenger chooses
+router.post('/:paymentId/settle', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = settlePaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { paymentMethod, paymentProvider, paymentToken } = req.body;
+
+    const payment = await Payment.findOne({ paymentId: req.params.paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (payment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to pay this payment' });
+    }
+
+    if (!payment.isOutstanding()) {
+      return res.status(400).json({ error: 'Payment is not outstanding' });
+    }
+
+    const provider = paymentProvider || getDefaultProvider(paymentMethod);
+    if (!isProviderValidForMethod(provider, paymentMethod)) {
+      return res.status(400).json({ error: 'Payment provider does not match payment method' });
+    }
+
+    const settlement = await settleOutstandingPayment(payment, req.user, {
+      paymentMethod,
+      paymentProvider: provider,
+      token: paymentToken
+    }, req.app.get('io'));
+
+    if (!settlement) {
+      return res.status(409).json({ error: 'Payment is already being retried' });
+    }
+
+    const { payment: settled, result } = settlement;
+
+    if (settled.status === 'failed') {
+      return res.status(400).json({
+        error: result.errorMessage || 'Payment was declined',
+        payment: settled.getPaymentSummary()
+      });
+    }
+
+    res.json({
+      message: settled.status === 'completed' ? 'Outstanding payment cleared' : 'Payment initiated',
+      payment: settled.getPaymentSummary(),
+      gateway: {
+        provider: settled.paymentProvider,
+        transactionId: settled.transactionId,
+        clientSecret: result.clientSecret,
+        redirectUrl: result.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Settle payment error:', error);
+    res.status(500).json({ error: 'Failed to settle payment' });
+  }
+});
+
+// Refund a payment (support)
+router.post('/:paymentId/refunds', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = refundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { paymentId } = req.params;
+    const { reason, note } = req.body;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // The money is already in the wallet or against the dues, so a gateway refund would pay it back twice
+    if (['wallet_topup', 'driver_dues'].includes(payment.type)) {
+      return res.status(400).json({ error: 'Wallet top-ups and dues payments cannot be refunded' });
+    }
+
+    // Whatever is left by default; refundPayment checks the amount against the payment as it reserves it
+    const amount = req.body.amount || payment.getRefundableAmount();
+
+    const result = await refundPayment(payment, amount, reason, {
+      note,
+      requestedBy: req.user._id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (result.status === 'error') {
+      return res.status(502).json({ error: result.errorMessage || 'Payment gateway unavailable' });
+    }
+
+    const refund = result.payment.refunds.find(r => r.refundId === result.refundId);
+
+    res.status(201).json({
+      message: refund.status === 'failed' ? 'Refund failed' : 'Refund initiated successfully',
+      refund,
+      payment: result.payment.getPaymentSummary()
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// Get refunds for a payment
+router.get('/:paymentId/refunds', authenticateToken, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const role = await getPaymentRole(payment, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to view this payment' });
+    }
+
+    res.json({
+      refunds: payment.refunds,
+      refundedAmount: payment.getRefundedAmount(),
+      refundableAmount: payment.getRefundableAmount()
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Failed to get refunds' });
+  }
+});
+
+// Manually resolve a pending refund, e.g. cash paid back by support (support)
+router.put('/:paymentId/refunds/:refundId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = resolveRefundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { paymentId, refundId } = req.params;
+    const { status, failureReason } = req.body;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const refund = payment.refunds.find(r => r.refundId === refundId);
+    if (!refund) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+
+    if (refund.status !== 'pending') {
+      return res.status(400).json({ error: `Refund is already ${refund.status}` });
+    }
+
+    await applyRefundStatus(payment, refundId, status, failureReason);
+
+    res.json({
+      message: 'Refund updated successfully',
+      refund,
+      payment: payment.getPaymentSummary()
+    });
+
+  } catch (error) {
+    console.error('Resolve refund error:', error);
+    res.status(500).json({ error: 'Failed to update refund' });
+  }
+});
+
+// Refresh payment status from the gateway
+router.get('/:paymentId/status', authenticateToken, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const role = await getPaymentRole(payment, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to view this payment' });
+    }
+
+    if (['pending', 'processing'].includes(payment.status)) {
+      await syncPaymentStatus(payment);
+    }
+
+    res.json({ payment: payment.getPaymentSummary() });
+
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({ error: 'Failed to get payment status' });
+  }
+});
+
+// Get payment details
+router.get('/:paymentId', authenticateToken, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await Payment.findOne({ paymentId });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const role = await getPaymentRole(payment, req.user);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to view this payment' });
+    }
+
+    const summary = payment.getPaymentSummary();
+    if (role === 'driver') {
+      summary.driverEarning = payment.driverEarning;
+    }
+
+    res.json({ payment: summary });
+
+  } catch (error) {
+    console.error('Get payment details error:', error);
+    res.status(500).json({ error: 'Failed to get payment details' });
+  }
+});
+
+module.exports = router;
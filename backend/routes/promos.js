@@ -0,0 +1,133 @@
+const express = require('express');
+const Joi = require('joi');
+const Promo = require('../models/Promo');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const promoFields = {
+  description: Joi.string().max(200).optional(),
+  discountType: Joi.string().valid('percentage', 'fixed'),
+  discountValue: Joi.number().positive(),
+  maxDiscount: Joi.number().positive().optional(),
+  minFare: Joi.number().min(0).optional(),
+  validFrom: Joi.date().optional(),
+  validUntil: Joi.date().optional(),
+  usageLimit: Joi.number().integer().min(1).optional(),
+  perUserLimit: Joi.number().integer().min(0).optional(),
+  cities: Joi.array().items(Joi.string()).optional(),
+  vehicleTypes: Joi.array().items(Joi.string().valid('bike', 'auto', 'car', 'suv')).optional(),
+  isActive: Joi.boolean().optional()
+};
+
+const createPromoSchema = Joi.object({
+  ...promoFields,
+  code: Joi.string().alphanum().min(3).max(20).required(),
+  discountType: promoFields.discountType.required(),
+  discountValue: promoFields.discountValue.required()
+}).custom((value, helpers) => {
+  if (value.discountType === 'percentage' && value.discountValue > 100) {
+    return helpers.message('Percentage discount cannot exceed 100');
+  }
+  return value;
+});
+
+const updatePromoSchema = Joi.object(promoFields).min(1);
+
+// Create promo code (support)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = createPromoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await Promo.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ error: 'Promo code already exists' });
+    }
+
+    const promo = new Promo({ ...req.body, createdBy: req.user._id });
+    await promo.save();
+
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promo
+    });
+
+  } catch (error) {
+    console.error('Create promo error:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// List promo codes (support)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {};
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const promos = await Promo.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const totalPromos = await Promo.countDocuments(query);
+
+    res.json({
+      promos,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalPromos / limitNum),
+        totalPromos,
+        hasNext: pageNum < Math.ceil(totalPromos / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promos error:', error);
+    res.status(500).json({ error: 'Failed to get promo codes' });
+  }
+});
+
+// Update promo code (support)
+router.put('/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = updatePromoSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const promo = await Promo.findOne({ code: req.params.code.toUpperCase() });
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    Object.assign(promo, req.body);
+
+    if (promo.discountType === 'percentage' && promo.discountValue > 100) {
+      return res.status(400).json({ error: 'Percentage discount cannot exceed 100' });
+    }
+
+    await promo.save();
+
+    res.json({
+      message: 'Promo code updated successfully',
+      promo
+    });
+
+  } catch (error) {
+    console.error('Update promo error:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+module.exports = router;
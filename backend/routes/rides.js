@@ -4,7 +4,38 @@ const geolib = require('geolib');
 const User = require('../models/User');
 const Driver = require('../models/Driver');
 const Ride = require('../models/Ride');
-const { authenticateToken, requirePassenger, requireDriver } = require('../middleware/auth');
+const Payment = require('../models/Payment');
+const currencyConfig = require('../config/currency');
+const splitConfig = require('../config/splits');
+const schedulingConfig = require('../config/scheduling');
+const { getWalletBalance } = require('../services/wallet');
+const { validatePromo, revalidateRidePromo, redeemPromo, releasePromo } = require('../services/promos');
+const { getSurgeForLocation } = require('../services/surge');
+const { getFareConfig, finalizeFare } = require('../services/fares');
+const { recordCashCommission } = require('../services/driverDues');
+const { findSurcharges } = require('../services/geofences');
+const { getCityCurrency, getConversion } = require('../services/currency');
+const { createQuoteToken, verifyQuoteToken } = require('../services/quotes');
+const { getCancellationCharge, applyCancellationPolicy } = require('../services/cancellations');
+const {
+  findApplicablePass,
+  applyPassToRide,
+  redeemPassRide,
+  passCoversVehicleType,
+  releasePassRide
+} = require('../services/passes');
+const { dispatchRide, acceptOffer, declineOffer, withdrawOffer } = require('../services/dispatch');
+const {
+  isScheduledBooking,
+  checkScheduledAt,
+  canChangeBooking,
+  notifyReservedDriver,
+  reserveRide,
+  releaseReservation
+} = require('../services/scheduledRides');
+const { findInvitedShare, createSplit, respondToSplit, openSplitForPayment } = require('../services/splitFares');
+const { getRankingWeights, explainDriver } = require('../services/driverRanking');
+const { authenticateToken, requirePassenger, requireDriver, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -13,6 +44,7 @@ const rideRequestSchema = Joi.object({
   pickup: Joi.object({
     address: Joi.string().required(),
     coordinates: Joi.array().items(Joi.number()).length(2).required(),
+    city: Joi.string().optional(),
     landmark: Joi.string().optional(),
     instructions: Joi.string().optional()
   }).required(),
@@ -40,9 +72,68 @@ const rideRequestSchema = Joi.object({
     other: Joi.string().optional()
   }).optional(),
   scheduledAt: Joi.date().optional(),
+  promoCode: Joi.string().optional(),
+  quoteToken: Joi.string().optional()
+});
+
+const estimateSchema = Joi.object({
+  pickup: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required(),
+    city: Joi.string().optional()
+  }).unknown(true).required(),
+  destination: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  }).unknown(true).required(),
+  scheduledAt: Joi.date().optional(),
   promoCode: Joi.string().optional()
 });
 
+const promoCheckSchema = Joi.object({
+  promoCode: Joi.string().required(),
+  pickup: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required(),
+    city: Joi.string().optional()
+  }).unknown(true).required(),
+  destination: Joi.object({
+    coordinates: Joi.array().items(Joi.number()).length(2).required()
+  }).unknown(true).required(),
+  vehicleType: Joi.string().valid('bike', 'auto', 'car', 'suv').required()
+});
+
+const splitSchema = Joi.object({
+  mode: Joi.string().valid('equal', 'custom').required(),
+  coRiders: Joi.array().items(Joi.object({
+    userId: Joi.string().optional(),
+    phone: Joi.string().pattern(/^[6-9]\d{9}$/).optional(),
+    name: Joi.string().max(100).optional(),
+    percent: Joi.number().greater(0).less(100).when(Joi.ref('....mode'), {
+      is: 'custom',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+  }).xor('userId', 'phone')).min(1).max(splitConfig.maxCoRiders).required()
+});
+
+const splitResponseSchema = Joi.object({
+  accept: Joi.boolean().required()
+});
+
+const vehicleTypeSchema = Joi.object({
+  vehicleType: Joi.string().valid('bike', 'auto', 'car', 'suv').required()
+});
+
+const scheduleUpdateSchema = Joi.object({
+  scheduledAt: Joi.date().optional(),
+  pickup: rideRequestSchema.extract('pickup').optional(),
+  destination: rideRequestSchema.extract('destination').optional(),
+  passengers: rideRequestSchema.extract('passengers'),
+  specialRequests: rideRequestSchema.extract('specialRequests')
+}).min(1);
+
+const dispatchExplainSchema = Joi.object({
+  driverId: Joi.string().hex().length(24).optional()
+});
+
 // Calculate distance between two points
 function calculateDistance(pickup, destination) {
   return geolib.getDistance(
@@ -57,22 +148,201 @@ function calculateEstimatedDuration(distance) {
   return Math.ceil((distance / averageSpeed) * 60); // minutes
 }
 
-// Get fare configuration based on vehicle type
-function getFareConfig(vehicleType) {
-  const configs = {
-    bike: { baseRate: 20, perKmRate: 8, perMinuteRate: 1, minimumFare: 25 },
-    auto: { baseRate: 30, perKmRate: 12, perMinuteRate: 1.5, minimumFare: 40 },
-    car: { baseRate: 50, perKmRate: 15, perMinuteRate: 2, minimumFare: 60 },
-    suv: { baseRate: 70, perKmRate: 20, perMinuteRate: 2.5, minimumFare: 80 }
-  };
-  return configs[vehicleType] || configs.car;
-}
-
 // Generate OTP
 function generateOTP() {
   return Math.floor(1000 + Math.random() * 9000).toString();
 }
 
+// Fares and promo restrictions use the pickup city, falling back to the passenger's home city
+function getRideCity(pickup, user) {
+  return pickup.city || (user.address && user.address.city) || null;
+}
+
+const NO_FARES_ERROR = 'Rides are not available in this city yet';
+
+// Apply the pickup zone's surge and the fare table in force, then price the ride.
+// fareConfig is null when no rates are published in the city's currency.
+async function priceRide(ride, { pickup, destination, user, at = new Date(), surge = null }) {
+  const zoneSurge = surge || await getSurgeForLocation(pickup.coordinates);
+  if (zoneSurge.multiplier > 1) {
+    ride.surge = { isActive: true, multiplier: zoneSurge.multiplier, reason: zoneSurge.reason };
+  }
+
+  ride.fare.surcharges = await findSurcharges(ride.vehicleType, { pickup, destination });
+
+  // Priced in the city's currency and shown in the passenger's own at today's rate
+  const city = getRideCity(pickup, user);
+  ride.fare.currency = getCityCurrency(city);
+  ride.fare.converted = await getConversion(ride.fare.currency, user) || undefined;
+
+  // Pass benefits are applied by calculateFare
+  applyPassToRide(ride, await findApplicablePass(user._id, ride.vehicleType, at));
+
+  const fareConfig = await getFareConfig(ride.vehicleType, { city, at });
+  if (!fareConfig) {
+    return { fareConfig: null };
+  }
+
+  return { fareConfig, totalFare: ride.calculateFare(fareConfig) };
+}
+
+// Minutes for the nearest available driver of a vehicle type to reach the pickup
+async function estimatePickupEta(vehicleType, pickup) {
+  const driver = await Driver.findOne({
+    'vehicle.type': vehicleType,
+    isAvailable: true,
+    isOnline: true,
+    approvalStatus: 'approved',
+    backgroundCheckStatus: 'approved',
+    currentLocation: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: pickup.coordinates },
+        $maxDistance: 5000
+      }
+    }
+  }).select('currentLocation');
+
+  if (!driver) {
+    return null;
+  }
+
+  return calculateEstimatedDuration(calculateDistance(driver.currentLocation.coordinates, pickup.coordinates));
+}
+
+// Upfront fares for every vehicle type, each with a signed quote token
+router.post('/estimate', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = estimateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { pickup, destination, scheduledAt, promoCode } = req.body;
+
+    const distance = calculateDistance(pickup.coordinates, destination.coordinates);
+    if (distance < 0.5) {
+      return res.status(400).json({ error: 'Minimum distance is 0.5 km' });
+    }
+
+    const estimatedDuration = calculateEstimatedDuration(distance);
+    const at = scheduledAt ? new Date(scheduledAt) : new Date();
+    const surge = await getSurgeForLocation(pickup.coordinates);
+
+    const quotes = [];
+    for (const vehicleType of ['bike', 'auto', 'car', 'suv']) {
+      const ride = new Ride({
+        vehicleType,
+        distance,
+        estimatedDuration,
+        fare: { baseFare: 0, distanceFare: 0, totalFare: 0 }
+      });
+
+      const { fareConfig, totalFare } = await priceRide(ride, { pickup, destination, user: req.user, at, surge });
+      if (!fareConfig) {
+        continue;
+      }
+
+      let promo = null;
+      let promoError = null;
+      if (promoCode) {
+        const result = await validatePromo(promoCode, {
+          userId: req.user._id,
+          fare: totalFare,
+          currency: ride.fare.currency,
+          city: getRideCity(pickup, req.user),
+          vehicleType
+        });
+
+        if (result.valid) {
+          promo = { code: result.promo.code, discount: result.discount, type: result.promo.discountType, fareBeforeDiscount: totalFare };
+          ride.fare.couponDiscount = result.discount;
+          ride.calculateFare(fareConfig);
+        } else {
+          promoError = result.error;
+        }
+      }
+
+      const quote = createQuoteToken(req.user._id, ride, { pickup, destination, promo });
+
+      quotes.push({
+        vehicleType,
+        fare: ride.fare,
+        surge: ride.surge.isActive ? { multiplier: ride.surge.multiplier, reason: ride.surge.reason } : null,
+        promo: promo ? { code: promo.code, discount: promo.discount } : null,
+        promoError,
+        pickupEta: scheduledAt ? null : await estimatePickupEta(vehicleType, pickup),
+        quoteId: quote.quoteId,
+        quoteToken: quote.token,
+        expiresAt: quote.expiresAt
+      });
+    }
+
+    if (quotes.length === 0) {
+      return res.status(400).json({ error: NO_FARES_ERROR });
+    }
+
+    res.json({
+      distance,
+      estimatedDuration,
+      quotes
+    });
+
+  } catch (error) {
+    console.error('Fare estimate error:', error);
+    res.status(500).json({ error: 'Failed to estimate fares' });
+  }
+});
+
+// Check a promo code against a trip before booking
+router.post('/promo/validate', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = promoCheckSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { promoCode, pickup, destination, vehicleType } = req.body;
+
+    const distance = calculateDistance(pickup.coordinates, destination.coordinates);
+    const estimate = new Ride({
+      vehicleType,
+      distance,
+      estimatedDuration: calculateEstimatedDuration(distance),
+      fare: { baseFare: 0, distanceFare: 0, totalFare: 0 }
+    });
+    const { fareConfig, totalFare: fare } = await priceRide(estimate, { pickup, destination, user: req.user });
+    if (!fareConfig) {
+      return res.status(400).json({ error: NO_FARES_ERROR });
+    }
+
+    const result = await validatePromo(promoCode, {
+      userId: req.user._id,
+      fare,
+      currency: estimate.fare.currency,
+      city: getRideCity(pickup, req.user),
+      vehicleType
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ valid: false, error: result.error });
+    }
+
+    estimate.fare.couponDiscount = result.discount;
+
+    res.json({
+      valid: true,
+      promo: result.promo.getPublicSummary(),
+      discount: result.discount,
+      estimatedFare: fare,
+      fareAfterDiscount: estimate.calculateFare(fareConfig)
+    });
+
+  } catch (error) {
+    console.error('Promo validation error:', error);
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
 // Request a ride
 router.post('/request', authenticateToken, requirePassenger, async (req, res) => {
   try {
@@ -81,7 +351,17 @@ router.post('/request', authenticateToken, requirePassenger, async (req, res) =>
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { pickup, destination, vehicleType, paymentMethod, passengers, specialRequests, scheduledAt, promoCode } = req.body;
+    const { pickup, destination, vehicleType, paymentMethod, passengers, specialRequests, scheduledAt, promoCode, quoteToken } = req.body;
+
+    // Passengers must clear failed payments before booking again
+    const outstanding = await Payment.findOutstanding(req.user._id);
+    if (outstanding.length > 0) {
+      return res.status(402).json({
+        error: 'Please clear your outstanding payments before requesting a ride',
+        totalDue: outstanding.reduce((sum, payment) => sum + payment.amount, 0),
+        payments: outstanding.map(payment => payment.paymentId)
+      });
+    }
 
     // Calculate distance and duration
     const distance = calculateDistance(pickup.coordinates, destination.coordinates);
@@ -92,6 +372,34 @@ router.post('/request', authenticateToken, requirePassenger, async (req, res) =>
       return res.status(400).json({ error: 'Minimum distance is 0.5 km' });
     }
 
+    // Pickups far enough out are held as bookings and dispatched shortly before
+    const scheduled = isScheduledBooking(scheduledAt ? new Date(scheduledAt) : null);
+    if (scheduled) {
+      const scheduleError = checkScheduledAt(new Date(scheduledAt));
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
+    // A quote token locks the fare the passenger was shown
+    let quote = null;
+    if (quoteToken) {
+      const verification = verifyQuoteToken(quoteToken, { userId: req.user._id, vehicleType, pickup, destination });
+      if (!verification.valid) {
+        return res.status(400).json({ error: verification.error, code: 'QUOTE_INVALID' });
+      }
+
+      quote = verification.quote;
+
+      if (await Ride.exists({ 'quote.quoteId': quote.quoteId })) {
+        return res.status(400).json({ error: 'Quote has already been used', code: 'QUOTE_INVALID' });
+      }
+
+      if (promoCode && (!quote.promo || quote.promo.code !== promoCode.toUpperCase().trim())) {
+        return res.status(400).json({ error: 'Promo code does not match the quote', code: 'QUOTE_INVALID' });
+      }
+    }
+
     // Generate OTP
     const otp = generateOTP();
 
@@ -115,75 +423,130 @@ router.post('/request', authenticateToken, requirePassenger, async (req, res) =>
       }
     });
 
-    // Calculate fare
-    const fareConfig = getFareConfig(vehicleType);
-    const totalFare = ride.calculateFare(fareConfig);
+    let totalFare;
+    let fareConfig = null;
+    let promo = null;
+
+    if (quote) {
+      totalFare = ride.applyQuote(quote);
+
+      // The quoted discount still counts against the promo's limits
+      if (quote.promo) {
+        const result = await validatePromo(quote.promo.code, {
+          userId: req.user._id,
+          fare: quote.promo.fareBeforeDiscount,
+          currency: ride.fare.currency,
+          city: getRideCity(pickup, req.user),
+          vehicleType
+        });
 
-    // Apply promo code if provided
-    if (promoCode) {
-      // TODO: Implement promo code logic
-      ride.promo = { code: promoCode };
+        if (!result.valid) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        promo = result.promo;
+      }
+    } else {
+      // Calculate fare with the pickup zone's surge and the fare table in force when the ride starts
+      ({ fareConfig, totalFare } = await priceRide(ride, {
+        pickup,
+        destination,
+        user: req.user,
+        at: scheduledAt ? new Date(scheduledAt) : new Date()
+      }));
+
+      if (!fareConfig) {
+        return res.status(400).json({ error: NO_FARES_ERROR });
+      }
     }
 
-    await ride.save();
+    // Apply promo code if provided: the discount is worked out on the undiscounted fare
+    if (promoCode && !quote) {
+      const result = await validatePromo(promoCode, {
+        userId: req.user._id,
+        fare: totalFare,
+        currency: ride.fare.currency,
+        city: getRideCity(pickup, req.user),
+        vehicleType
+      });
 
-    // Find nearby drivers
-    const maxDistance = 5000; // 5km radius
-    const availableDrivers = await Driver.find({
-      'vehicle.type': vehicleType,
-      isAvailable: true,
-      isOnline: true,
-      approvalStatus: 'approved',
-      backgroundCheckStatus: 'approved',
-      currentLocation: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: pickup.coordinates
-          },
-          $maxDistance: maxDistance
-        }
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
       }
-    }).populate('userId', 'name phone rating profilePicture');
 
-    if (availableDrivers.length === 0) {
-      ride.status = 'cancelled';
-      ride.cancellationReason = 'No drivers available';
-      await ride.save();
-      
-      return res.status(400).json({ 
-        error: 'No drivers available in your area',
-        ride: ride.getPassengerSummary()
-      });
+      promo = result.promo;
+      ride.fare.couponDiscount = result.discount;
+      ride.promo = { code: promo.code, discount: result.discount, type: promo.discountType };
+      totalFare = ride.calculateFare(fareConfig);
     }
 
-    // Update ride status
-    ride.status = 'searching';
-    await ride.save();
+    // Count the ride against the pass; if a concurrent booking used its last ride, price without it
+    if (ride.pass && ride.pass.subscription && !(await redeemPassRide(ride))) {
+      if (quote) {
+        return res.status(400).json({ error: 'Your pass no longer covers this ride', code: 'QUOTE_INVALID' });
+      }
 
-    // Emit ride request to nearby drivers via socket.io
-    const io = req.app.get('io');
-    if (io) {
-      availableDrivers.forEach(driver => {
-        io.to(driver.userId._id.toString()).emit('rideRequest', {
-          rideId: ride._id,
-          passenger: req.user.getPublicProfile(),
-          pickup: ride.pickup,
-          destination: ride.destination,
-          fare: ride.fare,
-          distance: ride.distance,
-          estimatedDuration: ride.estimatedDuration,
-          vehicleType: ride.vehicleType,
-          specialRequests: ride.specialRequests,
-          otp: ride.otp
+      applyPassToRide(ride, null);
+      totalFare = ride.calculateFare(fareConfig);
+    }
+
+    // Wallet rides must be covered by the current balance, which is held in the base currency
+    if (paymentMethod === 'wallet') {
+      if (ride.fare.currency !== currencyConfig.baseCurrency) {
+        await releasePassRide(ride);
+        return res.status(400).json({ error: `Wallet can only pay for rides in ${currencyConfig.baseCurrency}` });
+      }
+
+      const walletBalance = await getWalletBalance(req.user._id);
+      if (walletBalance < totalFare) {
+        await releasePassRide(ride);
+        return res.status(400).json({
+          error: 'Insufficient wallet balance',
+          walletBalance,
+          fare: totalFare
         });
+      }
+    }
+
+    if (promo && !(await redeemPromo(promo))) {
+      await releasePassRide(ride);
+      return res.status(400).json({ error: 'Promo code usage limit reached' });
+    }
+
+    if (scheduled) {
+      ride.status = 'scheduled';
+    }
+
+    try {
+      await ride.save();
+    } catch (saveError) {
+      // The ride was never booked, so the pass ride and promo use it took are given back
+      await releasePassRide(ride);
+      if (promo) {
+        await releasePromo(ride);
+      }
+
+      // A concurrent booking redeemed the same quote first
+      if (saveError.code === 11000 && saveError.keyPattern && saveError.keyPattern['quote.quoteId']) {
+        return res.status(400).json({ error: 'Quote has already been used', code: 'QUOTE_INVALID' });
+      }
+      throw saveError;
+    }
+
+    if (scheduled) {
+      return res.status(201).json({
+        message: 'Ride scheduled successfully',
+        ride: ride.getPassengerSummary()
       });
     }
 
+    // Offer the ride to nearby drivers one at a time, searching wider while nobody is found
+    const dispatch = await dispatchRide(ride, req.app.get('io'));
+
     res.status(201).json({
       message: 'Ride requested successfully',
-      ride: ride.getPassengerSummary(),
-      availableDrivers: availableDrivers.length
+      ride: dispatch.ride.getPassengerSummary(),
+      availableDrivers: dispatch.candidates
     });
 
   } catch (error) {
@@ -198,76 +561,190 @@ router.post('/:rideId/accept', authenticateToken, requireDriver, async (req, res
     const { rideId } = req.params;
     const { currentLocation } = req.body;
 
-    const ride = await Ride.findById(rideId).populate('passenger', 'name phone');
+    const ride = await Ride.findById(rideId);
     
     if (!ride) {
       return res.status(404).json({ error: 'Ride not found' });
     }
 
-    if (ride.status !== 'searching') {
-      return res.status(400).json({ error: 'Ride is not available for acceptance' });
+    const result = await acceptOffer(ride, req.user, currentLocation, req.app.get('io'));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Ride accepted successfully',
+      ride: result.ride.getDriverSummary(),
+      passenger: result.ride.passenger
+    });
+
+  } catch (error) {
+    console.error('Accept ride error:', error);
+    res.status(500).json({ error: 'Failed to accept ride' });
+  }
+});
+
+// Decline a ride offer (driver)
+router.post('/:rideId/decline', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
     }
 
-    // Find driver
     const driver = await Driver.findOne({ userId: req.user._id });
-    
-    if (!driver || !driver.isAvailableForRides()) {
-      return res.status(400).json({ error: 'Driver not available' });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
     }
 
-    // Check if driver is within acceptable distance
-    const driverDistance = geolib.getDistance(
-      { latitude: currentLocation[1], longitude: currentLocation[0] },
-      { latitude: ride.pickup.coordinates[1], longitude: ride.pickup.coordinates[0] }
-    );
+    const result = await declineOffer(ride, driver, req.app.get('io'));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Ride declined' });
+
+  } catch (error) {
+    console.error('Decline ride error:', error);
+    res.status(500).json({ error: 'Failed to decline ride' });
+  }
+});
 
-    if (driverDistance > 5000) { // 5km
-      return res.status(400).json({ error: 'Too far from pickup location' });
+// Switch to another vehicle type while the search for a driver is still running (passenger)
+router.put('/:rideId/vehicle-type', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = vehicleTypeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Update ride
-    ride.driver = driver._id;
-    ride.status = 'driver_assigned';
-    ride.assignedAt = new Date();
-    await ride.save();
+    const ride = await Ride.findOne({ _id: req.params.rideId, passenger: req.user._id });
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
 
-    // Update driver availability
-    driver.isAvailable = false;
-    driver.currentLocation = {
-      type: 'Point',
-      coordinates: currentLocation
-    };
-    await driver.save();
+    if (ride.status !== 'searching') {
+      return res.status(400).json({ error: 'Vehicle type can only be changed while searching for a driver' });
+    }
+
+    const { vehicleType } = req.body;
+    if (vehicleType === ride.vehicleType) {
+      return res.status(400).json({ error: `Ride is already for a ${vehicleType}` });
+    }
+
+    const previousType = ride.vehicleType;
+    const previousPass = ride.pass && ride.pass.subscription ? ride.pass.subscription : null;
+    const keepPass = Boolean(previousPass) && await passCoversVehicleType(ride, vehicleType);
+
+    // Reprice at today's fares for the new vehicle type, keeping the booked surge; a quote only covered the old one
+    ride.vehicleType = vehicleType;
+    ride.quote = undefined;
+    ride.fare.surcharges = await findSurcharges(vehicleType, { pickup: ride.pickup, destination: ride.destination });
+    if (previousPass && !keepPass) {
+      applyPassToRide(ride, null);
+    }
+
+    const city = getRideCity(ride.pickup, req.user);
+    const fareConfig = await getFareConfig(vehicleType, { city });
+    if (!fareConfig) {
+      return res.status(400).json({ error: `${vehicleType} rides are not available in this city yet` });
+    }
+
+    ride.fare.couponDiscount = 0;
+    let totalFare = ride.calculateFare(fareConfig);
+
+    if (ride.promo && ride.promo.code && ride.promo.discount) {
+      const result = await revalidateRidePromo(ride, { fare: totalFare, city, vehicleType });
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      ride.fare.couponDiscount = result.discount;
+      ride.promo.discount = result.discount;
+      totalFare = ride.calculateFare(fareConfig);
+    }
+
+    if (ride.paymentMethod === 'wallet') {
+      const walletBalance = await getWalletBalance(req.user._id);
+      if (walletBalance < totalFare) {
+        return res.status(400).json({
+          error: 'Insufficient wallet balance',
+          walletBalance,
+          fare: totalFare
+        });
+      }
+    }
+
+    // Stop the current search before starting one for the new vehicle type; a driver may have just accepted
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'searching', vehicleType: previousType },
+      { status: 'requested', 'dispatch.nextSearchAt': null },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'Ride was updated meanwhile; it may already have a driver' });
+    }
+    ride.status = 'requested'; // as stored, so the new search saves it as searching again
 
-    // Emit to passenger
     const io = req.app.get('io');
-    if (io) {
-      io.to(ride.passenger._id.toString()).emit('rideAccepted', {
-        rideId: ride._id,
-        driver: {
-          name: req.user.name,
-          phone: req.user.phone,
-          rating: driver.stats.rating,
-          profilePicture: req.user.profilePicture,
-          vehicle: driver.vehicle,
-          currentLocation: driver.currentLocation
-        },
-        estimatedArrival: 5 // minutes
-      });
+    await withdrawOffer(claimed, io);
+    if (previousPass && !keepPass) {
+      await releasePassRide({ pass: { subscription: previousPass } });
+    }
+
+    const dispatch = await dispatchRide(ride, io);
 
-      // Cancel ride request for other drivers
-      io.emit('rideCancelled', { rideId: ride._id });
+    res.json({
+      message: 'Vehicle type changed successfully',
+      ride: dispatch.ride.getPassengerSummary(),
+      availableDrivers: dispatch.candidates
+    });
+
+  } catch (error) {
+    console.error('Change vehicle type error:', error);
+    res.status(500).json({ error: 'Failed to change vehicle type' });
+  }
+});
+
+// Explain how a ride was dispatched, and optionally why one driver was or was not offered it (support)
+router.get('/:rideId/dispatch', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = dispatchExplainSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    let driver = null;
+    if (req.query.driverId) {
+      driver = await Driver.findById(req.query.driverId);
+      if (!driver) {
+        return res.status(404).json({ error: 'Driver not found' });
+      }
     }
 
     res.json({
-      message: 'Ride accepted successfully',
-      ride: ride.getDriverSummary(),
-      passenger: ride.passenger
+      rideId: ride.rideId,
+      status: ride.status,
+      city: ride.dispatch.city,
+      weights: ride.dispatch.city ? getRankingWeights(ride.dispatch.city) : undefined,
+      startedAt: ride.dispatch.startedAt,
+      exhaustedAt: ride.dispatch.exhaustedAt,
+      candidates: ride.dispatch.candidates.map((candidate, index) => ({
+        rank: index + 1,
+        ...candidate.toObject(),
+        offer: ride.dispatch.offers.find(offer => offer.driver.toString() === candidate.driver.toString()) || null
+      })),
+      driver: driver ? await explainDriver(ride, driver) : undefined
     });
 
   } catch (error) {
-    console.error('Accept ride error:', error);
-    res.status(500).json({ error: 'Failed to accept ride' });
+    console.error('Explain dispatch error:', error);
+    res.status(500).json({ error: 'Failed to explain dispatch' });
   }
 });
 
@@ -285,17 +762,30 @@ router.put('/:rideId/status', authenticateToken, async (req, res) => {
 
     // Check if user is authorized to update this ride
     const isPassenger = ride.passenger.toString() === req.user._id.toString();
-    const isDriver = ride.driver && ride.driver.toString() === req.user._id.toString();
+    const driver = ride.driver ? await Driver.findById(ride.driver) : null;
+    const isDriver = driver && driver.userId.toString() === req.user._id.toString();
 
     if (!isPassenger && !isDriver) {
       return res.status(403).json({ error: 'Not authorized to update this ride' });
     }
 
+    // Cancellations go through the cancel endpoint so the cancellation policy applies
+    if (status === 'cancelled') {
+      return res.status(400).json({ error: 'Use the cancel endpoint to cancel a ride' });
+    }
+
+    // Arrival, pickup, the trip and its end are the driver's to report
+    if (!isDriver) {
+      return res.status(403).json({ error: 'Only the driver can update the trip status' });
+    }
+
     // Validate status transitions
     const validTransitions = {
-      'searching': ['cancelled'],
-      'driver_assigned': ['driver_arrived', 'cancelled'],
-      'driver_arrived': ['pickup_confirmed', 'cancelled'],
+      'scheduled': [],
+      'requested': [],
+      'searching': [],
+      'driver_assigned': ['driver_arrived'],
+      'driver_arrived': ['pickup_confirmed'],
       'pickup_confirmed': ['in_progress'],
       'in_progress': ['completed'],
       'completed': [],
@@ -306,14 +796,26 @@ router.put('/:rideId/status', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid status transition' });
     }
 
+    // Record the drop-off point before the trip is closed
+    if (location && status === 'completed') {
+      await ride.addDriverLocation(location.coordinates, location.heading, location.speed);
+    }
+
     // Update ride status
     await ride.updateStatus(status);
 
     // Update driver location if provided
-    if (location && isDriver) {
+    if (location && status !== 'completed') {
       await ride.addDriverLocation(location.coordinates, location.heading, location.speed);
     }
 
+    // Reprice from the actual trip; a flagged fare is kept on ride.fareAudit for support to review
+    if (status === 'completed') {
+      await finalizeFare(ride);
+      await openSplitForPayment(ride);
+      await recordCashCommission(ride);
+    }
+
     // Emit real-time update
     const io = req.app.get('io');
     if (io) {
@@ -324,23 +826,16 @@ router.put('/:rideId/status', authenticateToken, async (req, res) => {
         timestamp: new Date()
       };
 
-      if (isDriver) {
-        io.to(ride.passenger.toString()).emit('rideStatusUpdate', updateData);
-      } else {
-        io.to(ride.driver.toString()).emit('rideStatusUpdate', updateData);
-      }
+      io.to(ride.passenger.toString()).emit('rideStatusUpdate', updateData);
     }
 
     // Handle specific status updates
     if (status === 'completed') {
       // Update driver availability
-      const driver = await Driver.findById(ride.driver);
-      if (driver) {
-        driver.isAvailable = true;
-        driver.stats.totalRides += 1;
-        driver.stats.totalDistance += ride.distance;
-        await driver.save();
-      }
+      driver.isAvailable = true;
+      driver.stats.totalRides += 1;
+      driver.stats.totalDistance += ride.actualDistance || ride.distance;
+      await driver.save();
 
       // Update passenger ride count
       const passenger = await User.findById(ride.passenger);
@@ -352,7 +847,7 @@ router.put('/:rideId/status', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'Ride status updated successfully',
-      ride: isPassenger ? ride.getPassengerSummary() : ride.getDriverSummary()
+      ride: ride.getDriverSummary()
     });
 
   } catch (error) {
@@ -361,6 +856,397 @@ router.put('/:rideId/status', authenticateToken, async (req, res) => {
   }
 });
 
+// Split the fare with co-riders (booker)
+router.post('/:rideId/split', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = splitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { mode, coRiders } = req.body;
+
+    if (mode === 'custom' && coRiders.reduce((sum, coRider) => sum + coRider.percent, 0) >= 100) {
+      return res.status(400).json({ error: 'Co-rider shares must leave part of the fare for you' });
+    }
+
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    if (ride.passenger.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the booking passenger can split the fare' });
+    }
+
+    if (ride.status === 'cancelled' || ride.paymentStatus === 'completed') {
+      return res.status(400).json({ error: 'Fare can no longer be split' });
+    }
+
+    if (ride.paymentMethod === 'cash') {
+      return res.status(400).json({ error: 'Cash rides cannot be split' });
+    }
+
+    const result = await createSplit(ride, req.user, { mode, coRiders });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Co-riders invited by phone see the invitation once they sign up
+    const io = req.app.get('io');
+    if (io) {
+      ride.split.shares.filter(share => !share.isBooker && share.user).forEach(share => {
+        io.to(share.user.toString()).emit('fareSplitInvite', {
+          rideId: ride._id,
+          bookedBy: req.user.name,
+          shareId: share.shareId,
+          percent: share.percent,
+          amount: share.amount,
+          currency: ride.fare.currency
+        });
+      });
+    }
+
+    res.status(201).json({
+      message: 'Fare split created successfully',
+      split: ride.split
+    });
+
+  } catch (error) {
+    console.error('Split fare error:', error);
+    res.status(500).json({ error: 'Failed to split fare' });
+  }
+});
+
+// Accept or decline a fare split invitation (co-rider)
+router.put('/:rideId/split/respond', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = splitResponseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride || ride.split.status !== 'open') {
+      return res.status(404).json({ error: 'Fare split not found' });
+    }
+
+    const result = await respondToSplit(ride, req.user, req.body.accept);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(ride.passenger.toString()).emit('fareSplitResponse', {
+        rideId: ride._id,
+        shareId: result.share.shareId,
+        name: req.user.name,
+        status: result.share.status
+      });
+    }
+
+    res.json({
+      message: req.body.accept ? 'Fare split accepted' : 'Fare split declined',
+      share: result.share
+    });
+
+  } catch (error) {
+    console.error('Respond to fare split error:', error);
+    res.status(500).json({ error: 'Failed to respond to fare split' });
+  }
+});
+
+// Get open fare split invitations and shares to pay (co-rider)
+router.get('/splits/invitations', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const rides = await Ride.find({
+      passenger: { $ne: req.user._id },
+      'split.status': 'open',
+      $or: [
+        { 'split.shares.user': req.user._id },
+        { 'split.shares': { $elemMatch: { user: null, phone: req.user.phone } } }
+      ]
+    })
+      .populate('passenger', 'name phone')
+      .sort({ createdAt: -1 });
+
+    const invitations = rides.map(ride => ({
+      rideId: ride._id,
+      bookedBy: ride.passenger,
+      pickup: ride.pickup.address,
+      destination: ride.destination.address,
+      status: ride.status,
+      fare: { totalFare: ride.fare.totalFare, currency: ride.fare.currency },
+      expiresAt: ride.split.expiresAt,
+      share: findInvitedShare(ride, req.user)
+    }));
+
+    res.json({ invitations });
+
+  } catch (error) {
+    console.error('Get fare split invitations error:', error);
+    res.status(500).json({ error: 'Failed to get fare split invitations' });
+  }
+});
+
+// Get the passenger's upcoming bookings
+router.get('/scheduled', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const rides = await Ride.find({ passenger: req.user._id, status: 'scheduled' }).sort({ scheduledAt: 1 });
+
+    res.json({ rides: rides.map(ride => ride.getPassengerSummary()) });
+
+  } catch (error) {
+    console.error('Get scheduled rides error:', error);
+    res.status(500).json({ error: 'Failed to get scheduled rides' });
+  }
+});
+
+// Get bookings near the driver that nobody has reserved yet (driver)
+router.get('/scheduled/open', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    if (!driver.currentLocation || !driver.currentLocation.coordinates || driver.currentLocation.coordinates.length !== 2) {
+      return res.status(400).json({ error: 'Update your location to see bookings nearby' });
+    }
+
+    const rides = await Ride.find({
+      status: 'scheduled',
+      'schedule.driver': null,
+      vehicleType: driver.vehicle.type,
+      // Drivers over the dues limit only see rides paid online
+      ...(driver.hasExceededDuesLimit() ? { paymentMethod: { $ne: 'cash' } } : {}),
+      'pickup.coordinates': {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates: driver.currentLocation.coordinates
+          },
+          $maxDistance: driver.preferences.maxDistance * 1000
+        }
+      }
+    }).limit(50);
+
+    res.json({
+      bookings: rides.map(ride => ({
+        rideId: ride._id,
+        scheduledAt: ride.scheduledAt,
+        pickup: ride.pickup,
+        destination: ride.destination,
+        fare: { totalFare: ride.fare.totalFare, currency: ride.fare.currency },
+        distance: ride.distance,
+        estimatedDuration: ride.estimatedDuration,
+        paymentMethod: ride.paymentMethod,
+        specialRequests: ride.specialRequests
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get open bookings error:', error);
+    res.status(500).json({ error: 'Failed to get open bookings' });
+  }
+});
+
+// Get the bookings the driver has reserved (driver)
+router.get('/scheduled/reservations', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const rides = await Ride.find({ 'schedule.driver': driver._id, status: 'scheduled' }).sort({ scheduledAt: 1 });
+
+    res.json({ rides: rides.map(ride => ride.getDriverSummary()) });
+
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ error: 'Failed to get reservations' });
+  }
+});
+
+// Change a booking's pickup time, route or details up to the cutoff (passenger)
+router.put('/:rideId/schedule', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = scheduleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const ride = await Ride.findOne({ _id: req.params.rideId, passenger: req.user._id });
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    if (ride.status !== 'scheduled') {
+      return res.status(400).json({ error: 'Only scheduled rides can be changed' });
+    }
+
+    if (!canChangeBooking(ride)) {
+      return res.status(400).json({
+        error: `Bookings can only be changed up to ${schedulingConfig.changeCutoffMinutes} minutes before pickup`
+      });
+    }
+
+    const { scheduledAt, pickup, destination, passengers, specialRequests } = req.body;
+    const routeChanged = Boolean(pickup || destination);
+
+    if (scheduledAt) {
+      const pickupAt = new Date(scheduledAt);
+      if (pickupAt.getTime() < Date.now() + schedulingConfig.changeCutoffMinutes * 60 * 1000) {
+        return res.status(400).json({
+          error: `Pickup must be at least ${schedulingConfig.changeCutoffMinutes} minutes away`
+        });
+      }
+
+      const scheduleError = checkScheduledAt(pickupAt);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+    }
+
+    // A quote locks the fare for the quoted route only
+    if (routeChanged && ride.quote && ride.quote.quoteId) {
+      return res.status(400).json({ error: 'The route of a quoted booking cannot be changed; book a new ride instead' });
+    }
+
+    const timeChanged = Boolean(scheduledAt) && new Date(scheduledAt).getTime() !== ride.scheduledAt.getTime();
+    if (scheduledAt) {
+      ride.scheduledAt = new Date(scheduledAt);
+    }
+    if (pickup) {
+      ride.pickup = pickup;
+    }
+    if (destination) {
+      ride.destination = destination;
+    }
+    if (passengers) {
+      ride.passengers = passengers;
+    }
+    if (specialRequests) {
+      ride.specialRequests = specialRequests;
+    }
+
+    // Reprice for the new route or pickup time, keeping the booked surge, promo and pass
+    if (routeChanged || (timeChanged && !(ride.quote && ride.quote.quoteId))) {
+      ride.distance = calculateDistance(ride.pickup.coordinates, ride.destination.coordinates);
+      ride.estimatedDuration = calculateEstimatedDuration(ride.distance);
+
+      if (ride.distance < 0.5) {
+        return res.status(400).json({ error: 'Minimum distance is 0.5 km' });
+      }
+
+      const city = getRideCity(ride.pickup, req.user);
+      if (getCityCurrency(city) !== ride.fare.currency) {
+        return res.status(400).json({ error: 'Pickup must stay in the same city; book a new ride instead' });
+      }
+
+      const fareConfig = await getFareConfig(ride.vehicleType, { city, at: ride.scheduledAt });
+      if (!fareConfig) {
+        return res.status(400).json({ error: NO_FARES_ERROR });
+      }
+
+      ride.fare.surcharges = await findSurcharges(ride.vehicleType, { pickup: ride.pickup, destination: ride.destination });
+      ride.calculateFare(fareConfig);
+    }
+
+    // The reserved driver signed up for the old time; reminders go out again for the new one
+    const io = req.app.get('io');
+    if (timeChanged) {
+      await notifyReservedDriver(ride, 'scheduledRideReleased', { reason: 'The passenger changed the pickup time' }, io);
+      ride.schedule.driver = null;
+      ride.schedule.reservedAt = null;
+      ride.schedule.passengerRemindedAt = null;
+      ride.schedule.driverRemindedAt = null;
+    } else {
+      await notifyReservedDriver(ride, 'scheduledRideUpdated', { pickup: ride.pickup, destination: ride.destination }, io);
+    }
+
+    await ride.save();
+
+    res.json({
+      message: 'Booking updated successfully',
+      ride: ride.getPassengerSummary()
+    });
+
+  } catch (error) {
+    console.error('Update booking error:', error);
+    res.status(500).json({ error: 'Failed to update booking' });
+  }
+});
+
+// Reserve a booking ahead of its pickup time (driver)
+router.post('/:rideId/reserve', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const result = await reserveRide(ride, driver);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(ride.passenger.toString()).emit('scheduledRideUpdated', {
+        rideId: ride._id,
+        reservedDriver: {
+          name: req.user.name,
+          rating: driver.stats.rating,
+          vehicle: driver.vehicle
+        }
+      });
+    }
+
+    res.json({
+      message: 'Booking reserved successfully',
+      ride: result.ride.getDriverSummary()
+    });
+
+  } catch (error) {
+    console.error('Reserve booking error:', error);
+    res.status(500).json({ error: 'Failed to reserve booking' });
+  }
+});
+
+// Give back a reserved booking (driver)
+router.delete('/:rideId/reserve', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    const driver = await Driver.findOne({ userId: req.user._id });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver profile not found' });
+    }
+
+    const result = await releaseReservation(ride, driver, req.app.get('io'));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Reservation released successfully' });
+
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({ error: 'Failed to release reservation' });
+  }
+});
+
 // Cancel ride
 router.put('/:rideId/cancel', authenticateToken, async (req, res) => {
   try {
@@ -375,7 +1261,8 @@ router.put('/:rideId/cancel', authenticateToken, async (req, res) => {
 
     // Check if user is authorized to cancel this ride
     const isPassenger = ride.passenger.toString() === req.user._id.toString();
-    const isDriver = ride.driver && ride.driver.toString() === req.user._id.toString();
+    const driver = ride.driver ? await Driver.findById(ride.driver) : null;
+    const isDriver = driver && driver.userId.toString() === req.user._id.toString();
 
     if (!isPassenger && !isDriver) {
       return res.status(403).json({ error: 'Not authorized to cancel this ride' });
@@ -386,32 +1273,55 @@ router.put('/:rideId/cancel', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Cannot cancel completed or already cancelled ride' });
     }
 
-    // Update ride
-    ride.status = 'cancelled';
-    ride.cancelledAt = new Date();
-    ride.cancellationReason = reason || 'No reason provided';
-    ride.cancelledBy = req.user.userType;
-    await ride.save();
+    if (ride.status === 'scheduled' && !canChangeBooking(ride)) {
+      return res.status(400).json({
+        error: `Bookings can only be cancelled up to ${schedulingConfig.changeCutoffMinutes} minutes before pickup`
+      });
+    }
 
-    // Update driver availability if driver was assigned
-    if (ride.driver) {
-      const driver = await Driver.findById(ride.driver);
-      if (driver) {
-        driver.isAvailable = true;
+    // Priced on the stage the ride had reached, before it is marked cancelled
+    const cancelledBy = isPassenger ? 'passenger' : 'driver';
+    const charge = getCancellationCharge(ride, cancelledBy);
+
+    // Update ride, but only from the state it was read in: a driver may have accepted it meanwhile
+    const cancellation = {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason || 'No reason provided',
+      cancelledBy
+    };
+    const result = await Ride.updateOne({ _id: ride._id, status: ride.status }, cancellation);
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ error: 'Ride was updated while cancelling, please try again' });
+    }
+    ride.set(cancellation);
+    await releasePromo(ride);
+    await releasePassRide(ride);
+
+    const io = req.app.get('io');
+    await withdrawOffer(ride, io);
+    await notifyReservedDriver(ride, 'rideCancelled', { reason: ride.cancellationReason }, io);
+
+    // Update driver availability if driver was assigned; only their own cancellations count against them
+    if (driver) {
+      driver.isAvailable = true;
+      if (isDriver) {
         driver.stats.cancelledRides += 1;
-        await driver.save();
       }
+      await driver.save();
     }
 
+    await applyCancellationPolicy(ride, req.user, charge, io);
+
     // Emit cancellation notification
-    const io = req.app.get('io');
     if (io) {
-      const targetUserId = isPassenger ? ride.driver : ride.passenger;
+      const targetUserId = isPassenger ? (driver && driver.userId) : ride.passenger;
       if (targetUserId) {
         io.to(targetUserId.toString()).emit('rideCancelled', {
           rideId: ride._id,
           reason: ride.cancellationReason,
-          cancelledBy: ride.cancelledBy
+          cancelledBy: ride.cancelledBy,
+          cancellationFee: ride.cancellationFee
         });
       }
     }
@@ -0,0 +1,180 @@
+const express = require('express');
+const Joi = require('joi');
+const SurgeZone = require('../models/SurgeZone');
+const config = require('../config/surge');
+const { getSurgeForLocation, getActiveSurgeZones, findOrCreateZone } = require('../services/surge');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const locationQuerySchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  radius: Joi.number().positive().max(50).optional()
+});
+
+const overrideSchema = Joi.object({
+  multiplier: Joi.number().min(1).max(5).required(),
+  reason: Joi.string().max(200).optional(),
+  expiresAt: Joi.date().greater('now').optional()
+});
+
+const freezeSchema = Joi.object({
+  frozen: Joi.boolean().required()
+});
+
+// Get surge zones currently above normal pricing (optionally near a point)
+router.get('/zones', authenticateToken, async (req, res) => {
+  try {
+    let coordinates;
+    let radiusKm;
+
+    if (req.query.latitude !== undefined || req.query.longitude !== undefined) {
+      const { error, value } = locationQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      coordinates = [value.longitude, value.latitude];
+      radiusKm = value.radius;
+    }
+
+    const zones = await getActiveSurgeZones({ coordinates, radiusKm });
+
+    res.json({
+      zones: zones.map(zone => zone.getPublicSummary()),
+      maxMultiplier: config.maxMultiplier
+    });
+
+  } catch (error) {
+    console.error('Get surge zones error:', error);
+    res.status(500).json({ error: 'Failed to get surge zones' });
+  }
+});
+
+// Get the surge that applies at a pickup point
+router.get('/current', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = locationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const surge = await getSurgeForLocation([value.longitude, value.latitude]);
+
+    res.json({
+      surge: {
+        ...surge,
+        isActive: surge.multiplier > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current surge error:', error);
+    res.status(500).json({ error: 'Failed to get surge' });
+  }
+});
+
+// Get zone details including demand and controls (support)
+router.get('/zones/:cellId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await SurgeZone.findOne({ cellId: req.params.cellId });
+    if (!zone) {
+      return res.status(404).json({ error: 'Surge zone not found' });
+    }
+
+    res.json({ zone });
+
+  } catch (error) {
+    console.error('Get surge zone error:', error);
+    res.status(500).json({ error: 'Failed to get surge zone' });
+  }
+});
+
+// Override the multiplier in a zone (support)
+router.put('/zones/:cellId/override', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = overrideSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const zone = await findOrCreateZone(req.params.cellId);
+    if (!zone) {
+      return res.status(400).json({ error: 'Invalid zone ID' });
+    }
+
+    const { multiplier, reason, expiresAt } = req.body;
+    zone.override = {
+      multiplier,
+      reason,
+      expiresAt,
+      setBy: req.user._id,
+      setAt: new Date()
+    };
+    await zone.save();
+
+    res.json({
+      message: 'Surge override applied',
+      zone: zone.getPublicSummary()
+    });
+
+  } catch (error) {
+    console.error('Override surge error:', error);
+    res.status(500).json({ error: 'Failed to override surge' });
+  }
+});
+
+// Remove a zone override (support)
+router.delete('/zones/:cellId/override', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await SurgeZone.findOne({ cellId: req.params.cellId });
+    if (!zone) {
+      return res.status(404).json({ error: 'Surge zone not found' });
+    }
+
+    zone.override = undefined;
+    await zone.save();
+
+    res.json({
+      message: 'Surge override removed',
+      zone: zone.getPublicSummary()
+    });
+
+  } catch (error) {
+    console.error('Remove surge override error:', error);
+    res.status(500).json({ error: 'Failed to remove surge override' });
+  }
+});
+
+// Freeze or unfreeze the computed multiplier in a zone (support)
+router.put('/zones/:cellId/freeze', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = freezeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const zone = await findOrCreateZone(req.params.cellId);
+    if (!zone) {
+      return res.status(400).json({ error: 'Invalid zone ID' });
+    }
+
+    zone.frozen = req.body.frozen;
+    zone.frozenBy = req.body.frozen ? req.user._id : null;
+    zone.frozenAt = req.body.frozen ? new Date() : null;
+    await zone.save();
+
+    res.json({
+      message: req.body.frozen ? 'Surge frozen' : 'Surge unfrozen',
+      zone: zone.getPublicSummary()
+    });
+
+  } catch (error) {
+    console.error('Freeze surge error:', error);
+    res.status(500).json({ error: 'Failed to update surge zone' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const multer = require('multer');
 const User = require('../models/User');
 const Driver = require('../models/Driver');
 const Ride = require('../models/Ride');
+const { isSupportedCurrency } = require('../services/currency');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -306,6 +307,10 @@ router.put('/preferences', authenticateToken, async (req, res) => {
   try {
     const { preferences } = req.body;
 
+    if (preferences && preferences.currency && !isSupportedCurrency(preferences.currency)) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+
     const user = await User.findById(req.user._id);
     user.preferences = { ...user.preferences, ...preferences };
     await user.save();
@@ -0,0 +1,154 @@
+const express = require('express');
+const Joi = require('joi');
+const User = require('../models/User');
+const { baseCurrency } = require('../config/currency');
+const { getWalletBalance, creditPromo, getStatement } = require('../services/wallet');
+const { startAccountPayment, notifyPaymentCompleted } = require('../services/payments');
+const { authenticateToken, requirePassenger, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const topUpSchema = Joi.object({
+  amount: Joi.number().min(10).max(10000).required(),
+  paymentMethod: Joi.string().valid('card', 'upi', 'net_banking').optional(),
+  paymentProvider: Joi.string().valid('stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay').required(),
+  paymentToken: Joi.string().optional()
+});
+
+const promoCreditSchema = Joi.object({
+  userId: Joi.string().required(),
+  amount: Joi.number().positive().max(5000).required(),
+  description: Joi.string().max(200).optional()
+});
+
+// Get wallet balance
+router.get('/', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const balance = await getWalletBalance(req.user._id);
+    res.json({ balance, currency: baseCurrency });
+  } catch (error) {
+    console.error('Get wallet balance error:', error);
+    res.status(500).json({ error: 'Failed to get wallet balance' });
+  }
+});
+
+// Top up wallet
+router.post('/topup', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { error } = topUpSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { amount, paymentMethod, paymentProvider, paymentToken } = req.body;
+
+    const { payment, charge } = await startAccountPayment('wallet_topup', req.user, amount, {
+      paymentMethod,
+      paymentProvider,
+      paymentToken,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(400).json({
+        error: charge.errorMessage || 'Top-up payment was not completed',
+        payment: payment.getPaymentSummary()
+      });
+    }
+
+    if (payment.status === 'completed') {
+      await notifyPaymentCompleted(req.app.get('io'), payment);
+    }
+
+    // Redirect and order-based gateways credit the wallet once their webhook reports the payment
+    res.status(201).json({
+      message: payment.status === 'completed' ? 'Wallet topped up successfully' : 'Top-up payment initiated',
+      payment: payment.getPaymentSummary(),
+      balance: await getWalletBalance(req.user._id),
+      gateway: {
+        provider: payment.paymentProvider,
+        transactionId: payment.transactionId,
+        clientSecret: charge.clientSecret,
+        redirectUrl: charge.redirectUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({ error: 'Failed to top up wallet' });
+  }
+});
+
+// Get wallet statement
+router.get('/statement', authenticateToken, requirePassenger, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { entries, totalEntries } = await getStatement(req.user._id, { page: pageNum, limit: limitNum });
+
+    res.json({
+      balance: await getWalletBalance(req.user._id),
+      entries: entries.map(entry => ({
+        transactionId: entry.transactionId,
+        type: entry.entryType,
+        direction: entry.direction,
+        amount: entry.amount,
+        currency: entry.currency,
+        description: entry.description,
+        paymentId: entry.paymentId,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalEntries / limitNum),
+        totalEntries,
+        hasNext: pageNum < Math.ceil(totalEntries / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wallet statement error:', error);
+    res.status(500).json({ error: 'Failed to get wallet statement' });
+  }
+});
+
+// Grant promotional credit (support)
+router.post('/promo-credits', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error } = promoCreditSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { userId, amount, description } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user || user.userType !== 'passenger') {
+      return res.status(404).json({ error: 'Passenger not found' });
+    }
+
+    const reference = await creditPromo(user._id, amount, {
+      description,
+      grantedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Promotional credit added successfully',
+      reference,
+      balance: await getWalletBalance(user._id)
+    });
+
+  } catch (error) {
+    console.error('Promo credit error:', error);
+    res.status(500).json({ error: 'Failed to add promotional credit' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { handleWebhook } = require('../services/webhooks');
+
+const router = express.Router();
+
+// Gateways that send asynchronous callbacks (cash has none)
+const webhookProviders = ['stripe', 'razorpay', 'paytm', 'phonepe', 'googlepay'];
+
+// Receive payment gateway callback
+router.post('/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!webhookProviders.includes(provider)) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const result = await handleWebhook(provider, {
+      headers: req.headers,
+      rawBody: req.rawBody || Buffer.from(''),
+      body: req.body
+    }, req.app.get('io'));
+
+    res.json({ received: true, ...result });
+
+  } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE') {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
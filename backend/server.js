@@ -6,6 +6,17 @@ const rateLimit = require('express-rate-limit');
 const { Server } = require('socket.io');
 const http = require('http');
 require('dotenv').config();
+const { startSettlementJob } = require('./jobs/settlements');
+const { startDunningJob } = require('./jobs/dunning');
+const { startSurgeJob } = require('./jobs/surge');
+const { startSplitFareJob } = require('./jobs/splitFares');
+const { startPassJob } = require('./jobs/passes');
+const { startDispatchJob } = require('./jobs/dispatch');
+const { startScheduledRideJob } = require('./jobs/scheduledRides');
+const { authenticateSocket } = require('./middleware/auth');
+const Driver = require('./models/Driver');
+const Ride = require('./models/Ride');
+const { dispatchRide, acceptOffer, declineOffer } = require('./services/dispatch');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,6 +24,15 @@ const userRoutes = require('./routes/users');
 const rideRoutes = require('./routes/rides');
 const driverRoutes = require('./routes/drivers');
 const paymentRoutes = require('./routes/payments');
+const webhookRoutes = require('./routes/webhooks');
+const walletRoutes = require('./routes/wallet');
+const invoiceRoutes = require('./routes/invoices');
+const promoRoutes = require('./routes/promos');
+const surgeRoutes = require('./routes/surge');
+const fareRoutes = require('./routes/fares');
+const geofenceRoutes = require('./routes/geofences');
+const currencyRoutes = require('./routes/currencies');
+const passRoutes = require('./routes/passes');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,12 +43,23 @@ const io = new Server(server, {
   }
 });
 
+app.set('io', io);
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment gateway signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Payment gateway callbacks (mounted before rate limiting so retries are never dropped)
+app.use('/api/webhooks', webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -42,7 +73,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rideshari
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+
+  // Background jobs
+  startSettlementJob();
+  startDunningJob(io);
+  startSurgeJob();
+  startSplitFareJob(io);
+  startPassJob(io);
+  startDispatchJob(io);
+  startScheduledRideJob(io);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -51,11 +93,27 @@ app.use('/api/users', userRoutes);
 app.use('/api/rides', rideRoutes);
 app.use('/api/drivers', driverRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/surge', surgeRoutes);
+app.use('/api/fares', fareRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/passes', passRoutes);
 
 // Socket.io for real-time features
 const activeUsers = new Map();
 const activeDrivers = new Map();
 
+io.use(authenticateSocket);
+
+// The signed-in driver behind a socket; ride offers are only answered for them
+function getSocketDriverUser(socket) {
+  const user = socket.data.user;
+  return user && user.userType === 'driver' ? user : null;
+}
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
@@ -94,38 +152,72 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Ride request
-  socket.on('requestRide', async (rideData) => {
-    // Find nearby drivers
-    const nearbyDrivers = Array.from(activeDrivers.entries())
-      .filter(([driverId, driver]) => driver.available)
-      .map(([driverId, driver]) => ({
-        driverId,
-        ...driver
-      }));
-
-    // Send ride request to nearby drivers
-    nearbyDrivers.forEach(driver => {
-      io.to(driver.socketId).emit('rideRequest', rideData);
-    });
+  // Ride request: the dispatcher offers a booked ride to one driver at a time
+  socket.on('requestRide', async ({ rideId }) => {
+    try {
+      const ride = await Ride.findById(rideId);
+      if (ride && ride.status === 'requested') {
+        await dispatchRide(ride, io);
+      }
+    } catch (error) {
+      console.error('Socket ride request error:', error);
+    }
   });
 
-  // Driver accepts ride
-  socket.on('acceptRide', (rideData) => {
-    const { rideId, driverId, userId } = rideData;
-    
-    // Update driver availability
-    if (activeDrivers.has(driverId)) {
-      const driver = activeDrivers.get(driverId);
-      driver.available = false;
-      activeDrivers.set(driverId, driver);
+  // Driver accepts the ride they were offered
+  socket.on('acceptRide', async ({ rideId, location }) => {
+    try {
+      const user = getSocketDriverUser(socket);
+      if (!user) {
+        socket.emit('rideOfferError', { rideId, error: 'Driver access required', status: 403 });
+        return;
+      }
+
+      const ride = await Ride.findById(rideId);
+      if (!ride) {
+        return;
+      }
+
+      const result = await acceptOffer(ride, user, location, io);
+      if (result.error) {
+        socket.emit('rideOfferError', { rideId, error: result.error, status: result.status });
+        return;
+      }
+
+      // Update driver availability
+      const driverId = user._id.toString();
+      if (activeDrivers.has(driverId)) {
+        const driver = activeDrivers.get(driverId);
+        driver.available = false;
+        activeDrivers.set(driverId, driver);
+      }
+    } catch (error) {
+      console.error('Socket accept ride error:', error);
+    }
+  });
+
+  // Driver turns down the ride they were offered
+  socket.on('declineRide', async ({ rideId }) => {
+    try {
+      const user = getSocketDriverUser(socket);
+      if (!user) {
+        socket.emit('rideOfferError', { rideId, error: 'Driver access required', status: 403 });
+        return;
+      }
+
+      const ride = await Ride.findById(rideId);
+      const driver = await Driver.findOne({ userId: user._id });
+      if (!ride || !driver) {
+        return;
+      }
+
+      const result = await declineOffer(ride, driver, io);
+      if (result.error) {
+        socket.emit('rideOfferError', { rideId, error: result.error });
+      }
+    } catch (error) {
+      console.error('Socket decline ride error:', error);
     }
-    
-    // Notify user
-    io.to(userId).emit('rideAccepted', rideData);
-    
-    // Cancel requests to other drivers
-    socket.broadcast.emit('rideCancelled', { rideId });
   });
 
   // Trip updates
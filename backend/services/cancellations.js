@@ -0,0 +1,134 @@
+const Payment = require('../models/Payment');
+const config = require('../config/cancellation');
+const { pickSavedMethod, chargeSavedMethod } = require('./dunning');
+const { recordCancellationPenalty } = require('./driverDues');
+const { convertAmount, getRate, roundFare } = require('./currency');
+const { baseCurrency } = require('../config/currency');
+
+// Statuses where the driver is already at the pickup or on the trip
+const ARRIVED_STATUSES = ['driver_arrived', 'pickup_confirmed', 'in_progress'];
+
+// Which stage of the ride a cancellation falls in: null while it is still free
+function getCancellationStage(ride, now = new Date()) {
+  if (ARRIVED_STATUSES.includes(ride.status)) {
+    return 'arrived';
+  }
+
+  if (ride.status === 'driver_assigned') {
+    const graceEnds = (ride.assignedAt || ride.updatedAt).getTime() + config.graceMinutes * 60 * 1000;
+    return now.getTime() > graceEnds ? 'en_route' : null;
+  }
+
+  return null;
+}
+
+// What cancelling the ride now costs: passengers pay a fee that goes to the driver,
+// drivers take a penalty on their dues. Support cancellations are always free.
+function getCancellationCharge(ride, cancelledBy, now = new Date()) {
+  const stage = getCancellationStage(ride, now);
+  const charge = { stage, fee: 0, driverCompensation: 0, driverPenalty: 0 };
+
+  if (!stage) {
+    return charge;
+  }
+
+  if (cancelledBy === 'passenger') {
+    charge.fee = stage === 'arrived' ? config.fees.arrived : config.fees.enRoute;
+    charge.driverCompensation = roundFare(charge.fee * config.driverCompensationShare, baseCurrency);
+  } else if (cancelledBy === 'driver') {
+    charge.driverPenalty = config.driverPenalty;
+  }
+
+  return charge;
+}
+
+// Charge the fee to a saved method the passenger can be billed on while away
+async function chargeCancellationFee(ride, user, charge, io) {
+  const method = pickSavedMethod(user, { preferWallet: ride.paymentMethod === 'wallet' });
+
+  const payment = new Payment({
+    rideId: ride._id,
+    type: 'cancellation_fee',
+    userId: ride.passenger,
+    driverId: ride.driver,
+    amount: charge.fee,
+    currency: charge.currency,
+    converted: convertAmount(charge.fee, ride.fare.converted),
+    paymentMethod: method ? method.paymentMethod : 'cash',
+    paymentProvider: method ? method.paymentProvider : 'cash',
+    breakdown: { total: charge.fee },
+    driverEarning: {
+      amount: charge.fee,
+      commission: charge.fee - charge.driverCompensation,
+      netEarning: charge.driverCompensation
+    }
+  });
+
+  await payment.save();
+
+  ride.cancellationFee.status = 'pending';
+  ride.cancellationFee.paymentId = payment.paymentId;
+  await ride.save();
+
+  return chargeSavedMethod(payment, user, method, io);
+}
+
+// Fees are configured in the base currency and charged in the ride's; null when there is no rate to convert at
+async function localizeFee(ride, charge) {
+  const currency = ride.fare.currency || baseCurrency;
+  const rate = await getRate(baseCurrency, currency);
+  if (!rate) {
+    return null;
+  }
+
+  return {
+    ...charge,
+    currency,
+    fee: roundFare(charge.fee * rate, currency),
+    driverCompensation: roundFare(charge.driverCompensation * rate, currency)
+  };
+}
+
+// Apply the policy to a ride that has just been cancelled
+async function applyCancellationPolicy(ride, user, charge, io) {
+  if (charge.fee > 0) {
+    const localized = await localizeFee(ride, charge);
+    if (!localized) {
+      // Never bill a fee in a currency other than the ride's
+      const currency = ride.fare.currency || baseCurrency;
+      ride.cancellationFee = {
+        amount: charge.fee,
+        currency: baseCurrency,
+        stage: charge.stage,
+        status: 'failed',
+        failureReason: `No ${currency} exchange rate to convert the fee at`
+      };
+      await ride.save();
+      return null;
+    }
+
+    charge = localized;
+    ride.cancellationFee = {
+      amount: charge.fee,
+      currency: charge.currency,
+      stage: charge.stage,
+      status: 'pending'
+    };
+    await ride.save();
+
+    return chargeCancellationFee(ride, user, charge, io);
+  }
+
+  if (charge.driverPenalty > 0) {
+    ride.driverCancellationPenalty = charge.driverPenalty;
+    await ride.save();
+    await recordCancellationPenalty(ride, charge.driverPenalty);
+  }
+
+  return null;
+}
+
+module.exports = {
+  getCancellationCharge,
+  applyCancellationPolicy
+};
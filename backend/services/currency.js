@@ -0,0 +1,95 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const config = require('../config/currency');
+
+function isSupportedCurrency(currency) {
+  return Boolean(config.currencies[currency]);
+}
+
+function getCurrencySettings(currency) {
+  return config.currencies[currency] || { decimals: 2, fareDecimals: 2 };
+}
+
+function roundTo(amount, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((amount || 0) * factor) / factor;
+}
+
+// Round to the currency's minor unit, e.g. 2 decimals for USD, 0 for JPY, 3 for KWD
+function roundAmount(amount, currency) {
+  return roundTo(amount, getCurrencySettings(currency).decimals);
+}
+
+// Round a fare line to the precision fares are quoted in, e.g. whole rupees
+function roundFare(amount, currency) {
+  return roundTo(amount, getCurrencySettings(currency).fareDecimals);
+}
+
+// Amount in the currency's smallest unit, as gateways take it: paise, cents, whole yen, fils
+function toMinorUnits(amount, currency) {
+  return Math.round((amount || 0) * Math.pow(10, getCurrencySettings(currency).decimals));
+}
+
+// Currency fares are priced in for a city
+function getCityCurrency(city) {
+  const key = city ? String(city).toLowerCase().trim() : null;
+  return (key && config.cityCurrencies[key]) || config.cityCurrencies.default;
+}
+
+// Rate from one currency to another, or null when either rate has not been set
+async function getRate(from, to) {
+  if (from === to) {
+    return 1;
+  }
+
+  const rates = await ExchangeRate.find({ currency: { $in: [from, to] } });
+  const perBase = currency => {
+    if (currency === config.baseCurrency) {
+      return 1;
+    }
+    const entry = rates.find(rate => rate.currency === currency);
+    return entry && entry.rate > 0 ? entry.rate : null;
+  };
+
+  const fromRate = perBase(from);
+  const toRate = perBase(to);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return toRate / fromRate;
+}
+
+// Conversion into a user's preferred currency, or null when none is needed or possible
+async function getConversion(from, user) {
+  const to = user && user.preferences && user.preferences.currency;
+  if (!to || to === from || !isSupportedCurrency(to)) {
+    return null;
+  }
+
+  const rate = await getRate(from, to);
+  return rate ? { currency: to, rate } : null;
+}
+
+// Convert with a conversion recorded earlier, so the same rate is used throughout
+function convertAmount(amount, conversion) {
+  if (!conversion || !conversion.currency || !conversion.rate) {
+    return undefined;
+  }
+
+  return {
+    currency: conversion.currency,
+    rate: conversion.rate,
+    amount: roundAmount(amount * conversion.rate, conversion.currency)
+  };
+}
+
+module.exports = {
+  isSupportedCurrency,
+  roundAmount,
+  roundFare,
+  toMinorUnits,
+  getCityCurrency,
+  getRate,
+  getConversion,
+  convertAmount
+};
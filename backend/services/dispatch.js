@@ -0,0 +1,535 @@
+const geolib = require('geolib');
+const Ride = require('../models/Ride');
+const Driver = require('../models/Driver');
+const User = require('../models/User');
+const config = require('../config/dispatch');
+const { releasePromo } = require('./promos');
+const { releasePassRide } = require('./passes');
+const { getDispatchCity, rankDrivers } = require('./driverRanking');
+
+const offerTimers = new Map();
+
+function isSameId(a, b) {
+  return Boolean(a && b) && a.toString() === b.toString();
+}
+
+function getMaxRadius(vehicleType) {
+  return config.maxRadiusMeters[vehicleType] || config.searchRadiusMeters;
+}
+
+// Available drivers within the radius of the pickup, best ranked first
+async function findCandidates(ride, radiusMeters) {
+  const drivers = await Driver.find({
+    'vehicle.type': ride.vehicleType,
+    isAvailable: true,
+    isOnline: true,
+    approvalStatus: 'approved',
+    backgroundCheckStatus: 'approved',
+    currentLocation: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: ride.pickup.coordinates },
+        $maxDistance: radiusMeters
+      }
+    }
+  }).limit(config.candidatePoolSize);
+
+  const ranked = await rankDrivers(drivers.filter(driver => driver.isAvailableForRides(ride.paymentMethod)), ride);
+  return ranked.slice(0, config.maxCandidates);
+}
+
+function toCandidate({ driver, score, components, etaMinutes, distance }) {
+  return { driver: driver._id, score, components, etaMinutes, distance };
+}
+
+function emitSearchProgress(ride, io, { radiusMeters, driversFound }) {
+  if (!io) {
+    return;
+  }
+
+  io.to(ride.passenger.toString()).emit('rideSearchUpdate', {
+    rideId: ride._id,
+    radiusMeters,
+    maxRadiusMeters: getMaxRadius(ride.vehicleType),
+    driversFound,
+    searchExpiresAt: ride.dispatch.searchExpiresAt
+  });
+}
+
+// Keep the driver's acceptance rate current; withdrawn offers are not the driver's doing
+async function recordOfferOutcome(driverId, status) {
+  if (status === 'withdrawn') {
+    return;
+  }
+
+  await Driver.updateOne({ _id: driverId }, [
+    {
+      $set: {
+        'stats.offersReceived': { $add: [{ $ifNull: ['$stats.offersReceived', 0] }, 1] },
+        'stats.offersAccepted': { $add: [{ $ifNull: ['$stats.offersAccepted', 0] }, status === 'accepted' ? 1 : 0] }
+      }
+    },
+    {
+      $set: {
+        'stats.acceptanceRate': {
+          $round: [{ $multiply: [{ $divide: ['$stats.offersAccepted', '$stats.offersReceived'] }, 100] }, 1]
+        }
+      }
+    }
+  ]);
+}
+
+// The offer a driver is currently holding on the ride, if any
+function findPendingOffer(ride, driver) {
+  return ride.dispatch.offers.find(offer => offer.status === 'pending' && isSameId(offer.driver, driver._id));
+}
+
+// Close a pending offer, along with any other conditions and changes to the ride given.
+// Resolves to the updated ride, or null when the offer was already closed or a condition failed.
+async function closeOffer(rideId, offerId, status, { filter = {}, update = {} } = {}) {
+  const ride = await Ride.findOneAndUpdate(
+    { ...filter, _id: rideId, 'dispatch.offers': { $elemMatch: { _id: offerId, status: 'pending' } } },
+    { $set: { ...update, 'dispatch.offers.$.status': status, 'dispatch.offers.$.respondedAt': new Date() } },
+    { new: true }
+  );
+  if (!ride) {
+    return null;
+  }
+
+  const timer = offerTimers.get(offerId.toString());
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(offerId.toString());
+  }
+
+  await recordOfferOutcome(ride.dispatch.offers.id(offerId).driver, status);
+  return ride;
+}
+
+function buildOfferPayload(ride, passenger, offer) {
+  return {
+    rideId: ride._id,
+    offerId: offer._id,
+    expiresAt: offer.expiresAt,
+    passenger: passenger ? passenger.getPublicProfile() : undefined,
+    pickup: ride.pickup,
+    destination: ride.destination,
+    fare: ride.fare,
+    distance: ride.distance,
+    estimatedDuration: ride.estimatedDuration,
+    vehicleType: ride.vehicleType,
+    specialRequests: ride.specialRequests,
+    otp: ride.otp
+  };
+}
+
+// Give up on a ride nobody took: cancel it and hand back its promo and pass ride
+async function endDispatch(rideId, io) {
+  const now = new Date();
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, status: { $in: ['requested', 'searching'] }, 'dispatch.offers.status': { $ne: 'pending' } },
+    {
+      status: 'cancelled',
+      cancelledAt: now,
+      cancellationReason: 'No drivers available',
+      'dispatch.exhaustedAt': now
+    },
+    { new: true }
+  );
+  if (!ride) {
+    return null;
+  }
+
+  await releasePromo(ride);
+  await releasePassRide(ride);
+
+  if (io) {
+    io.to(ride.passenger.toString()).emit('noDriversAvailable', { rideId: ride._id });
+  }
+
+  return ride;
+}
+
+// Offer the ride to the next candidate who has not had it yet; gives up when none is left
+async function offerNextDriver(rideId, io) {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'searching' || ride.dispatch.offers.some(offer => offer.status === 'pending')) {
+    return null;
+  }
+
+  const offered = new Set(ride.dispatch.offers.map(offer => offer.driver.toString()));
+  for (const candidate of ride.dispatch.candidates) {
+    if (candidate.skipped || offered.has(candidate.driver.toString())) {
+      continue;
+    }
+
+    // Candidates can go offline, take another ride or get another offer while earlier ones decide
+    const driver = await Driver.findById(candidate.driver);
+    const holdingOffer = driver && await Ride.exists({
+      status: 'searching',
+      'dispatch.offers': { $elemMatch: { driver: driver._id, status: 'pending' } }
+    });
+    if (!driver || !driver.isAvailableForRides(ride.paymentMethod) || holdingOffer) {
+      await Ride.updateOne(
+        { _id: ride._id, 'dispatch.candidates.driver': candidate.driver },
+        { $set: { 'dispatch.candidates.$.skipped': true } }
+      );
+      continue;
+    }
+
+    const now = new Date();
+    const offer = ride.dispatch.offers.create({
+      driver: driver._id,
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + config.offerTimeoutSeconds * 1000)
+    });
+
+    // Only one offer is out at a time
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'searching', 'dispatch.offers.status': { $ne: 'pending' } },
+      { $push: { 'dispatch.offers': offer }, $set: { 'dispatch.nextSearchAt': null } }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const timer = setTimeout(() => {
+      offerTimers.delete(offer._id.toString());
+      expireOffer(ride._id, offer._id, io)
+        .catch(error => console.error(`Offer timeout error for ride ${ride.rideId}:`, error));
+    }, config.offerTimeoutSeconds * 1000);
+    offerTimers.set(offer._id.toString(), timer);
+
+    if (io) {
+      const passenger = await User.findById(ride.passenger);
+      io.to(driver.userId.toString()).emit('rideRequest', buildOfferPayload(ride, passenger, offer));
+    }
+
+    return offer;
+  }
+
+  // Nobody left to offer the ride to: search wider in a while, until the search window closes
+  if (!ride.dispatch.searchExpiresAt || new Date() >= ride.dispatch.searchExpiresAt) {
+    await endDispatch(ride._id, io);
+    return null;
+  }
+
+  await Ride.updateOne(
+    { _id: ride._id, status: 'searching', 'dispatch.offers.status': { $ne: 'pending' } },
+    { 'dispatch.nextSearchAt': new Date(Date.now() + config.radiusStepSeconds * 1000) }
+  );
+  return null;
+}
+
+// Search again for drivers not yet offered the ride, a step wider unless already at the
+// vehicle type's maximum. Resolves to false when another search got there first.
+async function widenSearch(ride, io) {
+  const radiusMeters = Math.min(
+    (ride.dispatch.radiusMeters || config.searchRadiusMeters) + config.radiusStepMeters,
+    getMaxRadius(ride.vehicleType)
+  );
+
+  const offered = new Set(ride.dispatch.offers.map(offer => offer.driver.toString()));
+  const ranked = (await findCandidates(ride, radiusMeters))
+    .filter(candidate => !offered.has(candidate.driver._id.toString()));
+
+  // Drivers already offered the ride stay on record ahead of the new ranking
+  const candidates = [
+    ...ride.dispatch.candidates.filter(candidate => offered.has(candidate.driver.toString())).map(candidate => candidate.toObject()),
+    ...ranked.map(toCandidate)
+  ];
+
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'searching', 'dispatch.nextSearchAt': ride.dispatch.nextSearchAt },
+    { 'dispatch.radiusMeters': radiusMeters, 'dispatch.candidates': candidates, 'dispatch.nextSearchAt': null }
+  );
+  if (!claimed) {
+    return false;
+  }
+
+  emitSearchProgress(ride, io, { radiusMeters, driversFound: ranked.length });
+  await offerNextDriver(ride._id, io);
+  return true;
+}
+
+// Rank drivers near the pickup and offer the ride to the first of them. While nobody is found
+// the search keeps widening in the background until the search window closes.
+// Resolves to { ride, candidates }. Earlier offers on the ride stay on record.
+async function dispatchRide(ride, io) {
+  const now = new Date();
+  const radiusMeters = Math.min(config.searchRadiusMeters, getMaxRadius(ride.vehicleType));
+  const candidates = await findCandidates(ride, radiusMeters);
+
+  ride.status = 'searching';
+  ride.dispatch.city = getDispatchCity(ride);
+  ride.dispatch.radiusMeters = radiusMeters;
+  ride.dispatch.candidates = candidates.map(toCandidate);
+  ride.dispatch.startedAt = now;
+  ride.dispatch.nextSearchAt = null;
+  ride.dispatch.searchExpiresAt = new Date(now.getTime() + config.searchWindowMinutes * 60 * 1000);
+  await ride.save();
+
+  emitSearchProgress(ride, io, { radiusMeters, driversFound: candidates.length });
+  await offerNextDriver(ride._id, io);
+  return { ride, candidates: candidates.length };
+}
+
+// Hand a booking straight to the driver who reserved it, recorded as an accepted offer.
+// Falls back to normal dispatch when they are not available; resolves like dispatchRide.
+async function dispatchReservedRide(ride, io) {
+  const driver = await Driver.findById(ride.schedule.driver);
+  const lockedDriver = driver && driver.isAvailableForRides(ride.paymentMethod) && await Driver.findOneAndUpdate(
+    { _id: driver._id, isAvailable: true, isOnline: true },
+    { isAvailable: false },
+    { new: true }
+  );
+
+  if (!lockedDriver) {
+    if (io && driver) {
+      io.to(driver.userId.toString()).emit('scheduledRideReleased', {
+        rideId: ride._id,
+        reason: 'You were not available when the booking was dispatched'
+      });
+    }
+
+    return dispatchRide(ride, io);
+  }
+
+  const now = new Date();
+  const assigned = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'requested' },
+    {
+      status: 'driver_assigned',
+      driver: lockedDriver._id,
+      assignedAt: now,
+      dispatch: {
+        city: getDispatchCity(ride),
+        candidates: [],
+        offers: [{ driver: lockedDriver._id, status: 'accepted', offeredAt: now, expiresAt: now, respondedAt: now }],
+        startedAt: now
+      }
+    },
+    { new: true }
+  );
+  if (!assigned) {
+    await Driver.updateOne({ _id: lockedDriver._id, isAvailable: false }, { isAvailable: true });
+    return { ride, candidates: 0 };
+  }
+
+  if (io) {
+    const user = await User.findById(lockedDriver.userId);
+    io.to(assigned.passenger.toString()).emit('rideAccepted', {
+      rideId: assigned._id,
+      driver: {
+        name: user.name,
+        phone: user.phone,
+        rating: lockedDriver.stats.rating,
+        profilePicture: user.profilePicture,
+        vehicle: lockedDriver.vehicle,
+        currentLocation: lockedDriver.currentLocation
+      }
+    });
+    io.to(lockedDriver.userId.toString()).emit('scheduledRideAssigned', {
+      rideId: assigned._id,
+      pickup: assigned.pickup,
+      destination: assigned.destination,
+      scheduledAt: assigned.scheduledAt,
+      otp: assigned.otp
+    });
+  }
+
+  return { ride: assigned, candidates: 1 };
+}
+
+// The driver let the offer run out; move on to the next candidate
+async function expireOffer(rideId, offerId, io) {
+  const ride = await closeOffer(rideId, offerId, 'timed_out');
+  if (!ride) {
+    return false;
+  }
+
+  const offer = ride.dispatch.offers.id(offerId);
+  const driver = await Driver.findById(offer.driver);
+  if (io && driver) {
+    io.to(driver.userId.toString()).emit('rideOfferExpired', { rideId: ride._id, offerId });
+  }
+
+  await offerNextDriver(ride._id, io);
+  return true;
+}
+
+// Turn down the offer the driver is holding. Resolves to { ride } or { error, status }.
+async function declineOffer(ride, driver, io) {
+  const offer = findPendingOffer(ride, driver);
+  if (!offer) {
+    return { error: 'This ride has not been offered to you', status: 400 };
+  }
+
+  const updated = await closeOffer(ride._id, offer._id, 'declined');
+  if (!updated) {
+    return { error: 'Offer is no longer open', status: 400 };
+  }
+
+  await offerNextDriver(ride._id, io);
+  return { ride: updated };
+}
+
+// Assign the ride to the driver holding its offer. Resolves to { ride, driver } or { error, status };
+// a driver who loses a race for the ride, or is already on another one, gets status 409.
+async function acceptOffer(ride, user, currentLocation, io) {
+  if (ride.status !== 'searching') {
+    return { error: 'Ride is no longer available', status: 409 };
+  }
+
+  const driver = await Driver.findOne({ userId: user._id });
+  if (!driver || !driver.isAvailableForRides()) {
+    return { error: 'Driver not available', status: 400 };
+  }
+
+  if (!driver.isAvailableForRides(ride.paymentMethod)) {
+    return { error: 'Please settle your outstanding dues before accepting cash rides', status: 403 };
+  }
+
+  const offer = findPendingOffer(ride, driver);
+  if (!offer) {
+    const hadOffer = ride.dispatch.offers.some(item => isSameId(item.driver, driver._id));
+    return hadOffer
+      ? { error: 'Your offer for this ride has expired', status: 409 }
+      : { error: 'This ride has not been offered to you', status: 400 };
+  }
+
+  if (!Array.isArray(currentLocation) || currentLocation.length !== 2) {
+    return { error: 'Current location is required', status: 400 };
+  }
+
+  // Check if driver is within acceptable distance
+  const driverDistance = geolib.getDistance(
+    { latitude: currentLocation[1], longitude: currentLocation[0] },
+    { latitude: ride.pickup.coordinates[1], longitude: ride.pickup.coordinates[0] }
+  );
+
+  if (driverDistance > (ride.dispatch.radiusMeters || config.searchRadiusMeters)) {
+    return { error: 'Too far from pickup location', status: 400 };
+  }
+
+  // Take the driver off the market first, so they can never end up holding two rides
+  const lockedDriver = await Driver.findOneAndUpdate(
+    { _id: driver._id, isAvailable: true, isOnline: true },
+    { isAvailable: false, currentLocation: { type: 'Point', coordinates: currentLocation } },
+    { new: true }
+  );
+  if (!lockedDriver) {
+    return { error: 'You already have an active ride', status: 409 };
+  }
+
+  // The flag is the driver's own to set, so also check for a ride they are still on
+  if (await Ride.driverHasActiveRide(driver._id)) {
+    return { error: 'You already have an active ride', status: 409 };
+  }
+
+  // Then assign the ride, but only while it is still searching and the offer is still open
+  const now = new Date();
+  const assigned = await closeOffer(ride._id, offer._id, 'accepted', {
+    filter: { status: 'searching' },
+    update: { status: 'driver_assigned', driver: driver._id, assignedAt: now }
+  });
+  if (!assigned) {
+    await Driver.updateOne({ _id: driver._id, isAvailable: false }, { isAvailable: true });
+    return { error: 'Ride is no longer available; it was cancelled or your offer expired', status: 409 };
+  }
+
+  await assigned.populate('passenger', 'name phone');
+
+  if (io) {
+    io.to(assigned.passenger._id.toString()).emit('rideAccepted', {
+      rideId: assigned._id,
+      driver: {
+        name: user.name,
+        phone: user.phone,
+        rating: lockedDriver.stats.rating,
+        profilePicture: user.profilePicture,
+        vehicle: lockedDriver.vehicle,
+        currentLocation: lockedDriver.currentLocation
+      },
+      estimatedArrival: 5 // minutes
+    });
+  }
+
+  return { ride: assigned, driver: lockedDriver };
+}
+
+// Take back the offer out on a ride the passenger cancelled
+async function withdrawOffer(ride, io) {
+  const offer = ride.dispatch.offers.find(candidate => candidate.status === 'pending');
+  if (!offer || !(await closeOffer(ride._id, offer._id, 'withdrawn'))) {
+    return;
+  }
+
+  const driver = await Driver.findById(offer.driver);
+  if (io && driver) {
+    io.to(driver.userId.toString()).emit('rideCancelled', { rideId: ride._id });
+  }
+}
+
+let cycleRunning = false;
+
+// Widen searches that are due, give up on those whose window has closed, and expire offers
+// whose timer was lost, e.g. in a restart
+async function runDispatchCycle(io, now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    const rides = await Ride.find({
+      status: 'searching',
+      'dispatch.offers': { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } }
+    }).select('rideId dispatch.offers');
+
+    let expired = 0;
+    for (const ride of rides) {
+      const offer = ride.dispatch.offers.find(candidate => candidate.status === 'pending');
+      try {
+        if (await expireOffer(ride._id, offer._id, io)) {
+          expired++;
+        }
+      } catch (error) {
+        console.error(`Dispatch error for ride ${ride.rideId}:`, error);
+      }
+    }
+
+    const waiting = await Ride.find({
+      status: 'searching',
+      'dispatch.nextSearchAt': { $lte: now }
+    });
+
+    let widened = 0;
+    let timedOut = 0;
+    for (const ride of waiting) {
+      try {
+        if (!ride.dispatch.searchExpiresAt || ride.dispatch.searchExpiresAt <= now) {
+          if (await endDispatch(ride._id, io)) {
+            timedOut++;
+          }
+        } else if (await widenSearch(ride, io)) {
+          widened++;
+        }
+      } catch (error) {
+        console.error(`Dispatch error for ride ${ride.rideId}:`, error);
+      }
+    }
+
+    return { expired, widened, timedOut };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+module.exports = {
+  dispatchRide,
+  dispatchReservedRide,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer,
+  runDispatchCycle
+};
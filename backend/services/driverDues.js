@@ -0,0 +1,244 @@
+const Driver = require('../models/Driver');
+const LedgerEntry = require('../models/LedgerEntry');
+const Ride = require('../models/Ride');
+const config = require('../config/dues');
+const { baseCurrency } = require('../config/currency');
+const { getRate, roundAmount } = require('./currency');
+
+const { ACCOUNTS } = LedgerEntry;
+
+// Amount the driver owes the platform (never negative)
+async function getOutstandingDues(driverId) {
+  const balance = await LedgerEntry.getBalance(LedgerEntry.driverDuesAccount(driverId));
+  return Math.max(-balance, 0);
+}
+
+// Refresh the cached balance that isAvailableForRides reads
+async function syncDuesBalance(driverId) {
+  const outstanding = await getOutstandingDues(driverId);
+  await Driver.updateOne({ _id: driverId }, { 'dues.outstanding': outstanding, 'dues.updatedAt': new Date() });
+  return outstanding;
+}
+
+// Post to the dues ledger; a transaction ID that was already posted is a no-op
+async function postDuesTransaction(transaction) {
+  try {
+    await LedgerEntry.postTransaction(transaction);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return syncDuesBalance(transaction.driverId);
+}
+
+// The driver keeps a cash fare, so the platform commission becomes a due as soon as the ride completes.
+// Dues are kept in the base currency; commission in another currency is converted at the day's rate,
+// which the entry records so a later reversal uses the same one. Without a rate the commission is
+// left pending on the ride until recordPendingCashCommissions can post it.
+async function recordCashCommission(ride) {
+  const commission = ride.fare.platformCommission;
+  if (ride.paymentMethod !== 'cash' || !commission || commission <= 0) {
+    return null;
+  }
+
+  const currency = ride.fare.currency || baseCurrency;
+  const rate = await getRate(currency, baseCurrency);
+  if (!rate) {
+    await Ride.updateOne(
+      { _id: ride._id },
+      { 'cashCommission.status': 'pending', 'cashCommission.failureReason': `No ${currency} exchange rate` }
+    );
+    return null;
+  }
+
+  const outstanding = await postDuesTransaction({
+    transactionId: `COMM-${ride.rideId}`,
+    entryType: 'cash_commission',
+    debitAccount: LedgerEntry.driverDuesAccount(ride.driver),
+    creditAccount: ACCOUNTS.COMMISSION_REVENUE,
+    amount: roundAmount(commission * rate, baseCurrency),
+    driverId: ride.driver,
+    rideId: ride._id,
+    description: 'Commission on cash ride',
+    metadata: currency !== baseCurrency ? { currency, amount: commission, rate } : undefined
+  });
+
+  if (ride.cashCommission && ride.cashCommission.status === 'pending') {
+    await Ride.updateOne({ _id: ride._id }, { 'cashCommission.status': 'posted', 'cashCommission.failureReason': null });
+  }
+  return outstanding;
+}
+
+// Post cash commissions that were waiting for an exchange rate
+async function recordPendingCashCommissions() {
+  const rides = await Ride.find({ 'cashCommission.status': 'pending' });
+
+  let recorded = 0;
+  for (const ride of rides) {
+    try {
+      if (await recordCashCommission(ride) !== null) {
+        recorded++;
+      }
+    } catch (error) {
+      console.error(`Cash commission error for ride ${ride.rideId}:`, error);
+    }
+  }
+
+  return { pending: rides.length, recorded };
+}
+
+// Part of a cash ride was paid online after all; the platform keeps that commission from the payout instead
+async function reverseCashCommission(payment) {
+  const commission = payment.driverEarning.commission;
+  if (payment.paymentMethod === 'cash' || !commission || commission <= 0) {
+    return null;
+  }
+
+  const charged = await LedgerEntry.findOne({ entryType: 'cash_commission', rideId: payment.rideId, direction: 'debit' });
+  if (!charged) {
+    return null;
+  }
+
+  const rate = charged.metadata && charged.metadata.rate ? charged.metadata.rate : 1;
+
+  return postDuesTransaction({
+    transactionId: `COMM-REV-${payment.paymentId}`,
+    entryType: 'cash_commission_reversal',
+    debitAccount: ACCOUNTS.COMMISSION_REVENUE,
+    creditAccount: LedgerEntry.driverDuesAccount(payment.driverId),
+    amount: Math.min(roundAmount(commission * rate, baseCurrency), charged.amount),
+    driverId: payment.driverId,
+    rideId: payment.rideId,
+    paymentId: payment.paymentId,
+    description: 'Cash ride paid online',
+    metadata: rate !== 1 ? { currency: payment.currency, amount: commission, rate } : undefined
+  });
+}
+
+// The driver was already paid out for a payment refunded afterwards, so their share of the refund becomes a due
+async function recordRefundClawback(payment, refund) {
+  const currency = payment.currency || baseCurrency;
+  const rate = await getRate(currency, baseCurrency);
+  if (!rate) {
+    console.error(`No ${currency} exchange rate; refund on payment ${payment.paymentId} was not added to dues`);
+    return null;
+  }
+
+  return postDuesTransaction({
+    transactionId: `CLAWBACK-${refund.refundId || refund.reference}`,
+    entryType: 'refund_clawback',
+    debitAccount: LedgerEntry.driverDuesAccount(payment.driverId),
+    creditAccount: ACCOUNTS.DRIVER_PAYOUTS,
+    amount: roundAmount(refund.driverDeduction * rate, baseCurrency),
+    driverId: payment.driverId,
+    rideId: payment.rideId,
+    paymentId: payment.paymentId,
+    description: 'Refund after payout',
+    metadata: currency !== baseCurrency ? { currency, amount: refund.driverDeduction, rate } : undefined
+  });
+}
+
+// A driver who cancels late owes a penalty
+async function recordCancellationPenalty(ride, amount) {
+  return postDuesTransaction({
+    transactionId: `PENALTY-${ride.rideId}`,
+    entryType: 'cancellation_penalty',
+    debitAccount: LedgerEntry.driverDuesAccount(ride.driver),
+    creditAccount: ACCOUNTS.PENALTIES,
+    amount,
+    driverId: ride.driver,
+    rideId: ride._id,
+    description: 'Late ride cancellation'
+  });
+}
+
+// Hold back part of a payout to pay down dues
+function offsetDues(settlement) {
+  return postDuesTransaction({
+    transactionId: `OFFSET-${settlement.settlementId}`,
+    entryType: 'dues_offset',
+    debitAccount: ACCOUNTS.DRIVER_PAYOUTS,
+    creditAccount: LedgerEntry.driverDuesAccount(settlement.driverId),
+    amount: settlement.duesOffset,
+    driverId: settlement.driverId,
+    description: `Deducted from payout ${settlement.settlementId}`,
+    metadata: { settlementId: settlement.settlementId }
+  });
+}
+
+// The payout failed, so the earnings it was going to use are owed again
+function reverseDuesOffset(settlement) {
+  return postDuesTransaction({
+    transactionId: `OFFSET-REV-${settlement.settlementId}`,
+    entryType: 'dues_offset_reversal',
+    debitAccount: LedgerEntry.driverDuesAccount(settlement.driverId),
+    creditAccount: ACCOUNTS.DRIVER_PAYOUTS,
+    amount: settlement.duesOffset,
+    driverId: settlement.driverId,
+    description: `Payout ${settlement.settlementId} failed`,
+    metadata: { settlementId: settlement.settlementId }
+  });
+}
+
+// Credit the dues account once the driver's dues payment is captured
+async function creditDuesPayment(payment) {
+  const driver = await Driver.findOne({ userId: payment.userId });
+  if (!driver) {
+    return null;
+  }
+
+  return postDuesTransaction({
+    transactionId: `DUES-${payment.paymentId}`,
+    entryType: 'dues_payment',
+    debitAccount: ACCOUNTS.GATEWAY_CLEARING,
+    creditAccount: LedgerEntry.driverDuesAccount(driver._id),
+    amount: payment.amount,
+    userId: payment.userId,
+    driverId: driver._id,
+    paymentId: payment.paymentId,
+    description: 'Dues payment',
+    metadata: { provider: payment.paymentProvider, gatewayTransactionId: payment.transactionId }
+  });
+}
+
+// Outstanding dues with the limit that blocks cash rides
+async function getDuesSummary(driver) {
+  const outstanding = await getOutstandingDues(driver._id);
+
+  return {
+    outstanding,
+    limit: config.limit,
+    cashRidesBlocked: outstanding >= config.limit,
+    currency: baseCurrency
+  };
+}
+
+// Dues entries, newest first
+async function getDuesStatement(driverId, { page = 1, limit = 20 } = {}) {
+  const query = { account: LedgerEntry.driverDuesAccount(driverId) };
+
+  const entries = await LedgerEntry.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const totalEntries = await LedgerEntry.countDocuments(query);
+
+  return { entries, totalEntries };
+}
+
+module.exports = {
+  getOutstandingDues,
+  recordCashCommission,
+  recordPendingCashCommissions,
+  reverseCashCommission,
+  recordRefundClawback,
+  recordCancellationPenalty,
+  offsetDues,
+  reverseDuesOffset,
+  creditDuesPayment,
+  getDuesSummary,
+  getDuesStatement
+};
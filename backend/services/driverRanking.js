@@ -0,0 +1,185 @@
+const geolib = require('geolib');
+const Ride = require('../models/Ride');
+const config = require('../config/dispatch');
+
+const { ranking } = config;
+
+function clamp(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 1000) / 1000;
+}
+
+// City whose ranking weights apply to a ride
+function getDispatchCity(ride) {
+  const city = ride.pickup.city || (ride.fareVersion && ride.fareVersion.city);
+  return city ? String(city).toLowerCase().trim() : 'default';
+}
+
+// Ranking weights for a city, falling back to the defaults for anything it does not set
+function getRankingWeights(city) {
+  return { ...ranking.weights.default, ...(ranking.weights[city] || {}) };
+}
+
+// When each driver last finished a trip
+async function getLastTripTimes(driverIds) {
+  const rows = await Ride.aggregate([
+    { $match: { driver: { $in: driverIds }, status: 'completed' } },
+    { $group: { _id: '$driver', lastTripAt: { $max: '$completedAt' } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.lastTripAt]));
+}
+
+// Each score component runs from 0 to 1, higher is better
+function scoreComponents(driver, pickup, { lastTripAt, now }) {
+  const from = { latitude: driver.currentLocation.coordinates[1], longitude: driver.currentLocation.coordinates[0] };
+  const to = { latitude: pickup.coordinates[1], longitude: pickup.coordinates[0] };
+  const distance = geolib.getDistance(from, to);
+  const etaMinutes = Math.ceil((distance / 1000) / ranking.averageSpeedKmh * 60);
+
+  // Full marks when driving straight at the pickup, none when driving straight away
+  let heading = ranking.unknownScore;
+  if (typeof driver.heading === 'number' && distance > 0) {
+    const bearing = geolib.getGreatCircleBearing(from, to);
+    heading = clamp((1 + Math.cos((bearing - driver.heading) * Math.PI / 180)) / 2);
+  }
+
+  // Drivers who have never finished a trip count as idle for the longest
+  const idleMinutes = lastTripAt ? (now - lastTripAt) / 60000 : ranking.maxIdleMinutes;
+
+  const { stats } = driver;
+  const trips = stats.totalRides + stats.cancelledRides;
+
+  return {
+    distance,
+    etaMinutes,
+    components: {
+      eta: clamp(1 - etaMinutes / ranking.maxEtaMinutes),
+      rating: stats.totalRatings > 0 ? clamp(stats.rating / 5) : ranking.unknownScore,
+      acceptance: stats.offersReceived > 0 ? clamp(stats.acceptanceRate / 100) : ranking.unknownScore,
+      reliability: trips > 0 ? clamp(1 - stats.cancelledRides / trips) : ranking.unknownScore,
+      idle: clamp(idleMinutes / ranking.maxIdleMinutes),
+      heading
+    }
+  };
+}
+
+function weightedScore(components, weights) {
+  let total = 0;
+  let weightSum = 0;
+
+  Object.keys(components).forEach(key => {
+    const weight = weights[key] || 0;
+    total += weight * components[key];
+    weightSum += weight;
+  });
+
+  return weightSum > 0 ? Math.round((total / weightSum) * 1000) / 1000 : 0;
+}
+
+// Score drivers for a ride with its city's weights, best first
+async function rankDrivers(drivers, ride, now = new Date()) {
+  const weights = getRankingWeights(getDispatchCity(ride));
+  const lastTrips = await getLastTripTimes(drivers.map(driver => driver._id));
+
+  return drivers
+    .map(driver => {
+      const { distance, etaMinutes, components } = scoreComponents(driver, ride.pickup, {
+        lastTripAt: lastTrips.get(driver._id.toString()),
+        now
+      });
+
+      return { driver, score: weightedScore(components, weights), components, etaMinutes, distance };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Why a driver is not eligible for a ride right now; empty when they are
+function getIneligibilityReasons(driver, ride) {
+  const reasons = [];
+
+  if (driver.vehicle.type !== ride.vehicleType) {
+    reasons.push(`Drives a ${driver.vehicle.type}, the ride needs a ${ride.vehicleType}`);
+  }
+  if (driver.approvalStatus !== 'approved' || driver.backgroundCheckStatus !== 'approved') {
+    reasons.push('Not approved to drive');
+  }
+  if (!driver.isOnline) {
+    reasons.push('Offline');
+  } else if (!driver.isAvailable) {
+    reasons.push('On another ride or unavailable');
+  }
+  if (ride.paymentMethod === 'cash' && driver.hasExceededDuesLimit()) {
+    reasons.push('Outstanding dues are over the limit for cash rides');
+  }
+
+  if (!driver.currentLocation || !driver.currentLocation.coordinates || driver.currentLocation.coordinates.length !== 2) {
+    reasons.push('No known location');
+  } else {
+    const distance = geolib.getDistance(
+      { latitude: driver.currentLocation.coordinates[1], longitude: driver.currentLocation.coordinates[0] },
+      { latitude: ride.pickup.coordinates[1], longitude: ride.pickup.coordinates[0] }
+    );
+    const radiusMeters = ride.dispatch.radiusMeters || config.searchRadiusMeters;
+    if (distance > radiusMeters) {
+      reasons.push(`${distance} m from the pickup, outside the ${radiusMeters} m search radius`);
+    }
+  }
+
+  return reasons;
+}
+
+// Explain to ops whether and why a driver was offered a ride. Drivers who were not
+// ranked are checked against their current state, which may have changed since.
+async function explainDriver(ride, driver, now = new Date()) {
+  const index = ride.dispatch.candidates.findIndex(candidate => candidate.driver.toString() === driver._id.toString());
+  const candidate = index >= 0 ? ride.dispatch.candidates[index] : null;
+  const offer = ride.dispatch.offers.find(item => item.driver.toString() === driver._id.toString());
+
+  if (offer) {
+    return {
+      driverId: driver._id,
+      offered: true,
+      rank: index + 1,
+      reason: `Ranked #${index + 1} and offered the ride; offer ${offer.status.replace('_', ' ')}`,
+      candidate,
+      offer
+    };
+  }
+
+  if (candidate) {
+    let reason = `Ranked #${index + 1}; waiting for their turn`;
+    if (candidate.skipped) {
+      reason = `Ranked #${index + 1} but unavailable or holding another offer when their turn came`;
+    } else if (ride.status !== 'searching') {
+      reason = `Ranked #${index + 1}; the ride was ${ride.status === 'cancelled' ? 'cancelled' : 'taken by a driver ranked higher'} before their turn`;
+    }
+
+    return { driverId: driver._id, offered: false, rank: index + 1, reason, candidate };
+  }
+
+  const reasons = getIneligibilityReasons(driver, ride);
+  if (reasons.length > 0) {
+    return { driverId: driver._id, offered: false, reason: 'Not eligible', details: reasons };
+  }
+
+  const [ranked] = await rankDrivers([driver], ride, now);
+  const lowest = ride.dispatch.candidates[ride.dispatch.candidates.length - 1];
+
+  return {
+    driverId: driver._id,
+    offered: false,
+    reason: ride.dispatch.startedAt
+      ? 'Not among the top-ranked candidates when dispatch started, or not nearby then'
+      : 'Dispatch has not started for this ride',
+    score: ranked.score,
+    components: ranked.components,
+    lowestCandidateScore: lowest ? lowest.score : null
+  };
+}
+
+module.exports = {
+  getDispatchCity,
+  getRankingWeights,
+  rankDrivers,
+  explainDriver
+};
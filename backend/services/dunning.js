@@ -0,0 +1,188 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const config = require('../config/dunning');
+const {
+  chargePayment,
+  capturePayment,
+  syncPaymentStatus,
+  applyGatewayStatus,
+  failPayment,
+  notifyPaymentCompleted,
+  notifyPaymentFailed
+} = require('./payments');
+
+// Saved methods that can be charged while the passenger is away, default first
+function getRetryMethods(user) {
+  return user.paymentMethods
+    .filter(method => method.type === 'wallet' || (['card', 'upi'].includes(method.type) && method.details && method.details.token))
+    .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0))
+    .map(method => (method.type === 'wallet'
+      ? { paymentMethod: 'wallet', paymentProvider: 'wallet' }
+      : { paymentMethod: method.type, paymentProvider: method.details.provider || 'stripe', token: method.details.token }));
+}
+
+// Move a failed payment back to pending so only one retry can run at a time
+function claimPayment(payment, query = {}) {
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'failed', ...query },
+    { status: 'pending', 'dunning.nextRetryAt': null, 'dunning.lastRetryAt': new Date() },
+    { new: true }
+  );
+}
+
+// Charge a claimed payment with the given method and report the outcome
+async function chargeAgain(payment, user, { paymentMethod, paymentProvider, token }, io) {
+  payment.paymentMethod = paymentMethod;
+  payment.paymentProvider = paymentProvider;
+
+  const result = await chargePayment(payment, {
+    token,
+    customer: { id: user._id.toString(), phone: user.phone, email: user.email },
+    reference: `${payment.paymentId}-A${payment.getChargeAttemptCount() + 1}`
+  });
+
+  if (result.status === 'authorized') {
+    await capturePayment(payment);
+  }
+
+  // Nothing reached the gateway; count it as a failed attempt so the backoff still advances
+  if (result.status === 'error') {
+    await failPayment(payment, result.raw);
+  }
+
+  if (payment.status === 'completed') {
+    await notifyPaymentCompleted(io, payment);
+  } else if (payment.status === 'failed') {
+    notifyPaymentFailed(io, payment);
+  }
+
+  return result;
+}
+
+// Automatic retry, rotating to the passenger's next saved method after each failure
+async function retryPayment(payment, io) {
+  const claimed = await claimPayment(payment, { 'dunning.status': 'scheduled' });
+  if (!claimed) {
+    return null;
+  }
+
+  const user = await User.findById(claimed.userId);
+  if (!user) {
+    await failPayment(claimed);
+    return null;
+  }
+
+  const methods = getRetryMethods(user);
+  const method = methods.length > 0
+    ? methods[claimed.getChargeAttemptCount() % methods.length]
+    : { paymentMethod: claimed.paymentMethod, paymentProvider: claimed.paymentProvider };
+
+  const result = await chargeAgain(claimed, user, method, io);
+  return { payment: claimed, result };
+}
+
+// Saved method to bill a passenger who is not there to pay, or null when there is none
+function pickSavedMethod(user, { preferWallet = false } = {}) {
+  const methods = getRetryMethods(user);
+  return (preferWallet && methods.find(method => method.paymentMethod === 'wallet')) || methods[0] || null;
+}
+
+// Charge a new payment to a saved method. With nothing to charge it fails straight away
+// and is left outstanding for the passenger to settle before their next ride.
+async function chargeSavedMethod(payment, user, method, io) {
+  if (!method) {
+    await failPayment(payment, { message: 'No saved payment method to charge' });
+    notifyPaymentFailed(io, payment);
+    return payment;
+  }
+
+  await chargeAgain(payment, user, method, io);
+  return payment;
+}
+
+// Passenger-initiated payment of an outstanding debt
+async function settleOutstandingPayment(payment, user, method, io) {
+  const claimed = await claimPayment(payment, { 'dunning.status': { $in: ['scheduled', 'exhausted'] } });
+  if (!claimed) {
+    return null;
+  }
+
+  const result = await chargeAgain(claimed, user, method, io);
+  return { payment: claimed, result };
+}
+
+// Retries still waiting on the gateway after the timeout are checked once more and then failed,
+// so the next cycle or the passenger can try again instead of the debt being stuck
+async function expireStaleRetries(io, now) {
+  const cutoff = new Date(now.getTime() - config.retryTimeoutMinutes * 60 * 1000);
+  const stale = await Payment.find({
+    status: { $in: ['pending', 'processing'] },
+    'dunning.status': { $in: ['scheduled', 'exhausted'] },
+    'dunning.lastRetryAt': { $lte: cutoff }
+  });
+
+  let expired = 0;
+  for (const payment of stale) {
+    try {
+      await syncPaymentStatus(payment);
+
+      const changed = ['pending', 'processing'].includes(payment.status) &&
+        await applyGatewayStatus(payment, { status: 'failed', raw: { message: 'Retry was not completed in time' } });
+      if (changed) {
+        notifyPaymentFailed(io, payment);
+        expired++;
+      } else if (payment.status === 'completed') {
+        await notifyPaymentCompleted(io, payment);
+      }
+    } catch (error) {
+      console.error(`Stale retry error for ${payment.paymentId}:`, error);
+    }
+  }
+
+  return expired;
+}
+
+let cycleRunning = false;
+
+// Retry every failed payment whose backoff has elapsed
+async function runDunningCycle(io, now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    const expired = await expireStaleRetries(io, now);
+
+    const due = await Payment.find({
+      status: 'failed',
+      'dunning.status': 'scheduled',
+      'dunning.nextRetryAt': { $lte: now }
+    }).sort({ 'dunning.nextRetryAt': 1 });
+
+    let recovered = 0;
+    for (const payment of due) {
+      try {
+        const retry = await retryPayment(payment, io);
+        if (retry && retry.payment.status === 'completed') {
+          recovered++;
+        }
+      } catch (error) {
+        console.error(`Payment retry error for ${payment.paymentId}:`, error);
+      }
+    }
+
+    return { expired, retried: due.length, recovered };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+module.exports = {
+  getRetryMethods,
+  pickSavedMethod,
+  chargeSavedMethod,
+  retryPayment,
+  settleOutstandingPayment,
+  runDunningCycle
+};
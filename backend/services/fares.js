@@ -0,0 +1,221 @@
+const geolib = require('geolib');
+const FareTable = require('../models/FareTable');
+const config = require('../config/fares');
+const { findSurcharges } = require('./geofences');
+const { getCityCurrency } = require('./currency');
+
+const RATE_FIELDS = ['baseRate', 'perKmRate', 'perMinuteRate', 'minimumFare'];
+const SHARE_FIELDS = ['platformFeeRate', 'taxRate', 'driverShare', 'waitingRate', 'freeWaitingMinutes'];
+
+// Local day of week and minute of day for time-of-day rules
+function getLocalTime(date) {
+  const local = new Date(date.getTime() + config.utcOffsetMinutes * 60 * 1000);
+  return {
+    day: local.getUTCDay(),
+    minuteOfDay: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+function normalizeCity(city) {
+  return city ? String(city).toLowerCase().trim() : null;
+}
+
+// Hard-coded fallback for when no table has been published yet
+function getDefaultFareConfig(vehicleType) {
+  const { vehicles, ...shares } = config.defaults;
+  return {
+    ...(vehicles[vehicleType] || vehicles.car),
+    ...shares,
+    version: null
+  };
+}
+
+// Rates for a ride: the city's table (or the default table) in force at that time,
+// with any matching time-of-day rule applied. `version` identifies what was used.
+// Fallbacks are only used in the city's own currency; null when there are no rates in it.
+async function getFareConfig(vehicleType, { city, at = new Date() } = {}) {
+  const normalizedCity = normalizeCity(city);
+  const currency = getCityCurrency(normalizedCity);
+
+  let table = normalizedCity ? await FareTable.findEffective(normalizedCity, vehicleType, at) : null;
+  if (!table || table.currency !== currency) {
+    table = await FareTable.findEffective('default', vehicleType, at);
+  }
+
+  if (!table || table.currency !== currency) {
+    return config.defaults.currency === currency ? getDefaultFareConfig(vehicleType) : null;
+  }
+
+  const { day, minuteOfDay } = getLocalTime(at);
+  return buildFareConfig(table, table.findTimeRule(day, minuteOfDay));
+}
+
+// Flatten a table version and the time rule that applies into the rates calculateFare uses
+function buildFareConfig(table, rule) {
+  const rates = {};
+  RATE_FIELDS.forEach(field => {
+    rates[field] = rule && rule[field] !== undefined && rule[field] !== null ? rule[field] : table[field];
+  });
+
+  return {
+    ...rates,
+    platformFeeRate: table.platformFeeRate,
+    taxRate: table.taxRate,
+    driverShare: table.driverShare,
+    waitingRate: table.waitingRate,
+    freeWaitingMinutes: table.freeWaitingMinutes,
+    currency: table.currency,
+    version: {
+      fareTable: table._id,
+      city: table.city,
+      version: table.version,
+      rule: rule ? rule.name : null
+    }
+  };
+}
+
+// Rates a ride was booked with, from the fare version recorded on it
+async function getFareConfigForRide(ride) {
+  const version = ride.fareVersion;
+  const table = version && version.fareTable ? await FareTable.findById(version.fareTable) : null;
+
+  if (!table) {
+    return getDefaultFareConfig(ride.vehicleType);
+  }
+
+  const rule = version.rule ? table.timeRules.find(timeRule => timeRule.name === version.rule) : null;
+  return buildFareConfig(table, rule || null);
+}
+
+// Length of a GPS trail in kilometers
+function getTrailDistance(points) {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    const [fromLng, fromLat] = points[i - 1].coordinates;
+    const [toLng, toLat] = points[i].coordinates;
+    meters += geolib.getDistance({ latitude: fromLat, longitude: fromLng }, { latitude: toLat, longitude: toLng });
+  }
+  return meters / 1000;
+}
+
+// Reprice a completed ride from what actually happened: the GPS trail, pickup-to-drop time
+// and waiting at pickup. The booked fare is kept in fareAudit; quoted rides keep their quoted fare.
+async function finalizeFare(ride) {
+  const fareConfig = await getFareConfigForRide(ride);
+  const originalFare = ride.fare.toObject();
+
+  const trail = ride.route.actualRoute.filter(point => point.coordinates && point.coordinates.length === 2);
+  const actualDistance = trail.length >= 2 ? Math.round(getTrailDistance(trail) * 100) / 100 : ride.distance;
+  const actualDuration = ride.pickedUpAt && ride.droppedAt
+    ? Math.ceil((ride.droppedAt - ride.pickedUpAt) / 60000)
+    : ride.estimatedDuration;
+  const waitingMinutes = ride.arrivedAt && ride.pickedUpAt
+    ? Math.max(Math.floor((ride.pickedUpAt - ride.arrivedAt) / 60000), 0)
+    : 0;
+
+  ride.actualDistance = actualDistance;
+  ride.actualDuration = actualDuration;
+
+  // Tolls and entry taxes are charged for the road actually taken
+  if (trail.length >= 2) {
+    ride.fare.surcharges = await findSurcharges(ride.vehicleType, {
+      pickup: ride.pickup,
+      destination: ride.destination,
+      route: trail
+    });
+  }
+
+  const recomputedTotal = ride.calculateFare(fareConfig, {
+    distance: actualDistance,
+    duration: actualDuration,
+    waitingMinutes
+  });
+  const recomputedFare = ride.fare.toObject();
+
+  const applied = !(ride.quote && ride.quote.quoteId);
+  if (!applied) {
+    Object.assign(ride.fare, originalFare);
+  }
+
+  const increase = recomputedTotal - originalFare.totalFare;
+  const increasePercent = originalFare.totalFare > 0
+    ? Math.round(increase / originalFare.totalFare * 10000) / 100
+    : 0;
+  const flagged = applied && increasePercent > config.finalFareTolerancePercent;
+
+  ride.fareAudit = {
+    originalFare,
+    recomputedFare,
+    actualDistance,
+    actualDuration,
+    waitingMinutes,
+    increase,
+    increasePercent,
+    applied,
+    flagged,
+    flagReason: flagged ? `Final fare is ${increasePercent}% above the booked fare` : null,
+    recomputedAt: new Date()
+  };
+
+  await ride.save();
+  return ride.fareAudit;
+}
+
+// Publish a new version; the version number is taken as the next one and retried on a clash.
+// Resolves to { table } or { error }.
+async function publishFareTable(fields, createdBy, attempts = 3) {
+  const city = normalizeCity(fields.city) || 'default';
+  const currency = getCityCurrency(city);
+
+  const latest = await FareTable.findOne({ city, vehicleType: fields.vehicleType }).sort({ version: -1 });
+
+  // Anything not given is carried over from the previous version, or the hard-coded defaults
+  // when they are in the city's currency
+  let previous = {};
+  if (latest) {
+    previous = latest.toObject();
+  } else if (config.defaults.currency === currency) {
+    previous = getDefaultFareConfig(fields.vehicleType);
+  }
+
+  const carried = {};
+  [...RATE_FIELDS, ...SHARE_FIELDS, 'timeRules'].forEach(field => {
+    if (previous[field] !== undefined) {
+      carried[field] = previous[field];
+    }
+  });
+
+  const missing = [...RATE_FIELDS, 'platformFeeRate', 'taxRate', 'driverShare']
+    .filter(field => fields[field] === undefined && carried[field] === undefined);
+  if (missing.length > 0) {
+    return { error: `The first ${currency} fare table for a city needs ${missing.join(', ')}` };
+  }
+
+  const table = new FareTable({
+    ...carried,
+    ...fields,
+    city,
+    currency,
+    version: latest ? latest.version + 1 : 1,
+    effectiveFrom: fields.effectiveFrom || new Date(),
+    createdBy
+  });
+
+  try {
+    await table.save();
+    return { table };
+  } catch (error) {
+    if (error.code === 11000 && attempts > 1) {
+      return publishFareTable(fields, createdBy, attempts - 1);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  getFareConfig,
+  getDefaultFareConfig,
+  getFareConfigForRide,
+  finalizeFare,
+  publishFareTable
+};
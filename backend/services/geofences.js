@@ -0,0 +1,55 @@
+const Geofence = require('../models/Geofence');
+
+// Active geofences a GeoJSON geometry touches
+function findIntersecting(geometry) {
+  return Geofence.find({
+    isActive: true,
+    area: { $geoIntersects: { $geometry: geometry } }
+  });
+}
+
+// Path to match route rules against: the recorded or estimated route when there is one,
+// otherwise the straight line from pickup to destination
+function getPath({ pickup, destination, route = [] }) {
+  const points = route
+    .map(point => point.coordinates || point)
+    .filter(coordinates => coordinates && coordinates.length === 2);
+
+  const path = points.length >= 2 ? points : [pickup.coordinates, destination.coordinates];
+
+  // Consecutive duplicates (a parked driver) make an invalid LineString
+  return path.filter((point, i) => i === 0 || point[0] !== path[i - 1][0] || point[1] !== path[i - 1][1]);
+}
+
+// Itemised surcharges for a ride, one line per matching rule
+async function findSurcharges(vehicleType, { pickup, destination, route = [] }) {
+  const path = getPath({ pickup, destination, route });
+
+  const [atPickup, atDestination, onRoute] = await Promise.all([
+    findIntersecting({ type: 'Point', coordinates: pickup.coordinates }),
+    findIntersecting({ type: 'Point', coordinates: destination.coordinates }),
+    path.length >= 2 ? findIntersecting({ type: 'LineString', coordinates: path }) : []
+  ]);
+
+  const surcharges = [];
+  [['pickup', atPickup], ['destination', atDestination], ['route', onRoute]].forEach(([trigger, geofences]) => {
+    geofences.forEach(geofence => {
+      geofence.getRules(trigger, vehicleType).forEach(rule => {
+        surcharges.push({
+          geofence: geofence._id,
+          name: rule.label || geofence.name,
+          type: geofence.type,
+          trigger,
+          amount: rule.amount,
+          payToDriver: rule.payToDriver
+        });
+      });
+    });
+  });
+
+  return surcharges;
+}
+
+module.exports = {
+  findSurcharges
+};
@@ -0,0 +1,317 @@
+const Invoice = require('../models/Invoice');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const config = require('../config/invoices');
+const fareConfig = require('../config/fares');
+const { renderPdf } = require('./invoicePdf');
+const { getFareConfigForRide } = require('./fares');
+const { roundAmount } = require('./currency');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial year (April to March) for a date, e.g. 2026-27
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// Invoice date as printed, in IST
+function formatInvoiceDate(date) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// IST start and end (exclusive) of the calendar days from `from` to `to`, given as dates
+function getIstDayRange(from, to) {
+  const dayStart = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - IST_OFFSET_MS;
+  return {
+    start: new Date(dayStart(from)),
+    end: new Date(dayStart(to) + 24 * 60 * 60 * 1000)
+  };
+}
+
+function formatInvoiceNumber(financialYear, sequence) {
+  return `${config.numberPrefix}-${financialYear}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Break the payment into GST invoice lines; `taxRate` is the fraction the ride was taxed at
+function buildInvoiceLines(payment, taxRate) {
+  const breakdown = payment.breakdown || {};
+  const round = amount => roundAmount(amount, payment.currency);
+  const rideFare = round(breakdown.rideFare);
+  const surgeFare = round(breakdown.surgeFare);
+  const platformFee = round(breakdown.platformFee);
+  const taxableValue = round(rideFare + surgeFare);
+  const gstTotal = round(breakdown.taxes);
+  const cgst = round(gstTotal / 2);
+  const tip = round(breakdown.tip);
+
+  const discounts = [
+    { label: 'Discount', amount: round(breakdown.discount) },
+    { label: 'Coupon discount', amount: round(breakdown.couponDiscount) },
+    { label: 'Pass discount', amount: round(breakdown.passDiscount) }
+  ].filter(line => line.amount > 0);
+
+  const surcharges = (breakdown.surcharges || [])
+    .map(line => ({ label: line.name, amount: round(line.amount) }))
+    .filter(line => line.amount > 0);
+
+  const discountTotal = discounts.reduce((sum, line) => sum + line.amount, 0);
+  const surchargeTotal = surcharges.reduce((sum, line) => sum + line.amount, 0);
+  const computed = taxableValue + platformFee + gstTotal - discountTotal + surchargeTotal + tip;
+
+  return {
+    lines: {
+      rideFare,
+      surgeFare,
+      platformFee,
+      taxableValue,
+      discounts,
+      surcharges,
+      tip,
+      adjustment: round(payment.amount - computed)
+    },
+    gst: {
+      rate: Math.round(taxRate * 10000) / 100,
+      cgst,
+      sgst: round(gstTotal - cgst),
+      total: gstTotal
+    }
+  };
+}
+
+// Insert the invoice with the next free number in its financial year
+async function allocateInvoice(data, issuedAt) {
+  const financialYear = getFinancialYear(issuedAt);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await Invoice.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({
+        ...data,
+        financialYear,
+        sequence,
+        invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+        issuedAt
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Another request invoiced the same payment first
+      const existing = await Invoice.findOne({ paymentId: data.paymentId });
+      if (existing) {
+        return existing;
+      }
+    }
+  }
+
+  throw new Error('Could not allocate invoice number');
+}
+
+// Generate the invoice for a completed payment (idempotent)
+async function generateInvoice(payment) {
+  let invoice = await Invoice.findOne({ paymentId: payment._id });
+
+  if (!invoice) {
+    const ride = await Ride.findById(payment.rideId);
+    const user = await User.findById(payment.userId);
+    // GST at the rate of the fare version the ride was priced with
+    const taxRate = ride ? (await getFareConfigForRide(ride)).taxRate : fareConfig.defaults.taxRate;
+    const { lines, gst } = buildInvoiceLines(payment, taxRate);
+
+    invoice = await allocateInvoice({
+      paymentId: payment._id,
+      rideId: payment.rideId,
+      userId: payment.userId,
+      driverId: payment.driverId,
+      currency: payment.currency,
+      seller: config.seller,
+      customer: user ? { name: user.name, email: user.email, phone: user.phone } : {},
+      trip: ride ? {
+        rideId: ride.rideId,
+        vehicleType: ride.vehicleType,
+        pickup: ride.pickup.address,
+        destination: ride.destination.address,
+        distance: ride.distance,
+        completedAt: ride.completedAt
+      } : {},
+      sacCode: config.sacCode,
+      lines,
+      gst,
+      total: payment.amount
+    }, payment.completedAt || new Date());
+  }
+
+  if (!payment.invoice || payment.invoice.invoiceNumber !== invoice.invoiceNumber) {
+    payment.invoice = {
+      invoiceNumber: invoice.invoiceNumber,
+      generatedAt: invoice.issuedAt,
+      url: `/api/invoices/${invoice.invoiceNumber}/pdf`
+    };
+    await payment.save();
+  }
+
+  return invoice;
+}
+
+// Rows shown on every rendering of the invoice
+function getInvoiceRows(invoice) {
+  const rows = [
+    ['Ride fare', invoice.lines.rideFare],
+    ['Surge', invoice.lines.surgeFare],
+    ['Taxable value', invoice.lines.taxableValue],
+    [`CGST @ ${invoice.gst.rate / 2}%`, invoice.gst.cgst],
+    [`SGST @ ${invoice.gst.rate / 2}%`, invoice.gst.sgst],
+    ['Platform fee', invoice.lines.platformFee]
+  ];
+
+  invoice.lines.discounts.forEach(line => rows.push([line.label, -line.amount]));
+  (invoice.lines.surcharges || []).forEach(line => rows.push([line.label, line.amount]));
+
+  if (invoice.lines.tip) {
+    rows.push(['Tip (paid to driver)', invoice.lines.tip]);
+  }
+  if (invoice.lines.adjustment) {
+    rows.push(['Rounding / minimum fare', invoice.lines.adjustment]);
+  }
+
+  return rows;
+}
+
+function formatAmount(amount, currency) {
+  return `${currency} ${Number(amount || 0).toFixed(2)}`;
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderInvoiceHtml(invoice) {
+  const rows = getInvoiceRows(invoice)
+    .map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${formatAmount(amount, invoice.currency)}</td></tr>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+    td { padding: 6px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <p>
+    <strong>${escapeHtml(invoice.seller.name)}</strong><br>
+    GSTIN: ${escapeHtml(invoice.seller.gstin)}<br>
+    ${escapeHtml(invoice.seller.address)}
+  </p>
+  <p>
+    Invoice number: ${escapeHtml(invoice.invoiceNumber)}<br>
+    Date: ${formatInvoiceDate(invoice.issuedAt)}<br>
+    SAC: ${escapeHtml(invoice.sacCode)}
+  </p>
+  <p>
+    Billed to: ${escapeHtml(invoice.customer.name)}<br>
+    Ride: ${escapeHtml(invoice.trip.rideId)} (${escapeHtml(invoice.trip.vehicleType)}, ${invoice.trip.distance} km)<br>
+    From: ${escapeHtml(invoice.trip.pickup)}<br>
+    To: ${escapeHtml(invoice.trip.destination)}
+  </p>
+  <table>
+        ${rows}
+    <tr class="total"><td>Total</td><td class="amount">${formatAmount(invoice.total, invoice.currency)}</td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function renderInvoicePdf(invoice) {
+  const lines = [];
+  let y = 790;
+  const text = (value, options = {}) => {
+    lines.push({ text: value, x: options.x || 50, y, size: options.size || 10, bold: options.bold });
+  };
+  const next = (gap = 16) => {
+    y -= gap;
+  };
+
+  text('Tax Invoice', { size: 20, bold: true }); next(30);
+  text(invoice.seller.name, { bold: true }); next();
+  text(`GSTIN: ${invoice.seller.gstin}`); next();
+  text(invoice.seller.address); next(24);
+  text(`Invoice number: ${invoice.invoiceNumber}`); next();
+  text(`Date: ${formatInvoiceDate(invoice.issuedAt)}`); next();
+  text(`SAC: ${invoice.sacCode}`); next(24);
+  text(`Billed to: ${invoice.customer.name || ''}`); next();
+  text(`Ride: ${invoice.trip.rideId || ''} (${invoice.trip.vehicleType || ''}, ${invoice.trip.distance || 0} km)`); next();
+  text(`From: ${invoice.trip.pickup || ''}`); next();
+  text(`To: ${invoice.trip.destination || ''}`); next(30);
+
+  getInvoiceRows(invoice).forEach(([label, amount]) => {
+    text(label);
+    text(formatAmount(amount, invoice.currency), { x: 420 });
+    next();
+  });
+
+  next(8);
+  text('Total', { bold: true });
+  text(formatAmount(invoice.total, invoice.currency), { x: 420, bold: true });
+
+  return renderPdf(lines);
+}
+
+// Accounting export
+const CSV_COLUMNS = [
+  'invoiceNumber', 'issuedAt', 'financialYear', 'customerName', 'rideId', 'sacCode',
+  'taxableValue', 'cgst', 'sgst', 'platformFee', 'discounts', 'tip', 'adjustment', 'total', 'currency'
+];
+
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderInvoicesCsv(invoices) {
+  const rows = invoices.map(invoice => [
+    invoice.invoiceNumber,
+    invoice.issuedAt.toISOString(),
+    invoice.financialYear,
+    invoice.customer.name,
+    invoice.trip.rideId,
+    invoice.sacCode,
+    invoice.lines.taxableValue,
+    invoice.gst.cgst,
+    invoice.gst.sgst,
+    invoice.lines.platformFee,
+    invoice.lines.discounts.reduce((sum, line) => sum + line.amount, 0),
+    invoice.lines.tip,
+    invoice.lines.adjustment,
+    invoice.total,
+    invoice.currency
+  ].map(toCsvValue).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  getFinancialYear,
+  getIstDayRange,
+  generateInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderInvoicesCsv
+};
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Pass = require('../models/Pass');
+const PassSubscription = require('../models/PassSubscription');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const config = require('../config/passes');
+const { chargePayment, capturePayment } = require('./payments');
+const { pickSavedMethod, chargeSavedMethod } = require('./dunning');
+
+// Active pass period that covers a ride, soonest to expire first
+async function findApplicablePass(userId, vehicleType, now = new Date()) {
+  const subscriptions = await PassSubscription.find({
+    user: userId,
+    status: 'active',
+    startsAt: { $lte: now },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: 1 });
+
+  return subscriptions.find(subscription => subscription.covers(vehicleType, now)) || null;
+}
+
+// Record the pass on the ride so calculateFare applies its benefits
+function applyPassToRide(ride, subscription) {
+  ride.pass = subscription ? {
+    subscription: subscription._id,
+    code: subscription.code,
+    discountPercent: subscription.benefits.discountPercent,
+    maxDiscountPerRide: subscription.benefits.maxDiscountPerRide,
+    waiveSurge: subscription.benefits.waiveSurge
+  } : undefined;
+}
+
+// Count a ride against the pass, unless a concurrent booking used the last one
+async function redeemPassRide(ride, now = new Date()) {
+  const updated = await PassSubscription.findOneAndUpdate({
+    _id: ride.pass.subscription,
+    status: 'active',
+    expiresAt: { $gt: now },
+    $or: [
+      { rideLimit: null },
+      { $expr: { $lt: ['$ridesUsed', '$rideLimit'] } }
+    ]
+  }, { $inc: { ridesUsed: 1 } }, { new: true });
+
+  return Boolean(updated);
+}
+
+// Whether the pass already counted on a ride also covers another vehicle type
+async function passCoversVehicleType(ride, vehicleType) {
+  const subscription = await PassSubscription.findById(ride.pass.subscription);
+  return Boolean(subscription) &&
+    (subscription.vehicleTypes.length === 0 || subscription.vehicleTypes.includes(vehicleType));
+}
+
+// Give the ride back when the ride it was used on is cancelled
+async function releasePassRide(ride) {
+  if (!ride.pass || !ride.pass.subscription) {
+    return;
+  }
+
+  await PassSubscription.updateOne(
+    { _id: ride.pass.subscription, ridesUsed: { $gt: 0 } },
+    { $inc: { ridesUsed: -1 } }
+  );
+}
+
+// New, unpaid period of a pass with its benefits copied from the pass as it is now
+function buildSubscription(pass, userId, { autoRenew = true, startsAt, renewedFrom, _id } = {}) {
+  return new PassSubscription({
+    _id,
+    user: userId,
+    pass: pass._id,
+    code: pass.code,
+    name: pass.name,
+    benefits: pass.benefits,
+    rideLimit: pass.rideLimit,
+    vehicleTypes: pass.vehicleTypes,
+    durationDays: pass.durationDays,
+    startsAt,
+    autoRenew,
+    renewedFrom
+  });
+}
+
+function buildPassPayment(pass, subscription, userId, { paymentMethod, paymentProvider, metadata }) {
+  return new Payment({
+    type: 'pass',
+    passSubscription: subscription._id,
+    userId,
+    amount: pass.price,
+    currency: pass.currency,
+    paymentMethod,
+    paymentProvider,
+    breakdown: { total: pass.price },
+    driverEarning: { amount: 0, commission: pass.price, netEarning: 0 },
+    metadata
+  });
+}
+
+// Buy a pass; the period starts once the payment is captured
+async function purchasePass(pass, user, { paymentMethod, paymentProvider, paymentToken, autoRenew, metadata }) {
+  const subscription = buildSubscription(pass, user._id, { autoRenew });
+  await subscription.save();
+
+  const payment = buildPassPayment(pass, subscription, user._id, { paymentMethod, paymentProvider, metadata });
+  await payment.save();
+
+  const charge = await chargePayment(payment, {
+    token: paymentToken,
+    customer: { id: user._id.toString(), phone: user.phone, email: user.email }
+  });
+
+  if (charge.status === 'authorized') {
+    await capturePayment(payment);
+  }
+
+  return {
+    subscription: await PassSubscription.findById(subscription._id),
+    payment,
+    charge
+  };
+}
+
+// Charge the next period to the passenger's saved method, starting when the current one ends
+async function renewSubscription(subscription, io) {
+  const pass = await Pass.findById(subscription.pass);
+  const user = await User.findById(subscription.user);
+  if (!pass || !pass.isActive || !user) {
+    return null;
+  }
+
+  // Claim the renewal so a period is only ever renewed once
+  const renewalId = new mongoose.Types.ObjectId();
+  const claimed = await PassSubscription.findOneAndUpdate(
+    { _id: subscription._id, renewedTo: null },
+    { renewedTo: renewalId }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const renewal = buildSubscription(pass, user._id, {
+    _id: renewalId,
+    startsAt: subscription.expiresAt,
+    renewedFrom: subscription._id
+  });
+  await renewal.save();
+
+  const method = pickSavedMethod(user);
+  const payment = buildPassPayment(pass, renewal, user._id, {
+    paymentMethod: method ? method.paymentMethod : 'cash',
+    paymentProvider: method ? method.paymentProvider : 'cash'
+  });
+  await payment.save();
+
+  await chargeSavedMethod(payment, user, method, io);
+  return payment;
+}
+
+let cycleRunning = false;
+
+// Renew periods that are about to end and expire the ones that have
+async function runPassCycle(io, now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    const due = await PassSubscription.find({
+      status: 'active',
+      autoRenew: true,
+      renewedTo: null,
+      expiresAt: { $lte: new Date(now.getTime() + config.renewBeforeHours * 60 * 60 * 1000) }
+    });
+
+    let renewed = 0;
+    for (const subscription of due) {
+      try {
+        const payment = await renewSubscription(subscription, io);
+        if (payment && payment.status === 'completed') {
+          renewed++;
+        }
+      } catch (error) {
+        console.error(`Pass renewal error for subscription ${subscription._id}:`, error);
+      }
+    }
+
+    const expired = await PassSubscription.updateMany(
+      { status: 'active', expiresAt: { $lte: now } },
+      { status: 'expired' }
+    );
+
+    return { renewalsDue: due.length, renewed, expired: expired.modifiedCount };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+module.exports = {
+  findApplicablePass,
+  applyPassToRide,
+  redeemPassRide,
+  passCoversVehicleType,
+  releasePassRide,
+  purchasePass,
+  runPassCycle
+};
@@ -0,0 +1,43 @@
+// Cash is collected by the driver, so there is no remote gateway to call.
+// Charges wait for the driver to confirm collection and refunds are paid out manually.
+// There are no webhooks for cash, so parseWebhook is not implemented.
+function createCashProvider() {
+  return {
+    name: 'cash',
+
+    async createCharge({ reference }) {
+      return {
+        status: 'pending',
+        transactionId: `CASH-${reference}`,
+        raw: { provider: 'cash', reference }
+      };
+    },
+
+    async capture({ transactionId, amount }) {
+      return {
+        status: 'captured',
+        transactionId,
+        raw: { provider: 'cash', collected: amount, collectedAt: new Date() }
+      };
+    },
+
+    async refund({ transactionId, amount, reference }) {
+      return {
+        status: 'pending',
+        transactionId,
+        refundId: `CASHRF-${reference}`,
+        raw: { provider: 'cash', amount, note: 'Refund to be settled manually' }
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      return {
+        status: 'pending',
+        transactionId,
+        raw: { provider: 'cash' }
+      };
+    }
+  };
+}
+
+module.exports = createCashProvider;
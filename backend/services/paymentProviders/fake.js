@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { hmacSha256Hex, safeEqual, invalidSignatureError } = require('./signature');
+
+// Test tokens that drive the fake gateway's outcome
+const TOKENS = {
+  SUCCESS: 'fake_success',
+  DECLINED: 'fake_declined',
+  PENDING: 'fake_pending'
+};
+
+function getWebhookSecret() {
+  return process.env.FAKE_WEBHOOK_SECRET || 'fake-webhook-secret';
+}
+
+// Sign a fake webhook payload the same way the fake gateway expects it
+function signWebhook(rawBody) {
+  return hmacSha256Hex(rawBody, getWebhookSecret());
+}
+
+function deterministicId(prefix, seed) {
+  return prefix + crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 16);
+}
+
+// Deterministic in-memory gateway so the payment flow can run offline.
+// IDs are derived from the references passed in, so repeated runs produce the same data.
+function createFakeProvider(options = {}) {
+  const name = options.name || 'fake';
+  const charges = new Map();
+
+  const snapshot = (charge, extra = {}) => ({
+    status: charge.status,
+    transactionId: charge.id,
+    errorMessage: charge.errorMessage || null,
+    raw: { provider: name, ...charge, refunds: [...charge.refunds] },
+    ...extra
+  });
+
+  return {
+    name,
+
+    async createCharge({ reference, amount, currency, token = TOKENS.SUCCESS }) {
+      const id = deterministicId('fake_txn_', reference);
+      const existing = charges.get(id);
+      if (existing) {
+        return snapshot(existing);
+      }
+
+      const charge = {
+        id,
+        reference,
+        amount,
+        currency,
+        captured: 0,
+        refunded: 0,
+        refunds: [],
+        status: 'authorized',
+        errorMessage: null
+      };
+
+      if (token === TOKENS.DECLINED) {
+        charge.status = 'failed';
+        charge.errorMessage = 'Card declined';
+      } else if (token === TOKENS.PENDING) {
+        charge.status = 'pending';
+      }
+
+      charges.set(id, charge);
+      return snapshot(charge);
+    },
+
+    async capture({ transactionId, amount }) {
+      const charge = charges.get(transactionId);
+      if (!charge) {
+        return { status: 'failed', transactionId, errorMessage: 'Unknown transaction', raw: { provider: name } };
+      }
+
+      if (['authorized', 'pending'].includes(charge.status)) {
+        if (amount > charge.amount) {
+          charge.status = 'failed';
+          charge.errorMessage = 'Capture amount exceeds authorized amount';
+        } else {
+          charge.status = 'captured';
+          charge.captured = amount;
+        }
+      }
+
+      return snapshot(charge);
+    },
+
+    async refund({ transactionId, amount, reference }) {
+      const charge = charges.get(transactionId);
+      if (!charge) {
+        return { status: 'failed', transactionId, errorMessage: 'Unknown transaction', raw: { provider: name } };
+      }
+
+      const refundId = deterministicId('fake_rfnd_', `${transactionId}:${reference}`);
+      const existing = charge.refunds.find(refund => refund.id === refundId);
+      if (existing) {
+        return snapshot(charge, { status: existing.status, refundId });
+      }
+
+      const refund = { id: refundId, amount, status: 'refunded' };
+      if (charge.captured === 0 || charge.refunded + amount > charge.captured) {
+        refund.status = 'failed';
+      } else {
+        charge.refunded += amount;
+      }
+      charge.refunds.push(refund);
+
+      return snapshot(charge, {
+        status: refund.status,
+        refundId,
+        errorMessage: refund.status === 'failed' ? 'Refund exceeds captured amount' : null
+      });
+    },
+
+    async fetchStatus({ transactionId }) {
+      const charge = charges.get(transactionId);
+      if (!charge) {
+        return { status: 'failed', transactionId, errorMessage: 'Unknown transaction', raw: { provider: name } };
+      }
+
+      return snapshot(charge);
+    },
+
+    // Fake events are already normalized: { id, type, transactionId, refundId, errorMessage }
+    parseWebhook({ headers, rawBody }) {
+      if (!safeEqual(signWebhook(rawBody), headers['x-fake-signature'])) {
+        throw invalidSignatureError(name);
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        eventId: event.id,
+        type: event.type,
+        transactionId: event.transactionId,
+        refundId: event.refundId || null,
+        errorMessage: event.errorMessage || null,
+        raw: event
+      };
+    }
+  };
+}
+
+module.exports = createFakeProvider;
+module.exports.TOKENS = TOKENS;
+module.exports.signWebhook = signWebhook;
@@ -0,0 +1,21 @@
+const createRazorpayProvider = require('./razorpay');
+
+// Google Pay has no merchant charge API of its own: UPI collections are
+// settled through a payment aggregator, so this adapter routes through Razorpay
+function createGooglePayProvider(options = {}) {
+  const gateway = options.gateway || createRazorpayProvider(options);
+
+  return {
+    ...gateway,
+    name: 'googlepay',
+
+    async createCharge(params) {
+      return gateway.createCharge({
+        ...params,
+        metadata: { ...params.metadata, app: 'googlepay', method: 'upi' }
+      });
+    }
+  };
+}
+
+module.exports = createGooglePayProvider;
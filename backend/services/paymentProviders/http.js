@@ -0,0 +1,32 @@
+// Minimal JSON-over-HTTPS helper shared by the REST based gateway adapters
+async function requestJson(url, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (error) {
+    data = { raw: text };
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Gateway request failed with status ${response.status}`);
+    error.statusCode = response.status;
+    error.response = data;
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  requestJson
+};
@@ -0,0 +1,73 @@
+const createStripeProvider = require('./stripe');
+const createRazorpayProvider = require('./razorpay');
+const createPaytmProvider = require('./paytm');
+const createPhonePeProvider = require('./phonepe');
+const createGooglePayProvider = require('./googlepay');
+const createCashProvider = require('./cash');
+const createWalletProvider = require('./wallet');
+const createFakeProvider = require('./fake');
+
+// Every adapter implements the same interface:
+//   createCharge({ reference, amount, currency, token, customer, metadata })
+//   capture({ transactionId, gatewayPaymentId, amount, currency })
+//   refund({ transactionId, amount, currency, reference })
+//   fetchStatus({ transactionId })
+// and resolves to { status, transactionId, refundId, errorMessage, raw } where status is
+// one of created, pending, authorized, captured, refunded or failed.
+//
+// Online gateways also implement parseWebhook({ headers, rawBody, body }), which verifies the
+// signature and returns { eventId, type, transactionId, alternateTransactionIds, refundId,
+// errorMessage, raw }. type is one of charge.authorized, charge.captured, charge.failed,
+// refund.pending, refund.processed, refund.failed, or null for events we ignore.
+const factories = {
+  stripe: createStripeProvider,
+  razorpay: createRazorpayProvider,
+  paytm: createPaytmProvider,
+  phonepe: createPhonePeProvider,
+  googlepay: createGooglePayProvider,
+  cash: createCashProvider,
+  wallet: createWalletProvider
+};
+
+// Providers settled inside the platform; these never use the fake gateway
+const localProviders = ['cash', 'wallet'];
+
+const providers = new Map();
+
+// PAYMENT_GATEWAY_MODE=fake routes every online gateway through the local fake
+function useFakeGateways() {
+  const mode = process.env.PAYMENT_GATEWAY_MODE || (process.env.NODE_ENV === 'test' ? 'fake' : 'live');
+  return mode === 'fake';
+}
+
+// Get (and lazily create) the adapter for a Payment.paymentProvider value
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unsupported payment provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    const factory = !localProviders.includes(name) && useFakeGateways() ? createFakeProvider : factories[name];
+    providers.set(name, factory({ name }));
+  }
+
+  return providers.get(name);
+}
+
+// Replace an adapter, e.g. with a stubbed client
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+function resetProviders() {
+  providers.clear();
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  resetProviders,
+  useFakeGateways,
+  localProviders,
+  supportedProviders: Object.keys(factories)
+};
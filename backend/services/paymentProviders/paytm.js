@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { requestJson } = require('./http');
+const { invalidSignatureError } = require('./signature');
+
+const CHECKSUM_IV = '@@@@&&&&####$$$$';
+
+// Map Paytm transaction states to our normalized charge states
+const STATUS_MAP = {
+  TXN_SUCCESS: 'captured',
+  PENDING: 'pending',
+  TXN_FAILURE: 'failed'
+};
+
+// Paytm checksum: AES-128-CBC over sha256(body|salt) + salt
+function generateSignature(body, merchantKey) {
+  const salt = crypto.randomBytes(3).toString('base64');
+  const hash = crypto.createHash('sha256').update(`${body}|${salt}`).digest('hex') + salt;
+  const cipher = crypto.createCipheriv('aes-128-cbc', merchantKey, CHECKSUM_IV);
+  return cipher.update(hash, 'utf8', 'base64') + cipher.final('base64');
+}
+
+function verifySignature(body, merchantKey, signature) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', merchantKey, CHECKSUM_IV);
+    const hash = decipher.update(signature, 'base64', 'utf8') + decipher.final('utf8');
+    const salt = hash.slice(-4);
+    const expected = crypto.createHash('sha256').update(`${body}|${salt}`).digest('hex') + salt;
+    return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expected));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Callback params are signed as their values joined by '|' in key order
+function getSignedParamString(params) {
+  return Object.keys(params)
+    .filter(key => key !== 'CHECKSUMHASH')
+    .sort()
+    .map(key => (params[key] === null || params[key] === undefined ? '' : params[key]))
+    .join('|');
+}
+
+function createPaytmProvider(options = {}) {
+  const mid = options.merchantId || process.env.PAYTM_MID;
+  const merchantKey = options.merchantKey || process.env.PAYTM_MERCHANT_KEY;
+  const host = options.host || process.env.PAYTM_HOST || 'https://securegw.paytm.in';
+
+  const call = (path, body) => requestJson(`${host}${path}`, {
+    method: 'POST',
+    body: {
+      head: { signature: generateSignature(JSON.stringify(body), merchantKey) },
+      body
+    }
+  });
+
+  const fromStatus = (transactionId, response) => {
+    const result = response.body || {};
+    return {
+      status: STATUS_MAP[result.resultInfo && result.resultInfo.resultStatus] || 'pending',
+      transactionId,
+      errorMessage: result.resultInfo && result.resultInfo.resultStatus === 'TXN_FAILURE'
+        ? result.resultInfo.resultMsg
+        : null,
+      raw: response
+    };
+  };
+
+  return {
+    name: 'paytm',
+
+    // Paytm uses our order ID as its transaction reference
+    async createCharge({ reference, amount, currency, customer = {} }) {
+      const response = await call(`/theia/api/v1/initiateTransaction?mid=${mid}&orderId=${reference}`, {
+        requestType: 'Payment',
+        mid,
+        orderId: reference,
+        txnAmount: { value: amount.toFixed(2), currency },
+        userInfo: { custId: customer.id }
+      });
+
+      const result = response.body || {};
+      return {
+        status: result.resultInfo && result.resultInfo.resultStatus === 'S' ? 'created' : 'failed',
+        transactionId: reference,
+        clientSecret: result.txnToken,
+        errorMessage: result.resultInfo && result.resultInfo.resultStatus !== 'S' ? result.resultInfo.resultMsg : null,
+        raw: response
+      };
+    },
+
+    // Paytm captures automatically, so capturing only confirms the final state
+    async capture({ transactionId }) {
+      return this.fetchStatus({ transactionId });
+    },
+
+    async refund({ transactionId, amount, reference }) {
+      const status = await call('/v3/order/status', { mid, orderId: transactionId });
+      const response = await call('/refund/apply', {
+        mid,
+        txnType: 'REFUND',
+        orderId: transactionId,
+        txnId: status.body && status.body.txnId,
+        refId: reference,
+        refundAmount: amount.toFixed(2)
+      });
+
+      const result = response.body || {};
+      const resultStatus = result.resultInfo && result.resultInfo.resultStatus;
+      return {
+        status: resultStatus === 'TXN_SUCCESS' ? 'refunded' : resultStatus === 'TXN_FAILURE' ? 'failed' : 'pending',
+        transactionId,
+        refundId: result.refundId || reference,
+        raw: response
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      const response = await call('/v3/order/status', { mid, orderId: transactionId });
+      return fromStatus(transactionId, response);
+    },
+
+    // Paytm posts form encoded callbacks carrying a CHECKSUMHASH
+    parseWebhook({ body }) {
+      if (!body.CHECKSUMHASH || !verifySignature(getSignedParamString(body), merchantKey, body.CHECKSUMHASH)) {
+        throw invalidSignatureError('paytm');
+      }
+
+      const isRefund = Boolean(body.REFUNDID || body.REFID);
+      const outcome = body.STATUS === 'TXN_SUCCESS' ? 'success' : body.STATUS === 'TXN_FAILURE' ? 'failure' : 'pending';
+      const types = isRefund
+        ? { success: 'refund.processed', failure: 'refund.failed', pending: 'refund.pending' }
+        : { success: 'charge.captured', failure: 'charge.failed', pending: null };
+
+      return {
+        eventId: [body.TXNID, body.REFUNDID, body.STATUS].filter(Boolean).join(':'),
+        type: types[outcome],
+        transactionId: body.ORDERID,
+        refundId: isRefund ? (body.REFUNDID || body.REFID) : null,
+        errorMessage: outcome === 'failure' ? body.RESPMSG : null,
+        raw: body
+      };
+    }
+  };
+}
+
+module.exports = createPaytmProvider;
+module.exports.generateSignature = generateSignature;
+module.exports.verifySignature = verifySignature;
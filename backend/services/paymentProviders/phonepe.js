@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { requestJson } = require('./http');
+const { toMinorUnits } = require('../currency');
+const { safeEqual, invalidSignatureError } = require('./signature');
+
+// Map PhonePe response codes to our normalized charge states
+const STATUS_MAP = {
+  PAYMENT_SUCCESS: 'captured',
+  PAYMENT_PENDING: 'pending',
+  PAYMENT_ERROR: 'failed',
+  PAYMENT_DECLINED: 'failed',
+  TIMED_OUT: 'failed'
+};
+
+// X-VERIFY header: sha256(payload + path + saltKey) ### saltIndex
+function buildChecksum(payload, path, saltKey, saltIndex) {
+  return crypto.createHash('sha256').update(payload + path + saltKey).digest('hex') + '###' + saltIndex;
+}
+
+function createPhonePeProvider(options = {}) {
+  const merchantId = options.merchantId || process.env.PHONEPE_MERCHANT_ID;
+  const saltKey = options.saltKey || process.env.PHONEPE_SALT_KEY;
+  const saltIndex = options.saltIndex || process.env.PHONEPE_SALT_INDEX || '1';
+  const host = options.host || process.env.PHONEPE_HOST || 'https://api.phonepe.com/apis/hermes';
+  const callbackUrl = options.callbackUrl || process.env.PHONEPE_CALLBACK_URL;
+
+  const post = (path, payload) => {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64');
+    return requestJson(`${host}${path}`, {
+      method: 'POST',
+      headers: { 'X-VERIFY': buildChecksum(encoded, path, saltKey, saltIndex) },
+      body: { request: encoded }
+    });
+  };
+
+  const get = (path) => requestJson(`${host}${path}`, {
+    headers: {
+      'X-VERIFY': buildChecksum('', path, saltKey, saltIndex),
+      'X-MERCHANT-ID': merchantId
+    }
+  });
+
+  return {
+    name: 'phonepe',
+
+    // PhonePe uses our merchant transaction ID throughout
+    async createCharge({ reference, amount, currency, customer = {} }) {
+      const response = await post('/pg/v1/pay', {
+        merchantId,
+        merchantTransactionId: reference,
+        merchantUserId: customer.id,
+        amount: toMinorUnits(amount, currency),
+        callbackUrl,
+        mobileNumber: customer.phone,
+        paymentInstrument: { type: 'PAY_PAGE' }
+      });
+
+      return {
+        status: response.success ? 'created' : 'failed',
+        transactionId: reference,
+        redirectUrl: response.data && response.data.instrumentResponse
+          ? response.data.instrumentResponse.redirectInfo.url
+          : null,
+        errorMessage: response.success ? null : response.message,
+        raw: response
+      };
+    },
+
+    // PhonePe captures automatically, so capturing only confirms the final state
+    async capture({ transactionId }) {
+      return this.fetchStatus({ transactionId });
+    },
+
+    async refund({ transactionId, amount, currency, reference }) {
+      const response = await post('/pg/v1/refund', {
+        merchantId,
+        merchantTransactionId: reference,
+        originalTransactionId: transactionId,
+        amount: toMinorUnits(amount, currency),
+        callbackUrl
+      });
+
+      return {
+        status: response.code === 'PAYMENT_SUCCESS' ? 'refunded' : response.success ? 'pending' : 'failed',
+        transactionId,
+        refundId: reference,
+        errorMessage: response.success ? null : response.message,
+        raw: response
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      const response = await get(`/pg/v1/status/${merchantId}/${transactionId}`);
+      return {
+        status: STATUS_MAP[response.code] || 'pending',
+        transactionId,
+        errorMessage: STATUS_MAP[response.code] === 'failed' ? response.message : null,
+        raw: response
+      };
+    },
+
+    // PhonePe callbacks carry a base64 payload signed with sha256(payload + saltKey)
+    parseWebhook({ headers, body }) {
+      // Without a salt key anyone could compute the checksum
+      if (!saltKey) {
+        throw invalidSignatureError('phonepe');
+      }
+
+      const expected = crypto.createHash('sha256').update(body.response + saltKey).digest('hex') + '###' + saltIndex;
+      if (!body.response || !safeEqual(expected, headers['x-verify'])) {
+        throw invalidSignatureError('phonepe');
+      }
+
+      const payload = JSON.parse(Buffer.from(body.response, 'base64').toString('utf8'));
+      const data = payload.data || {};
+      const status = STATUS_MAP[payload.code] || 'pending';
+
+      // Refund references are the payment ID with a -R<timestamp> suffix
+      const isRefund = /-R\d+$/.test(data.merchantTransactionId);
+      const types = isRefund
+        ? { captured: 'refund.processed', failed: 'refund.failed', pending: 'refund.pending' }
+        : { captured: 'charge.captured', failed: 'charge.failed', pending: null };
+
+      return {
+        eventId: `${data.transactionId || data.merchantTransactionId}:${payload.code}`,
+        type: types[status],
+        transactionId: isRefund ? null : data.merchantTransactionId,
+        refundId: isRefund ? data.merchantTransactionId : null,
+        errorMessage: status === 'failed' ? payload.message : null,
+        raw: payload
+      };
+    }
+  };
+}
+
+module.exports = createPhonePeProvider;
+module.exports.buildChecksum = buildChecksum;
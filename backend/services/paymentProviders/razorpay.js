@@ -0,0 +1,141 @@
+const { requestJson } = require('./http');
+const { toMinorUnits } = require('../currency');
+const { hmacSha256Hex, safeEqual, invalidSignatureError } = require('./signature');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Map Razorpay payment states to our normalized charge states
+const STATUS_MAP = {
+  created: 'created',
+  authorized: 'authorized',
+  captured: 'captured',
+  refunded: 'refunded',
+  failed: 'failed'
+};
+
+// Map Razorpay webhook events to normalized event types
+const EVENT_MAP = {
+  'payment.authorized': 'charge.authorized',
+  'payment.captured': 'charge.captured',
+  'payment.failed': 'charge.failed',
+  'refund.created': 'refund.pending',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed'
+};
+
+function createRazorpayProvider(options = {}) {
+  const keyId = options.keyId || process.env.RAZORPAY_KEY_ID;
+  const keySecret = options.keySecret || process.env.RAZORPAY_KEY_SECRET;
+  const webhookSecret = options.webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET;
+  const authorization = 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+  const call = (path, method = 'GET', body) => requestJson(`${API_BASE}${path}`, {
+    method,
+    headers: { Authorization: authorization },
+    body
+  });
+
+  const fromPayment = (payment) => ({
+    status: STATUS_MAP[payment.status] || 'pending',
+    transactionId: payment.id,
+    errorMessage: payment.error_description || null,
+    raw: payment
+  });
+
+  return {
+    name: 'razorpay',
+
+    // Razorpay charges start as an order; the checkout returns a payment ID
+    // which replaces the order ID as our transaction ID once captured
+    async createCharge({ reference, amount, currency, metadata = {} }) {
+      const order = await call('/orders', 'POST', {
+        amount: toMinorUnits(amount, currency),
+        currency,
+        receipt: reference,
+        notes: metadata,
+        payment_capture: 0
+      });
+
+      return {
+        status: 'created',
+        transactionId: order.id,
+        raw: order
+      };
+    },
+
+    async capture({ transactionId, gatewayPaymentId, amount, currency }) {
+      const payment = await call(`/payments/${gatewayPaymentId || transactionId}/capture`, 'POST', {
+        amount: toMinorUnits(amount, currency),
+        currency
+      });
+
+      return fromPayment(payment);
+    },
+
+    async refund({ transactionId, amount, currency, reference }) {
+      const refund = await call(`/payments/${transactionId}/refund`, 'POST', {
+        amount: toMinorUnits(amount, currency),
+        receipt: reference
+      });
+
+      return {
+        status: refund.status === 'processed' ? 'refunded' : refund.status === 'failed' ? 'failed' : 'pending',
+        transactionId,
+        refundId: refund.id,
+        raw: refund
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      if (transactionId.startsWith('order_')) {
+        const { items = [] } = await call(`/orders/${transactionId}/payments`);
+        if (items.length === 0) {
+          return { status: 'created', transactionId, raw: { items } };
+        }
+        return fromPayment(items[0]);
+      }
+
+      const payment = await call(`/payments/${transactionId}`);
+      return fromPayment(payment);
+    },
+
+    parseWebhook({ headers, rawBody }) {
+      // Without a secret no callback can be verified
+      if (!webhookSecret) {
+        throw invalidSignatureError('razorpay');
+      }
+
+      const expected = hmacSha256Hex(rawBody, webhookSecret);
+      if (!safeEqual(expected, headers['x-razorpay-signature'])) {
+        throw invalidSignatureError('razorpay');
+      }
+
+      const payload = JSON.parse(rawBody.toString('utf8'));
+      const entities = payload.payload || {};
+      const refund = entities.refund && entities.refund.entity;
+      const payment = entities.payment && entities.payment.entity;
+      const entity = refund || payment;
+
+      // Events about other entities (orders alone, settlements, ...) are acknowledged and ignored
+      if (!entity) {
+        return {
+          eventId: headers['x-razorpay-event-id'] || `${payload.event}:${payload.created_at}`,
+          type: null,
+          raw: payload
+        };
+      }
+
+      return {
+        eventId: headers['x-razorpay-event-id'] || `${payload.event}:${entity.id}`,
+        type: EVENT_MAP[payload.event] || null,
+        transactionId: refund ? refund.payment_id : payment.id,
+        alternateTransactionIds: payment && payment.order_id ? [payment.order_id] : [],
+        refundId: refund ? refund.id : null,
+        errorMessage: payment && payment.error_description ? payment.error_description : null,
+        raw: payload
+      };
+    }
+  };
+}
+
+module.exports = createRazorpayProvider;
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+function hmacSha256Hex(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Errors thrown by parseWebhook when a callback cannot be trusted
+function invalidSignatureError(provider) {
+  const error = new Error(`Invalid ${provider} webhook signature`);
+  error.code = 'INVALID_SIGNATURE';
+  return error;
+}
+
+module.exports = {
+  hmacSha256Hex,
+  safeEqual,
+  invalidSignatureError
+};
@@ -0,0 +1,120 @@
+const Stripe = require('stripe');
+const { toMinorUnits } = require('../currency');
+const { invalidSignatureError } = require('./signature');
+
+// Map Stripe PaymentIntent states to our normalized charge states
+const STATUS_MAP = {
+  requires_payment_method: 'created',
+  requires_confirmation: 'created',
+  requires_action: 'pending',
+  processing: 'pending',
+  requires_capture: 'authorized',
+  succeeded: 'captured',
+  canceled: 'failed'
+};
+
+// Map Stripe webhook types to normalized event types
+const EVENT_MAP = {
+  'payment_intent.amount_capturable_updated': 'charge.authorized',
+  'payment_intent.succeeded': 'charge.captured',
+  'payment_intent.payment_failed': 'charge.failed',
+  'payment_intent.canceled': 'charge.failed'
+};
+
+const REFUND_STATUS_MAP = {
+  succeeded: 'refund.processed',
+  failed: 'refund.failed',
+  canceled: 'refund.failed',
+  pending: 'refund.pending'
+};
+
+function createStripeProvider(options = {}) {
+  const stripe = options.client || Stripe(options.secretKey || process.env.STRIPE_SECRET_KEY);
+  const webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+
+  const fromIntent = (intent) => ({
+    status: STATUS_MAP[intent.status] || 'pending',
+    transactionId: intent.id,
+    clientSecret: intent.client_secret,
+    errorMessage: intent.last_payment_error ? intent.last_payment_error.message : null,
+    raw: intent
+  });
+
+  return {
+    name: 'stripe',
+
+    async createCharge({ reference, amount, currency, token, metadata = {} }) {
+      const intent = await stripe.paymentIntents.create({
+        amount: toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        capture_method: 'manual',
+        payment_method: token,
+        confirm: Boolean(token),
+        metadata: { reference, ...metadata }
+      }, { idempotencyKey: `charge-${reference}` });
+
+      return fromIntent(intent);
+    },
+
+    async capture({ transactionId, amount, currency }) {
+      const intent = await stripe.paymentIntents.capture(transactionId, {
+        amount_to_capture: toMinorUnits(amount, currency)
+      });
+
+      return fromIntent(intent);
+    },
+
+    async refund({ transactionId, amount, currency, reference }) {
+      const refund = await stripe.refunds.create({
+        payment_intent: transactionId,
+        amount: toMinorUnits(amount, currency),
+        metadata: { reference }
+      }, { idempotencyKey: `refund-${reference}` });
+
+      return {
+        status: refund.status === 'succeeded' ? 'refunded' : refund.status === 'failed' ? 'failed' : 'pending',
+        transactionId,
+        refundId: refund.id,
+        errorMessage: refund.failure_reason || null,
+        raw: refund
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      const intent = await stripe.paymentIntents.retrieve(transactionId);
+      return fromIntent(intent);
+    },
+
+    parseWebhook({ headers, rawBody }) {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+      } catch (error) {
+        throw invalidSignatureError('stripe');
+      }
+
+      const object = event.data.object;
+
+      if (event.type === 'refund.updated' || event.type === 'charge.refund.updated') {
+        return {
+          eventId: event.id,
+          type: REFUND_STATUS_MAP[object.status] || null,
+          transactionId: object.payment_intent,
+          refundId: object.id,
+          errorMessage: object.failure_reason || null,
+          raw: event
+        };
+      }
+
+      return {
+        eventId: event.id,
+        type: EVENT_MAP[event.type] || null,
+        transactionId: object.id,
+        errorMessage: object.last_payment_error ? object.last_payment_error.message : null,
+        raw: event
+      };
+    }
+  };
+}
+
+module.exports = createStripeProvider;
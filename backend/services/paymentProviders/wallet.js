@@ -0,0 +1,149 @@
+const LedgerEntry = require('../../models/LedgerEntry');
+const User = require('../../models/User');
+const { baseCurrency } = require('../../config/currency');
+
+const { ACCOUNTS } = LedgerEntry;
+
+// Longest a charge may hold the wallet; a crashed charge frees it after this
+const LOCK_MS = 30 * 1000;
+
+// Hold the wallet while a charge checks the balance and debits it, so two charges cannot both spend it.
+// Returns the lease, or null when another charge holds the wallet.
+async function lockWallet(userId) {
+  const now = new Date();
+  const lease = new Date(now.getTime() + LOCK_MS);
+  const locked = await User.updateOne(
+    { _id: userId, $or: [{ walletLockedUntil: null }, { walletLockedUntil: { $lte: now } }] },
+    { walletLockedUntil: lease }
+  );
+  return locked.modifiedCount > 0 ? lease : null;
+}
+
+// Release only our own lease; once it has run out another charge may hold the wallet
+function unlockWallet(userId, lease) {
+  return User.updateOne({ _id: userId, walletLockedUntil: lease }, { walletLockedUntil: null });
+}
+
+// Passenger wallet backed by the ledger. Charges debit the wallet immediately,
+// so there is nothing to authorize or capture and no webhooks.
+function createWalletProvider() {
+  const findCharge = (transactionId) => LedgerEntry.findOne({
+    transactionId,
+    entryType: 'ride_payment',
+    direction: 'debit'
+  });
+
+  const captured = (entry) => ({
+    status: 'captured',
+    transactionId: entry.transactionId,
+    raw: { provider: 'wallet', account: entry.account, amount: entry.amount }
+  });
+
+  return {
+    name: 'wallet',
+
+    async createCharge({ reference, amount, currency = baseCurrency, customer }) {
+      const transactionId = `WLT-${reference}`;
+
+      // Wallet balances are only held in the base currency
+      if (currency !== baseCurrency) {
+        return {
+          status: 'failed',
+          transactionId,
+          errorMessage: `Wallet can only pay in ${baseCurrency}`,
+          raw: { provider: 'wallet', currency }
+        };
+      }
+
+      const existing = await findCharge(transactionId);
+      if (existing) {
+        return captured(existing);
+      }
+
+      const lease = await lockWallet(customer.id);
+      if (!lease) {
+        return {
+          status: 'failed',
+          transactionId,
+          errorMessage: 'Another wallet payment is in progress',
+          raw: { provider: 'wallet', locked: true }
+        };
+      }
+
+      try {
+        const account = LedgerEntry.walletAccount(customer.id);
+        const balance = await LedgerEntry.getBalance(account);
+        if (balance < amount) {
+          return {
+            status: 'failed',
+            transactionId,
+            errorMessage: 'Insufficient wallet balance',
+            raw: { provider: 'wallet', balance, amount }
+          };
+        }
+
+        const [debit] = await LedgerEntry.postTransaction({
+          transactionId,
+          entryType: 'ride_payment',
+          debitAccount: account,
+          creditAccount: ACCOUNTS.RIDE_REVENUE,
+          amount,
+          userId: customer.id,
+          paymentId: reference,
+          description: 'Ride payment'
+        });
+
+        return captured(debit);
+      } finally {
+        await unlockWallet(customer.id, lease);
+      }
+    },
+
+    async capture({ transactionId }) {
+      return this.fetchStatus({ transactionId });
+    },
+
+    async refund({ transactionId, amount, reference }) {
+      const charge = await findCharge(transactionId);
+      if (!charge) {
+        return { status: 'failed', transactionId, errorMessage: 'Unknown wallet transaction', raw: { provider: 'wallet' } };
+      }
+
+      try {
+        await LedgerEntry.postTransaction({
+          transactionId: reference,
+          entryType: 'refund',
+          debitAccount: ACCOUNTS.RIDE_REVENUE,
+          creditAccount: charge.account,
+          amount,
+          userId: charge.userId,
+          paymentId: charge.paymentId,
+          description: 'Ride refund'
+        });
+      } catch (error) {
+        // Already posted for this reference
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      return {
+        status: 'refunded',
+        transactionId,
+        refundId: reference,
+        raw: { provider: 'wallet', account: charge.account, amount }
+      };
+    },
+
+    async fetchStatus({ transactionId }) {
+      const charge = await findCharge(transactionId);
+      if (!charge) {
+        return { status: 'failed', transactionId, errorMessage: 'Unknown wallet transaction', raw: { provider: 'wallet' } };
+      }
+
+      return captured(charge);
+    }
+  };
+}
+
+module.exports = createWalletProvider;
@@ -0,0 +1,558 @@
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const PassSubscription = require('../models/PassSubscription');
+const dunningConfig = require('../config/dunning');
+const { baseCurrency } = require('../config/currency');
+const { getProvider } = require('./paymentProviders');
+const { generateInvoice } = require('./invoices');
+const { reverseCashCommission, recordRefundClawback, creditDuesPayment } = require('./driverDues');
+const { creditTopUp } = require('./wallet');
+const { roundFare } = require('./currency');
+
+// Map normalized gateway states to Payment.status
+const PAYMENT_STATUS = {
+  created: 'processing',
+  pending: 'processing',
+  authorized: 'processing',
+  captured: 'completed',
+  failed: 'failed'
+};
+
+// Build payment breakdown from the ride fare (tips are charged as separate payments)
+function buildBreakdown(fare) {
+  return {
+    rideFare: roundFare(fare.baseFare + fare.distanceFare + fare.timeFare + (fare.waitingCharge || 0), fare.currency),
+    tip: 0,
+    taxes: fare.taxes,
+    platformFee: fare.platformFee,
+    discount: fare.discount,
+    couponDiscount: fare.couponDiscount,
+    passDiscount: fare.passDiscount || 0,
+    surgeFare: roundFare(fare.surgeFare, fare.currency),
+    surcharges: (fare.surcharges || []).map(line => ({ name: line.name, type: line.type, amount: line.amount })),
+    surchargeTotal: fare.surchargeTotal || 0,
+    total: fare.totalFare
+  };
+}
+
+// Build driver earning from the ride fare
+function buildDriverEarning(fare) {
+  return {
+    amount: fare.totalFare,
+    commission: fare.platformCommission,
+    netEarning: fare.driverEarning
+  };
+}
+
+// Call a provider operation and record it as a payment attempt.
+// Thrown errors (network, auth) are recorded with status 'error' and leave the payment untouched.
+async function callProvider(payment, operation, params) {
+  const provider = getProvider(payment.paymentProvider);
+
+  let result;
+  try {
+    result = await provider[operation](params);
+  } catch (error) {
+    result = {
+      status: 'error',
+      transactionId: params.transactionId,
+      errorMessage: error.message,
+      raw: error.response || { message: error.message }
+    };
+  }
+
+  payment.gatewayResponse = result.raw;
+  await payment.addPaymentAttempt(
+    `${payment.paymentProvider}:${operation}`,
+    result.status,
+    result.errorMessage || null,
+    result.raw
+  );
+
+  return result;
+}
+
+// Mark one share of a split fare as paid, and the ride once every share is
+async function completeFareShare(payment) {
+  const ride = await Ride.findOneAndUpdate(
+    { _id: payment.rideId, 'split.shares.shareId': payment.shareId },
+    {
+      $set: {
+        'split.shares.$.status': 'paid',
+        'split.shares.$.amount': payment.amount,
+        'split.shares.$.paymentId': payment.paymentId,
+        'split.shares.$.paidBy': payment.userId,
+        'split.shares.$.paidAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (ride && ride.isSplitSettled()) {
+    await Ride.updateOne({ _id: ride._id }, {
+      paymentStatus: 'completed',
+      'split.status': 'settled'
+    });
+  }
+
+  return ride;
+}
+
+// Start the pass period the payment bought; a renewal starts when the previous period ends
+async function activatePass(payment) {
+  const subscription = await PassSubscription.findOne({ _id: payment.passSubscription, status: { $in: ['pending', 'payment_failed'] } });
+  if (!subscription) {
+    return;
+  }
+
+  const now = new Date();
+  subscription.startsAt = subscription.startsAt && subscription.startsAt > now ? subscription.startsAt : now;
+  subscription.expiresAt = new Date(subscription.startsAt.getTime() + subscription.durationDays * 24 * 60 * 60 * 1000);
+  subscription.status = 'active';
+  subscription.paymentId = payment.paymentId;
+  await subscription.save();
+}
+
+// Mark the ride as paid, credit the driver and issue the invoice.
+// Wallet top-ups, dues payments and pass purchases only credit what they bought.
+// Tips only add to the ride's tip total and cancellation fees only mark the fee as charged;
+// neither gets a ride invoice. Each share of a split fare gets its own invoice.
+async function completePayment(payment) {
+  if (payment.type === 'pass') {
+    await activatePass(payment);
+    return;
+  }
+
+  if (payment.type === 'wallet_topup') {
+    await creditTopUp(payment);
+    return;
+  }
+
+  if (payment.type === 'driver_dues') {
+    await creditDuesPayment(payment);
+    return;
+  }
+
+  if (payment.type === 'tip') {
+    await Ride.updateOne({ _id: payment.rideId }, { $inc: { 'fare.tip': payment.amount } });
+  } else if (payment.type === 'cancellation_fee') {
+    await Ride.updateOne({ _id: payment.rideId }, {
+      'cancellationFee.status': 'charged',
+      'cancellationFee.paymentId': payment.paymentId
+    });
+    await resolveDunning(payment);
+  } else if (payment.type === 'fare_share') {
+    const ride = await completeFareShare(payment);
+    await resolveDunning(payment);
+
+    if (ride && ride.paymentMethod === 'cash') {
+      await reverseCashCommission(payment);
+    }
+  } else {
+    const ride = await Ride.findById(payment.rideId);
+    if (ride) {
+      ride.paymentStatus = 'completed';
+      ride.paymentId = payment.paymentId;
+      await ride.save();
+    }
+
+    await resolveDunning(payment);
+
+    if (ride && ride.paymentMethod === 'cash') {
+      await reverseCashCommission(payment);
+    }
+  }
+
+  const driver = await Driver.findById(payment.driverId);
+  if (driver) {
+    await driver.updateEarnings(payment.driverEarning.netEarning);
+  }
+
+  if (!['ride', 'fare_share'].includes(payment.type)) {
+    return;
+  }
+
+  // A missing invoice must not undo a captured payment; it can be generated again later
+  try {
+    await generateInvoice(payment);
+  } catch (error) {
+    console.error('Invoice generation error:', error);
+  }
+}
+
+// Notify passenger and driver that the payment went through
+async function notifyPaymentCompleted(io, payment) {
+  if (!io) {
+    return;
+  }
+
+  const paymentData = {
+    paymentId: payment.paymentId,
+    rideId: payment.rideId,
+    userId: payment.userId,
+    driverId: payment.driverId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status
+  };
+
+  io.to(payment.userId.toString()).emit('paymentSuccess', paymentData);
+
+  const driver = await Driver.findById(payment.driverId);
+  if (driver) {
+    io.to(driver.userId.toString()).emit(payment.type === 'tip' ? 'tipReceived' : 'paymentReceived', {
+      ...paymentData,
+      driverEarning: payment.driverEarning
+    });
+  }
+}
+
+// Tell the passenger a payment failed and what happens next
+function notifyPaymentFailed(io, payment) {
+  if (!io) {
+    return;
+  }
+
+  io.to(payment.userId.toString()).emit('paymentFailed', {
+    paymentId: payment.paymentId,
+    rideId: payment.rideId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    nextRetryAt: payment.dunning ? payment.dunning.nextRetryAt : null,
+    outstanding: payment.isOutstanding()
+  });
+}
+
+// Queue the next automatic retry, or leave the debt for the passenger once retries run out.
+// Cash is collected in person, so it is never retried.
+function scheduleRetry(payment) {
+  const retries = Math.max(payment.getChargeAttemptCount() - 1, 0);
+  const backoffMinutes = dunningConfig.backoffMinutes[retries];
+
+  if (payment.paymentMethod === 'cash' || backoffMinutes === undefined) {
+    payment.dunning.status = 'exhausted';
+    payment.dunning.nextRetryAt = null;
+  } else {
+    payment.dunning.status = 'scheduled';
+    payment.dunning.nextRetryAt = new Date(Date.now() + backoffMinutes * 60 * 1000);
+  }
+}
+
+// Clear the debt once it has been paid, whichever of the payer's payments paid it
+async function resolveDunning(payment) {
+  const resolvedAt = new Date();
+
+  if (payment.isOutstanding()) {
+    payment.dunning.status = 'resolved';
+    payment.dunning.nextRetryAt = null;
+    payment.dunning.resolvedAt = resolvedAt;
+    await payment.save();
+  }
+
+  await Payment.updateMany({
+    rideId: payment.rideId,
+    type: payment.type,
+    shareId: payment.shareId || null,
+    _id: { $ne: payment._id },
+    'dunning.status': { $in: ['scheduled', 'exhausted'] }
+  }, {
+    'dunning.status': 'resolved',
+    'dunning.nextRetryAt': null,
+    'dunning.resolvedAt': resolvedAt
+  });
+}
+
+// Mark the payment and its ride as failed.
+// Tips, passes, top-ups and dues payments are made by choice, so their failures are not retried or owed.
+async function failPayment(payment, gatewayResponse = null) {
+  if (!['tip', 'pass', 'wallet_topup', 'driver_dues'].includes(payment.type)) {
+    scheduleRetry(payment);
+  }
+
+  await payment.updateStatus('failed', gatewayResponse);
+
+  if (payment.type === 'ride') {
+    await Ride.updateOne({ _id: payment.rideId }, { paymentStatus: 'failed' });
+  } else if (payment.type === 'cancellation_fee') {
+    await Ride.updateOne({ _id: payment.rideId }, { 'cancellationFee.status': 'failed' });
+  } else if (payment.type === 'pass') {
+    await PassSubscription.updateOne({ _id: payment.passSubscription, status: 'pending' }, { status: 'payment_failed' });
+  }
+}
+
+// Claim a final status, so concurrent confirms and webhooks only complete or fail a payment once.
+// Resolves to false, with the in-memory payment brought up to date, when another request got there first.
+async function claimFinalStatus(payment, status) {
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, status: { $in: ['pending', 'processing'] } },
+    { status }
+  );
+  if (claimed.modifiedCount > 0) {
+    return true;
+  }
+
+  const current = await Payment.findById(payment._id);
+  if (current) {
+    payment.status = current.status;
+    payment.completedAt = current.completedAt;
+    payment.failedAt = current.failedAt;
+  }
+  return false;
+}
+
+// Move the payment to the state reported by the gateway. Resolves to whether this call changed it.
+async function applyGatewayStatus(payment, result) {
+  const nextStatus = PAYMENT_STATUS[result.status];
+
+  if (!nextStatus || nextStatus === payment.status || !['pending', 'processing'].includes(payment.status)) {
+    await payment.save();
+    return false;
+  }
+
+  switch (nextStatus) {
+    case 'completed':
+      if (!(await claimFinalStatus(payment, 'completed'))) {
+        return false;
+      }
+      await payment.updateStatus('completed', result.raw);
+      await completePayment(payment);
+      return true;
+    case 'failed':
+      if (!(await claimFinalStatus(payment, 'failed'))) {
+        return false;
+      }
+      await failPayment(payment, result.raw);
+      return true;
+    default:
+      await payment.updateStatus(nextStatus, result.raw);
+      return true;
+  }
+}
+
+// Settle a pending refund and adjust the driver's earnings and the ride to match
+async function applyRefundStatus(payment, refundId, status, failureReason = null) {
+  const refund = payment.updateRefundStatus(refundId, status, failureReason);
+  if (!refund) {
+    return false;
+  }
+
+  let deduction = 0;
+  if (status === 'processed' && payment.amount > 0) {
+    // The driver gives back the same share of the refund as they earned of the fare
+    const deducted = payment.refunds.reduce((sum, r) => sum + (r.driverDeduction || 0), 0);
+    const originalEarning = payment.driverEarning.netEarning + deducted;
+    deduction = Math.min(
+      roundFare(refund.amount * originalEarning / payment.amount, payment.currency),
+      payment.driverEarning.netEarning
+    );
+
+    refund.driverDeduction = deduction;
+    payment.driverEarning.netEarning -= deduction;
+
+    // A payout already using the earning cannot shrink, so the driver owes the deduction instead
+    refund.deductFromDues = deduction > 0 && ['batched', 'paid'].includes(payment.payout && payment.payout.status);
+  }
+
+  await payment.save();
+
+  if (refund.deductFromDues && payment.payout.status === 'paid') {
+    await recordRefundClawback(payment, refund);
+  }
+
+  if (deduction > 0) {
+    const driver = await Driver.findById(payment.driverId);
+    if (driver) {
+      await driver.updateEarnings(-deduction);
+    }
+  }
+
+  if (payment.type === 'tip' && status === 'processed') {
+    await Ride.updateOne({ _id: payment.rideId }, { $inc: { 'fare.tip': -refund.amount } });
+  }
+
+  if (payment.type !== 'ride') {
+    return true;
+  }
+
+  await Ride.updateOne({ _id: payment.rideId }, {
+    paymentStatus: ['refunded', 'partially_refunded'].includes(payment.status) ? payment.status : 'completed'
+  });
+
+  return true;
+}
+
+// What a charge pays for, as shown on the gateway's dashboard
+function getChargeMetadata(payment) {
+  if (payment.rideId) {
+    return { rideId: payment.rideId.toString() };
+  }
+
+  if (payment.passSubscription) {
+    return { passSubscription: payment.passSubscription.toString() };
+  }
+
+  return { purpose: payment.type };
+}
+
+// Start a charge with the payment's gateway.
+// Retries pass their own reference, since gateways treat a reused one as the same charge.
+async function chargePayment(payment, { token, customer, reference = payment.paymentId } = {}) {
+  const result = await callProvider(payment, 'createCharge', {
+    reference,
+    amount: payment.amount,
+    currency: payment.currency,
+    token,
+    customer,
+    metadata: getChargeMetadata(payment)
+  });
+
+  if (result.transactionId) {
+    payment.transactionId = result.transactionId;
+  }
+
+  await applyGatewayStatus(payment, result);
+  return result;
+}
+
+// Charge the user for a wallet top-up or a dues payment, both paid in the base currency outside any ride.
+// Gateways that redirect the payer finish the payment later through /confirm or their webhook.
+async function startAccountPayment(type, user, amount, { paymentMethod = 'card', paymentProvider, paymentToken, metadata }) {
+  const payment = new Payment({
+    type,
+    userId: user._id,
+    amount,
+    currency: baseCurrency,
+    paymentMethod,
+    paymentProvider,
+    metadata
+  });
+  await payment.save();
+
+  const charge = await chargePayment(payment, {
+    token: paymentToken,
+    customer: { id: user._id.toString(), phone: user.phone, email: user.email }
+  });
+
+  if (charge.status === 'authorized') {
+    await capturePayment(payment);
+  }
+
+  return { payment, charge };
+}
+
+// Capture an authorized charge
+async function capturePayment(payment, { gatewayPaymentId } = {}) {
+  const result = await callProvider(payment, 'capture', {
+    transactionId: payment.transactionId,
+    gatewayPaymentId,
+    amount: payment.amount,
+    currency: payment.currency
+  });
+
+  if (result.transactionId) {
+    payment.transactionId = result.transactionId;
+  }
+
+  await applyGatewayStatus(payment, result);
+  return result;
+}
+
+// Hold the amount against the payment so two refunds cannot together go over what was captured.
+// Resolves to { payment, refund } or { error, status }.
+async function reserveRefund(payment, amount, reason, details) {
+  let current = payment;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const refundableAmount = current.getRefundableAmount();
+    if (refundableAmount <= 0) {
+      return { error: 'Nothing left to refund on this payment', status: 400 };
+    }
+    if (amount > refundableAmount) {
+      return { error: `Refund amount exceeds refundable amount of ${refundableAmount}`, status: 400 };
+    }
+
+    const reference = `${current.paymentId}-R${current.refunds.length + 1}`;
+    const reserved = await Payment.reserveRefund(current, amount, reason, { ...details, reference });
+    if (reserved) {
+      return { payment: reserved, refund: reserved.refunds[reserved.refunds.length - 1] };
+    }
+
+    // Another refund changed the payment first; check again against what it left
+    current = await Payment.findById(payment._id);
+    if (!current) {
+      return { error: 'Payment not found', status: 404 };
+    }
+  }
+
+  return { error: 'Another refund is being made on this payment; try again', status: 409 };
+}
+
+// Refund part or all of a captured charge. The refund is reserved first and only then sent to the gateway.
+// Resolves to the gateway result with the updated payment, or { error, status } when it cannot be reserved.
+async function refundPayment(payment, amount, reason, { note, requestedBy } = {}) {
+  const reservation = await reserveRefund(payment, amount, reason, { note, requestedBy });
+  if (reservation.error) {
+    return reservation;
+  }
+
+  const { refund } = reservation;
+  payment = reservation.payment;
+
+  const result = await callProvider(payment, 'refund', {
+    transactionId: payment.transactionId,
+    amount,
+    currency: payment.currency,
+    reference: refund.reference
+  });
+
+  // Nothing reached the gateway, so the reservation is given up
+  if (result.status === 'error') {
+    payment.updateRefundStatus(refund.reference, 'failed', result.errorMessage || 'Payment gateway unavailable');
+    await payment.save();
+    return { ...result, refundId: refund.reference, payment };
+  }
+
+  refund.refundId = result.refundId || refund.reference;
+  refund.gatewayResponse = result.raw;
+  await payment.save();
+
+  if (result.status === 'refunded') {
+    await applyRefundStatus(payment, refund.refundId, 'processed');
+  } else if (result.status === 'failed') {
+    await applyRefundStatus(payment, refund.refundId, 'failed', result.errorMessage);
+  }
+
+  return { ...result, refundId: refund.refundId, payment };
+}
+
+// Pull the latest state from the gateway
+async function syncPaymentStatus(payment) {
+  if (!payment.transactionId) {
+    return null;
+  }
+
+  const result = await callProvider(payment, 'fetchStatus', {
+    transactionId: payment.transactionId
+  });
+
+  await applyGatewayStatus(payment, result);
+  return result;
+}
+
+module.exports = {
+  buildBreakdown,
+  buildDriverEarning,
+  chargePayment,
+  capturePayment,
+  startAccountPayment,
+  refundPayment,
+  syncPaymentStatus,
+  applyGatewayStatus,
+  applyRefundStatus,
+  completePayment,
+  failPayment,
+  notifyPaymentCompleted,
+  notifyPaymentFailed
+};
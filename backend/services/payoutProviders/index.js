@@ -0,0 +1,37 @@
+const createStubPayoutProvider = require('./stub');
+const createRazorpayXPayoutProvider = require('./razorpayx');
+
+// Every payout adapter implements:
+//   transfer({ reference, amount, currency, beneficiary })
+//   fetchTransfer({ transferId })
+// and resolves to { status, transferId, errorMessage, raw } where status is
+// one of processing, paid or failed.
+const factories = {
+  stub: createStubPayoutProvider,
+  razorpayx: createRazorpayXPayoutProvider
+};
+
+const providers = new Map();
+
+// Get (and lazily create) a payout adapter
+function getPayoutProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unsupported payout provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, factories[name]());
+  }
+
+  return providers.get(name);
+}
+
+// Replace an adapter, e.g. with a stubbed client
+function registerPayoutProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+module.exports = {
+  getPayoutProvider,
+  registerPayoutProvider
+};
@@ -0,0 +1,78 @@
+const { requestJson } = require('../paymentProviders/http');
+const { toMinorUnits } = require('../currency');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Map RazorpayX payout states to our normalized transfer states
+const STATUS_MAP = {
+  queued: 'processing',
+  pending: 'processing',
+  processing: 'processing',
+  processed: 'paid',
+  reversed: 'failed',
+  rejected: 'failed',
+  cancelled: 'failed',
+  failed: 'failed'
+};
+
+function createRazorpayXPayoutProvider(options = {}) {
+  const keyId = options.keyId || process.env.RAZORPAY_KEY_ID;
+  const keySecret = options.keySecret || process.env.RAZORPAY_KEY_SECRET;
+  const sourceAccount = options.accountNumber || process.env.RAZORPAYX_ACCOUNT_NUMBER;
+  const authorization = 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+  const fromPayout = (payout) => ({
+    status: STATUS_MAP[payout.status] || 'processing',
+    transferId: payout.id,
+    errorMessage: payout.status_details ? payout.status_details.description : null,
+    raw: payout
+  });
+
+  return {
+    name: 'razorpayx',
+
+    async transfer({ reference, amount, currency, beneficiary }) {
+      const payout = await requestJson(`${API_BASE}/payouts`, {
+        method: 'POST',
+        headers: {
+          Authorization: authorization,
+          'X-Payout-Idempotency': reference
+        },
+        body: {
+          account_number: sourceAccount,
+          amount: toMinorUnits(amount, currency),
+          currency,
+          mode: 'IMPS',
+          purpose: 'payout',
+          reference_id: reference,
+          queue_if_low_balance: true,
+          fund_account: {
+            account_type: 'bank_account',
+            bank_account: {
+              name: beneficiary.accountHolderName,
+              ifsc: beneficiary.routingNumber,
+              account_number: beneficiary.accountNumber
+            },
+            contact: {
+              name: beneficiary.accountHolderName,
+              type: 'vendor',
+              reference_id: beneficiary.driverId
+            }
+          }
+        }
+      });
+
+      return fromPayout(payout);
+    },
+
+    async fetchTransfer({ transferId }) {
+      const payout = await requestJson(`${API_BASE}/payouts/${transferId}`, {
+        headers: { Authorization: authorization }
+      });
+
+      return fromPayout(payout);
+    }
+  };
+}
+
+module.exports = createRazorpayXPayoutProvider;
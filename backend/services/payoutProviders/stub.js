@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Local bank-transfer stub. Transfers go in flight first and are paid on the next
+// status check; accounts ending in 0000 are rejected so failures can be exercised.
+// State lives in memory, so a transfer it no longer knows after a restart is treated as
+// still in flight: rejections are reported straight away and never reach a status check.
+function createStubPayoutProvider() {
+  const transfers = new Map();
+
+  return {
+    name: 'stub',
+
+    async transfer({ reference, amount, currency, beneficiary }) {
+      const transferId = 'stub_trf_' + crypto.createHash('sha256').update(reference).digest('hex').slice(0, 16);
+
+      if (!transfers.has(transferId)) {
+        const rejected = String(beneficiary.accountNumber || '').endsWith('0000');
+        transfers.set(transferId, {
+          transferId,
+          reference,
+          amount,
+          currency,
+          status: rejected ? 'failed' : 'processing',
+          errorMessage: rejected ? 'Beneficiary account rejected' : null
+        });
+      }
+
+      const transfer = transfers.get(transferId);
+      return { ...transfer, raw: { provider: 'stub', ...transfer } };
+    },
+
+    async fetchTransfer({ transferId }) {
+      const transfer = transfers.get(transferId);
+      if (!transfer) {
+        transfers.set(transferId, { transferId, status: 'processing', errorMessage: null });
+        return { status: 'processing', transferId, raw: { provider: 'stub', transferId, status: 'processing' } };
+      }
+
+      if (transfer.status === 'processing') {
+        transfer.status = 'paid';
+      }
+
+      return { ...transfer, raw: { provider: 'stub', ...transfer } };
+    }
+  };
+}
+
+module.exports = createStubPayoutProvider;
@@ -0,0 +1,76 @@
+const Promo = require('../models/Promo');
+const Ride = require('../models/Ride');
+
+// Check a code against the ride and the passenger's past uses.
+// Resolves to { valid, promo, discount } or { valid: false, error }.
+async function validatePromo(code, { userId, fare, currency, city, vehicleType }) {
+  const promo = await Promo.findOne({ code: String(code).toUpperCase().trim() });
+  if (!promo) {
+    return { valid: false, error: 'Invalid promo code' };
+  }
+
+  const reason = promo.getIneligibilityReason({ fare, city, vehicleType });
+  if (reason) {
+    return { valid: false, error: reason };
+  }
+
+  if (promo.perUserLimit) {
+    const uses = await Ride.countDocuments({
+      passenger: userId,
+      'promo.code': promo.code,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (uses >= promo.perUserLimit) {
+      return { valid: false, error: 'You have already used this promo code' };
+    }
+  }
+
+  return { valid: true, promo, discount: promo.calculateDiscount(fare, currency) };
+}
+
+// Re-check the promo already redeemed on a ride after its trip changed; the use is already counted.
+// Resolves to { valid, discount } or { valid: false, error }.
+async function revalidateRidePromo(ride, { fare, city, vehicleType }) {
+  const promo = await Promo.findOne({ code: ride.promo.code });
+  if (!promo) {
+    return { valid: false, error: 'Invalid promo code' };
+  }
+
+  const reason = promo.getIneligibilityReason({ fare, city, vehicleType });
+  if (reason) {
+    return { valid: false, error: reason };
+  }
+
+  return { valid: true, discount: promo.calculateDiscount(fare, ride.fare.currency) };
+}
+
+// Count a use, unless a concurrent booking took the last one
+async function redeemPromo(promo) {
+  const query = { _id: promo._id, isActive: true };
+  if (promo.usageLimit) {
+    query.usedCount = { $lt: promo.usageLimit };
+  }
+
+  const updated = await Promo.findOneAndUpdate(query, { $inc: { usedCount: 1 } }, { new: true });
+  return Boolean(updated);
+}
+
+// Give the use back when the ride it was redeemed on is cancelled
+async function releasePromo(ride) {
+  if (!ride.promo || !ride.promo.code || !ride.promo.discount) {
+    return;
+  }
+
+  await Promo.updateOne(
+    { code: ride.promo.code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+}
+
+module.exports = {
+  validatePromo,
+  revalidateRidePromo,
+  redeemPromo,
+  releasePromo
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const geolib = require('geolib');
+const config = require('../config/quotes');
+
+const FARE_FIELDS = [
+  'baseFare', 'distanceFare', 'timeFare', 'surgeFare', 'platformFee', 'taxes',
+  'discount', 'couponDiscount', 'passDiscount', 'surchargeTotal', 'totalFare', 'driverEarning', 'platformCommission'
+];
+
+function generateQuoteId() {
+  return 'QT' + Date.now() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Sign everything needed to price the ride later exactly as quoted
+function createQuoteToken(userId, ride, { pickup, destination, promo = null }) {
+  const fare = {};
+  FARE_FIELDS.forEach(field => {
+    fare[field] = ride.fare[field] || 0;
+  });
+  fare.currency = ride.fare.currency;
+  fare.converted = ride.fare.converted && ride.fare.converted.rate ? {
+    currency: ride.fare.converted.currency,
+    rate: ride.fare.converted.rate,
+    totalFare: ride.fare.converted.totalFare
+  } : undefined;
+  fare.surcharges = ride.fare.surcharges.map(line => ({
+    geofence: line.geofence.toString(),
+    name: line.name,
+    type: line.type,
+    trigger: line.trigger,
+    amount: line.amount,
+    payToDriver: line.payToDriver
+  }));
+
+  const quoteId = generateQuoteId();
+  const expiresAt = new Date(Date.now() + config.ttlMinutes * 60 * 1000);
+
+  const token = jwt.sign({
+    type: 'fare_quote',
+    quoteId,
+    userId: userId.toString(),
+    vehicleType: ride.vehicleType,
+    pickup: pickup.coordinates,
+    destination: destination.coordinates,
+    estimatedDuration: ride.estimatedDuration,
+    fare,
+    surge: {
+      isActive: ride.surge.isActive,
+      multiplier: ride.surge.multiplier,
+      reason: ride.surge.reason
+    },
+    fareVersion: ride.fareVersion && ride.fareVersion.version ? {
+      fareTable: ride.fareVersion.fareTable.toString(),
+      city: ride.fareVersion.city,
+      version: ride.fareVersion.version,
+      rule: ride.fareVersion.rule
+    } : null,
+    pass: ride.pass && ride.pass.subscription ? {
+      subscription: ride.pass.subscription.toString(),
+      code: ride.pass.code,
+      discountPercent: ride.pass.discountPercent,
+      maxDiscountPerRide: ride.pass.maxDiscountPerRide,
+      waiveSurge: ride.pass.waiveSurge
+    } : null,
+    promo
+  }, config.secret, { expiresIn: config.ttlMinutes * 60 });
+
+  return { quoteId, token, expiresAt };
+}
+
+function isNear(a, b) {
+  return geolib.getDistance(
+    { latitude: a[1], longitude: a[0] },
+    { latitude: b[1], longitude: b[0] }
+  ) <= config.maxLocationDriftMeters;
+}
+
+// Check a quote token against the ride being requested.
+// Resolves to { valid, quote } or { valid: false, error }.
+function verifyQuoteToken(token, { userId, vehicleType, pickup, destination }) {
+  let quote;
+  try {
+    quote = jwt.verify(token, config.secret);
+  } catch (error) {
+    return {
+      valid: false,
+      error: error.name === 'TokenExpiredError' ? 'Quote has expired' : 'Invalid quote'
+    };
+  }
+
+  if (quote.type !== 'fare_quote' || quote.userId !== userId.toString()) {
+    return { valid: false, error: 'Invalid quote' };
+  }
+
+  if (quote.vehicleType !== vehicleType) {
+    return { valid: false, error: 'Quote is for a different vehicle type' };
+  }
+
+  if (!isNear(quote.pickup, pickup.coordinates) || !isNear(quote.destination, destination.coordinates)) {
+    return { valid: false, error: 'Pickup or destination has changed since the quote' };
+  }
+
+  return { valid: true, quote };
+}
+
+module.exports = {
+  createQuoteToken,
+  verifyQuoteToken
+};
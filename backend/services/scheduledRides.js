@@ -0,0 +1,230 @@
+const Ride = require('../models/Ride');
+const Driver = require('../models/Driver');
+const config = require('../config/scheduling');
+const { dispatchRide, dispatchReservedRide } = require('./dispatch');
+
+const MINUTE = 60 * 1000;
+const RESERVATION_LOCK_MS = 30 * 1000;
+
+// Whether a pickup time is far enough out to be held as a booking instead of dispatched now
+function isScheduledBooking(scheduledAt, now = new Date()) {
+  return Boolean(scheduledAt) && scheduledAt.getTime() > now.getTime() + config.dispatchLeadMinutes * MINUTE;
+}
+
+// Problem with a requested pickup time, or null when it can be booked
+function checkScheduledAt(scheduledAt, now = new Date()) {
+  if (scheduledAt.getTime() > now.getTime() + config.maxAdvanceDays * 24 * 60 * MINUTE) {
+    return `Rides can be booked at most ${config.maxAdvanceDays} days ahead`;
+  }
+
+  return null;
+}
+
+// Passengers can change or cancel a booking until the cutoff before pickup
+function canChangeBooking(ride, now = new Date()) {
+  return ride.status === 'scheduled' &&
+    now.getTime() <= ride.scheduledAt.getTime() - config.changeCutoffMinutes * MINUTE;
+}
+
+async function notifyReservedDriver(ride, event, payload, io) {
+  if (!io || !ride.schedule || !ride.schedule.driver) {
+    return;
+  }
+
+  const driver = await Driver.findById(ride.schedule.driver);
+  if (driver) {
+    io.to(driver.userId.toString()).emit(event, { rideId: ride._id, ...payload });
+  }
+}
+
+// Hold the driver's reservations while one is checked and claimed, so two can't both pass the clash check.
+// The lock is a lease so a crashed request can't hold it forever.
+async function lockReservations(driverId) {
+  const now = new Date();
+  const lease = new Date(now.getTime() + RESERVATION_LOCK_MS);
+  const locked = await Driver.updateOne(
+    { _id: driverId, $or: [{ reservationLockedUntil: null }, { reservationLockedUntil: { $lte: now } }] },
+    { reservationLockedUntil: lease }
+  );
+  return locked.modifiedCount > 0 ? lease : null;
+}
+
+// Release only our own lease; once it has run out another reservation may hold the lock
+function unlockReservations(driverId, lease) {
+  return Driver.updateOne({ _id: driverId, reservationLockedUntil: lease }, { reservationLockedUntil: null });
+}
+
+// Reserve a booking for a driver ahead of time. Resolves to { ride } or { error, status }.
+async function reserveRide(ride, driver) {
+  if (ride.status !== 'scheduled') {
+    return { error: 'Only scheduled rides can be reserved', status: 400 };
+  }
+
+  if (driver.vehicle.type !== ride.vehicleType) {
+    return { error: `This booking needs a ${ride.vehicleType}`, status: 400 };
+  }
+
+  if (driver.approvalStatus !== 'approved' || driver.backgroundCheckStatus !== 'approved') {
+    return { error: 'Driver not approved', status: 403 };
+  }
+
+  if (ride.paymentMethod === 'cash' && driver.hasExceededDuesLimit()) {
+    return { error: 'Please settle your outstanding dues before reserving cash rides', status: 403 };
+  }
+
+  const lease = await lockReservations(driver._id);
+  if (!lease) {
+    return { error: 'Another reservation is in progress, please try again', status: 409 };
+  }
+
+  try {
+    // One reservation per pickup window
+    const gap = config.reservationGapMinutes * MINUTE;
+    const clash = await Ride.exists({
+      _id: { $ne: ride._id },
+      status: 'scheduled',
+      'schedule.driver': driver._id,
+      scheduledAt: {
+        $gt: new Date(ride.scheduledAt.getTime() - gap),
+        $lt: new Date(ride.scheduledAt.getTime() + gap)
+      }
+    });
+    if (clash) {
+      return { error: 'You already have a booking reserved around this time', status: 409 };
+    }
+
+    const reserved = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'scheduled', 'schedule.driver': null },
+      { 'schedule.driver': driver._id, 'schedule.reservedAt': new Date(), 'schedule.driverRemindedAt': null },
+      { new: true }
+    );
+    if (!reserved) {
+      return { error: 'Booking has already been reserved by another driver', status: 409 };
+    }
+
+    return { ride: reserved };
+  } finally {
+    await unlockReservations(driver._id, lease);
+  }
+}
+
+// Give a reservation back so the booking is dispatched normally
+async function releaseReservation(ride, driver, io) {
+  const released = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'scheduled', 'schedule.driver': driver._id },
+    { 'schedule.driver': null, 'schedule.reservedAt': null, 'schedule.driverRemindedAt': null },
+    { new: true }
+  );
+  if (!released) {
+    return { error: 'You have not reserved this booking', status: 400 };
+  }
+
+  if (io) {
+    io.to(released.passenger.toString()).emit('scheduledRideUpdated', {
+      rideId: released._id,
+      reservedDriver: null
+    });
+  }
+
+  return { ride: released };
+}
+
+// Remind passengers, and drivers who reserved a booking, ahead of pickup
+async function sendReminders(io, now) {
+  const rides = await Ride.find({
+    status: 'scheduled',
+    scheduledAt: { $lte: new Date(now.getTime() + config.reminderLeadMinutes * MINUTE) },
+    $or: [
+      { 'schedule.passengerRemindedAt': null },
+      { 'schedule.driver': { $ne: null }, 'schedule.driverRemindedAt': null }
+    ]
+  });
+
+  let sent = 0;
+  for (const ride of rides) {
+    const payload = { scheduledAt: ride.scheduledAt, pickup: ride.pickup, destination: ride.destination };
+
+    // Claim each reminder so it only goes out once
+    const passengerClaim = await Ride.updateOne(
+      { _id: ride._id, 'schedule.passengerRemindedAt': null },
+      { 'schedule.passengerRemindedAt': now }
+    );
+    if (passengerClaim.modifiedCount > 0 && io) {
+      io.to(ride.passenger.toString()).emit('scheduledRideReminder', { rideId: ride._id, ...payload });
+      sent++;
+    }
+
+    if (ride.schedule.driver) {
+      const driverClaim = await Ride.updateOne(
+        { _id: ride._id, 'schedule.driver': ride.schedule.driver, 'schedule.driverRemindedAt': null },
+        { 'schedule.driverRemindedAt': now }
+      );
+      if (driverClaim.modifiedCount > 0) {
+        await notifyReservedDriver(ride, 'scheduledRideReminder', payload, io);
+        sent++;
+      }
+    }
+  }
+
+  return sent;
+}
+
+// Start dispatch for a booking whose lead time has come; reserved bookings go to their driver first
+async function dispatchBooking(ride, io) {
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'scheduled' },
+    { status: 'requested', 'schedule.dispatchedAt': new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  return claimed.schedule.driver
+    ? dispatchReservedRide(claimed, io)
+    : dispatchRide(claimed, io);
+}
+
+let cycleRunning = false;
+
+// Send reminders and dispatch bookings that are due
+async function runScheduledRideCycle(io, now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    const reminders = await sendReminders(io, now);
+
+    const due = await Ride.find({
+      status: 'scheduled',
+      scheduledAt: { $lte: new Date(now.getTime() + config.dispatchLeadMinutes * MINUTE) }
+    }).sort({ scheduledAt: 1 });
+
+    let dispatched = 0;
+    for (const ride of due) {
+      try {
+        if (await dispatchBooking(ride, io)) {
+          dispatched++;
+        }
+      } catch (error) {
+        console.error(`Scheduled dispatch error for ride ${ride.rideId}:`, error);
+      }
+    }
+
+    return { reminders, due: due.length, dispatched };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+module.exports = {
+  isScheduledBooking,
+  checkScheduledAt,
+  canChangeBooking,
+  notifyReservedDriver,
+  reserveRide,
+  releaseReservation,
+  runScheduledRideCycle
+};
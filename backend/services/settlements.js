@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+const Payment = require('../models/Payment');
+const Settlement = require('../models/Settlement');
+const config = require('../config/payouts');
+const { baseCurrency } = require('../config/currency');
+const { getPayoutProvider } = require('./payoutProviders');
+const {
+  getOutstandingDues,
+  offsetDues,
+  reverseDuesOffset,
+  recordRefundClawback,
+  recordPendingCashCommissions
+} = require('./driverDues');
+const { getRate } = require('./currency');
+
+// Payments made before fares were priced per city carry no currency
+const PAYMENT_CURRENCY = { $ifNull: ['$currency', baseCurrency] };
+
+// Driver earnings that can be paid out: captured online payments not yet batched.
+// Cash rides are excluded because the driver already holds that money.
+function unsettledEarningsQuery(extra = {}) {
+  return {
+    status: { $in: ['completed', 'partially_refunded'] },
+    paymentMethod: { $ne: 'cash' },
+    driverId: { $ne: null }, // pass purchases earn no driver anything
+    'payout.status': { $in: ['unsettled', null] },
+    ...extra
+  };
+}
+
+// Mask everything but the last four digits of the account number
+function getBankAccountSnapshot(bankDetails) {
+  return {
+    accountHolderName: bankDetails.accountHolderName,
+    bankName: bankDetails.bankName,
+    accountNumberLast4: String(bankDetails.accountNumber || '').slice(-4)
+  };
+}
+
+// The minimum payout is set in the base currency
+async function getMinimumPayout(currency) {
+  const rate = await getRate(baseCurrency, currency);
+  return rate ? config.minimumAmount * rate : config.minimumAmount;
+}
+
+// Group each driver's eligible earnings into a pending settlement per currency
+async function createSettlementBatches(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.holdHours * 60 * 60 * 1000);
+
+  const groups = await Payment.aggregate([
+    { $match: unsettledEarningsQuery({ completedAt: { $lte: cutoff } }) },
+    {
+      $group: {
+        _id: { driverId: '$driverId', currency: PAYMENT_CURRENCY },
+        amount: { $sum: '$driverEarning.netEarning' },
+        payments: { $push: '$_id' }
+      }
+    }
+  ]);
+
+  const settlements = [];
+
+  for (const group of groups) {
+    const { driverId, currency } = group._id;
+    if (group.amount < await getMinimumPayout(currency)) {
+      continue;
+    }
+
+    const driver = await Driver.findById(driverId);
+    if (!driver || !driver.bankDetails || !driver.bankDetails.verified || driver.approvalStatus === 'suspended') {
+      continue;
+    }
+
+    // Claim the payments first so a concurrent run cannot batch them twice
+    const settlementId = new mongoose.Types.ObjectId();
+    await Payment.updateMany(
+      { _id: { $in: group.payments }, 'payout.status': { $in: ['unsettled', null] } },
+      { 'payout.status': 'batched', 'payout.settlementId': settlementId }
+    );
+
+    const claimed = await Payment.find({ 'payout.settlementId': settlementId });
+    if (claimed.length === 0) {
+      continue;
+    }
+
+    // Commission owed on cash rides comes out of the payout first. Dues are kept in the
+    // base currency, so only payouts in it can cover them.
+    const grossAmount = claimed.reduce((sum, payment) => sum + payment.driverEarning.netEarning, 0);
+    const duesOffset = currency === baseCurrency
+      ? Math.min(await getOutstandingDues(driver._id), grossAmount)
+      : 0;
+
+    const settlement = new Settlement({
+      _id: settlementId,
+      driverId: driver._id,
+      payments: claimed.map(payment => payment._id),
+      amount: grossAmount - duesOffset,
+      grossAmount,
+      duesOffset,
+      currency,
+      periodStart: new Date(Math.min(...claimed.map(payment => payment.completedAt))),
+      periodEnd: new Date(Math.max(...claimed.map(payment => payment.completedAt))),
+      bankAccount: getBankAccountSnapshot(driver.bankDetails),
+      provider: config.provider
+    });
+
+    await settlement.save();
+
+    if (duesOffset > 0) {
+      await offsetDues(settlement);
+    }
+
+    // Dues took the whole payout, so there is nothing to transfer
+    if (settlement.amount <= 0) {
+      await applyTransferResult(settlement, { status: 'paid', raw: { duesOffset } });
+    }
+
+    settlements.push(settlement);
+  }
+
+  return settlements;
+}
+
+// Return a settlement's payments to the pool so they are batched again,
+// and put back any dues the payout was meant to cover.
+// Refunds made meanwhile already lowered the earnings going back to the pool, so they are not owed as dues.
+async function releasePayments(settlement) {
+  await Payment.updateMany(
+    { 'payout.settlementId': settlement._id },
+    { 'payout.status': 'unsettled', 'payout.settlementId': null }
+  );
+  await Payment.updateMany(
+    { _id: { $in: settlement.payments }, 'refunds.deductFromDues': true },
+    { 'refunds.$[].deductFromDues': false }
+  );
+
+  if (settlement.duesOffset > 0) {
+    await reverseDuesOffset(settlement);
+  }
+}
+
+// Refunds processed while the payout was in flight were paid out in full; recover the driver's share as dues
+async function recoverRefundsAfterPayout(settlement) {
+  const payments = await Payment.find({ 'payout.settlementId': settlement._id, 'refunds.deductFromDues': true });
+
+  for (const payment of payments) {
+    for (const refund of payment.refunds.filter(r => r.deductFromDues)) {
+      await recordRefundClawback(payment, refund);
+    }
+  }
+}
+
+// Record a transfer outcome on the settlement and its payments
+async function applyTransferResult(settlement, result) {
+  if (result.transferId) {
+    settlement.transferId = result.transferId;
+  }
+
+  switch (result.status) {
+    case 'paid':
+      await settlement.updateStatus('paid', result.raw);
+      await Payment.updateMany({ 'payout.settlementId': settlement._id }, { 'payout.status': 'paid' });
+      await recoverRefundsAfterPayout(settlement);
+      break;
+    case 'failed':
+      settlement.failureReason = result.errorMessage || 'Transfer failed';
+      await settlement.updateStatus('failed', result.raw);
+      await releasePayments(settlement);
+      break;
+    default:
+      if (settlement.status !== 'processing') {
+        await settlement.updateStatus('processing', result.raw);
+      } else {
+        settlement.transferResponse = result.raw;
+        await settlement.save();
+      }
+  }
+}
+
+// Send a pending settlement to the bank
+async function processSettlement(settlement) {
+  const driver = await Driver.findById(settlement.driverId);
+
+  // The driver was removed or their bank account cleared after the batch was made
+  if (!driver || !driver.bankDetails || !driver.bankDetails.accountNumber) {
+    settlement.failureReason = driver ? 'Driver has no bank account on file' : 'Driver not found';
+    await settlement.updateStatus('failed');
+    await releasePayments(settlement);
+    return settlement;
+  }
+
+  const provider = getPayoutProvider(settlement.provider);
+
+  settlement.attempts += 1;
+
+  let result;
+  try {
+    result = await provider.transfer({
+      reference: settlement.settlementId,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      beneficiary: { ...driver.bankDetails.toObject(), driverId: driver._id.toString() }
+    });
+  } catch (error) {
+    // Outcome unknown: retry on the next cycle until attempts run out
+    settlement.failureReason = error.message;
+    if (settlement.attempts >= config.maxAttempts) {
+      await settlement.updateStatus('failed', error.response || null);
+      await releasePayments(settlement);
+    } else {
+      await settlement.save();
+    }
+    return settlement;
+  }
+
+  await applyTransferResult(settlement, result);
+  return settlement;
+}
+
+// Check transfers that are still in flight
+async function syncSettlement(settlement) {
+  const provider = getPayoutProvider(settlement.provider);
+  const result = await provider.fetchTransfer({ transferId: settlement.transferId });
+  await applyTransferResult(settlement, result);
+  return settlement;
+}
+
+let cycleRunning = false;
+
+// One full settlement run: batch, send and reconcile
+async function runSettlementCycle(now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    // Dues have to be complete before payouts are netted against them
+    await recordPendingCashCommissions();
+
+    const created = await createSettlementBatches(now);
+
+    const pending = await Settlement.find({ status: 'pending' });
+    for (const settlement of pending) {
+      try {
+        await processSettlement(settlement);
+      } catch (error) {
+        console.error(`Settlement error for ${settlement.settlementId}:`, error);
+      }
+    }
+
+    const inFlight = await Settlement.find({ status: 'processing', transferId: { $ne: null } });
+    for (const settlement of inFlight) {
+      try {
+        await syncSettlement(settlement);
+      } catch (error) {
+        console.error(`Settlement sync error for ${settlement.settlementId}:`, error);
+      }
+    }
+
+    return { created: created.length, sent: pending.length, synced: inFlight.length };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+// Pending, in-flight and paid totals for one driver, one line per currency
+async function getDriverSettlementSummary(driverId, now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.holdHours * 60 * 60 * 1000);
+
+  const unsettled = await Payment.aggregate([
+    { $match: unsettledEarningsQuery({ driverId }) },
+    {
+      $group: {
+        _id: PAYMENT_CURRENCY,
+        amount: { $sum: '$driverEarning.netEarning' },
+        onHold: { $sum: { $cond: [{ $gt: ['$completedAt', cutoff] }, '$driverEarning.netEarning', 0] } },
+        rides: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const settled = await Settlement.aggregate([
+    { $match: { driverId } },
+    {
+      $group: {
+        _id: { status: '$status', currency: { $ifNull: ['$currency', baseCurrency] } },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totals = (statuses) => {
+    const byCurrency = {};
+    settled
+      .filter(group => statuses.includes(group._id.status))
+      .forEach(group => {
+        const line = byCurrency[group._id.currency] || { currency: group._id.currency, amount: 0, settlements: 0 };
+        line.amount += group.amount;
+        line.settlements += group.count;
+        byCurrency[group._id.currency] = line;
+      });
+    return Object.values(byCurrency);
+  };
+
+  return {
+    pending: unsettled.map(group => ({
+      currency: group._id,
+      amount: group.amount,
+      onHold: group.onHold,
+      rides: group.rides
+    })),
+    inFlight: totals(['pending', 'processing']),
+    paid: totals(['paid']),
+    outstandingDues: await getOutstandingDues(driverId),
+    minimumPayout: config.minimumAmount,
+    holdHours: config.holdHours
+  };
+}
+
+module.exports = {
+  createSettlementBatches,
+  processSettlement,
+  syncSettlement,
+  runSettlementCycle,
+  getDriverSettlementSummary
+};
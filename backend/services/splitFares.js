@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const config = require('../config/splits');
+const { buildBreakdown, buildDriverEarning } = require('./payments');
+const { pickSavedMethod, chargeSavedMethod } = require('./dunning');
+const { roundFare, convertAmount } = require('./currency');
+
+function generateShareId() {
+  return 'SHR' + Date.now() + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+function isSameUser(a, b) {
+  return Boolean(a && b) && a.toString() === b.toString();
+}
+
+// Share a co-rider was invited to, matched by account or, for phone invites, by phone number
+function findInvitedShare(ride, user) {
+  return ride.split.shares.find(share => !share.isBooker &&
+    (isSameUser(share.user, user._id) || (!share.user && share.phone && share.phone === user.phone)));
+}
+
+// Invite co-riders to split the fare, replacing an earlier split that nobody has paid into.
+// Resolves to { ride } or { error }.
+async function createSplit(ride, booker, { mode, coRiders }) {
+  if (ride.split.shares.some(share => share.status === 'paid')) {
+    return { error: 'Part of the fare has already been paid' };
+  }
+
+  const shares = [{
+    shareId: generateShareId(),
+    user: booker._id,
+    phone: booker.phone,
+    name: booker.name,
+    isBooker: true,
+    status: 'accepted',
+    respondedAt: new Date()
+  }];
+
+  for (const coRider of coRiders) {
+    const user = coRider.userId
+      ? await User.findById(coRider.userId)
+      : await User.findOne({ phone: coRider.phone });
+
+    if (coRider.userId && !user) {
+      return { error: 'Co-rider not found' };
+    }
+
+    if (user && isSameUser(user._id, booker._id)) {
+      return { error: 'You cannot invite yourself' };
+    }
+
+    const phone = user ? user.phone : coRider.phone;
+    if (shares.some(share => (user && isSameUser(share.user, user._id)) || share.phone === phone)) {
+      return { error: 'Each co-rider can only be invited once' };
+    }
+
+    shares.push({
+      shareId: generateShareId(),
+      user: user ? user._id : undefined,
+      phone,
+      name: user ? user.name : coRider.name,
+      percent: mode === 'custom' ? coRider.percent : undefined,
+      status: 'invited'
+    });
+  }
+
+  ride.split = { mode, status: 'open', shares };
+  if (ride.status === 'completed') {
+    ride.split.expiresAt = new Date(ride.completedAt.getTime() + config.expiryMinutes * 60 * 1000);
+  }
+
+  ride.allocateShares();
+  await ride.save();
+
+  return { ride };
+}
+
+// Accept or decline an invitation. Resolves to { ride, share } or { error }.
+async function respondToSplit(ride, user, accept) {
+  const share = findInvitedShare(ride, user);
+  if (!share) {
+    return { error: 'No fare split invitation for you on this ride' };
+  }
+
+  if (share.status !== 'invited') {
+    return { error: 'Invitation has already been answered' };
+  }
+
+  share.user = user._id;
+  share.status = accept ? 'accepted' : 'declined';
+  share.respondedAt = new Date();
+
+  ride.allocateShares();
+  await ride.save();
+
+  return { ride, share };
+}
+
+// Reprice the shares from the final fare and start the time co-riders have to pay
+async function openSplitForPayment(ride) {
+  if (ride.split.shares.length === 0) {
+    return ride;
+  }
+
+  ride.split.expiresAt = new Date(ride.completedAt.getTime() + config.expiryMinutes * 60 * 1000);
+  ride.allocateShares();
+  await ride.save();
+
+  return ride;
+}
+
+// The ride's breakdown scaled down to one share; invoice rounding absorbs any difference
+function buildShareBreakdown(fare, amount) {
+  const breakdown = buildBreakdown(fare);
+  const ratio = fare.totalFare > 0 ? amount / fare.totalFare : 0;
+
+  ['rideFare', 'taxes', 'platformFee', 'discount', 'couponDiscount', 'passDiscount', 'surgeFare', 'surchargeTotal'].forEach(field => {
+    breakdown[field] = roundFare((breakdown[field] || 0) * ratio, fare.currency);
+  });
+  breakdown.surcharges = breakdown.surcharges.map(line => ({
+    ...line,
+    amount: roundFare(line.amount * ratio, fare.currency)
+  }));
+  breakdown.total = amount;
+
+  return breakdown;
+}
+
+// Payment for one share, paid by `payer` (the co-rider, or the booker once it has moved to them)
+function buildSharePayment(ride, share, payer, { paymentMethod, paymentProvider, metadata }) {
+  const earning = buildDriverEarning(ride.fare);
+  const ratio = ride.fare.totalFare > 0 ? share.amount / ride.fare.totalFare : 0;
+  const netEarning = roundFare(earning.netEarning * ratio, ride.fare.currency);
+
+  return new Payment({
+    rideId: ride._id,
+    type: 'fare_share',
+    shareId: share.shareId,
+    userId: payer,
+    driverId: ride.driver,
+    amount: share.amount,
+    currency: ride.fare.currency,
+    converted: isSameUser(payer, ride.passenger) ? convertAmount(share.amount, ride.fare.converted) : undefined,
+    paymentMethod,
+    paymentProvider,
+    breakdown: buildShareBreakdown(ride.fare, share.amount),
+    driverEarning: {
+      amount: share.amount,
+      commission: share.amount - netEarning,
+      netEarning
+    },
+    metadata
+  });
+}
+
+// Move every unpaid share of an expired split to the booker and charge their saved method.
+// Waits while any unpaid share still has a charge in flight, since that charge may yet pay it.
+async function expireSplit(ride, io) {
+  const unpaid = ride.split.shares
+    .filter(share => !['paid', 'declined'].includes(share.status))
+    .map(share => share.shareId);
+  const inFlight = await Payment.exists({
+    rideId: ride._id,
+    shareId: { $in: unpaid },
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (inFlight) {
+    return 0;
+  }
+
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'split.status': 'open' },
+    { 'split.status': 'expired' },
+    { new: true }
+  );
+  if (!claimed) {
+    return 0;
+  }
+
+  const booker = await User.findById(claimed.passenger);
+  if (!booker) {
+    return 0;
+  }
+
+  const method = pickSavedMethod(booker, { preferWallet: claimed.paymentMethod === 'wallet' });
+
+  let reassigned = 0;
+  for (const share of claimed.split.shares) {
+    if (['paid', 'declined'].includes(share.status)) {
+      continue;
+    }
+
+    // The co-rider no longer owes it
+    const now = new Date();
+    await Payment.updateMany(
+      { rideId: claimed._id, shareId: share.shareId, status: 'failed' },
+      { status: 'cancelled', 'dunning.status': 'resolved', 'dunning.nextRetryAt': null, 'dunning.resolvedAt': now }
+    );
+
+    if (!share.isBooker) {
+      share.status = 'reassigned';
+      reassigned++;
+    }
+    await claimed.save();
+
+    const payment = buildSharePayment(claimed, share, booker._id, {
+      paymentMethod: method ? method.paymentMethod : 'cash',
+      paymentProvider: method ? method.paymentProvider : 'cash'
+    });
+    await payment.save();
+
+    await chargeSavedMethod(payment, booker, method, io);
+  }
+
+  if (reassigned > 0 && io) {
+    io.to(booker._id.toString()).emit('fareSplitExpired', {
+      rideId: claimed._id,
+      reassignedShares: reassigned
+    });
+  }
+
+  return reassigned;
+}
+
+let cycleRunning = false;
+
+// Hand unpaid shares to the booker once the time to pay has run out
+async function runSplitExpiryCycle(io, now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    const due = await Ride.find({
+      status: 'completed',
+      'split.status': 'open',
+      'split.expiresAt': { $lte: now }
+    });
+
+    let reassigned = 0;
+    for (const ride of due) {
+      try {
+        reassigned += await expireSplit(ride, io);
+      } catch (error) {
+        console.error(`Split expiry error for ride ${ride.rideId}:`, error);
+      }
+    }
+
+    return { expired: due.length, reassigned };
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+module.exports = {
+  findInvitedShare,
+  createSplit,
+  respondToSplit,
+  openSplitForPayment,
+  buildSharePayment,
+  runSplitExpiryCycle
+};
@@ -0,0 +1,182 @@
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const SurgeZone = require('../models/SurgeZone');
+const config = require('../config/surge');
+
+// Grid cell for a [longitude, latitude] pair
+function getCell([longitude, latitude]) {
+  const size = config.cellSizeDegrees;
+  const latIndex = Math.floor(latitude / size);
+  const lngIndex = Math.floor(longitude / size);
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+
+  return {
+    cellId: `${latIndex}_${lngIndex}`,
+    center: { type: 'Point', coordinates: [round((lngIndex + 0.5) * size), round((latIndex + 0.5) * size)] },
+    bounds: {
+      southWest: [round(lngIndex * size), round(latIndex * size)],
+      northEast: [round((lngIndex + 1) * size), round((latIndex + 1) * size)]
+    }
+  };
+}
+
+// Multiplier for a cell's demand and supply, in steps of 0.1 and capped
+function calculateMultiplier(demand, supply) {
+  if (demand < config.minimumDemand) {
+    return 1;
+  }
+
+  const ratio = demand / Math.max(supply, 1);
+  if (ratio < config.demandRatioThreshold) {
+    return 1;
+  }
+
+  const multiplier = 1 + (ratio - 1) * config.sensitivity;
+  return Math.min(Math.round(multiplier * 10) / 10, config.maxMultiplier);
+}
+
+function describeSurge(demand, supply) {
+  return `High demand: ${demand} ride requests for ${supply} available drivers`;
+}
+
+// Count searching rides and available drivers per cell
+async function countByCell(now) {
+  const since = new Date(now.getTime() - config.demandWindowMinutes * 60 * 1000);
+
+  const [rides, drivers] = await Promise.all([
+    Ride.find({ status: 'searching', requestedAt: { $gte: since } }).select('pickup.coordinates').lean(),
+    Driver.find({
+      isAvailable: true,
+      isOnline: true,
+      approvalStatus: 'approved',
+      'currentLocation.coordinates.1': { $exists: true }
+    }).select('currentLocation.coordinates').lean()
+  ]);
+
+  const cells = new Map();
+  const cellFor = (coordinates) => {
+    const cell = getCell(coordinates);
+    if (!cells.has(cell.cellId)) {
+      cells.set(cell.cellId, { ...cell, demand: 0, supply: 0 });
+    }
+    return cells.get(cell.cellId);
+  };
+
+  rides.forEach(ride => { cellFor(ride.pickup.coordinates).demand += 1; });
+  drivers.forEach(driver => { cellFor(driver.currentLocation.coordinates).supply += 1; });
+
+  return cells;
+}
+
+// Recompute every zone with demand, and calm down zones whose demand has gone
+async function updateSurgeZones(now = new Date()) {
+  const cells = await countByCell(now);
+
+  // Zones that were surging but have no requests left go back to normal
+  const surging = await SurgeZone.find({ multiplier: { $gt: 1 } }).select('cellId').lean();
+  surging.forEach(zone => {
+    if (!cells.has(zone.cellId)) {
+      cells.set(zone.cellId, { cellId: zone.cellId, demand: 0, supply: 0 });
+    }
+  });
+
+  // Cells with drivers but no requests need no zone
+  for (const [cellId, cell] of cells) {
+    if (cell.demand === 0 && !surging.some(zone => zone.cellId === cellId)) {
+      cells.delete(cellId);
+    }
+  }
+
+  let active = 0;
+  for (const cell of cells.values()) {
+    const zone = (await SurgeZone.findOne({ cellId: cell.cellId })) ||
+      new SurgeZone({ cellId: cell.cellId, center: cell.center, bounds: cell.bounds });
+
+    zone.demand = cell.demand;
+    zone.supply = cell.supply;
+    zone.computedAt = now;
+
+    // Frozen zones only refresh their counts
+    if (!zone.frozen) {
+      zone.multiplier = calculateMultiplier(cell.demand, cell.supply);
+      zone.reason = zone.multiplier > 1 ? describeSurge(cell.demand, cell.supply) : null;
+    }
+
+    await zone.save();
+
+    if (zone.getEffectiveSurge(now).multiplier > 1) {
+      active++;
+    }
+  }
+
+  return { zones: cells.size, surging: active };
+}
+
+let cycleRunning = false;
+
+async function runSurgeCycle(now = new Date()) {
+  if (cycleRunning) {
+    return { skipped: true };
+  }
+
+  cycleRunning = true;
+  try {
+    return await updateSurgeZones(now);
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+// Surge that applies to a pickup point
+async function getSurgeForLocation(coordinates, now = new Date()) {
+  const { cellId } = getCell(coordinates);
+  const zone = await SurgeZone.findOne({ cellId });
+
+  if (!zone) {
+    return { cellId, multiplier: 1, reason: null };
+  }
+
+  return { cellId, ...zone.getEffectiveSurge(now) };
+}
+
+// Zones currently priced above normal, optionally near a point
+async function getActiveSurgeZones({ coordinates, radiusKm = 10 } = {}, now = new Date()) {
+  const query = {
+    $or: [{ multiplier: { $gt: 1 } }, { 'override.multiplier': { $gt: 0 } }]
+  };
+
+  if (coordinates) {
+    query.center = {
+      $geoWithin: { $centerSphere: [coordinates, radiusKm / 6378.1] }
+    };
+  }
+
+  const zones = await SurgeZone.find(query);
+  return zones.filter(zone => zone.getEffectiveSurge(now).multiplier !== 1);
+}
+
+// Load a zone for an admin change, creating it for a point nobody has requested from yet
+async function findOrCreateZone(cellId) {
+  const zone = await SurgeZone.findOne({ cellId });
+  if (zone) {
+    return zone;
+  }
+
+  const [latIndex, lngIndex] = cellId.split('_').map(Number);
+  if (!Number.isInteger(latIndex) || !Number.isInteger(lngIndex)) {
+    return null;
+  }
+
+  const size = config.cellSizeDegrees;
+  const cell = getCell([(lngIndex + 0.5) * size, (latIndex + 0.5) * size]);
+  return new SurgeZone({ ...cell, computedAt: new Date() });
+}
+
+module.exports = {
+  getCell,
+  calculateMultiplier,
+  runSurgeCycle,
+  getSurgeForLocation,
+  getActiveSurgeZones,
+  findOrCreateZone
+};
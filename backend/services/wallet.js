@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const { ACCOUNTS } = LedgerEntry;
+
+function generateReference(prefix) {
+  return prefix + Date.now() + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Current wallet balance for a passenger
+function getWalletBalance(userId) {
+  return LedgerEntry.getBalance(LedgerEntry.walletAccount(userId));
+}
+
+// Credit the wallet once a top-up payment is captured; crediting it again is a no-op
+async function creditTopUp(payment) {
+  try {
+    await LedgerEntry.postTransaction({
+      transactionId: `TOPUP-${payment.paymentId}`,
+      entryType: 'topup',
+      debitAccount: ACCOUNTS.GATEWAY_CLEARING,
+      creditAccount: LedgerEntry.walletAccount(payment.userId),
+      amount: payment.amount,
+      userId: payment.userId,
+      paymentId: payment.paymentId,
+      description: 'Wallet top-up',
+      metadata: { provider: payment.paymentProvider, gatewayTransactionId: payment.transactionId }
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+// Grant promotional credit funded by the platform
+async function creditPromo(userId, amount, { description, grantedBy } = {}) {
+  const reference = generateReference('PROMO');
+
+  await LedgerEntry.postTransaction({
+    transactionId: reference,
+    entryType: 'promo_credit',
+    debitAccount: ACCOUNTS.PROMOTIONS,
+    creditAccount: LedgerEntry.walletAccount(userId),
+    amount,
+    userId,
+    description: description || 'Promotional credit',
+    metadata: { grantedBy }
+  });
+
+  return reference;
+}
+
+// Wallet entries, newest first
+async function getStatement(userId, { page = 1, limit = 20 } = {}) {
+  const query = { account: LedgerEntry.walletAccount(userId) };
+
+  const entries = await LedgerEntry.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const totalEntries = await LedgerEntry.countDocuments(query);
+
+  return { entries, totalEntries };
+}
+
+module.exports = {
+  getWalletBalance,
+  creditTopUp,
+  creditPromo,
+  getStatement
+};
@@ -0,0 +1,129 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getProvider } = require('./paymentProviders');
+const { applyGatewayStatus, applyRefundStatus, notifyPaymentCompleted, notifyPaymentFailed } = require('./payments');
+
+// Map normalized webhook types to gateway charge states and refund states
+const CHARGE_EVENTS = {
+  'charge.authorized': 'authorized',
+  'charge.captured': 'captured',
+  'charge.failed': 'failed'
+};
+
+const REFUND_EVENTS = {
+  'refund.pending': 'pending',
+  'refund.processed': 'processed',
+  'refund.failed': 'failed'
+};
+
+// An event still marked received after this long was interrupted mid-processing, e.g. by a crash
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+// Find the payment a gateway event refers to
+function findPaymentForEvent(event) {
+  const transactionIds = [event.transactionId, ...(event.alternateTransactionIds || [])].filter(Boolean);
+
+  if (transactionIds.length > 0) {
+    return Payment.findOne({ transactionId: { $in: transactionIds } });
+  }
+
+  if (event.refundId) {
+    return Payment.findOne({
+      $or: [{ 'refunds.refundId': event.refundId }, { 'refunds.reference': event.refundId }]
+    });
+  }
+
+  return null;
+}
+
+// Store the event, or return null when it has already been handled
+async function recordEvent(providerName, event) {
+  try {
+    return await WebhookEvent.create({
+      provider: providerName,
+      eventId: event.eventId,
+      eventType: event.type,
+      transactionId: event.transactionId,
+      payload: event.raw
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Events that failed or were interrupted before are processed again on redelivery; the claim
+    // marks the event received afresh so only one redelivery takes it
+    return WebhookEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId: event.eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'received', updatedAt: { $lte: new Date(Date.now() - STALE_EVENT_MS) } }
+        ]
+      },
+      { status: 'received', errorMessage: null },
+      { new: true }
+    );
+  }
+}
+
+async function applyChargeEvent(providerName, payment, event, io) {
+  const status = CHARGE_EVENTS[event.type];
+
+  // Razorpay swaps the order ID for the payment ID once the passenger pays
+  if (event.transactionId && payment.transactionId !== event.transactionId) {
+    payment.transactionId = event.transactionId;
+  }
+
+  await payment.addPaymentAttempt(`${providerName}:webhook`, status, event.errorMessage, event.raw);
+  const changed = await applyGatewayStatus(payment, { status, raw: event.raw });
+
+  if (changed && payment.status === 'completed') {
+    await notifyPaymentCompleted(io, payment);
+  } else if (changed && payment.status === 'failed') {
+    notifyPaymentFailed(io, payment);
+  }
+}
+
+// Verify, de-duplicate and apply a gateway callback
+async function handleWebhook(providerName, request, io) {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(request);
+
+  const record = await recordEvent(providerName, event);
+  if (!record) {
+    return { duplicate: true };
+  }
+
+  try {
+    if (!event.type) {
+      await record.markProcessed('ignored', 'Unhandled event type');
+      return { ignored: true };
+    }
+
+    const payment = await findPaymentForEvent(event);
+    if (!payment) {
+      await record.markProcessed('ignored', 'Payment not found');
+      return { ignored: true };
+    }
+
+    record.paymentId = payment._id;
+
+    if (CHARGE_EVENTS[event.type]) {
+      await applyChargeEvent(providerName, payment, event, io);
+    } else if (REFUND_EVENTS[event.type]) {
+      await applyRefundStatus(payment, event.refundId, REFUND_EVENTS[event.type], event.errorMessage);
+    }
+
+    await record.markProcessed('processed');
+    return { processed: true, paymentId: payment.paymentId, status: payment.status };
+  } catch (error) {
+    await record.markProcessed('failed', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  handleWebhook
+};
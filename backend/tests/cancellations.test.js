@@ -0,0 +1,140 @@
+const Driver = require('../models/Driver');
+const ExchangeRate = require('../models/ExchangeRate');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { getCancellationCharge, applyCancellationPolicy } = require('../services/cancellations');
+const { objectId, stubSaves } = require('./helpers');
+
+jest.mock('../services/invoices', () => ({ generateInvoice: jest.fn() }));
+
+// A ride cancelled by the passenger after the driver reached the pickup
+function buildCancelledRide(currency, overrides = {}) {
+  return new Ride({
+    passenger: objectId(),
+    driver: objectId(),
+    pickup: { address: 'Marina', coordinates: [55.1400, 25.0800] },
+    destination: { address: 'Mall', coordinates: [55.2800, 25.1970] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    otp: '1234',
+    distance: 21,
+    estimatedDuration: 30,
+    status: 'cancelled',
+    fare: { baseFare: 10, distanceFare: 20, totalFare: 30, currency },
+    ...overrides
+  });
+}
+
+const passenger = { _id: objectId(), phone: '9999999999', paymentMethods: [] };
+const charge = { stage: 'arrived', fee: 50, driverCompensation: 50, driverPenalty: 0 };
+
+beforeEach(() => {
+  stubSaves(Payment, Ride);
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getCancellationCharge', () => {
+  const MINUTE = 60 * 1000;
+  const assigned = (minutesAgo) => ({ status: 'driver_assigned', assignedAt: new Date(Date.now() - minutesAgo * MINUTE) });
+
+  test('is free within the grace period after a driver is assigned', () => {
+    expect(getCancellationCharge(assigned(1), 'passenger')).toEqual({
+      stage: null, fee: 0, driverCompensation: 0, driverPenalty: 0
+    });
+  });
+
+  test('charges the passenger the en-route fee once the grace period is over', () => {
+    expect(getCancellationCharge(assigned(5), 'passenger')).toEqual({
+      stage: 'en_route', fee: 25, driverCompensation: 25, driverPenalty: 0
+    });
+  });
+
+  test('charges the passenger more once the driver has arrived', () => {
+    expect(getCancellationCharge({ status: 'driver_arrived' }, 'passenger')).toMatchObject({ stage: 'arrived', fee: 50 });
+  });
+
+  test('penalizes the driver instead of charging the passenger when the driver cancels', () => {
+    expect(getCancellationCharge(assigned(5), 'driver')).toEqual({
+      stage: 'en_route', fee: 0, driverCompensation: 0, driverPenalty: 50
+    });
+  });
+
+  test('never charges for a cancellation by support', () => {
+    expect(getCancellationCharge({ status: 'driver_arrived' }, 'admin')).toMatchObject({ fee: 0, driverPenalty: 0 });
+  });
+
+  test('is free before a driver is assigned', () => {
+    expect(getCancellationCharge({ status: 'searching' }, 'passenger').stage).toBeNull();
+  });
+});
+
+describe('driver cancellation penalties', () => {
+  test('are added to the driver\'s dues', async () => {
+    const ride = buildCancelledRide('INR', { rideId: 'RIDEPENALTY1' });
+    jest.spyOn(LedgerEntry, 'postTransaction').mockResolvedValue([]);
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(-50);
+    jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await applyCancellationPolicy(ride, passenger, { stage: 'en_route', fee: 0, driverCompensation: 0, driverPenalty: 50 }, null);
+
+    expect(ride.driverCancellationPenalty).toBe(50);
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'PENALTY-RIDEPENALTY1',
+      entryType: 'cancellation_penalty',
+      debitAccount: LedgerEntry.driverDuesAccount(ride.driver),
+      amount: 50
+    }));
+    expect(Driver.updateOne).toHaveBeenCalledWith(
+      { _id: ride.driver },
+      expect.objectContaining({ 'dues.outstanding': 50 })
+    );
+  });
+});
+
+describe('passenger cancellation fees', () => {
+  test('are charged to the passenger and paid to the driver', async () => {
+    const ride = buildCancelledRide('INR');
+
+    const payment = await applyCancellationPolicy(ride, passenger, charge, null);
+
+    expect(payment.type).toBe('cancellation_fee');
+    expect(payment.amount).toBe(50);
+    expect(payment.currency).toBe('INR');
+    expect(payment.driverEarning).toMatchObject({ amount: 50, commission: 0, netEarning: 50 });
+    expect(ride.cancellationFee).toMatchObject({ amount: 50, currency: 'INR', paymentId: payment.paymentId });
+  });
+});
+
+describe('cancellation fees in another currency', () => {
+  test('are charged in the ride\'s currency at the day\'s rate', async () => {
+    const ride = buildCancelledRide('AED');
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([{ currency: 'AED', rate: 0.044 }]);
+
+    const payment = await applyCancellationPolicy(ride, passenger, charge, null);
+
+    expect(ride.cancellationFee).toMatchObject({ amount: 2.2, currency: 'AED', stage: 'arrived' });
+    expect(payment.currency).toBe('AED');
+    expect(payment.amount).toBe(2.2);
+    expect(payment.driverEarning.netEarning).toBe(2.2);
+  });
+
+  test('are marked failed instead of charged in rupees when there is no rate', async () => {
+    const ride = buildCancelledRide('AED');
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+
+    const payment = await applyCancellationPolicy(ride, passenger, charge, null);
+
+    expect(payment).toBeNull();
+    expect(ride.cancellationFee).toMatchObject({
+      status: 'failed',
+      failureReason: 'No AED exchange rate to convert the fee at'
+    });
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+const Promo = require('../models/Promo');
+const ExchangeRate = require('../models/ExchangeRate');
+const { toMinorUnits, roundAmount, roundFare, getRate, convertAmount } = require('../services/currency');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('toMinorUnits', () => {
+  test('counts paise and cents for two-decimal currencies', () => {
+    expect(toMinorUnits(180.5, 'INR')).toBe(18050);
+    expect(toMinorUnits(12.34, 'USD')).toBe(1234);
+  });
+
+  test('sends yen as whole units', () => {
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+  });
+
+  test('counts fils for dinars', () => {
+    expect(toMinorUnits(2.125, 'KWD')).toBe(2125);
+  });
+});
+
+describe('rounding', () => {
+  test('rounds amounts to the currency\'s minor unit and fares to its quoted precision', () => {
+    expect(roundAmount(10.456, 'USD')).toBe(10.46);
+    expect(roundAmount(10.4567, 'KWD')).toBe(10.457);
+    expect(roundAmount(1500.6, 'JPY')).toBe(1501);
+    expect(roundFare(164.6, 'INR')).toBe(165);
+    expect(roundFare(16.456, 'USD')).toBe(16.46);
+  });
+});
+
+describe('getRate', () => {
+  test('converts through the base currency', async () => {
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([
+      { currency: 'USD', rate: 0.012 },
+      { currency: 'AED', rate: 0.044 }
+    ]);
+
+    const rate = await getRate('USD', 'AED');
+
+    expect(rate).toBeCloseTo(0.044 / 0.012);
+  });
+
+  test('is null when a rate has not been set', async () => {
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+
+    await expect(getRate('INR', 'USD')).resolves.toBeNull();
+  });
+
+  test('converts at the recorded rate in the target currency\'s precision', () => {
+    expect(convertAmount(165, { currency: 'USD', rate: 0.012 })).toEqual({ currency: 'USD', rate: 0.012, amount: 1.98 });
+    expect(convertAmount(165, null)).toBeUndefined();
+  });
+});
+
+describe('promo discounts', () => {
+  test('keep cents on a dollar fare', () => {
+    const promo = new Promo({ code: 'TENOFF', discountType: 'percentage', discountValue: 10 });
+
+    expect(promo.calculateDiscount(16.45, 'USD')).toBe(1.65);
+  });
+
+  test('round to whole rupees on a rupee fare', () => {
+    const promo = new Promo({ code: 'TENOFF', discountType: 'percentage', discountValue: 10 });
+
+    expect(promo.calculateDiscount(165, 'INR')).toBe(17);
+  });
+
+  test('never exceed the cap or the fare', () => {
+    const promo = new Promo({ code: 'FLAT', discountType: 'fixed', discountValue: 200, maxDiscount: 150 });
+
+    expect(promo.calculateDiscount(120, 'INR')).toBe(120);
+    expect(promo.calculateDiscount(400, 'INR')).toBe(150);
+  });
+});
@@ -0,0 +1,309 @@
+const Driver = require('../models/Driver');
+const Promo = require('../models/Promo');
+const Ride = require('../models/Ride');
+const { acceptOffer, declineOffer, dispatchRide, runDispatchCycle } = require('../services/dispatch');
+const { objectId, stubSaves } = require('./helpers');
+
+const pickup = { address: 'MG Road', coordinates: [77.5946, 12.9716] };
+const nearPickup = [77.5950, 12.9720];
+
+function buildDriver(overrides = {}) {
+  return new Driver({
+    userId: objectId(),
+    isAvailable: true,
+    isOnline: true,
+    approvalStatus: 'approved',
+    backgroundCheckStatus: 'approved',
+    ...overrides
+  });
+}
+
+// A searching ride with its offer out to the driver
+function buildOfferedRide(driver, offerStatus = 'pending') {
+  const now = new Date();
+  return new Ride({
+    passenger: objectId(),
+    pickup,
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    status: 'searching',
+    dispatch: {
+      radiusMeters: 3000,
+      offers: [{ driver: driver._id, status: offerStatus, offeredAt: now, expiresAt: new Date(now.getTime() + 30 * 1000) }]
+    }
+  });
+}
+
+// The ride as the conditional update returns it, with the offer closed and any changes applied
+function closedOffer(ride, status, changes = {}) {
+  const updated = Ride.hydrate(ride.toObject());
+  Object.assign(updated, changes);
+  updated.dispatch.offers[0].status = status;
+  updated.populate = jest.fn().mockResolvedValue(updated);
+  return updated;
+}
+
+let driver;
+let user;
+
+beforeEach(() => {
+  driver = buildDriver();
+  user = { _id: driver.userId, name: 'Ravi', phone: '9999999999' };
+
+  jest.spyOn(Driver, 'findOne').mockResolvedValue(driver);
+  jest.spyOn(Driver, 'findOneAndUpdate').mockResolvedValue(driver);
+  jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ride, 'exists').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('acceptOffer', () => {
+  test('assigns the ride to the driver holding the offer', async () => {
+    const ride = buildOfferedRide(driver);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(closedOffer(ride, 'accepted', { status: 'driver_assigned', driver: driver._id }));
+
+    const result = await acceptOffer(ride, user, nearPickup, null);
+
+    expect(result.error).toBeUndefined();
+    expect(result.ride.status).toBe('driver_assigned');
+    expect(Driver.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: driver._id, isAvailable: true, isOnline: true },
+      expect.objectContaining({ isAvailable: false }),
+      { new: true }
+    );
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: ride._id, status: 'searching' }),
+      expect.anything(),
+      { new: true }
+    );
+  });
+
+  test('frees the driver again when the ride was cancelled while they accepted', async () => {
+    const ride = buildOfferedRide(driver);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await acceptOffer(ride, user, nearPickup, null);
+
+    expect(result).toEqual({ error: 'Ride is no longer available; it was cancelled or your offer expired', status: 409 });
+    expect(Driver.updateOne).toHaveBeenCalledWith({ _id: driver._id, isAvailable: false }, { isAvailable: true });
+  });
+
+  test('lets only one of two accepts from the same driver through', async () => {
+    const ride = buildOfferedRide(driver);
+    Driver.findOneAndUpdate
+      .mockResolvedValueOnce(driver)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(closedOffer(ride, 'accepted', { status: 'driver_assigned', driver: driver._id }));
+
+    const results = await Promise.all([
+      acceptOffer(ride, user, nearPickup, null),
+      acceptOffer(ride, user, nearPickup, null)
+    ]);
+
+    expect(results.filter(result => result.ride)).toHaveLength(1);
+    expect(results.find(result => result.error)).toEqual({ error: 'You already have an active ride', status: 409 });
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a driver who is still on another ride', async () => {
+    const ride = buildOfferedRide(driver);
+    Ride.exists.mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Ride, 'findOneAndUpdate');
+
+    const result = await acceptOffer(ride, user, nearPickup, null);
+
+    expect(result).toEqual({ error: 'You already have an active ride', status: 409 });
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses an offer that has timed out', async () => {
+    const ride = buildOfferedRide(driver, 'timed_out');
+
+    const result = await acceptOffer(ride, user, nearPickup, null);
+
+    expect(result).toEqual({ error: 'Your offer for this ride has expired', status: 409 });
+    expect(Driver.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses a driver the ride was never offered to', async () => {
+    const ride = buildOfferedRide(buildDriver());
+
+    const result = await acceptOffer(ride, user, nearPickup, null);
+
+    expect(result).toEqual({ error: 'This ride has not been offered to you', status: 400 });
+  });
+
+  test('refuses a driver too far from the pickup', async () => {
+    const ride = buildOfferedRide(driver);
+
+    const result = await acceptOffer(ride, user, [77.7500, 13.0500], null);
+
+    expect(result).toEqual({ error: 'Too far from pickup location', status: 400 });
+    expect(Driver.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('declineOffer', () => {
+  test('closes the offer and moves on to the next driver', async () => {
+    const ride = buildOfferedRide(driver);
+    const declined = closedOffer(ride, 'declined');
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(declined);
+    jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+
+    const result = await declineOffer(ride, driver, null);
+
+    expect(result).toEqual({ ride: declined });
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ride._id, 'dispatch.offers': { $elemMatch: { _id: ride.dispatch.offers[0]._id, status: 'pending' } } },
+      expect.objectContaining({ $set: expect.objectContaining({ 'dispatch.offers.$.status': 'declined' }) }),
+      { new: true }
+    );
+    expect(Ride.findById).toHaveBeenCalledWith(ride._id);
+  });
+
+  test('does nothing once the offer was closed by an accept or a timeout', async () => {
+    const ride = buildOfferedRide(driver);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Ride, 'findById');
+
+    const result = await declineOffer(ride, driver, null);
+
+    expect(result).toEqual({ error: 'Offer is no longer open', status: 400 });
+    expect(Ride.findById).not.toHaveBeenCalled();
+  });
+});
+
+// A ride whose first driver declined and whose next, wider search is due
+function buildWaitingRide(offeredDriver, overrides = {}) {
+  const now = Date.now();
+  return new Ride({
+    passenger: objectId(),
+    pickup,
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    otp: '1234',
+    distance: 4,
+    estimatedDuration: 12,
+    fare: { baseFare: 50, distanceFare: 60, totalFare: 150, currency: 'INR' },
+    status: 'searching',
+    dispatch: {
+      radiusMeters: 5000,
+      candidates: [{ driver: offeredDriver._id, score: 0.8 }],
+      offers: [{ driver: offeredDriver._id, status: 'declined', offeredAt: new Date(now - 60 * 1000), expiresAt: new Date(now - 45 * 1000) }],
+      nextSearchAt: new Date(now - 1000),
+      searchExpiresAt: new Date(now + 3 * 60 * 1000)
+    },
+    ...overrides
+  });
+}
+
+// The cycle first looks for offers whose timer was lost, then for searches that are due
+function stubCycleQueries(waiting) {
+  jest.spyOn(Ride, 'find')
+    .mockReturnValueOnce({ select: () => Promise.resolve([]) })
+    .mockResolvedValueOnce(waiting);
+}
+
+function stubNearbyDrivers(drivers) {
+  jest.spyOn(Driver, 'find').mockReturnValue({ limit: () => Promise.resolve(drivers) });
+  jest.spyOn(Ride, 'aggregate').mockResolvedValue([]);
+}
+
+function buildIo() {
+  const io = { emit: jest.fn() };
+  io.to = jest.fn().mockReturnValue(io);
+  return io;
+}
+
+describe('widening the search', () => {
+  test('searches a step wider for drivers not yet offered the ride', async () => {
+    const located = { vehicle: { type: 'car' }, currentLocation: { type: 'Point', coordinates: nearPickup } };
+    const declined = buildDriver(located);
+    const newcomer = buildDriver(located);
+    const ride = buildWaitingRide(declined);
+    const io = buildIo();
+    stubCycleQueries([ride]);
+    stubNearbyDrivers([declined, newcomer]);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(ride);
+    jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+
+    const result = await runDispatchCycle(io);
+
+    expect(result).toEqual({ expired: 0, widened: 1, timedOut: 0 });
+    const [[query, update]] = Ride.findOneAndUpdate.mock.calls;
+    expect(query).toEqual({ _id: ride._id, status: 'searching', 'dispatch.nextSearchAt': ride.dispatch.nextSearchAt });
+    expect(update['dispatch.radiusMeters']).toBe(7000);
+    expect(update['dispatch.candidates'].map(candidate => candidate.driver)).toEqual([declined._id, newcomer._id]);
+    expect(io.emit).toHaveBeenCalledWith('rideSearchUpdate', expect.objectContaining({
+      radiusMeters: 7000,
+      maxRadiusMeters: 12000,
+      driversFound: 1
+    }));
+  });
+
+  test('stops widening at the vehicle type\'s maximum radius', async () => {
+    const ride = buildWaitingRide(driver, { vehicleType: 'bike' });
+    ride.dispatch.radiusMeters = 8000;
+    stubCycleQueries([ride]);
+    stubNearbyDrivers([]);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(ride);
+    jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+
+    await runDispatchCycle(null);
+
+    expect(Driver.find).toHaveBeenCalledWith(expect.objectContaining({
+      currentLocation: { $near: expect.objectContaining({ $maxDistance: 8000 }) }
+    }));
+    expect(Ride.findOneAndUpdate.mock.calls[0][1]['dispatch.radiusMeters']).toBe(8000);
+  });
+
+  test('skips a search another run already widened', async () => {
+    stubCycleQueries([buildWaitingRide(driver)]);
+    stubNearbyDrivers([]);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Ride, 'findById');
+
+    const result = await runDispatchCycle(null);
+
+    expect(result.widened).toBe(0);
+    expect(Ride.findById).not.toHaveBeenCalled();
+  });
+
+  test('gives up once the search window has closed and hands back the promo', async () => {
+    const ride = buildWaitingRide(driver, { promo: { code: 'RIDE20', discount: 40 } });
+    ride.dispatch.searchExpiresAt = new Date(Date.now() - 1000);
+    const io = buildIo();
+    stubCycleQueries([ride]);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(ride);
+    jest.spyOn(Promo, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await runDispatchCycle(io, new Date());
+
+    expect(result).toEqual({ expired: 0, widened: 0, timedOut: 1 });
+    expect(Ride.findOneAndUpdate.mock.calls[0][1]).toMatchObject({ status: 'cancelled', cancellationReason: 'No drivers available' });
+    expect(Promo.updateOne).toHaveBeenCalledWith({ code: 'RIDE20', usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    expect(io.emit).toHaveBeenCalledWith('noDriversAvailable', { rideId: ride._id });
+  });
+
+  test('schedules a wider search when nobody is nearby at first', async () => {
+    stubSaves(Ride);
+    const ride = buildWaitingRide(driver, { status: 'requested', dispatch: {} });
+    stubNearbyDrivers([]);
+    jest.spyOn(Ride, 'findById').mockResolvedValue(ride);
+    jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await dispatchRide(ride, null);
+
+    expect(result.candidates).toBe(0);
+    expect(ride.dispatch.radiusMeters).toBe(5000);
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: ride._id, status: 'searching', 'dispatch.offers.status': { $ne: 'pending' } },
+      { 'dispatch.nextSearchAt': expect.any(Date) }
+    );
+  });
+});
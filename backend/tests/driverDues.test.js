@@ -0,0 +1,104 @@
+const Driver = require('../models/Driver');
+const ExchangeRate = require('../models/ExchangeRate');
+const LedgerEntry = require('../models/LedgerEntry');
+const Ride = require('../models/Ride');
+const { recordCashCommission, recordPendingCashCommissions } = require('../services/driverDues');
+const { objectId } = require('./helpers');
+
+function buildCashRide(fare) {
+  return new Ride({
+    rideId: 'RIDECASH1',
+    passenger: objectId(),
+    driver: objectId(),
+    pickup: { address: 'MG Road', coordinates: [77.5946, 12.9716] },
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'cash',
+    status: 'completed',
+    fare: { baseFare: 50, distanceFare: 100, totalFare: 200, driverEarning: 160, platformCommission: 40, ...fare }
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(LedgerEntry, 'postTransaction').mockResolvedValue([]);
+  jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(-40);
+  jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordCashCommission', () => {
+  test('adds the commission on a cash ride to the driver\'s dues', async () => {
+    const ride = buildCashRide({ currency: 'INR' });
+
+    const outstanding = await recordCashCommission(ride);
+
+    expect(outstanding).toBe(40);
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'COMM-RIDECASH1',
+      entryType: 'cash_commission',
+      debitAccount: LedgerEntry.driverDuesAccount(ride.driver),
+      amount: 40
+    }));
+    expect(Driver.updateOne).toHaveBeenCalledWith({ _id: ride.driver }, expect.objectContaining({ 'dues.outstanding': 40 }));
+  });
+
+  test('converts commission in another currency at the day\'s rate', async () => {
+    const ride = buildCashRide({ currency: 'AED', platformCommission: 4.4 });
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([{ currency: 'AED', rate: 0.044 }]);
+
+    await recordCashCommission(ride);
+
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 100,
+      metadata: { currency: 'AED', amount: 4.4, rate: 1 / 0.044 }
+    }));
+  });
+
+  test('leaves the commission pending on the ride when there is no rate', async () => {
+    const ride = buildCashRide({ currency: 'AED', platformCommission: 4.4 });
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+
+    const outstanding = await recordCashCommission(ride);
+
+    expect(outstanding).toBeNull();
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: ride._id },
+      { 'cashCommission.status': 'pending', 'cashCommission.failureReason': 'No AED exchange rate' }
+    );
+  });
+});
+
+describe('recordPendingCashCommissions', () => {
+  test('posts commissions once their rate is set', async () => {
+    const ride = buildCashRide({ currency: 'AED', platformCommission: 4.4 });
+    ride.cashCommission = { status: 'pending', failureReason: 'No AED exchange rate' };
+    jest.spyOn(Ride, 'find').mockResolvedValue([ride]);
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([{ currency: 'AED', rate: 0.044 }]);
+
+    const result = await recordPendingCashCommissions();
+
+    expect(result).toEqual({ pending: 1, recorded: 1 });
+    expect(Ride.find).toHaveBeenCalledWith({ 'cashCommission.status': 'pending' });
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: ride._id },
+      { 'cashCommission.status': 'posted', 'cashCommission.failureReason': null }
+    );
+  });
+
+  test('keeps waiting while the rate is still missing', async () => {
+    const ride = buildCashRide({ currency: 'AED', platformCommission: 4.4 });
+    ride.cashCommission = { status: 'pending' };
+    jest.spyOn(Ride, 'find').mockResolvedValue([ride]);
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+
+    const result = await recordPendingCashCommissions();
+
+    expect(result).toEqual({ pending: 1, recorded: 0 });
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,128 @@
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const config = require('../config/dispatch');
+const { getRankingWeights, rankDrivers, explainDriver } = require('../services/driverRanking');
+const { objectId } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const pickup = { address: 'MG Road', coordinates: [77.5946, 12.9716] };
+const near = [77.5990, 12.9716]; // about 480 m east of the pickup
+const far = [77.6300, 12.9716]; // about 3.8 km east
+
+function buildDriver(coordinates, { stats = {}, ...overrides } = {}) {
+  return new Driver({
+    userId: objectId(),
+    isAvailable: true,
+    isOnline: true,
+    approvalStatus: 'approved',
+    backgroundCheckStatus: 'approved',
+    vehicle: { type: 'car' },
+    currentLocation: { type: 'Point', coordinates },
+    stats: { totalRides: 100, cancelledRides: 0, offersReceived: 100, acceptanceRate: 90, rating: 4.8, totalRatings: 80, ...stats },
+    ...overrides
+  });
+}
+
+function buildSearchingRide(overrides = {}) {
+  return new Ride({
+    passenger: objectId(),
+    pickup,
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    status: 'searching',
+    dispatch: { radiusMeters: 5000, candidates: [], offers: [] },
+    ...overrides
+  });
+}
+
+// Last trip times as the aggregation returns them
+function stubLastTrips(rows = []) {
+  return jest.spyOn(Ride, 'aggregate').mockResolvedValue(rows);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rankDrivers', () => {
+  test('puts a nearby driver ahead of a better-rated one far away', async () => {
+    stubLastTrips();
+    const nearby = buildDriver(near, { stats: { rating: 4.2 } });
+    const distant = buildDriver(far, { stats: { rating: 5 } });
+
+    const ranked = await rankDrivers([distant, nearby], buildSearchingRide());
+
+    expect(ranked.map(entry => entry.driver)).toEqual([nearby, distant]);
+    expect(ranked[0].etaMinutes).toBeLessThan(ranked[1].etaMinutes);
+  });
+
+  test('breaks a tie in favour of the driver who has waited longest for a trip', async () => {
+    const now = new Date();
+    const busy = buildDriver(near);
+    const idle = buildDriver(near);
+    stubLastTrips([
+      { _id: busy._id, lastTripAt: new Date(now.getTime() - 5 * MINUTE) },
+      { _id: idle._id, lastTripAt: new Date(now.getTime() - 45 * MINUTE) }
+    ]);
+
+    const ranked = await rankDrivers([busy, idle], buildSearchingRide(), now);
+
+    expect(ranked[0].driver).toBe(idle);
+    expect(ranked[0].components.idle).toBe(0.75);
+  });
+
+  test('scores new drivers and drivers moving away fairly', async () => {
+    stubLastTrips();
+    const newcomer = buildDriver(near, { stats: { totalRides: 0, offersReceived: 0, totalRatings: 0 } });
+    const leaving = buildDriver(near, { heading: 90 }); // heading east, away from the pickup to the west
+
+    const [first, second] = await rankDrivers([newcomer, leaving], buildSearchingRide());
+    const scores = new Map([[first.driver, first], [second.driver, second]]);
+
+    expect(scores.get(newcomer).components).toMatchObject({ rating: 0.5, acceptance: 0.5, reliability: 0.5, idle: 1, heading: 0.5 });
+    expect(scores.get(leaving).components.heading).toBe(0);
+  });
+});
+
+describe('getRankingWeights', () => {
+  afterEach(() => {
+    delete config.ranking.weights.pune;
+  });
+
+  test('overrides only the weights a city sets', () => {
+    config.ranking.weights.pune = { eta: 0.6, heading: 0 };
+
+    expect(getRankingWeights('pune')).toEqual({ ...config.ranking.weights.default, eta: 0.6, heading: 0 });
+    expect(getRankingWeights('nagpur')).toEqual(config.ranking.weights.default);
+  });
+});
+
+describe('explainDriver', () => {
+  test('explains an offered driver by their rank and the offer', async () => {
+    const driver = buildDriver(near);
+    const ride = buildSearchingRide({
+      dispatch: {
+        candidates: [{ driver: objectId(), score: 0.9 }, { driver: driver._id, score: 0.8 }],
+        offers: [{ driver: driver._id, status: 'declined', offeredAt: new Date(), expiresAt: new Date() }]
+      }
+    });
+
+    const explanation = await explainDriver(ride, driver);
+
+    expect(explanation).toMatchObject({ offered: true, rank: 2, reason: 'Ranked #2 and offered the ride; offer declined' });
+  });
+
+  test('lists why a driver who was not ranked is not eligible', async () => {
+    const driver = buildDriver(far, { vehicle: { type: 'bike' }, isAvailable: false });
+
+    const explanation = await explainDriver(buildSearchingRide({ dispatch: { radiusMeters: 3000 } }), driver);
+
+    expect(explanation.reason).toBe('Not eligible');
+    expect(explanation.details).toEqual([
+      'Drives a bike, the ride needs a car',
+      'On another ride or unavailable',
+      expect.stringMatching(/ m from the pickup, outside the 3000 m search radius$/)
+    ]);
+  });
+});
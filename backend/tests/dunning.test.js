@@ -0,0 +1,184 @@
+const Driver = require('../models/Driver');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const config = require('../config/dunning');
+const { TOKENS } = require('../services/paymentProviders/fake');
+const { resetProviders } = require('../services/paymentProviders');
+const { chargePayment } = require('../services/payments');
+const { runDunningCycle, settleOutstandingPayment } = require('../services/dunning');
+const { objectId, stubSaves } = require('./helpers');
+
+jest.mock('../services/invoices', () => ({ generateInvoice: jest.fn() }));
+
+const now = new Date();
+
+function buildFailedPayment(overrides = {}) {
+  return new Payment({
+    paymentId: 'PAYDUN0001',
+    rideId: objectId(),
+    userId: objectId(),
+    driverId: objectId(),
+    amount: 180,
+    paymentMethod: 'card',
+    paymentProvider: 'razorpay',
+    status: 'failed',
+    driverEarning: { amount: 180, commission: 36, netEarning: 144 },
+    dunning: { status: 'scheduled', nextRetryAt: new Date(now.getTime() - 60 * 1000) },
+    ...overrides
+  });
+}
+
+// The cycle first looks for retries stuck at the gateway, then for failed payments that are due
+function stubCycleQueries({ stale = [], due = [] }) {
+  jest.spyOn(Payment, 'find')
+    .mockResolvedValueOnce(stale)
+    .mockReturnValueOnce({ sort: () => Promise.resolve(due) });
+}
+
+// Move the payment back to pending, as the conditional claim does in the database
+function stubClaim(payment) {
+  return jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async () => {
+    payment.status = 'pending';
+    payment.dunning.nextRetryAt = null;
+    payment.dunning.lastRetryAt = new Date();
+    return payment;
+  });
+}
+
+function passengerWith(paymentMethods) {
+  return { _id: objectId(), phone: '9999999999', paymentMethods };
+}
+
+let driver;
+
+beforeEach(() => {
+  resetProviders();
+  stubSaves(Payment, Ride);
+
+  driver = { _id: objectId(), userId: objectId(), updateEarnings: jest.fn() };
+  jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+  jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runDunningCycle', () => {
+  test('recovers a due payment with the passenger\'s saved card', async () => {
+    const payment = buildFailedPayment();
+    stubCycleQueries({ due: [payment] });
+    stubClaim(payment);
+    jest.spyOn(User, 'findById').mockResolvedValue(passengerWith([
+      { type: 'card', isDefault: true, details: { provider: 'razorpay', token: TOKENS.SUCCESS } }
+    ]));
+
+    const result = await runDunningCycle(null, now);
+
+    expect(result).toEqual({ expired: 0, retried: 1, recovered: 1 });
+    expect(payment.status).toBe('completed');
+    expect(payment.dunning.status).toBe('resolved');
+    expect(payment.paymentAttempts[0].method).toBe('razorpay:createCharge');
+    expect(driver.updateEarnings).toHaveBeenCalledWith(144);
+  });
+
+  test('schedules the next retry when the saved card is declined again', async () => {
+    const payment = buildFailedPayment();
+    stubCycleQueries({ due: [payment] });
+    stubClaim(payment);
+    jest.spyOn(User, 'findById').mockResolvedValue(passengerWith([
+      { type: 'card', isDefault: true, details: { provider: 'razorpay', token: TOKENS.DECLINED } }
+    ]));
+
+    const result = await runDunningCycle(null, now);
+
+    expect(result).toEqual({ expired: 0, retried: 1, recovered: 0 });
+    expect(payment.status).toBe('failed');
+    expect(payment.dunning.status).toBe('scheduled');
+    expect(payment.dunning.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('leaves a payment another retry already claimed', async () => {
+    const payment = buildFailedPayment();
+    stubCycleQueries({ due: [payment] });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(User, 'findById');
+
+    const result = await runDunningCycle(null, now);
+
+    expect(result).toEqual({ expired: 0, retried: 1, recovered: 0 });
+    expect(User.findById).not.toHaveBeenCalled();
+    expect(payment.paymentAttempts).toHaveLength(0);
+  });
+
+  test('fails a retry the gateway never finished so it can be retried again', async () => {
+    const payment = buildFailedPayment({ status: 'pending' });
+    await chargePayment(payment, { token: TOKENS.PENDING });
+    expect(payment.status).toBe('processing');
+
+    payment.dunning.lastRetryAt = new Date(now.getTime() - (config.retryTimeoutMinutes + 1) * 60 * 1000);
+    stubCycleQueries({ stale: [payment] });
+
+    const result = await runDunningCycle(null, now);
+
+    expect(result).toEqual({ expired: 1, retried: 0, recovered: 0 });
+    expect(payment.status).toBe('failed');
+    expect(payment.dunning.status).toBe('scheduled');
+    expect(payment.paymentAttempts.map(attempt => attempt.method)).toContain('razorpay:fetchStatus');
+  });
+
+  test('does not run twice at once', async () => {
+    let finishStale;
+    jest.spyOn(Payment, 'find')
+      .mockReturnValueOnce(new Promise(resolve => {
+        finishStale = () => resolve([]);
+      }))
+      .mockReturnValueOnce({ sort: () => Promise.resolve([]) });
+
+    const first = runDunningCycle(null, now);
+    const second = await runDunningCycle(null, now);
+    finishStale();
+
+    expect(second).toEqual({ skipped: true });
+    await expect(first).resolves.toEqual({ expired: 0, retried: 0, recovered: 0 });
+  });
+});
+
+describe('settleOutstandingPayment', () => {
+  test('charges the method the passenger picked for an exhausted debt', async () => {
+    const payment = buildFailedPayment({ dunning: { status: 'exhausted' } });
+    const claim = stubClaim(payment);
+
+    const settled = await settleOutstandingPayment(payment, passengerWith([]), {
+      paymentMethod: 'upi',
+      paymentProvider: 'phonepe',
+      token: TOKENS.SUCCESS
+    }, null);
+
+    expect(claim).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: payment._id, status: 'failed', 'dunning.status': { $in: ['scheduled', 'exhausted'] } }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(settled.payment.status).toBe('completed');
+    expect(settled.payment.paymentProvider).toBe('phonepe');
+    expect(payment.dunning.status).toBe('resolved');
+  });
+
+  test('returns null when the debt is already being paid', async () => {
+    const payment = buildFailedPayment({ dunning: { status: 'exhausted' } });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const settled = await settleOutstandingPayment(payment, passengerWith([]), {
+      paymentMethod: 'card',
+      paymentProvider: 'razorpay',
+      token: TOKENS.SUCCESS
+    }, null);
+
+    expect(settled).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+const FareTable = require('../models/FareTable');
+const Ride = require('../models/Ride');
+const { getFareConfig, getDefaultFareConfig, finalizeFare, publishFareTable } = require('../services/fares');
+const { objectId, stubSaves, duplicateKeyError } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// A car ride booked at the default rates for 10 km and 20 minutes: 240 + 12 platform fee + 43 GST
+function buildBookedRide(overrides = {}) {
+  const ride = new Ride({
+    passenger: objectId(),
+    driver: objectId(),
+    pickup: { address: 'MG Road', coordinates: [77.5946, 12.9716] },
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    otp: '1234',
+    distance: 10,
+    estimatedDuration: 20,
+    status: 'completed',
+    fare: { baseFare: 0, distanceFare: 0, totalFare: 0, currency: 'INR' },
+    ...overrides
+  });
+  ride.calculateFare(getDefaultFareConfig('car'));
+  return ride;
+}
+
+// Timestamps for a trip that took `minutes` from pickup to drop after `waited` minutes at pickup
+function tripTimes(minutes, waited = 0) {
+  const pickedUpAt = new Date(Date.now() - minutes * MINUTE);
+  return {
+    arrivedAt: new Date(pickedUpAt.getTime() - waited * MINUTE),
+    pickedUpAt,
+    droppedAt: new Date()
+  };
+}
+
+// A published car table for a city, with a night rule that runs past midnight
+function buildFareTable(overrides = {}) {
+  return new FareTable({
+    city: 'pune',
+    vehicleType: 'car',
+    version: 3,
+    baseRate: 40,
+    perKmRate: 14,
+    perMinuteRate: 1.5,
+    minimumFare: 50,
+    platformFeeRate: 0.04,
+    taxRate: 0.05,
+    driverShare: 0.85,
+    timeRules: [{ name: 'night', startTime: '22:00', endTime: '06:00', baseRate: 60, perKmRate: 18 }],
+    ...overrides
+  });
+}
+
+beforeEach(() => {
+  stubSaves(Ride, FareTable);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('finalizeFare', () => {
+  test('keeps the booked fare when the trip went as estimated', async () => {
+    const ride = buildBookedRide();
+    expect(ride.fare.totalFare).toBe(295);
+
+    const audit = await finalizeFare(ride);
+
+    expect(ride.fare.totalFare).toBe(295);
+    expect(audit).toMatchObject({ increase: 0, applied: true, flagged: false, flagReason: null });
+    expect(audit.originalFare.totalFare).toBe(295);
+  });
+
+  test('charges for the time actually taken and the waiting past the free minutes', async () => {
+    const ride = buildBookedRide(tripTimes(25, 8));
+
+    const audit = await finalizeFare(ride);
+
+    // 50 + 150 + 25 min * 2 + (8 - 3) min * 2 waiting = 260, then 13 platform fee and 47 GST
+    expect(ride.fare.waitingCharge).toBe(10);
+    expect(ride.fare.totalFare).toBe(320);
+    expect(audit).toMatchObject({ actualDuration: 25, waitingMinutes: 8, increase: 25, applied: true, flagged: false });
+  });
+
+  test('flags a final fare that rose past the tolerance for review', async () => {
+    const ride = buildBookedRide(tripTimes(60));
+
+    const audit = await finalizeFare(ride);
+
+    expect(ride.fare.totalFare).toBe(394);
+    expect(audit).toMatchObject({
+      increase: 99,
+      increasePercent: 33.56,
+      applied: true,
+      flagged: true,
+      flagReason: 'Final fare is 33.56% above the booked fare'
+    });
+    expect(ride.save).toHaveBeenCalled();
+  });
+
+  test('holds a quoted ride to its quoted fare and only records the recomputed one', async () => {
+    const ride = buildBookedRide({ ...tripTimes(60), quote: { quoteId: 'QT1', expiresAt: new Date() } });
+
+    const audit = await finalizeFare(ride);
+
+    expect(ride.fare.totalFare).toBe(295);
+    expect(audit.recomputedFare.totalFare).toBe(394);
+    expect(audit).toMatchObject({ applied: false, flagged: false });
+  });
+});
+
+describe('getFareConfig', () => {
+  test('applies the city\'s table and the time rule in force at local time', async () => {
+    const table = buildFareTable();
+    jest.spyOn(FareTable, 'findEffective').mockResolvedValue(table);
+
+    // 01:30 IST, inside the night rule that started the evening before
+    const night = await getFareConfig('car', { city: 'Pune', at: new Date('2026-06-15T20:00:00Z') });
+    // 12:30 IST
+    const day = await getFareConfig('car', { city: 'Pune', at: new Date('2026-06-15T07:00:00Z') });
+
+    expect(FareTable.findEffective).toHaveBeenCalledWith('pune', 'car', expect.any(Date));
+    expect(night).toEqual(expect.objectContaining({ baseRate: 60, perKmRate: 18, perMinuteRate: 1.5, taxRate: 0.05 }));
+    expect(night.version).toEqual({ fareTable: table._id, city: 'pune', version: 3, rule: 'night' });
+    expect(day).toEqual(expect.objectContaining({ baseRate: 40, perKmRate: 14 }));
+    expect(day.version.rule).toBeNull();
+  });
+
+  test('falls back to the default table for a city without its own', async () => {
+    const fallback = buildFareTable({ city: 'default', timeRules: [] });
+    jest.spyOn(FareTable, 'findEffective').mockImplementation(async city => (city === 'default' ? fallback : null));
+
+    const fareConfig = await getFareConfig('car', { city: 'Nagpur' });
+
+    expect(fareConfig.version.city).toBe('default');
+  });
+
+  test('uses the built-in rates only for cities priced in rupees', async () => {
+    jest.spyOn(FareTable, 'findEffective').mockResolvedValue(null);
+
+    expect(await getFareConfig('car', { city: 'Nagpur' })).toEqual(getDefaultFareConfig('car'));
+    expect(await getFareConfig('car', { city: 'Dubai' })).toBeNull();
+  });
+});
+
+describe('publishFareTable', () => {
+  test('publishes the next version, carrying over what was not changed', async () => {
+    const latest = buildFareTable();
+    jest.spyOn(FareTable, 'findOne').mockReturnValue({ sort: () => Promise.resolve(latest) });
+
+    const { table } = await publishFareTable({ city: 'Pune', vehicleType: 'car', perKmRate: 16 }, objectId());
+
+    expect(table.version).toBe(4);
+    expect(table.perKmRate).toBe(16);
+    expect(table.baseRate).toBe(40);
+    expect(table.currency).toBe('INR');
+    expect(table.timeRules.map(rule => rule.name)).toEqual(['night']);
+  });
+
+  test('needs every rate for the first table in a currency without built-in rates', async () => {
+    jest.spyOn(FareTable, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+
+    const result = await publishFareTable({ city: 'Dubai', vehicleType: 'car', baseRate: 8 }, objectId());
+
+    expect(result).toEqual({
+      error: 'The first AED fare table for a city needs perKmRate, perMinuteRate, minimumFare, platformFeeRate, taxRate, driverShare'
+    });
+  });
+
+  test('takes the next version when a concurrent publish took this one', async () => {
+    const versions = [buildFareTable(), buildFareTable({ version: 4 })];
+    jest.spyOn(FareTable, 'findOne').mockImplementation(() => ({ sort: () => Promise.resolve(versions.shift()) }));
+    FareTable.prototype.save.mockRejectedValueOnce(duplicateKeyError({ city: 1, vehicleType: 1, version: 1 }));
+
+    const { table } = await publishFareTable({ city: 'Pune', vehicleType: 'car', baseRate: 45 }, objectId());
+
+    expect(table.version).toBe(5);
+  });
+});
@@ -0,0 +1,116 @@
+const Geofence = require('../models/Geofence');
+const Ride = require('../models/Ride');
+const { findSurcharges } = require('../services/geofences');
+const { getDefaultFareConfig } = require('../services/fares');
+const { objectId } = require('./helpers');
+
+const pickup = { address: 'Terminal 1', coordinates: [77.7100, 13.1990] };
+const destination = { address: 'MG Road', coordinates: [77.5946, 12.9716] };
+
+// A square around a point, as a GeoJSON polygon ring
+function squareAround([longitude, latitude], size = 0.01) {
+  return [[
+    [longitude - size, latitude - size],
+    [longitude + size, latitude - size],
+    [longitude + size, latitude + size],
+    [longitude - size, latitude + size],
+    [longitude - size, latitude - size]
+  ]];
+}
+
+const airport = new Geofence({
+  name: 'Airport',
+  type: 'airport',
+  area: { coordinates: squareAround(pickup.coordinates) },
+  rules: [
+    { trigger: 'pickup', amount: 120, label: 'Airport pickup fee', vehicleTypes: ['car', 'suv'], payToDriver: false },
+    { trigger: 'pickup', amount: 30, vehicleTypes: ['bike'], payToDriver: false },
+    { trigger: 'destination', amount: 50 }
+  ]
+});
+
+const toll = new Geofence({
+  name: 'Hebbal toll',
+  type: 'toll',
+  area: { coordinates: squareAround([77.5970, 13.0350]) },
+  rules: [{ trigger: 'route', amount: 75 }]
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Answer each geofence lookup by the geometry it is for
+function stubGeofences({ Point = [], LineString = [] }) {
+  return jest.spyOn(Geofence, 'find').mockImplementation(async (query) => {
+    const geometry = query.area.$geoIntersects.$geometry;
+    if (geometry.type === 'LineString') {
+      return LineString;
+    }
+    return geometry.coordinates === pickup.coordinates ? Point : [];
+  });
+}
+
+describe('findSurcharges', () => {
+  test('charges the rules for how the ride touches each geofence and vehicle type', async () => {
+    stubGeofences({ Point: [airport], LineString: [toll] });
+
+    const surcharges = await findSurcharges('car', { pickup, destination });
+
+    expect(surcharges).toEqual([
+      { geofence: airport._id, name: 'Airport pickup fee', type: 'airport', trigger: 'pickup', amount: 120, payToDriver: false },
+      { geofence: toll._id, name: 'Hebbal toll', type: 'toll', trigger: 'route', amount: 75, payToDriver: true }
+    ]);
+  });
+
+  test('matches route rules against the path actually driven, without repeated points', async () => {
+    const find = stubGeofences({ LineString: [toll] });
+    const stop = [77.5970, 13.0350];
+    const route = [{ coordinates: pickup.coordinates }, { coordinates: stop }, { coordinates: stop }, { coordinates: destination.coordinates }];
+
+    await findSurcharges('car', { pickup, destination, route });
+
+    const line = find.mock.calls
+      .map(([query]) => query.area.$geoIntersects.$geometry)
+      .find(geometry => geometry.type === 'LineString');
+    expect(line.coordinates).toEqual([pickup.coordinates, stop, destination.coordinates]);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ isActive: true }));
+  });
+
+  test('is empty when the ride touches no geofence', async () => {
+    stubGeofences({});
+
+    expect(await findSurcharges('bike', { pickup, destination })).toEqual([]);
+  });
+});
+
+// A car ride priced at the default rates with the given surcharge lines
+function pricedRide(surcharges) {
+  const ride = new Ride({
+    passenger: objectId(),
+    pickup,
+    destination,
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    distance: 10,
+    estimatedDuration: 20,
+    fare: { baseFare: 0, distanceFare: 0, totalFare: 0, currency: 'INR', surcharges }
+  });
+  ride.calculateFare(getDefaultFareConfig('car'));
+  return ride;
+}
+
+describe('surcharges on the fare', () => {
+  test('are added untaxed, with only tolls passed through to the driver', () => {
+    const { fare } = pricedRide([
+      { name: 'Airport pickup fee', type: 'airport', trigger: 'pickup', amount: 120, payToDriver: false },
+      { name: 'Hebbal toll', type: 'toll', trigger: 'route', amount: 75, payToDriver: true }
+    ]);
+    const plain = pricedRide([]).fare;
+
+    expect(fare.surchargeTotal).toBe(195);
+    expect(fare.totalFare).toBe(plain.totalFare + 195);
+    expect(fare.taxes).toBe(plain.taxes);
+    expect(fare.driverEarning).toBe(plain.driverEarning + 75);
+  });
+});
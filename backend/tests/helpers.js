@@ -0,0 +1,45 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Tests never connect to MongoDB: a query a test did not stub fails at once instead of waiting
+mongoose.set('bufferCommands', false);
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+// Let documents of these models save without a database; they are still validated, which also
+// runs the hooks that fill in generated IDs
+function stubSaves(...models) {
+  models.forEach(Model => {
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+  });
+}
+
+// An error like the one MongoDB raises for a unique index
+function duplicateKeyError(keyPattern = {}) {
+  return Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+}
+
+// Mount a router the way server.js does, keeping the raw body for webhook signatures
+function buildApp(path, router) {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.set('io', null);
+  app.use(path, router);
+  return app;
+}
+
+module.exports = {
+  objectId,
+  stubSaves,
+  duplicateKeyError,
+  buildApp
+};
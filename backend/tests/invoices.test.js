@@ -0,0 +1,114 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { getFinancialYear, generateInvoice } = require('../services/invoices');
+const { objectId, stubSaves, duplicateKeyError } = require('./helpers');
+
+function buildCompletedPayment(overrides = {}) {
+  return new Payment({
+    paymentId: 'PAYINV0001',
+    rideId: objectId(),
+    userId: objectId(),
+    driverId: objectId(),
+    amount: 264.97,
+    currency: 'INR',
+    paymentMethod: 'card',
+    paymentProvider: 'razorpay',
+    status: 'completed',
+    completedAt: new Date('2026-06-15T10:00:00Z'),
+    breakdown: { rideFare: 230, surgeFare: 0, platformFee: 11.5, taxes: 43.47, couponDiscount: 20, total: 264.97 },
+    driverEarning: { amount: 230, commission: 46, netEarning: 184 },
+    ...overrides
+  });
+}
+
+// Answer the lookups allocateInvoice makes: the payment's invoice, then the last number of the year
+function stubInvoiceLookups({ existing = null, lastSequence = null } = {}) {
+  jest.spyOn(Invoice, 'findOne').mockImplementation((query) => {
+    if (query.paymentId) {
+      return Promise.resolve(typeof existing === 'function' ? existing() : existing);
+    }
+
+    const last = lastSequence === null ? null : { sequence: lastSequence };
+    return { sort: () => ({ select: () => Promise.resolve(last) }) };
+  });
+}
+
+beforeEach(() => {
+  stubSaves(Payment);
+  jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+  jest.spyOn(User, 'findById').mockResolvedValue({ name: 'Asha', email: 'asha@example.com', phone: '9999999999' });
+  jest.spyOn(Invoice, 'create').mockImplementation(async data => data);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getFinancialYear', () => {
+  test('starts the year on 1 April in IST', () => {
+    expect(getFinancialYear(new Date('2026-03-31T18:00:00Z'))).toBe('2025-26');
+    expect(getFinancialYear(new Date('2026-03-31T19:00:00Z'))).toBe('2026-27');
+  });
+});
+
+describe('generateInvoice', () => {
+  test('numbers the invoice after the last one of its financial year', async () => {
+    stubInvoiceLookups({ lastSequence: 41 });
+    const payment = buildCompletedPayment();
+
+    const invoice = await generateInvoice(payment);
+
+    expect(invoice.financialYear).toBe('2026-27');
+    expect(invoice.sequence).toBe(42);
+    expect(invoice.invoiceNumber).toBe('INV-2026-27-000042');
+    expect(payment.invoice.invoiceNumber).toBe('INV-2026-27-000042');
+  });
+
+  test('starts each financial year at 1', async () => {
+    stubInvoiceLookups();
+
+    const invoice = await generateInvoice(buildCompletedPayment());
+
+    expect(invoice.invoiceNumber).toBe('INV-2026-27-000001');
+  });
+
+  test('splits GST into CGST and SGST halves that add up to the tax charged', async () => {
+    stubInvoiceLookups();
+
+    const invoice = await generateInvoice(buildCompletedPayment());
+
+    expect(invoice.gst).toEqual({ rate: 18, cgst: 21.74, sgst: 21.73, total: 43.47 });
+    expect(invoice.lines.taxableValue).toBe(230);
+    expect(invoice.lines.discounts).toEqual([{ label: 'Coupon discount', amount: 20 }]);
+    expect(invoice.lines.adjustment).toBe(0);
+  });
+
+  test('takes the next number when a concurrent invoice took this one', async () => {
+    let last = 7;
+    jest.spyOn(Invoice, 'findOne').mockImplementation((query) => query.paymentId
+      ? Promise.resolve(null)
+      : { sort: () => ({ select: () => Promise.resolve({ sequence: last++ }) }) });
+    Invoice.create.mockRejectedValueOnce(duplicateKeyError({ financialYear: 1, sequence: 1 }));
+
+    const invoice = await generateInvoice(buildCompletedPayment());
+
+    expect(Invoice.create).toHaveBeenCalledTimes(2);
+    expect(invoice.invoiceNumber).toBe('INV-2026-27-000009');
+  });
+
+  test('returns the invoice a concurrent request made for the same payment', async () => {
+    const payment = buildCompletedPayment();
+    const theirs = { invoiceNumber: 'INV-2026-27-000005', issuedAt: payment.completedAt };
+    let lookups = 0;
+    stubInvoiceLookups({ existing: () => (lookups++ === 0 ? null : theirs), lastSequence: 4 });
+    Invoice.create.mockRejectedValue(duplicateKeyError({ paymentId: 1 }));
+
+    const invoice = await generateInvoice(payment);
+
+    expect(invoice).toBe(theirs);
+    expect(Invoice.create).toHaveBeenCalledTimes(1);
+    expect(payment.invoice.invoiceNumber).toBe('INV-2026-27-000005');
+  });
+});
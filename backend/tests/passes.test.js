@@ -0,0 +1,193 @@
+const Pass = require('../models/Pass');
+const PassSubscription = require('../models/PassSubscription');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { TOKENS } = require('../services/paymentProviders/fake');
+const { resetProviders } = require('../services/paymentProviders');
+const { getDefaultFareConfig } = require('../services/fares');
+const {
+  findApplicablePass,
+  applyPassToRide,
+  redeemPassRide,
+  purchasePass,
+  runPassCycle
+} = require('../services/passes');
+const { objectId, stubSaves } = require('./helpers');
+
+jest.mock('../services/invoices', () => ({ generateInvoice: jest.fn() }));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function buildPass(overrides = {}) {
+  return new Pass({
+    code: 'AUTO30',
+    name: 'Auto saver',
+    price: 199,
+    durationDays: 30,
+    benefits: { discountPercent: 10, maxDiscountPerRide: 20, waiveSurge: true },
+    rideLimit: 30,
+    vehicleTypes: ['auto'],
+    ...overrides
+  });
+}
+
+function buildActiveSubscription(overrides = {}) {
+  const now = Date.now();
+  return new PassSubscription({
+    user: objectId(),
+    pass: objectId(),
+    code: 'AUTO30',
+    status: 'active',
+    benefits: { discountPercent: 10, maxDiscountPerRide: 20, waiveSurge: true },
+    rideLimit: 30,
+    vehicleTypes: ['auto'],
+    durationDays: 30,
+    startsAt: new Date(now - DAY),
+    expiresAt: new Date(now + 29 * DAY),
+    ...overrides
+  });
+}
+
+const passenger = { _id: objectId(), phone: '9999999999', email: 'asha@example.com', paymentMethods: [] };
+
+beforeEach(() => {
+  resetProviders();
+  stubSaves(Payment, PassSubscription);
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(PassSubscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('purchasePass', () => {
+  test('starts the period once the payment is captured', async () => {
+    let subscription;
+    PassSubscription.prototype.save.mockImplementation(async function() {
+      subscription = this;
+      return this;
+    });
+    jest.spyOn(PassSubscription, 'findOne').mockImplementation(async () => subscription);
+    jest.spyOn(PassSubscription, 'findById').mockImplementation(async () => subscription);
+
+    const result = await purchasePass(buildPass(), passenger, {
+      paymentMethod: 'card',
+      paymentProvider: 'razorpay',
+      paymentToken: TOKENS.SUCCESS
+    });
+
+    expect(result.payment.status).toBe('completed');
+    expect(result.payment.driverEarning.netEarning).toBe(0);
+    expect(result.subscription.status).toBe('active');
+    expect(result.subscription.paymentId).toBe(result.payment.paymentId);
+    expect(result.subscription.expiresAt - result.subscription.startsAt).toBe(30 * DAY);
+  });
+
+  test('marks the period unpaid when the charge is declined', async () => {
+    jest.spyOn(PassSubscription, 'findById').mockResolvedValue(null);
+
+    const result = await purchasePass(buildPass(), passenger, {
+      paymentMethod: 'card',
+      paymentProvider: 'razorpay',
+      paymentToken: TOKENS.DECLINED
+    });
+
+    expect(result.payment.status).toBe('failed');
+    expect(result.payment.dunning.status).toBeUndefined();
+    expect(PassSubscription.updateOne).toHaveBeenCalledWith(
+      { _id: result.payment.passSubscription, status: 'pending' },
+      { status: 'payment_failed' }
+    );
+  });
+});
+
+describe('findApplicablePass', () => {
+  test('picks the period that covers the vehicle type', async () => {
+    const carPass = buildActiveSubscription({ vehicleTypes: ['car'] });
+    const autoPass = buildActiveSubscription();
+    jest.spyOn(PassSubscription, 'find').mockReturnValue({ sort: () => Promise.resolve([carPass, autoPass]) });
+
+    expect(await findApplicablePass(passenger._id, 'auto')).toBe(autoPass);
+  });
+
+  test('skips a period whose rides are used up', async () => {
+    const usedUp = buildActiveSubscription({ ridesUsed: 30 });
+    jest.spyOn(PassSubscription, 'find').mockReturnValue({ sort: () => Promise.resolve([usedUp]) });
+
+    expect(await findApplicablePass(passenger._id, 'auto')).toBeNull();
+  });
+});
+
+describe('redeemPassRide', () => {
+  test('only counts a ride while the period has rides left', async () => {
+    const ride = { pass: { subscription: objectId() } };
+    jest.spyOn(PassSubscription, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await redeemPassRide(ride)).toBe(false);
+    const [[query, update]] = PassSubscription.findOneAndUpdate.mock.calls;
+    expect(query).toMatchObject({ _id: ride.pass.subscription, status: 'active' });
+    expect(query.$or).toEqual([{ rideLimit: null }, { $expr: { $lt: ['$ridesUsed', '$rideLimit'] } }]);
+    expect(update).toEqual({ $inc: { ridesUsed: 1 } });
+  });
+});
+
+describe('pass benefits on the fare', () => {
+  test('waive surge and take the capped discount off', () => {
+    const ride = new Ride({
+      passenger: passenger._id,
+      pickup: { address: 'MG Road', coordinates: [77.5946, 12.9716] },
+      destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+      vehicleType: 'auto',
+      paymentMethod: 'card',
+      distance: 10,
+      estimatedDuration: 20,
+      surge: { isActive: true, multiplier: 1.5 },
+      fare: { baseFare: 0, distanceFare: 0, totalFare: 0, currency: 'INR' }
+    });
+    applyPassToRide(ride, buildActiveSubscription());
+
+    ride.calculateFare(getDefaultFareConfig('auto'));
+
+    expect(ride.fare.surgeFare).toBe(0);
+    expect(ride.fare.passDiscount).toBe(20);
+  });
+});
+
+describe('runPassCycle', () => {
+  test('renews a period only once and expires the ones that have ended', async () => {
+    const subscription = buildActiveSubscription({ user: passenger._id, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+    jest.spyOn(PassSubscription, 'find').mockResolvedValue([subscription]);
+    jest.spyOn(Pass, 'findById').mockResolvedValue(buildPass());
+    jest.spyOn(User, 'findById').mockResolvedValue(passenger);
+    jest.spyOn(PassSubscription, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(PassSubscription, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const result = await runPassCycle(null);
+
+    expect(result).toEqual({ renewalsDue: 1, renewed: 0, expired: 2 });
+    expect(PassSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: subscription._id, renewedTo: null },
+      { renewedTo: expect.anything() }
+    );
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('keeps renewing after one renewal fails', async () => {
+    const broken = buildActiveSubscription();
+    const next = buildActiveSubscription();
+    jest.spyOn(PassSubscription, 'find').mockResolvedValue([broken, next]);
+    jest.spyOn(Pass, 'findById')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue(buildPass({ isActive: false }));
+    jest.spyOn(PassSubscription, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await runPassCycle(null);
+
+    expect(result).toEqual({ renewalsDue: 2, renewed: 0, expired: 0 });
+    expect(Pass.findById).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(`Pass renewal error for subscription ${broken._id}:`, expect.any(Error));
+  });
+});
@@ -0,0 +1,308 @@
+const request = require('supertest');
+const Driver = require('../models/Driver');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { TOKENS } = require('../services/paymentProviders/fake');
+const { resetProviders } = require('../services/paymentProviders');
+const {
+  chargePayment,
+  capturePayment,
+  applyGatewayStatus,
+  refundPayment
+} = require('../services/payments');
+const { objectId, stubSaves, buildApp } = require('./helpers');
+
+jest.mock('../services/invoices', () => ({ generateInvoice: jest.fn() }));
+
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const paymentsRouter = require('../routes/payments');
+
+function buildRidePayment(overrides = {}) {
+  return new Payment({
+    paymentId: 'PAYTEST0001',
+    rideId: objectId(),
+    userId: objectId(),
+    driverId: objectId(),
+    amount: 200,
+    currency: 'INR',
+    paymentMethod: 'card',
+    paymentProvider: 'razorpay',
+    driverEarning: { amount: 200, commission: 40, netEarning: 160 },
+    ...overrides
+  });
+}
+
+// Charge and capture through the fake gateway, as the passenger paying at the end of the ride would
+async function buildCapturedPayment(overrides) {
+  const payment = buildRidePayment(overrides);
+  await chargePayment(payment, { token: TOKENS.SUCCESS });
+  await capturePayment(payment);
+  return payment;
+}
+
+// Apply refund reservations to `stored` as the conditional update does in the database,
+// handing back a fresh copy the way a query would
+function stubRefundReservations(stored) {
+  const copy = () => Payment.hydrate(stored.toObject());
+
+  jest.spyOn(Payment, 'findById').mockImplementation(async () => copy());
+  return jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const index = Number(Object.keys(query).find(key => key.startsWith('refunds.')).split('.')[1]);
+    if (stored.refunds.length !== index || stored.getRefundableAmount() < update.$push.refunds.amount) {
+      return null;
+    }
+
+    stored.refunds.push(update.$push.refunds);
+    return copy();
+  });
+}
+
+let driver;
+
+beforeEach(() => {
+  resetProviders();
+  stubSaves(Payment, Ride);
+
+  driver = { _id: objectId(), userId: objectId(), updateEarnings: jest.fn() };
+  jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+  jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('charging through the fake gateway', () => {
+  test('captures an authorized charge and completes the payment', async () => {
+    const payment = buildRidePayment();
+
+    const charge = await chargePayment(payment, { token: TOKENS.SUCCESS });
+    expect(charge.status).toBe('authorized');
+    expect(payment.status).toBe('processing');
+
+    await capturePayment(payment);
+
+    expect(payment.status).toBe('completed');
+    expect(payment.completedAt).toBeInstanceOf(Date);
+    expect(payment.paymentAttempts.map(attempt => attempt.method)).toEqual(['razorpay:createCharge', 'razorpay:capture']);
+    expect(driver.updateEarnings).toHaveBeenCalledWith(160);
+  });
+
+  test('fails a declined charge and schedules a retry', async () => {
+    const payment = buildRidePayment();
+
+    await chargePayment(payment, { token: TOKENS.DECLINED });
+
+    expect(payment.status).toBe('failed');
+    expect(payment.dunning.status).toBe('scheduled');
+    expect(payment.dunning.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+    expect(Ride.updateOne).toHaveBeenCalledWith({ _id: payment.rideId }, { paymentStatus: 'failed' });
+    expect(driver.updateEarnings).not.toHaveBeenCalled();
+  });
+
+  test('leaves a pending charge processing until the gateway reports back', async () => {
+    const payment = buildRidePayment();
+
+    await chargePayment(payment, { token: TOKENS.PENDING });
+
+    expect(payment.status).toBe('processing');
+    expect(Payment.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('a confirm racing a webhook', () => {
+  test('only the request that claims the final status completes the payment', async () => {
+    const first = buildRidePayment({ status: 'processing' });
+    const second = buildRidePayment({ _id: first._id, status: 'processing' });
+    const completedAt = new Date();
+
+    Payment.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+    jest.spyOn(Payment, 'findById').mockResolvedValue({ status: 'completed', completedAt });
+
+    const results = await Promise.all([
+      applyGatewayStatus(first, { status: 'captured', raw: {} }),
+      applyGatewayStatus(second, { status: 'captured', raw: {} })
+    ]);
+
+    expect(results).toEqual([true, false]);
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: first._id, status: { $in: ['pending', 'processing'] } },
+      { status: 'completed' }
+    );
+    expect(second.status).toBe('completed');
+    expect(second.completedAt).toBe(completedAt);
+    expect(driver.updateEarnings).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not fail a payment that was completed first', async () => {
+    const payment = buildRidePayment({ status: 'processing' });
+
+    Payment.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Payment, 'findById').mockResolvedValue({ status: 'completed', completedAt: new Date() });
+
+    const changed = await applyGatewayStatus(payment, { status: 'failed', raw: {} });
+
+    expect(changed).toBe(false);
+    expect(payment.status).toBe('completed');
+    expect(payment.dunning.status).toBeUndefined();
+  });
+});
+
+describe('refunds', () => {
+  test('takes the driver\'s share of a processed refund off their earnings', async () => {
+    const captured = await buildCapturedPayment();
+    stubRefundReservations(captured);
+    driver.updateEarnings.mockClear();
+
+    const result = await refundPayment(captured, 50, 'overcharged');
+
+    expect(result.status).toBe('refunded');
+    const { payment } = result;
+    const [refund] = payment.refunds;
+    expect(refund.status).toBe('processed');
+    expect(refund.driverDeduction).toBe(40);
+    expect(refund.deductFromDues).toBe(false);
+    expect(payment.status).toBe('partially_refunded');
+    expect(payment.driverEarning.netEarning).toBe(120);
+    expect(driver.updateEarnings).toHaveBeenCalledWith(-40);
+    expect(Ride.updateOne).toHaveBeenCalledWith({ _id: payment.rideId }, { paymentStatus: 'partially_refunded' });
+  });
+
+  test('records a refund the gateway rejects as failed without touching earnings', async () => {
+    const captured = await buildCapturedPayment();
+    // The gateway only captured 200 of it
+    captured.amount = 600;
+    stubRefundReservations(captured);
+    driver.updateEarnings.mockClear();
+
+    const result = await refundPayment(captured, 500, 'overcharged');
+
+    expect(result.status).toBe('failed');
+    const { payment } = result;
+    expect(payment.refunds[0].status).toBe('failed');
+    expect(payment.refunds[0].driverDeduction).toBe(0);
+    expect(payment.driverEarning.netEarning).toBe(160);
+    expect(driver.updateEarnings).not.toHaveBeenCalled();
+  });
+
+  test('refuses more than is left before going to the gateway', async () => {
+    const captured = await buildCapturedPayment();
+    const reserve = stubRefundReservations(captured);
+
+    const result = await refundPayment(captured, 500, 'overcharged');
+
+    expect(result).toEqual({ error: 'Refund amount exceeds refundable amount of 200', status: 400 });
+    expect(reserve).not.toHaveBeenCalled();
+    expect(captured.paymentAttempts.map(attempt => attempt.method)).not.toContain('razorpay:refund');
+  });
+
+  test('checks again against what a concurrent refund left', async () => {
+    const captured = await buildCapturedPayment();
+    stubRefundReservations(captured);
+    const first = Payment.hydrate(captured.toObject());
+    const second = Payment.hydrate(captured.toObject());
+
+    const results = await Promise.all([
+      refundPayment(first, 150, 'overcharged'),
+      refundPayment(second, 150, 'overcharged')
+    ]);
+
+    expect(results[0].status).toBe('refunded');
+    expect(results[1]).toEqual({ error: 'Refund amount exceeds refundable amount of 50', status: 400 });
+    expect(captured.refunds).toHaveLength(1);
+  });
+
+  test('posts the driver\'s share as dues when the earnings were already paid out', async () => {
+    const captured = await buildCapturedPayment();
+    captured.payout.status = 'paid';
+    stubRefundReservations(captured);
+
+    jest.spyOn(LedgerEntry, 'postTransaction').mockResolvedValue([]);
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(-40);
+    jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await refundPayment(captured, 50, 'overcharged');
+    const { payment } = result;
+
+    expect(payment.refunds[0].deductFromDues).toBe(true);
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: `CLAWBACK-${result.refundId}`,
+      entryType: 'refund_clawback',
+      debitAccount: LedgerEntry.driverDuesAccount(payment.driverId),
+      amount: 40
+    }));
+    expect(Driver.updateOne).toHaveBeenCalledWith(
+      { _id: payment.driverId },
+      expect.objectContaining({ 'dues.outstanding': 40 })
+    );
+  });
+});
+
+describe('payment routes', () => {
+  const app = buildApp('/api/payments', paymentsRouter);
+
+  test('PUT /:paymentId/confirm captures the passenger\'s authorized charge', async () => {
+    const payment = buildRidePayment();
+    await chargePayment(payment, { token: TOKENS.SUCCESS });
+    mockUser = { _id: payment.userId, userType: 'passenger' };
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await request(app).put(`/api/payments/${payment.paymentId}/confirm`).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment.status).toBe('completed');
+  });
+
+  test('PUT /:paymentId/confirm refuses someone else\'s payment', async () => {
+    const payment = buildRidePayment({ status: 'processing' });
+    mockUser = { _id: objectId(), userType: 'passenger' };
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await request(app).put(`/api/payments/${payment.paymentId}/confirm`).send({});
+
+    expect(res.status).toBe(403);
+    expect(payment.status).toBe('processing');
+  });
+
+  test('POST /:paymentId/refunds refunds what is left by default', async () => {
+    const payment = await buildCapturedPayment();
+    mockUser = { _id: objectId(), userType: 'admin' };
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    stubRefundReservations(payment);
+
+    const res = await request(app)
+      .post(`/api/payments/${payment.paymentId}/refunds`)
+      .send({ reason: 'ride_cancelled' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.refund.amount).toBe(200);
+    expect(res.body.payment.status).toBe('refunded');
+  });
+
+  test('POST /:paymentId/refunds will not refund a wallet top-up', async () => {
+    const payment = buildRidePayment({ type: 'wallet_topup', rideId: undefined, driverId: undefined, status: 'completed' });
+    mockUser = { _id: objectId(), userType: 'admin' };
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await request(app)
+      .post(`/api/payments/${payment.paymentId}/refunds`)
+      .send({ reason: 'other' });
+
+    expect(res.status).toBe(400);
+    expect(payment.refunds).toHaveLength(0);
+  });
+});
@@ -0,0 +1,116 @@
+const Promo = require('../models/Promo');
+const Ride = require('../models/Ride');
+const { validatePromo, redeemPromo, releasePromo } = require('../services/promos');
+const { objectId } = require('./helpers');
+
+function buildPromo(overrides = {}) {
+  return new Promo({
+    code: 'RIDE20',
+    discountType: 'percentage',
+    discountValue: 20,
+    maxDiscount: 100,
+    minFare: 100,
+    ...overrides
+  });
+}
+
+const trip = { userId: objectId(), fare: 300, currency: 'INR', city: 'Bengaluru', vehicleType: 'car' };
+
+beforeEach(() => {
+  jest.spyOn(Ride, 'countDocuments').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validatePromo', () => {
+  test('gives the discount for an eligible ride', async () => {
+    const promo = buildPromo();
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(promo);
+
+    const result = await validatePromo(' ride20 ', trip);
+
+    expect(Promo.findOne).toHaveBeenCalledWith({ code: 'RIDE20' });
+    expect(result).toEqual({ valid: true, promo, discount: 60 });
+  });
+
+  test('refuses an unknown code', async () => {
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(null);
+
+    expect(await validatePromo('NOPE', trip)).toEqual({ valid: false, error: 'Invalid promo code' });
+  });
+
+  test('refuses a fare under the minimum', async () => {
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(buildPromo({ minFare: 500 }));
+
+    const result = await validatePromo('RIDE20', trip);
+
+    expect(result).toEqual({ valid: false, error: 'Promo code requires a minimum fare of 500' });
+  });
+
+  test('refuses a city or vehicle type the promo does not cover', async () => {
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(buildPromo({ cities: ['mumbai'], vehicleTypes: ['bike'] }));
+
+    const result = await validatePromo('RIDE20', trip);
+
+    expect(result).toEqual({ valid: false, error: 'Promo code is not valid in this city' });
+  });
+
+  test('refuses a passenger who has used it up', async () => {
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(buildPromo({ perUserLimit: 2 }));
+    Ride.countDocuments.mockResolvedValue(2);
+
+    const result = await validatePromo('RIDE20', trip);
+
+    expect(result).toEqual({ valid: false, error: 'You have already used this promo code' });
+    expect(Ride.countDocuments).toHaveBeenCalledWith({
+      passenger: trip.userId,
+      'promo.code': 'RIDE20',
+      status: { $ne: 'cancelled' }
+    });
+  });
+
+  test('refuses an expired promo', async () => {
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(buildPromo({ validUntil: new Date(Date.now() - 1000) }));
+
+    expect(await validatePromo('RIDE20', trip)).toEqual({ valid: false, error: 'Promo code has expired' });
+  });
+});
+
+describe('redeemPromo', () => {
+  test('only counts a use while the usage limit has room', async () => {
+    const promo = buildPromo({ usageLimit: 10 });
+    jest.spyOn(Promo, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const redeemed = await redeemPromo(promo);
+
+    expect(redeemed).toBe(false);
+    expect(Promo.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: promo._id, isActive: true, usedCount: { $lt: 10 } },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+  });
+});
+
+describe('releasePromo', () => {
+  test('gives back the use of a ride that had a discount', async () => {
+    jest.spyOn(Promo, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await releasePromo({ promo: { code: 'RIDE20', discount: 60 } });
+
+    expect(Promo.updateOne).toHaveBeenCalledWith(
+      { code: 'RIDE20', usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  });
+
+  test('leaves the count alone for a ride without a promo', async () => {
+    jest.spyOn(Promo, 'updateOne');
+
+    await releasePromo({ promo: {} });
+
+    expect(Promo.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const Promo = require('../models/Promo');
+const Ride = require('../models/Ride');
+const config = require('../config/quotes');
+const { createQuoteToken, verifyQuoteToken } = require('../services/quotes');
+const { dispatchRide } = require('../services/dispatch');
+const { objectId, stubSaves, duplicateKeyError, buildApp } = require('./helpers');
+
+jest.mock('../services/dispatch', () => ({
+  dispatchRide: jest.fn(),
+  acceptOffer: jest.fn(),
+  declineOffer: jest.fn(),
+  withdrawOffer: jest.fn()
+}));
+
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const ridesRouter = require('../routes/rides');
+
+const pickup = { address: 'MG Road', coordinates: [77.5946, 12.9716] };
+const destination = { address: 'Koramangala', coordinates: [77.6245, 12.9352] };
+
+// A fare quoted earlier for the passenger, as /quotes would have priced it
+function quoteFor(userId, { vehicleType = 'car', promo = null } = {}) {
+  const quoted = new Ride({
+    vehicleType,
+    estimatedDuration: 18,
+    fare: {
+      baseFare: 50,
+      distanceFare: 72,
+      timeFare: 18,
+      taxes: 25,
+      totalFare: 165,
+      currency: 'INR',
+      driverEarning: 132,
+      platformCommission: 33
+    }
+  });
+
+  return createQuoteToken(userId, quoted, { pickup, destination, promo });
+}
+
+beforeEach(() => {
+  mockUser = { _id: objectId(), userType: 'passenger', phone: '9999999999' };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyQuoteToken', () => {
+  test('accepts the passenger\'s own quote for the same trip', () => {
+    const { token, quoteId } = quoteFor(mockUser._id);
+
+    const result = verifyQuoteToken(token, { userId: mockUser._id, vehicleType: 'car', pickup, destination });
+
+    expect(result.valid).toBe(true);
+    expect(result.quote.quoteId).toBe(quoteId);
+    expect(result.quote.fare.totalFare).toBe(165);
+  });
+
+  test('rejects a quote made for another passenger', () => {
+    const { token } = quoteFor(objectId());
+
+    const result = verifyQuoteToken(token, { userId: mockUser._id, vehicleType: 'car', pickup, destination });
+
+    expect(result).toEqual({ valid: false, error: 'Invalid quote' });
+  });
+
+  test('rejects a quote for another vehicle type', () => {
+    const { token } = quoteFor(mockUser._id, { vehicleType: 'bike' });
+
+    const result = verifyQuoteToken(token, { userId: mockUser._id, vehicleType: 'car', pickup, destination });
+
+    expect(result).toEqual({ valid: false, error: 'Quote is for a different vehicle type' });
+  });
+
+  test('rejects a quote once the pickup has moved', () => {
+    const { token } = quoteFor(mockUser._id);
+    const movedPickup = { ...pickup, coordinates: [77.6100, 12.9716] };
+
+    const result = verifyQuoteToken(token, { userId: mockUser._id, vehicleType: 'car', pickup: movedPickup, destination });
+
+    expect(result).toEqual({ valid: false, error: 'Pickup or destination has changed since the quote' });
+  });
+
+  test('rejects an expired quote', () => {
+    const { token } = quoteFor(mockUser._id);
+    const expired = jwt.sign({ ...jwt.decode(token), exp: Math.floor(Date.now() / 1000) - 1 }, config.secret);
+
+    const result = verifyQuoteToken(expired, { userId: mockUser._id, vehicleType: 'car', pickup, destination });
+
+    expect(result).toEqual({ valid: false, error: 'Quote has expired' });
+  });
+});
+
+describe('POST /api/rides/request with a quote', () => {
+  const app = buildApp('/api/rides', ridesRouter);
+
+  function requestRide(quoteToken) {
+    return request(app)
+      .post('/api/rides/request')
+      .send({ pickup, destination, vehicleType: 'car', paymentMethod: 'cash', quoteToken });
+  }
+
+  beforeEach(() => {
+    stubSaves(Ride);
+    jest.spyOn(Payment, 'findOutstanding').mockResolvedValue([]);
+    jest.spyOn(Ride, 'exists').mockResolvedValue(null);
+    dispatchRide.mockReset().mockImplementation(async ride => ({ ride, candidates: 0 }));
+  });
+
+  test('books the ride at the quoted fare', async () => {
+    const { token, quoteId } = quoteFor(mockUser._id);
+
+    const res = await requestRide(token);
+
+    expect(res.status).toBe(201);
+    expect(res.body.ride.fare.totalFare).toBe(165);
+    const [[ride]] = dispatchRide.mock.calls;
+    expect(ride.quote.quoteId).toBe(quoteId);
+  });
+
+  test('refuses a quote that was already booked', async () => {
+    const { token } = quoteFor(mockUser._id);
+    Ride.exists.mockResolvedValue({ _id: objectId() });
+
+    const res = await requestRide(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Quote has already been used', code: 'QUOTE_INVALID' });
+    expect(Ride.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses the second of two bookings racing on one quote', async () => {
+    const { token } = quoteFor(mockUser._id);
+    Ride.prototype.save.mockRejectedValue(duplicateKeyError({ 'quote.quoteId': 1 }));
+
+    const res = await requestRide(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Quote has already been used', code: 'QUOTE_INVALID' });
+    expect(dispatchRide).not.toHaveBeenCalled();
+  });
+
+  test('gives the promo use back when the ride cannot be saved', async () => {
+    const { token } = quoteFor(mockUser._id, {
+      promo: { code: 'TENOFF', discount: 17, type: 'percentage', fareBeforeDiscount: 182 }
+    });
+    const promo = new Promo({ code: 'TENOFF', discountType: 'percentage', discountValue: 10, isActive: true });
+    jest.spyOn(Promo, 'findOne').mockResolvedValue(promo);
+    jest.spyOn(Promo, 'findOneAndUpdate').mockResolvedValue(promo);
+    jest.spyOn(Promo, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Ride, 'countDocuments').mockResolvedValue(0);
+    Ride.prototype.save.mockRejectedValue(new Error('Server selection timed out'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await requestRide(token);
+
+    expect(res.status).toBe(500);
+    expect(Promo.findOneAndUpdate).toHaveBeenCalledWith(expect.objectContaining({ _id: promo._id }), { $inc: { usedCount: 1 } }, { new: true });
+    expect(Promo.updateOne).toHaveBeenCalledWith({ code: 'TENOFF', usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    expect(dispatchRide).not.toHaveBeenCalled();
+  });
+
+  test('refuses a tampered quote', async () => {
+    const { token } = quoteFor(mockUser._id);
+    const [header, payload] = token.split('.');
+    const tampered = `${header}.${payload}.${'x'.repeat(43)}`;
+
+    const res = await requestRide(tampered);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid quote', code: 'QUOTE_INVALID' });
+  });
+});
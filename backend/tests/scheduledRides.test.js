@@ -0,0 +1,144 @@
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const { reserveRide, canChangeBooking } = require('../services/scheduledRides');
+const { objectId } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+function buildDriver(overrides = {}) {
+  return new Driver({
+    userId: objectId(),
+    approvalStatus: 'approved',
+    backgroundCheckStatus: 'approved',
+    vehicle: { type: 'car' },
+    ...overrides
+  });
+}
+
+function buildBooking(overrides = {}) {
+  return new Ride({
+    passenger: objectId(),
+    pickup: { address: 'MG Road', coordinates: [77.5946, 12.9716] },
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    status: 'scheduled',
+    scheduledAt: new Date(Date.now() + 24 * HOUR),
+    ...overrides
+  });
+}
+
+// Apply the reservation lock as the conditional updates do in the database
+function stubReservationLock() {
+  let lockedUntil = null;
+  jest.spyOn(Driver, 'updateOne').mockImplementation(async (query, update) => {
+    if (query.$or) {
+      if (lockedUntil && lockedUntil > new Date()) {
+        return { modifiedCount: 0 };
+      }
+    } else if (query.reservationLockedUntil !== lockedUntil) {
+      return { modifiedCount: 0 };
+    }
+
+    lockedUntil = update.reservationLockedUntil;
+    return { modifiedCount: 1 };
+  });
+  return () => lockedUntil;
+}
+
+let driver;
+
+beforeEach(() => {
+  driver = buildDriver();
+  jest.spyOn(Ride, 'exists').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reserveRide', () => {
+  test('reserves the booking and releases the driver\'s lock', async () => {
+    const lockedUntil = stubReservationLock();
+    const booking = buildBooking();
+    const reserved = Ride.hydrate({ ...booking.toObject(), schedule: { driver: driver._id } });
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(reserved);
+
+    const result = await reserveRide(booking, driver);
+
+    expect(result).toEqual({ ride: reserved });
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: booking._id, status: 'scheduled', 'schedule.driver': null },
+      expect.objectContaining({ 'schedule.driver': driver._id }),
+      { new: true }
+    );
+    expect(lockedUntil()).toBeNull();
+  });
+
+  test('refuses a booking that clashes with one the driver already holds', async () => {
+    const lockedUntil = stubReservationLock();
+    Ride.exists.mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Ride, 'findOneAndUpdate');
+
+    const result = await reserveRide(buildBooking(), driver);
+
+    expect(result).toEqual({ error: 'You already have a booking reserved around this time', status: 409 });
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(lockedUntil()).toBeNull();
+  });
+
+  test('lets only one of two concurrent reservations by the same driver check and claim', async () => {
+    stubReservationLock();
+    jest.spyOn(Ride, 'findOneAndUpdate').mockImplementation(async (query) => Ride.hydrate({ _id: query._id }));
+
+    const results = await Promise.all([
+      reserveRide(buildBooking(), driver),
+      reserveRide(buildBooking(), driver)
+    ]);
+
+    expect(results[0].ride).toBeDefined();
+    expect(results[1]).toEqual({ error: 'Another reservation is in progress, please try again', status: 409 });
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('takes over a lock a crashed reservation left behind', async () => {
+    jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(buildBooking());
+
+    await reserveRide(buildBooking(), driver);
+
+    const [[query]] = Driver.updateOne.mock.calls;
+    expect(query.$or).toEqual([
+      { reservationLockedUntil: null },
+      { reservationLockedUntil: { $lte: expect.any(Date) } }
+    ]);
+  });
+
+  test('answers 409 when another driver reserved the booking first', async () => {
+    const lockedUntil = stubReservationLock();
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await reserveRide(buildBooking(), driver);
+
+    expect(result).toEqual({ error: 'Booking has already been reserved by another driver', status: 409 });
+    expect(lockedUntil()).toBeNull();
+  });
+
+  test('refuses a driver with a different vehicle before taking the lock', async () => {
+    jest.spyOn(Driver, 'updateOne');
+
+    const result = await reserveRide(buildBooking({ vehicleType: 'bike' }), driver);
+
+    expect(result).toEqual({ error: 'This booking needs a bike', status: 400 });
+    expect(Driver.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('canChangeBooking', () => {
+  test('allows changes until the cutoff before pickup', () => {
+    const booking = buildBooking({ scheduledAt: new Date(Date.now() + 2 * HOUR) });
+
+    expect(canChangeBooking(booking)).toBe(true);
+    expect(canChangeBooking(booking, new Date(booking.scheduledAt.getTime() - 30 * 60 * 1000))).toBe(false);
+  });
+});
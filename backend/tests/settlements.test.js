@@ -0,0 +1,173 @@
+const Driver = require('../models/Driver');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const Settlement = require('../models/Settlement');
+const createStubPayoutProvider = require('../services/payoutProviders/stub');
+const { createSettlementBatches, processSettlement, runSettlementCycle } = require('../services/settlements');
+const { objectId, stubSaves } = require('./helpers');
+
+const now = new Date();
+const earnedAt = new Date(now.getTime() - 72 * 60 * 60 * 1000);
+
+function buildDriver(bankDetails = { accountNumber: '123456789012', accountHolderName: 'Ravi', bankName: 'SBI', verified: true }) {
+  return new Driver({ userId: objectId(), approvalStatus: 'approved', bankDetails });
+}
+
+function buildEarning(driver, netEarning) {
+  return new Payment({
+    paymentId: `PAYSTL${netEarning}`,
+    rideId: objectId(),
+    userId: objectId(),
+    driverId: driver._id,
+    amount: netEarning * 1.25,
+    paymentMethod: 'card',
+    paymentProvider: 'razorpay',
+    status: 'completed',
+    completedAt: earnedAt,
+    driverEarning: { amount: netEarning * 1.25, commission: netEarning * 0.25, netEarning }
+  });
+}
+
+let settlementCount = 0;
+
+function buildSettlement(driverId, overrides = {}) {
+  settlementCount += 1;
+  return new Settlement({
+    settlementId: `STLTEST${settlementCount}`,
+    driverId,
+    payments: [objectId()],
+    amount: 800,
+    grossAmount: 800,
+    provider: 'stub',
+    ...overrides
+  });
+}
+
+// The driver's earnings, grouped as the aggregation returns them and claimed for the batch
+function stubEarnings(driver, payments) {
+  jest.spyOn(Payment, 'aggregate').mockResolvedValue([{
+    _id: { driverId: driver._id, currency: 'INR' },
+    amount: payments.reduce((sum, payment) => sum + payment.driverEarning.netEarning, 0),
+    payments: payments.map(payment => payment._id)
+  }]);
+  jest.spyOn(Payment, 'find').mockResolvedValue(payments);
+}
+
+beforeEach(() => {
+  stubSaves(Settlement);
+  jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Driver, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(LedgerEntry, 'postTransaction').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSettlementBatches', () => {
+  test('nets the driver\'s dues off the payout', async () => {
+    const driver = buildDriver();
+    stubEarnings(driver, [buildEarning(driver, 400), buildEarning(driver, 600)]);
+    jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(-150);
+
+    const [settlement] = await createSettlementBatches(now);
+
+    expect(settlement).toMatchObject({ grossAmount: 1000, duesOffset: 150, amount: 850, status: 'pending' });
+    expect(settlement.bankAccount.accountNumberLast4).toBe('9012');
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: `OFFSET-${settlement.settlementId}`,
+      entryType: 'dues_offset',
+      creditAccount: LedgerEntry.driverDuesAccount(driver._id),
+      amount: 150
+    }));
+  });
+
+  test('marks the payout paid when dues take all of it', async () => {
+    const driver = buildDriver();
+    stubEarnings(driver, [buildEarning(driver, 600)]);
+    jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(-900);
+
+    const [settlement] = await createSettlementBatches(now);
+
+    expect(settlement).toMatchObject({ grossAmount: 600, duesOffset: 600, amount: 0, status: 'paid' });
+  });
+
+  test('skips earnings below the minimum payout', async () => {
+    const driver = buildDriver();
+    stubEarnings(driver, [buildEarning(driver, 100)]);
+    jest.spyOn(Driver, 'findById');
+
+    const settlements = await createSettlementBatches(now);
+
+    expect(settlements).toHaveLength(0);
+    expect(Driver.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('processSettlement', () => {
+  test('fails the settlement and releases its payments when the driver is gone', async () => {
+    const settlement = buildSettlement(objectId());
+    jest.spyOn(Driver, 'findById').mockResolvedValue(null);
+
+    await processSettlement(settlement);
+
+    expect(settlement.status).toBe('failed');
+    expect(settlement.failureReason).toBe('Driver not found');
+    expect(settlement.attempts).toBe(0);
+    expect(Payment.updateMany).toHaveBeenCalledWith(
+      { 'payout.settlementId': settlement._id },
+      { 'payout.status': 'unsettled', 'payout.settlementId': null }
+    );
+  });
+
+  test('fails the settlement when the driver has no bank account', async () => {
+    const driver = buildDriver({});
+    const settlement = buildSettlement(driver._id);
+    jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+
+    await processSettlement(settlement);
+
+    expect(settlement.status).toBe('failed');
+    expect(settlement.failureReason).toBe('Driver has no bank account on file');
+  });
+});
+
+describe('runSettlementCycle', () => {
+  test('carries on with the other settlements when one fails', async () => {
+    const driver = buildDriver();
+    const broken = buildSettlement(objectId());
+    const healthy = buildSettlement(driver._id);
+
+    jest.spyOn(Ride, 'find').mockResolvedValue([]);
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Settlement, 'find')
+      .mockResolvedValueOnce([broken, healthy])
+      .mockResolvedValueOnce([]);
+    jest.spyOn(Driver, 'findById')
+      .mockRejectedValueOnce(new Error('Connection reset'))
+      .mockResolvedValueOnce(driver);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await runSettlementCycle(now);
+
+    expect(result).toEqual({ created: 0, sent: 2, synced: 0 });
+    expect(console.error).toHaveBeenCalledWith(`Settlement error for ${broken.settlementId}:`, expect.any(Error));
+    expect(healthy.status).toBe('processing');
+    expect(healthy.transferId).toMatch(/^stub_trf_/);
+  });
+});
+
+describe('stub payout provider', () => {
+  test('treats a transfer it lost on restart as still in flight and then pays it', async () => {
+    const stub = createStubPayoutProvider();
+
+    const first = await stub.fetchTransfer({ transferId: 'stub_trf_lost' });
+    const second = await stub.fetchTransfer({ transferId: 'stub_trf_lost' });
+
+    expect(first.status).toBe('processing');
+    expect(second.status).toBe('paid');
+  });
+});
@@ -0,0 +1,146 @@
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { createSplit, respondToSplit, buildSharePayment } = require('../services/splitFares');
+const { objectId, stubSaves } = require('./helpers');
+
+const booker = { _id: objectId(), name: 'Asha', phone: '9000000001' };
+const friend = { _id: objectId(), name: 'Ravi', phone: '9000000002' };
+const colleague = { _id: objectId(), name: 'Meena', phone: '9000000003' };
+
+// A completed ride for 301 with its fare already worked out
+function buildCompletedRide() {
+  return new Ride({
+    passenger: booker._id,
+    driver: objectId(),
+    pickup: { address: 'MG Road', coordinates: [77.5946, 12.9716] },
+    destination: { address: 'Koramangala', coordinates: [77.6245, 12.9352] },
+    vehicleType: 'car',
+    paymentMethod: 'card',
+    otp: '1234',
+    distance: 10,
+    estimatedDuration: 20,
+    status: 'completed',
+    completedAt: new Date(),
+    fare: {
+      baseFare: 50,
+      distanceFare: 150,
+      timeFare: 40,
+      platformFee: 12,
+      taxes: 49,
+      totalFare: 301,
+      driverEarning: 192,
+      platformCommission: 109,
+      currency: 'INR'
+    }
+  });
+}
+
+const amounts = ride => ride.split.shares.map(share => share.amount);
+
+beforeEach(() => {
+  stubSaves(Ride);
+  jest.spyOn(User, 'findById').mockImplementation(async id => [friend, colleague].find(user => user._id.equals(id)) || null);
+  jest.spyOn(User, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSplit', () => {
+  test('splits equally, leaving the rounding with the booker', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, {
+      mode: 'equal',
+      coRiders: [{ userId: friend._id }, { userId: colleague._id }]
+    });
+
+    expect(amounts(ride)).toEqual([101, 100, 100]);
+    expect(ride.split.shares.map(share => share.percent)).toEqual([33.33, 33.33, 33.33]);
+    expect(ride.split.expiresAt.getTime()).toBeGreaterThan(ride.completedAt.getTime());
+  });
+
+  test('gives the booker what is left of custom shares', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, {
+      mode: 'custom',
+      coRiders: [{ userId: friend._id, percent: 30 }, { phone: '9000000099', name: 'Kiran', percent: 25 }]
+    });
+
+    expect(amounts(ride)).toEqual([136, 90, 75]);
+    expect(ride.split.shares[0].percent).toBe(45);
+    expect(ride.split.shares[2]).toMatchObject({ phone: '9000000099', name: 'Kiran', status: 'invited' });
+  });
+
+  test('refuses to invite the booker or the same co-rider twice', async () => {
+    User.findById.mockResolvedValue(booker);
+    expect(await createSplit(buildCompletedRide(), booker, { mode: 'equal', coRiders: [{ userId: booker._id }] }))
+      .toEqual({ error: 'You cannot invite yourself' });
+
+    User.findById.mockResolvedValue(friend);
+    expect(await createSplit(buildCompletedRide(), booker, {
+      mode: 'equal',
+      coRiders: [{ userId: friend._id }, { userId: friend._id }]
+    })).toEqual({ error: 'Each co-rider can only be invited once' });
+  });
+
+  test('refuses to change a split someone has paid into', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, { mode: 'equal', coRiders: [{ userId: friend._id }] });
+    ride.split.shares[1].status = 'paid';
+
+    expect(await createSplit(ride, booker, { mode: 'equal', coRiders: [{ userId: colleague._id }] }))
+      .toEqual({ error: 'Part of the fare has already been paid' });
+  });
+});
+
+describe('respondToSplit', () => {
+  test('hands a declined share back to the others', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, {
+      mode: 'equal',
+      coRiders: [{ userId: friend._id }, { userId: colleague._id }]
+    });
+
+    const result = await respondToSplit(ride, colleague, false);
+
+    expect(result.share.status).toBe('declined');
+    expect(amounts(ride)).toEqual([150, 151, 0]);
+  });
+
+  test('keeps what a co-rider already paid when the split changes', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, {
+      mode: 'equal',
+      coRiders: [{ userId: friend._id }, { userId: colleague._id }]
+    });
+    ride.split.shares[1].status = 'paid';
+
+    await respondToSplit(ride, colleague, false);
+
+    expect(amounts(ride)).toEqual([201, 100, 0]);
+  });
+
+  test('matches a phone invitation to the account that answers it', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, {
+      mode: 'equal',
+      coRiders: [{ phone: friend.phone, name: 'Ravi' }]
+    });
+
+    const result = await respondToSplit(ride, friend, true);
+
+    expect(result.share.user).toEqual(friend._id);
+    expect(result.share.status).toBe('accepted');
+    expect(await respondToSplit(ride, colleague, true)).toEqual({ error: 'No fare split invitation for you on this ride' });
+  });
+});
+
+describe('buildSharePayment', () => {
+  test('pays the driver their part of the share', async () => {
+    const { ride } = await createSplit(buildCompletedRide(), booker, { mode: 'equal', coRiders: [{ userId: friend._id }] });
+    const share = ride.split.shares[1];
+
+    const payment = buildSharePayment(ride, share, friend._id, { paymentMethod: 'upi', paymentProvider: 'razorpay' });
+
+    expect(payment.amount).toBe(151);
+    expect(payment.type).toBe('fare_share');
+    expect(payment.userId).toEqual(friend._id);
+    expect(payment.driverEarning.netEarning + payment.driverEarning.commission).toBe(151);
+    expect(payment.breakdown.total).toBe(151);
+  });
+});
@@ -0,0 +1,126 @@
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const SurgeZone = require('../models/SurgeZone');
+const { getCell, calculateMultiplier, runSurgeCycle, getSurgeForLocation } = require('../services/surge');
+const { stubSaves } = require('./helpers');
+
+const pickup = [77.5946, 12.9716];
+
+// A query chain ending in .select().lean() that resolves to `docs`
+function leanResult(docs) {
+  return { select: () => ({ lean: () => Promise.resolve(docs) }) };
+}
+
+function searchingRides(count, coordinates = pickup) {
+  return Array.from({ length: count }, () => ({ pickup: { coordinates } }));
+}
+
+function availableDrivers(count, coordinates = pickup) {
+  return Array.from({ length: count }, () => ({ currentLocation: { coordinates } }));
+}
+
+let saved;
+
+beforeEach(() => {
+  stubSaves(SurgeZone);
+  saved = [];
+  SurgeZone.prototype.save.mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(SurgeZone, 'findOne').mockResolvedValue(null);
+  jest.spyOn(SurgeZone, 'find').mockReturnValue(leanResult([]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateMultiplier', () => {
+  test('stays at 1 below the minimum demand or the demand ratio', () => {
+    expect(calculateMultiplier(2, 0)).toBe(1);
+    expect(calculateMultiplier(5, 5)).toBe(1);
+  });
+
+  test('rises in steps of 0.1 with requests per driver', () => {
+    expect(calculateMultiplier(6, 2)).toBe(2);
+    expect(calculateMultiplier(5, 4)).toBe(1.1);
+  });
+
+  test('is capped', () => {
+    expect(calculateMultiplier(40, 1)).toBe(2.5);
+  });
+});
+
+describe('getCell', () => {
+  test('puts nearby points in the same cell', () => {
+    expect(getCell(pickup).cellId).toBe(getCell([77.5950, 12.9720]).cellId);
+    expect(getCell(pickup).cellId).not.toBe(getCell([77.6245, 12.9352]).cellId);
+  });
+});
+
+describe('runSurgeCycle', () => {
+  test('surges a cell with more requests than drivers', async () => {
+    jest.spyOn(Ride, 'find').mockReturnValue(leanResult(searchingRides(6)));
+    jest.spyOn(Driver, 'find').mockReturnValue(leanResult(availableDrivers(2)));
+
+    const result = await runSurgeCycle();
+
+    expect(result).toEqual({ zones: 1, surging: 1 });
+    expect(saved[0].cellId).toBe(getCell(pickup).cellId);
+    expect(saved[0].multiplier).toBe(2);
+    expect(saved[0].reason).toBe('High demand: 6 ride requests for 2 available drivers');
+  });
+
+  test('calms a surging zone whose requests have gone', async () => {
+    const { cellId, center, bounds } = getCell(pickup);
+    const zone = new SurgeZone({ cellId, center, bounds, multiplier: 1.8, reason: 'High demand' });
+    jest.spyOn(Ride, 'find').mockReturnValue(leanResult([]));
+    jest.spyOn(Driver, 'find').mockReturnValue(leanResult(availableDrivers(3)));
+    SurgeZone.find.mockReturnValue(leanResult([{ cellId }]));
+    SurgeZone.findOne.mockResolvedValue(zone);
+
+    const result = await runSurgeCycle();
+
+    expect(result).toEqual({ zones: 1, surging: 0 });
+    expect(zone.multiplier).toBe(1);
+    expect(zone.reason).toBeNull();
+    expect(zone.supply).toBe(3);
+  });
+
+  test('only recounts a frozen zone', async () => {
+    const { cellId, center, bounds } = getCell(pickup);
+    const zone = new SurgeZone({ cellId, center, bounds, multiplier: 1.5, reason: 'Concert', frozen: true });
+    jest.spyOn(Ride, 'find').mockReturnValue(leanResult(searchingRides(10)));
+    jest.spyOn(Driver, 'find').mockReturnValue(leanResult(availableDrivers(1)));
+    SurgeZone.findOne.mockResolvedValue(zone);
+
+    await runSurgeCycle();
+
+    expect(zone.multiplier).toBe(1.5);
+    expect(zone.reason).toBe('Concert');
+    expect(zone.demand).toBe(10);
+  });
+});
+
+describe('getSurgeForLocation', () => {
+  test('is 1 where no zone has been computed', async () => {
+    const surge = await getSurgeForLocation(pickup);
+
+    expect(surge).toEqual({ cellId: getCell(pickup).cellId, multiplier: 1, reason: null });
+  });
+
+  test('uses an admin override until it expires', async () => {
+    const now = new Date();
+    const zone = new SurgeZone({
+      ...getCell(pickup),
+      multiplier: 1.4,
+      reason: 'High demand',
+      override: { multiplier: 2, reason: 'Stadium event', expiresAt: new Date(now.getTime() + 60 * 60 * 1000) }
+    });
+    SurgeZone.findOne.mockResolvedValue(zone);
+
+    expect((await getSurgeForLocation(pickup, now)).multiplier).toBe(2);
+    expect((await getSurgeForLocation(pickup, new Date(now.getTime() + 2 * 60 * 60 * 1000))).multiplier).toBe(1.4);
+  });
+});
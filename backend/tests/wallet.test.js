@@ -0,0 +1,205 @@
+const request = require('supertest');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const createWalletProvider = require('../services/paymentProviders/wallet');
+const { TOKENS } = require('../services/paymentProviders/fake');
+const { resetProviders } = require('../services/paymentProviders');
+const { creditTopUp } = require('../services/wallet');
+const { objectId, stubSaves, duplicateKeyError, buildApp } = require('./helpers');
+
+let mockUser;
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const walletRouter = require('../routes/wallet');
+
+beforeEach(() => {
+  resetProviders();
+  stubSaves(Payment);
+  jest.spyOn(LedgerEntry, 'postTransaction').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('wallet charges', () => {
+  const wallet = createWalletProvider();
+  const customer = { id: objectId().toString() };
+
+  beforeEach(() => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('debits the wallet while holding its lock', async () => {
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(500);
+    LedgerEntry.postTransaction.mockResolvedValue([{ transactionId: 'WLT-PAY1', account: `wallet:${customer.id}`, amount: 200 }]);
+
+    const result = await wallet.createCharge({ reference: 'PAY1', amount: 200, customer });
+
+    expect(result.status).toBe('captured');
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'WLT-PAY1',
+      debitAccount: LedgerEntry.walletAccount(customer.id),
+      amount: 200
+    }));
+    const [[, { walletLockedUntil: lease }]] = User.updateOne.mock.calls;
+    expect(User.updateOne).toHaveBeenLastCalledWith({ _id: customer.id, walletLockedUntil: lease }, { walletLockedUntil: null });
+  });
+
+  test('fails while another charge holds the wallet', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(LedgerEntry, 'getBalance');
+
+    const result = await wallet.createCharge({ reference: 'PAY2', amount: 200, customer });
+
+    expect(result.status).toBe('failed');
+    expect(result.errorMessage).toBe('Another wallet payment is in progress');
+    expect(LedgerEntry.getBalance).not.toHaveBeenCalled();
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+
+  test('releases the lock when the balance is too low', async () => {
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(50);
+
+    const result = await wallet.createCharge({ reference: 'PAY3', amount: 200, customer });
+
+    expect(result.status).toBe('failed');
+    expect(result.errorMessage).toBe('Insufficient wallet balance');
+    expect(User.updateOne).toHaveBeenCalledTimes(2);
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      { _id: customer.id, walletLockedUntil: expect.any(Date) },
+      { walletLockedUntil: null }
+    );
+  });
+
+  test('only charges the wallet once for a reference', async () => {
+    jest.spyOn(LedgerEntry, 'getBalance');
+    LedgerEntry.findOne.mockResolvedValue({ transactionId: 'WLT-PAY4', account: `wallet:${customer.id}`, amount: 200 });
+
+    const result = await wallet.createCharge({ reference: 'PAY4', amount: 200, customer });
+
+    expect(result.status).toBe('captured');
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('ledger postings', () => {
+  const transaction = {
+    transactionId: 'TOPUP-PAYLEG1',
+    entryType: 'topup',
+    debitAccount: LedgerEntry.ACCOUNTS.GATEWAY_CLEARING,
+    creditAccount: 'wallet:passenger1',
+    amount: 500
+  };
+
+  beforeEach(() => {
+    LedgerEntry.postTransaction.mockRestore();
+  });
+
+  test('writes the leg an earlier attempt left out before reporting the duplicate', async () => {
+    jest.spyOn(LedgerEntry, 'insertMany')
+      .mockRejectedValueOnce(duplicateKeyError({ transactionId: 1, account: 1 }))
+      .mockResolvedValueOnce([]);
+    jest.spyOn(LedgerEntry, 'distinct').mockResolvedValue([LedgerEntry.ACCOUNTS.GATEWAY_CLEARING]);
+
+    await expect(LedgerEntry.postTransaction(transaction)).rejects.toMatchObject({ code: 11000 });
+
+    expect(LedgerEntry.distinct).toHaveBeenCalledWith('account', { transactionId: 'TOPUP-PAYLEG1' });
+    expect(LedgerEntry.insertMany).toHaveBeenLastCalledWith(
+      [expect.objectContaining({ account: 'wallet:passenger1', direction: 'credit', amount: 500 })],
+      { ordered: false }
+    );
+  });
+
+  test('writes nothing more when both legs were already posted', async () => {
+    jest.spyOn(LedgerEntry, 'insertMany').mockRejectedValue(duplicateKeyError({ transactionId: 1, account: 1 }));
+    jest.spyOn(LedgerEntry, 'distinct').mockResolvedValue([LedgerEntry.ACCOUNTS.GATEWAY_CLEARING, 'wallet:passenger1']);
+
+    await expect(LedgerEntry.postTransaction(transaction)).rejects.toMatchObject({ code: 11000 });
+
+    expect(LedgerEntry.insertMany).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('crediting top-ups', () => {
+  const payment = { paymentId: 'PAYTOP1', userId: objectId(), amount: 500, paymentProvider: 'razorpay', transactionId: 'fake_txn_1' };
+
+  test('credits the wallet from the gateway clearing account', async () => {
+    await creditTopUp(payment);
+
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'TOPUP-PAYTOP1',
+      entryType: 'topup',
+      creditAccount: LedgerEntry.walletAccount(payment.userId),
+      amount: 500
+    }));
+  });
+
+  test('treats a top-up that was already credited as done', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(duplicateKeyError());
+
+    await expect(creditTopUp(payment)).resolves.toBeUndefined();
+  });
+
+  test('passes on other ledger errors', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(new Error('Ledger unavailable'));
+
+    await expect(creditTopUp(payment)).rejects.toThrow('Ledger unavailable');
+  });
+});
+
+describe('POST /api/wallet/topup', () => {
+  const app = buildApp('/api/wallet', walletRouter);
+
+  beforeEach(() => {
+    mockUser = { _id: objectId(), userType: 'passenger', phone: '9999999999' };
+    jest.spyOn(LedgerEntry, 'getBalance').mockResolvedValue(500);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('credits the wallet once the card charge is captured', async () => {
+    const res = await request(app)
+      .post('/api/wallet/topup')
+      .send({ amount: 500, paymentProvider: 'razorpay', paymentToken: TOKENS.SUCCESS });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Wallet topped up successfully');
+    expect(res.body.payment.status).toBe('completed');
+    expect(res.body.payment.type).toBe('wallet_topup');
+    expect(LedgerEntry.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: `TOPUP-${res.body.payment.paymentId}`,
+      amount: 500
+    }));
+  });
+
+  test('waits for the gateway before crediting a pending charge', async () => {
+    const res = await request(app)
+      .post('/api/wallet/topup')
+      .send({ amount: 500, paymentMethod: 'upi', paymentProvider: 'phonepe', paymentToken: TOKENS.PENDING });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Top-up payment initiated');
+    expect(res.body.payment.status).toBe('processing');
+    expect(res.body.gateway.transactionId).toMatch(/^fake_txn_/);
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+
+  test('reports a declined card without crediting anything', async () => {
+    const res = await request(app)
+      .post('/api/wallet/topup')
+      .send({ amount: 500, paymentProvider: 'razorpay', paymentToken: TOKENS.DECLINED });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Card declined');
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+});
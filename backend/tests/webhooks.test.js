@@ -0,0 +1,190 @@
+const request = require('supertest');
+const Driver = require('../models/Driver');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WebhookEvent = require('../models/WebhookEvent');
+const createRazorpayProvider = require('../services/paymentProviders/razorpay');
+const { signWebhook } = require('../services/paymentProviders/fake');
+const { hmacSha256Hex } = require('../services/paymentProviders/signature');
+const { registerProvider, resetProviders } = require('../services/paymentProviders');
+const webhooksRouter = require('../routes/webhooks');
+const { objectId, stubSaves, duplicateKeyError, buildApp } = require('./helpers');
+
+jest.mock('../services/invoices', () => ({ generateInvoice: jest.fn() }));
+
+const app = buildApp('/api/webhooks', webhooksRouter);
+
+function buildPayment(overrides = {}) {
+  return new Payment({
+    paymentId: 'PAYHOOK0001',
+    rideId: objectId(),
+    userId: objectId(),
+    driverId: objectId(),
+    amount: 300,
+    paymentMethod: 'upi',
+    paymentProvider: 'razorpay',
+    transactionId: 'fake_txn_hook',
+    status: 'processing',
+    driverEarning: { amount: 300, commission: 60, netEarning: 240 },
+    ...overrides
+  });
+}
+
+// Deliver a fake gateway event, signed unless a signature is given
+function deliver(event, signature) {
+  const body = JSON.stringify(event);
+  return request(app)
+    .post('/api/webhooks/razorpay')
+    .set('Content-Type', 'application/json')
+    .set('x-fake-signature', signature || signWebhook(Buffer.from(body)))
+    .send(body);
+}
+
+let record;
+let driver;
+
+beforeEach(() => {
+  resetProviders();
+  stubSaves(Payment, Ride);
+
+  record = { status: 'received', markProcessed: jest.fn().mockResolvedValue() };
+  driver = { _id: objectId(), userId: objectId(), updateEarnings: jest.fn() };
+  jest.spyOn(WebhookEvent, 'create').mockResolvedValue(record);
+  jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+  jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetProviders();
+});
+
+describe('POST /api/webhooks/:provider', () => {
+  test('completes a processing payment on a captured charge', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await deliver({ id: 'evt_1', type: 'charge.captured', transactionId: payment.transactionId });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, processed: true, paymentId: payment.paymentId, status: 'completed' });
+    expect(driver.updateEarnings).toHaveBeenCalledWith(240);
+    expect(record.markProcessed).toHaveBeenCalledWith('processed');
+  });
+
+  test('fails a processing payment and schedules a retry on a failed charge', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await deliver({ id: 'evt_2', type: 'charge.failed', transactionId: payment.transactionId, errorMessage: 'Bank declined' });
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('failed');
+    expect(payment.dunning.status).toBe('scheduled');
+  });
+
+  test('leaves a payment a confirm already completed alone', async () => {
+    const payment = buildPayment();
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    Payment.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Payment, 'findById').mockResolvedValue({ status: 'completed', completedAt: new Date() });
+
+    const res = await deliver({ id: 'evt_3', type: 'charge.captured', transactionId: payment.transactionId });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('completed');
+    expect(driver.updateEarnings).not.toHaveBeenCalled();
+  });
+
+  test('settles a pending refund', async () => {
+    const payment = buildPayment({
+      status: 'completed',
+      refunds: [{ amount: 100, reason: 'overcharged', refundId: 'fake_rfnd_1', status: 'pending' }]
+    });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await deliver({ id: 'evt_4', type: 'refund.processed', transactionId: payment.transactionId, refundId: 'fake_rfnd_1' });
+
+    expect(res.status).toBe(200);
+    expect(payment.refunds[0].status).toBe('processed');
+    expect(payment.refunds[0].driverDeduction).toBe(80);
+    expect(payment.status).toBe('partially_refunded');
+    expect(driver.updateEarnings).toHaveBeenCalledWith(-80);
+  });
+
+  test('skips an event that was already handled', async () => {
+    WebhookEvent.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findOne');
+
+    const res = await deliver({ id: 'evt_1', type: 'charge.captured', transactionId: 'fake_txn_hook' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+
+  test('processes again an event a crash left unfinished', async () => {
+    const payment = buildPayment();
+    WebhookEvent.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(record);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const res = await deliver({ id: 'evt_6', type: 'charge.captured', transactionId: 'fake_txn_hook' });
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('completed');
+    const [[query]] = WebhookEvent.findOneAndUpdate.mock.calls;
+    expect(query.$or).toEqual([
+      { status: 'failed' },
+      { status: 'received', updatedAt: { $lte: expect.any(Date) } }
+    ]);
+    expect(query.$or[1].updatedAt.$lte.getTime()).toBeLessThan(Date.now() - 60 * 1000);
+  });
+
+  test('rejects an event with a bad signature', async () => {
+    const res = await deliver({ id: 'evt_5', type: 'charge.captured', transactionId: 'fake_txn_hook' }, 'not-the-signature');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid webhook signature');
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects Razorpay events when no webhook secret is configured', async () => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+    registerProvider('razorpay', createRazorpayProvider());
+
+    const res = await request(app)
+      .post('/api/webhooks/razorpay')
+      .set('x-razorpay-signature', 'anything')
+      .send({ event: 'payment.captured', payload: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid webhook signature');
+  });
+
+  test('acknowledges a signed Razorpay event without a payment or refund', async () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+    registerProvider('razorpay', createRazorpayProvider());
+    const body = JSON.stringify({ event: 'order.paid', created_at: 1767225600, payload: { order: { entity: { id: 'order_1' } } } });
+
+    const res = await request(app)
+      .post('/api/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('x-razorpay-signature', hmacSha256Hex(Buffer.from(body), 'whsec_test'))
+      .send(body);
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+
+    expect(res.status).toBe(200);
+    expect(record.markProcessed).toHaveBeenCalledWith('ignored', 'Unhandled event type');
+  });
+
+  test('answers 404 for a provider without webhooks', async () => {
+    const res = await request(app).post('/api/webhooks/cash').send({});
+
+    expect(res.status).toBe(404);
+  });
+});